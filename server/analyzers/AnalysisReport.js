@@ -0,0 +1,130 @@
+// server/analyzers/AnalysisReport.js - Public API view of a DocumentAnalyzer result
+
+// Issue categories the validators report, in the order the breakdown lists them
+const RULE_CATEGORIES = [
+  'formatting', 'structure', 'headings', 'headers', 'citations', 'references', 'quotations',
+  'statistical', 'tables', 'figures', 'lists', 'appendix', 'abbreviations', 'bias-free',
+  'content', 'grammar', 'language', 'style', 'document', 'system'
+];
+
+const SEVERITIES = ['critical', 'major', 'minor'];
+
+const CSV_COLUMNS = ['ruleId', 'category', 'severity', 'title', 'message', 'paragraphIndex', 'charOffset', 'length', 'text', 'fixable'];
+
+/**
+ * AnalysisReport turns the editor's issue list into the versioned API response: issues with
+ * stable rule IDs, lowercase severities and locations, the compliance score and a breakdown
+ * by category. Editor issue IDs change between runs, so clients should key on ruleId.
+ */
+class AnalysisReport {
+  /**
+   * Rule ID of an issue: its category and title, without the document-specific parts of the title
+   * ("Statistical symbol 'p' not italicized" -> statistical/statistical-symbol-not-italicized)
+   */
+  static ruleId(issue) {
+    const title = (issue.title || 'issue')
+      .replace(/"[^"]*"|'[^']*'/g, ' ') // Quoted text from the document
+      .replace(/^Appendix [A-Z]\b/, 'Appendix'); // Appendix letter
+
+    const slug = title
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+
+    return `${issue.category || 'general'}/${slug}`;
+  }
+
+  /**
+   * Report for one analyzed document
+   */
+  static build({ analysis, document, filename, paperType, categories }) {
+    const issues = analysis.issues.map(issue => AnalysisReport.formatIssue(issue));
+
+    const summary = { total: issues.length, critical: 0, major: 0, minor: 0 };
+    const breakdown = {};
+    issues.forEach(issue => {
+      summary[issue.severity]++;
+
+      if (!breakdown[issue.category]) {
+        breakdown[issue.category] = { total: 0, critical: 0, major: 0, minor: 0 };
+      }
+      breakdown[issue.category].total++;
+      breakdown[issue.category][issue.severity]++;
+    });
+
+    return {
+      apiVersion: 'v1',
+      document: {
+        filename,
+        paragraphCount: document.formatting?.paragraphs?.length || 0,
+        wordCount: document.processingInfo?.wordCount || 0
+      },
+      options: {
+        paperType: paperType || 'auto',
+        categories: categories || RULE_CATEGORIES
+      },
+      complianceScore: analysis.complianceScore,
+      summary,
+      categories: Object.fromEntries(
+        Object.entries(breakdown).sort(([a], [b]) => AnalysisReport._categoryOrder(a) - AnalysisReport._categoryOrder(b))
+      ),
+      issues,
+      analysisTime: analysis.analysisTime
+    };
+  }
+
+  static formatIssue(issue) {
+    const location = issue.location || {};
+    const severity = (issue.severity || 'minor').toLowerCase();
+
+    return {
+      ruleId: AnalysisReport.ruleId(issue),
+      category: issue.category || 'general',
+      severity: SEVERITIES.includes(severity) ? severity : 'minor',
+      title: issue.title,
+      message: issue.description || issue.title,
+      explanation: issue.explanation || null,
+      location: {
+        paragraphIndex: location.paragraphIndex ?? null,
+        charOffset: location.charOffset ?? null,
+        length: location.length ?? null,
+        section: location.section || null,
+        text: issue.highlightText || issue.text || null
+      },
+      fixable: !!issue.hasFix
+    };
+  }
+
+  /**
+   * Issues as CSV, one row per issue (RFC 4180 quoting)
+   */
+  static toCsv(report) {
+    const quote = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = report.issues.map(issue => [
+      issue.ruleId,
+      issue.category,
+      issue.severity,
+      issue.title,
+      issue.message,
+      issue.location.paragraphIndex,
+      issue.location.charOffset,
+      issue.location.length,
+      issue.location.text,
+      issue.fixable
+    ].map(quote).join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+  }
+
+  static _categoryOrder(category) {
+    const index = RULE_CATEGORIES.indexOf(category);
+    return index === -1 ? RULE_CATEGORIES.length : index;
+  }
+}
+
+module.exports = AnalysisReport;
+module.exports.RULE_CATEGORIES = RULE_CATEGORIES;
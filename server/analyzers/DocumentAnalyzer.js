@@ -0,0 +1,65 @@
+// server/analyzers/DocumentAnalyzer.js - The editor's full APA analysis, run on the server
+const { importClientModule } = require('../utils/clientModules');
+
+/**
+ * DocumentAnalyzer runs the same analysis as the editor - DocumentService with EnhancedAPAAnalyzer
+ * and all of its validators from src/utils - on processed document data, so the issues and
+ * compliance score stored with a document match what the editor would compute.
+ *
+ * The client modules are loaded on first use, once per thread (see utils/clientModules.js).
+ */
+class DocumentAnalyzer {
+  constructor() {
+    this.clientModules = null;
+  }
+
+  /**
+   * Analyze XmlDocxProcessor output
+   * Options: paperType ('student' | 'professional', detected from the text by default) and
+   * categories (only issues of these categories are kept and scored; all by default)
+   * Returns { issues, issueCount, complianceScore, analysisTime }
+   */
+  async analyze(documentData, { paperType = null, categories = null } = {}) {
+    const { DocumentModel, DocumentService } = await this._loadClientModules();
+
+    const documentModel = DocumentModel.fromServerData(documentData);
+
+    // A fresh service per document - the incremental analyzer caches by paragraph
+    const documentService = new DocumentService();
+    const result = await documentService.analyzeDocument(documentModel, { force: true, paperType });
+
+    // Issues as the editor stores them (with IDs), not the analyzer's raw list
+    const issues = documentModel.issues.getAllIssues()
+      .filter(issue => !categories || categories.includes(issue.category));
+
+    return {
+      issues,
+      issueCount: issues.length,
+      complianceScore: documentService.calculateComplianceScore(issues),
+      analysisTime: result.analysisTime
+    };
+  }
+
+  // Private methods
+
+  async _loadClientModules() {
+    if (!this.clientModules) {
+      this.clientModules = importClientModules().catch(error => {
+        this.clientModules = null; // Try again with the next document
+        throw error;
+      });
+    }
+    return this.clientModules;
+  }
+}
+
+async function importClientModules() {
+  const [{ DocumentModel }, { DocumentService }] = await Promise.all([
+    importClientModule('models/DocumentModel.js'),
+    importClientModule('services/DocumentService.js')
+  ]);
+
+  return { DocumentModel, DocumentService };
+}
+
+module.exports = DocumentAnalyzer;
@@ -23,7 +23,7 @@ app.use(cors({
     : ['http://localhost:3000', 'http://127.0.0.1:3000'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'X-API-Key']
 }));
 
 // Body parsing middleware
@@ -49,6 +49,7 @@ if (process.env.NODE_ENV !== 'production') {
 app.get('/api/health', (req, res) => {
   // Get worker pool stats if available
   let workerPoolStats = null;
+  let jobStats = null;
   try {
     const docxRoutes = require('./routes/docx');
     if (docxRoutes.workerPool) {
@@ -59,9 +60,27 @@ app.get('/api/health', (req, res) => {
         availableWorkers: stats.availableWorkers,
         busyWorkers: stats.busyWorkers,
         activeJobs: stats.activeJobs,
-        totalJobsProcessed: stats.totalJobsProcessed
+        totalJobsProcessed: stats.totalJobsProcessed,
+        queueSize: stats.currentQueueSize,
+        queueDepth: stats.queueDepth,
+        scaling: {
+          minWorkers: stats.minWorkers,
+          maxWorkers: stats.maxWorkers,
+          scaleUps: stats.scaleUps,
+          scaleDowns: stats.scaleDowns
+        },
+        recycling: {
+          ...stats.limits,
+          workersRecycled: stats.workersRecycled,
+          workersReplaced: stats.workersReplaced
+        },
+        workers: stats.workers,
+        decisions: stats.decisions
       };
     }
+    if (docxRoutes.jobManager) {
+      jobStats = docxRoutes.jobManager.getStats();
+    }
   } catch (error) {
     // Worker pool not available (serverless or not initialized)
   }
@@ -72,7 +91,8 @@ app.get('/api/health', (req, res) => {
     service: 'APA Document Checker Server',
     environment: process.env.NODE_ENV || 'development',
     platform: process.env.VERCEL ? 'vercel' : 'traditional',
-    workerPool: workerPoolStats || { enabled: false }
+    workerPool: workerPoolStats || { enabled: false },
+    jobs: jobStats
   });
 });
 
@@ -80,6 +100,10 @@ app.get('/api/health', (req, res) => {
 const docxRoutes = require('./routes/docx');
 app.use('/api', docxRoutes);
 
+// Versioned public API, authenticated with per-user API keys
+const v1Routes = require('./routes/v1');
+app.use('/api/v1', v1Routes);
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error('Server error:', error);
@@ -0,0 +1,136 @@
+// server/processors/CitationFieldParser.js - Reference manager citation fields (Zotero, Mendeley, EndNote)
+const { DOMParser } = require('@xmldom/xmldom');
+
+/**
+ * Parses the instruction text of reference-manager citation fields into a common shape:
+ *   ADDIN ZOTERO_ITEM CSL_CITATION {...}  - Zotero (CSL-JSON)
+ *   ADDIN CSL_CITATION {...}              - Mendeley (CSL-JSON)
+ *   ADDIN EN.CITE <EndNote>...</EndNote>  - EndNote (XML, or base64 w:fldData via EN.CITE.DATA)
+ *
+ * Result: { source, formattedCitation, items: [{ authors, year, title, containerTitle, doi, url, type,
+ *           locator, label, prefix, suffix, suppressAuthor }] }
+ */
+class CitationFieldParser {
+  /**
+   * True for field instructions this parser understands (citation fields, not bibliography fields)
+   */
+  isCitationInstruction(instruction) {
+    return /\bADDIN\s+(ZOTERO_ITEM|CSL_CITATION|EN\.CITE)\b/.test(instruction || '') &&
+      !/\bEN\.CITE\.DATA\b/.test(instruction);
+  }
+
+  /**
+   * @param {string} instruction - field instruction text
+   * @param {string|null} fieldData - decoded w:fldData payload (EndNote EN.CITE.DATA)
+   * @returns {Object|null}
+   */
+  parse(instruction, fieldData = null) {
+    try {
+      if (/\bADDIN\s+EN\.CITE\b/.test(instruction)) {
+        const xml = (instruction.match(/<EndNote>[\s\S]*<\/EndNote>/) || [])[0] || fieldData;
+        return xml ? this.parseEndNote(xml) : null;
+      }
+
+      const start = instruction.indexOf('{');
+      const end = instruction.lastIndexOf('}');
+      if (start === -1 || end <= start) return null;
+
+      const data = JSON.parse(instruction.substring(start, end + 1));
+      const source = /ZOTERO_ITEM/.test(instruction) ? 'zotero' : data.mendeley ? 'mendeley' : 'csl';
+      return this.parseCsl(data, source);
+    } catch (error) {
+      console.warn('Could not parse citation field:', error.message);
+      return null;
+    }
+  }
+
+  parseCsl(data, source) {
+    const formattedCitation = data.properties?.plainCitation ||
+      data.properties?.formattedCitation ||
+      data.mendeley?.formattedCitation ||
+      data.mendeley?.previouslyFormattedCitation ||
+      null;
+
+    const items = (data.citationItems || []).map(citationItem => {
+      const item = citationItem.itemData || {};
+      const issued = item.issued || {};
+      const dateParts = issued['date-parts']?.[0]?.[0];
+      const year = dateParts ? String(dateParts) : (String(issued.raw || issued.literal || '').match(/\d{4}/) || [null])[0];
+
+      return {
+        authors: (item.author || item.editor || []).map(author => ({
+          family: author.family || null,
+          given: author.given || null,
+          literal: author.literal || null
+        })),
+        year,
+        title: item.title || null,
+        containerTitle: item['container-title'] || null,
+        doi: item.DOI || null,
+        url: item.URL || null,
+        type: item.type || null,
+        locator: citationItem.locator || null,
+        label: citationItem.label || null,
+        prefix: citationItem.prefix || null,
+        suffix: citationItem.suffix || null,
+        suppressAuthor: !!citationItem['suppress-author']
+      };
+    });
+
+    return { source, formattedCitation: this.stripTags(formattedCitation), items };
+  }
+
+  parseEndNote(xml) {
+    const xmlDoc = new DOMParser({ onError: () => {} }).parseFromString(xml, 'text/xml');
+    const text = (parent, name) => {
+      const element = parent.getElementsByTagName(name)[0];
+      return element ? element.textContent.trim() || null : null;
+    };
+
+    const cites = Array.from(xmlDoc.getElementsByTagName('Cite'));
+    const items = cites.map(cite => {
+      const record = cite.getElementsByTagName('record')[0] || cite;
+      const authorNames = Array.from(record.getElementsByTagName('author')).map(author => author.textContent.trim());
+      const doi = text(record, 'electronic-resource-num');
+
+      return {
+        authors: authorNames.length > 0
+          ? authorNames.map(name => this.splitAuthorName(name))
+          : (text(cite, 'Author') ? [this.splitAuthorName(text(cite, 'Author'))] : []),
+        year: text(cite, 'Year') || text(record, 'year'),
+        title: text(record, 'title'),
+        containerTitle: text(record, 'secondary-title'),
+        doi: doi ? doi.replace(/^https?:\/\/(dx\.)?doi\.org\//i, '') : null,
+        url: text(record, 'url'),
+        type: record.getElementsByTagName('ref-type')[0]?.getAttribute('name') || null,
+        locator: text(cite, 'Pages'),
+        label: text(cite, 'Pages') ? 'page' : null,
+        prefix: text(cite, 'Prefix'),
+        suffix: text(cite, 'Suffix'),
+        suppressAuthor: cite.getAttribute('ExcludeAuth') === '1'
+      };
+    });
+
+    return {
+      source: 'endnote',
+      formattedCitation: cites.length > 0 ? text(cites[0], 'DisplayText') : null,
+      items
+    };
+  }
+
+  /**
+   * "Smith, John" -> { family: 'Smith', given: 'John' }; names without a comma stay literal
+   */
+  splitAuthorName(name) {
+    const [family, ...given] = name.split(',');
+    return given.length > 0
+      ? { family: family.trim(), given: given.join(',').trim() || null, literal: null }
+      : { family: null, given: null, literal: name.trim() };
+  }
+
+  stripTags(text) {
+    return text ? text.replace(/<[^>]+>/g, '') : null;
+  }
+}
+
+module.exports = CitationFieldParser;
@@ -0,0 +1,53 @@
+// server/processors/DocxExporter.js - DOCX export of stored documents with the editor's exporter
+const { importClientModule } = require('../utils/clientModules');
+
+/**
+ * DocxExporter produces the same DOCX as the editor's download: DocxExportService (src/services)
+ * on a DocumentModel rebuilt from the processed document data and the saved Tiptap JSON, so
+ * headings, lists (Word numbering), tables, figures and notes survive a server-side export.
+ *
+ * The client modules are loaded on first use, once per thread (see utils/clientModules.js).
+ */
+class DocxExporter {
+  constructor() {
+    this.clientModules = null;
+  }
+
+  /**
+   * Generate the DOCX of a stored document
+   * @param {Object} documentData - XmlDocxProcessor output (analysis_results.document_data)
+   * @param {Object} tiptapContent - Saved editor content (analysis_results.tiptap_content)
+   * @param {Buffer|Uint8Array} originalDocx - Imported file, the source of embedded images
+   * @returns {Promise<Buffer>} DOCX file buffer
+   */
+  async exportDocument({ documentData, tiptapContent = null, originalDocx = null }) {
+    const { DocumentModel, DocxExportService } = await this._loadClientModules();
+
+    // JSON is the source of truth for edited documents - apply it the way the editor does
+    const documentModel = DocumentModel.fromServerData(documentData);
+    if (tiptapContent) {
+      documentModel.applyEditorChanges(tiptapContent);
+    }
+
+    return new DocxExportService().exportToDocx(documentModel, { originalDocx });
+  }
+
+  // Private methods
+
+  async _loadClientModules() {
+    if (!this.clientModules) {
+      this.clientModules = Promise.all([
+        importClientModule('models/DocumentModel.js'),
+        importClientModule('services/DocxExportService.js')
+      ])
+        .then(([{ DocumentModel }, { DocxExportService }]) => ({ DocumentModel, DocxExportService }))
+        .catch(error => {
+          this.clientModules = null; // Try again with the next export
+          throw error;
+        });
+    }
+    return this.clientModules;
+  }
+}
+
+module.exports = DocxExporter;
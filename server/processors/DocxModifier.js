@@ -1,12 +1,44 @@
 // server/processors/DocxModifier.js - DOCX modification for APA fixes (Memory-based)
 const PizZip = require('pizzip');
 const { DOMParser, XMLSerializer } = require('@xmldom/xmldom');
+const { importClientModule } = require('../utils/clientModules');
+
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+// Schema order of the w:pPr and w:rPr children (ECMA-376 17.3.1.26, 17.3.2.28)
+const PARAGRAPH_PROPERTY_ORDER = [
+  'w:pStyle', 'w:keepNext', 'w:keepLines', 'w:pageBreakBefore', 'w:framePr', 'w:widowControl', 'w:numPr',
+  'w:suppressLineNumbers', 'w:pBdr', 'w:shd', 'w:tabs', 'w:suppressAutoHyphens', 'w:kinsoku', 'w:wordWrap',
+  'w:overflowPunct', 'w:topLinePunct', 'w:autoSpaceDE', 'w:autoSpaceDN', 'w:bidi', 'w:adjustRightInd',
+  'w:snapToGrid', 'w:spacing', 'w:ind', 'w:contextualSpacing', 'w:mirrorIndents', 'w:suppressOverlap', 'w:jc',
+  'w:textDirection', 'w:textAlignment', 'w:textboxTightWrap', 'w:outlineLvl', 'w:divId', 'w:cnfStyle',
+  'w:rPr', 'w:sectPr', 'w:pPrChange'
+];
+const RUN_PROPERTY_ORDER = [
+  'w:rStyle', 'w:rFonts', 'w:b', 'w:bCs', 'w:i', 'w:iCs', 'w:caps', 'w:smallCaps', 'w:strike', 'w:dstrike',
+  'w:outline', 'w:shadow', 'w:emboss', 'w:imprint', 'w:noProof', 'w:snapToGrid', 'w:vanish', 'w:webHidden',
+  'w:color', 'w:spacing', 'w:w', 'w:kern', 'w:position', 'w:sz', 'w:szCs', 'w:highlight', 'w:u', 'w:effect',
+  'w:bdr', 'w:shd', 'w:fitText', 'w:vertAlign', 'w:rtl', 'w:cs', 'w:em', 'w:lang', 'w:eastAsianLayout',
+  'w:specVanish', 'w:oMath', 'w:rPrChange'
+];
+
+// APA 7 heading levels 1-5
+const APA_HEADING_LEVELS = [
+  { centered: true, indented: false, italic: false, period: false },  // Centered, Bold, Title Case
+  { centered: false, indented: false, italic: false, period: false }, // Flush Left, Bold, Title Case
+  { centered: false, indented: false, italic: true, period: false },  // Flush Left, Bold Italic, Title Case
+  { centered: false, indented: true, italic: false, period: true },   // Indented, Bold, Title Case, Ending With a Period.
+  { centered: false, indented: true, italic: true, period: true }     // Indented, Bold Italic, Title Case, Ending With a Period.
+];
 
 class DocxModifier {
   constructor() {
+    // The editor's ReferenceSorter (src/utils/referenceSorter.js), loaded on the first sort
+    this.referenceSorter = null;
     this.supportedFixes = [
       // Formatting fixes (DOCX modification)
-      'fixFont', 'fixFontSize', 'fixLineSpacing', 'fixMargins', 'fixIndentation',
+      'fixFont', 'fixFontSize', 'fixLineSpacing', 'fixMargins', 'fixIndentation', 'fixReferenceIndent',
+      'fixHeadingLevel', 'sortReferences', 'sortReferencesByYear',
       // Content fixes (text replacement in XML)
       'addCitationComma', 'fixParentheticalConnector', 'fixEtAlFormatting', 
       'fixReferenceConnector', 'fixAllCapsHeading', 'addPageNumber'
@@ -15,14 +47,16 @@ class DocxModifier {
 
   /**
    * Apply formatting fix to a DOCX buffer by modifying the document structure
+   * options.trackChanges records the fix as Word revisions instead of overwriting (suggest mode)
    */
-  async applyFormattingFix(inputBuffer, fixAction, fixValue) {
+  async applyFormattingFix(inputBuffer, fixAction, fixValue, options = {}) {
     try {
       console.log(`🔧 DocxModifier.applyFormattingFix called with:`, {
         bufferSize: inputBuffer?.length,
         fixAction,
         fixValueType: typeof fixValue,
-        fixValueKeys: typeof fixValue === 'object' ? Object.keys(fixValue || {}) : 'N/A'
+        fixValueKeys: typeof fixValue === 'object' ? Object.keys(fixValue || {}) : 'N/A',
+        trackChanges: !!options.trackChanges
       });
       
       if (!inputBuffer || inputBuffer.length === 0) {
@@ -35,7 +69,7 @@ class DocxModifier {
       console.log('✅ PizZip created successfully');
       
       // Apply the specific fix by modifying document XML
-      const modifiedZip = await this.modifyDocumentXML(zip, fixAction, fixValue);
+      const modifiedZip = await this.modifyDocumentXML(zip, fixAction, fixValue, options);
       
       // Generate the modified DOCX buffer
       const outputBuffer = modifiedZip.generate({
@@ -54,7 +88,7 @@ class DocxModifier {
   /**
    * Modify the document XML to apply formatting fixes
    */
-  async modifyDocumentXML(zip, fixAction, fixValue) {
+  async modifyDocumentXML(zip, fixAction, fixValue, options = {}) {
     try {
       console.log(`🔄 ModifyDocumentXML called with fixAction: ${fixAction}`);
       
@@ -69,6 +103,19 @@ class DocxModifier {
       let documentContent = docXmlFile.asText();
       console.log(`📄 Document XML content length: ${documentContent.length} characters`);
       
+      // APA heading definitions go into styles.xml first; the heading paragraphs are then remapped onto them.
+      // Suggest mode leaves styles.xml alone and puts the heading format on the paragraphs instead
+      let headingStyles = null;
+      if (fixAction === 'fixHeadingLevel') {
+        headingStyles = options.trackChanges ? this.readHeadingStyles(zip) : this.updateHeadingStyles(zip);
+      }
+
+      // Suggest mode: direct formatting and text only - style changes cannot be reviewed in Word
+      if (options.trackChanges) {
+        zip.file('word/document.xml', this.applyTrackedFix(documentContent, fixAction, fixValue, { ...options, headingStyles }));
+        return zip;
+      }
+      
       // Apply specific formatting fixes
       switch (fixAction) {
         case 'fixFont':
@@ -83,6 +130,27 @@ class DocxModifier {
           documentContent = this.fixLineSpacing(documentContent, fixValue || 480); // 480 = double spacing
           break;
 
+        case 'fixMargins':
+          documentContent = this.fixMargins(documentContent, fixValue);
+          break;
+
+        case 'fixIndentation':
+          documentContent = this.fixIndentation(documentContent, ['reference', 'abstract', 'body']);
+          break;
+
+        case 'fixReferenceIndent':
+          documentContent = this.fixIndentation(documentContent, ['reference']);
+          break;
+
+        case 'fixHeadingLevel':
+          documentContent = this.fixHeadingStyles(documentContent, headingStyles);
+          break;
+
+        case 'sortReferences':
+        case 'sortReferencesByYear':
+          documentContent = await this.sortReferences(documentContent);
+          break;
+
         // Text-based content fixes
         case 'addCitationComma':
           documentContent = this.fixTextContent(documentContent, fixValue);
@@ -216,6 +284,488 @@ class DocxModifier {
     return xmlContent;
   }
 
+  /**
+   * Set page margins in every section (the body's final w:sectPr and section breaks in w:pPr)
+   */
+  fixMargins(xmlContent, fixValue) {
+    const xmlDoc = new DOMParser().parseFromString(xmlContent, 'text/xml');
+    const margins = this.resolveMargins(fixValue);
+    const sections = Array.from(xmlDoc.getElementsByTagName('w:sectPr'));
+
+    sections.forEach(sectPr => this.setPageMargins(xmlDoc, sectPr, margins));
+
+    console.log(`📐 Set margins in ${sections.length} section(s)`);
+    return sections.length > 0 ? new XMLSerializer().serializeToString(xmlDoc) : xmlContent;
+  }
+
+  /**
+   * Reference entries get a 0.5" hanging indent, body paragraphs a 0.5" first-line indent.
+   * Headings, the title page, block quotes, lists and centered lines keep their indentation.
+   */
+  fixIndentation(xmlContent, fixedRoles) {
+    const xmlDoc = new DOMParser().parseFromString(xmlContent, 'text/xml');
+    const body = xmlDoc.getElementsByTagName('w:body')[0];
+    if (!body) return xmlContent;
+
+    let changes = 0;
+    this.classifyIndentation(body).forEach((role, paragraph) => {
+      if (!fixedRoles.includes(role)) return;
+      this.setIndentation(xmlDoc, this.ensurePropertiesElement(xmlDoc, paragraph, 'w:pPr'), role);
+      changes++;
+    });
+
+    console.log(`📐 Set indentation on ${changes} paragraph(s)`);
+    return changes > 0 ? new XMLSerializer().serializeToString(xmlDoc) : xmlContent;
+  }
+
+  /**
+   * Put the reference list into APA order. Whole w:p elements are moved, so each entry keeps its runs,
+   * formatting and hanging indent; empty paragraphs between entries stay where they are.
+   */
+  async sortReferences(xmlContent) {
+    if (!this.referenceSorter) {
+      const { ReferenceSorter } = await importClientModule('utils/referenceSorter.js');
+      this.referenceSorter = new ReferenceSorter();
+    }
+
+    const xmlDoc = new DOMParser().parseFromString(xmlContent, 'text/xml');
+    const body = xmlDoc.getElementsByTagName('w:body')[0];
+    if (!body) return xmlContent;
+
+    // Runs of reference entries; a heading, list or centered line ends a run
+    const groups = [];
+    let current = null;
+    this.classifyIndentation(body).forEach((role, paragraph) => {
+      if (role === 'reference') {
+        if (!current) groups.push(current = []);
+        current.push(paragraph);
+      } else if (role !== 'empty') {
+        current = null;
+      }
+    });
+
+    let moved = 0;
+    groups.forEach(entries => {
+      const sorted = this.referenceSorter.sort(entries, paragraph => this.paragraphText(paragraph));
+      if (sorted.every((paragraph, index) => paragraph === entries[index])) return;
+
+      // Placeholders hold each slot while its entry is detached
+      const placeholders = entries.map(paragraph => {
+        const placeholder = xmlDoc.createElementNS(W_NS, 'w:p');
+        body.replaceChild(placeholder, paragraph);
+        return placeholder;
+      });
+      placeholders.forEach((placeholder, index) => body.replaceChild(sorted[index], placeholder));
+      moved += sorted.filter((paragraph, index) => paragraph !== entries[index]).length;
+    });
+
+    console.log(`🔀 Moved ${moved} reference(s) into APA order`);
+    return moved > 0 ? new XMLSerializer().serializeToString(xmlDoc) : xmlContent;
+  }
+
+  /**
+   * Role of each top-level body paragraph for indentation fixes:
+   * 'title-page', 'heading', 'reference', 'abstract', 'block-quote', 'list', 'centered', 'empty' or 'body'
+   * The abstract is the paragraph under an "Abstract" heading (APA 7 Section 2.9: not indented); the
+   * keywords line after it is indented like body text.
+   */
+  classifyIndentation(body) {
+    const paragraphs = this.childElements(body).filter(child => child.nodeName === 'w:p');
+    const roles = new Map();
+
+    // Title page: everything up to the first page or section break, when that break comes early
+    const breakIndex = paragraphs.findIndex((paragraph, index) =>
+      index < 20 && (this.endsPage(paragraph) || this.startsPage(paragraphs[index + 1]))
+    );
+    let inReferences = false;
+    let inAbstract = false;
+
+    paragraphs.forEach((paragraph, index) => {
+      const pPr = this.childElement(paragraph, 'w:pPr');
+      const text = this.paragraphText(paragraph).trim();
+      const style = this.childElement(pPr, 'w:pStyle')?.getAttribute('w:val') || '';
+      const alignment = this.childElement(pPr, 'w:jc')?.getAttribute('w:val') || '';
+      const ind = this.childElement(pPr, 'w:ind');
+      const left = parseInt(ind?.getAttribute('w:left') || ind?.getAttribute('w:start') || '0', 10);
+      let role;
+
+      if (index <= breakIndex) {
+        role = 'title-page';
+      } else if (!text) {
+        role = 'empty';
+      } else if (this.isHeadingParagraph(paragraph, pPr, style, text)) {
+        role = 'heading';
+        inReferences = /^(references?|reference list|bibliography|works cited)$/i.test(text);
+        inAbstract = /^abstract$/i.test(text);
+      } else if (['center', 'right', 'end'].includes(alignment)) {
+        role = 'centered';
+        inReferences = /^(references?|reference list|bibliography|works cited)$/i.test(text);
+        inAbstract = /^abstract$/i.test(text);
+      } else if (this.childElement(pPr, 'w:numPr')) {
+        role = 'list';
+      } else if (inReferences) {
+        role = 'reference';
+      } else if (inAbstract && !/^keywords?\s*:/i.test(text)) {
+        role = 'abstract';
+      } else if (/quote/i.test(style) || (left >= 720 && !ind?.getAttribute('w:hanging'))) {
+        role = 'block-quote';
+      } else {
+        role = 'body';
+      }
+
+      roles.set(paragraph, role);
+    });
+
+    return roles;
+  }
+
+  /**
+   * Heading styles and outline levels, plus direct-formatted headings: a short line where every run is bold
+   */
+  isHeadingParagraph(paragraph, pPr, style, text) {
+    if (/^(heading|title|subtitle)/i.test(style) || this.childElement(pPr, 'w:outlineLvl')) {
+      return true;
+    }
+
+    const runs = Array.from(paragraph.getElementsByTagName('w:r'))
+      .filter(run => (this.childElement(run, 'w:t')?.textContent || '').trim());
+    return text.length <= 200 && !/[.!?:]$/.test(text) && runs.length > 0 && runs.every(run => {
+      const bold = this.childElement(this.childElement(run, 'w:rPr'), 'w:b');
+      return bold && !['0', 'false'].includes(bold.getAttribute('w:val'));
+    });
+  }
+
+  endsPage(paragraph) {
+    return !!this.childElement(this.childElement(paragraph, 'w:pPr'), 'w:sectPr') ||
+      Array.from(paragraph.getElementsByTagName('w:br')).some(br => br.getAttribute('w:type') === 'page');
+  }
+
+  startsPage(paragraph) {
+    const pageBreakBefore = this.childElement(this.childElement(paragraph, 'w:pPr'), 'w:pageBreakBefore');
+    return !!pageBreakBefore && !['0', 'false'].includes(pageBreakBefore.getAttribute('w:val'));
+  }
+
+  paragraphText(paragraph) {
+    return Array.from(paragraph.getElementsByTagName('w:t')).map(t => t.textContent).join('');
+  }
+
+  /**
+   * Margins in twips; fixValue may give them in inches ({ top: 1.0, ... }) like the client-side fix
+   */
+  resolveMargins(fixValue) {
+    const margins = { top: 1440, right: 1440, bottom: 1440, left: 1440 };
+    if (fixValue && typeof fixValue === 'object') {
+      Object.keys(margins).forEach(side => {
+        const value = Number(fixValue[side]);
+        if (value > 0) margins[side] = Math.round(value <= 22 ? value * 1440 : value);
+      });
+    }
+    return margins;
+  }
+
+  setPageMargins(xmlDoc, sectPr, margins) {
+    let pgMar = this.childElement(sectPr, 'w:pgMar');
+    if (!pgMar) {
+      pgMar = xmlDoc.createElement('w:pgMar');
+      // All w:pgMar attributes are required
+      pgMar.setAttribute('w:header', '720');
+      pgMar.setAttribute('w:footer', '720');
+      pgMar.setAttribute('w:gutter', '0');
+      const following = ['w:paperSrc', 'w:pgBorders', 'w:lnNumType', 'w:pgNumType', 'w:cols', 'w:formProt',
+        'w:vAlign', 'w:noEndnote', 'w:titlePg', 'w:textDirection', 'w:bidi', 'w:rtlGutter', 'w:docGrid',
+        'w:printerSettings', 'w:sectPrChange'];
+      const next = this.childElements(sectPr).find(child => following.includes(child.nodeName));
+      sectPr.insertBefore(pgMar, next || null);
+    }
+    Object.entries(margins).forEach(([side, twips]) => pgMar.setAttribute(`w:${side}`, String(twips)));
+  }
+
+  /**
+   * 'reference' -> 0.5" hanging indent, 'abstract' -> no indent, 'body' -> 0.5" first-line indent
+   */
+  setIndentation(xmlDoc, pPr, role) {
+    let ind = this.childElement(pPr, 'w:ind');
+    if (!ind) {
+      ind = xmlDoc.createElement('w:ind');
+      const following = ['w:contextualSpacing', 'w:mirrorIndents', 'w:suppressOverlap', 'w:jc',
+        'w:textDirection', 'w:textAlignment', 'w:textboxTightWrap', 'w:outlineLvl', 'w:divId', 'w:cnfStyle',
+        'w:rPr', 'w:sectPr', 'w:pPrChange'];
+      const next = this.childElements(pPr).find(child => following.includes(child.nodeName));
+      pPr.insertBefore(ind, next || null);
+    }
+
+    // Character-based values take precedence over twips in Word
+    ['w:firstLine', 'w:firstLineChars', 'w:hanging', 'w:hangingChars', 'w:leftChars', 'w:startChars']
+      .forEach(name => ind.removeAttribute(name));
+
+    if (role === 'reference') {
+      ind.setAttribute(ind.hasAttribute('w:start') ? 'w:start' : 'w:left', '720');
+      ind.setAttribute('w:hanging', '720');
+    } else if (role === 'abstract') {
+      ind.setAttribute('w:firstLine', '0');
+    } else {
+      ind.setAttribute('w:firstLine', '720');
+    }
+  }
+
+  /**
+   * Replace Heading 1-5 in styles.xml with the APA 7 heading formats. Existing heading styles keep
+   * their style IDs (Word localizes them) and linked character styles, so the navigation pane and
+   * TOC fields keep working.
+   * @returns {{ styleLevels: Object, styleIds: string[] }} heading level of each existing paragraph
+   *   style ID, and the style ID now used for levels 1-5
+   */
+  updateHeadingStyles(zip) {
+    const stylesFile = zip.file('word/styles.xml');
+    if (!stylesFile) {
+      console.warn('⚠️ No styles.xml - heading paragraphs are remapped onto the built-in heading style IDs');
+      return this.readHeadingStyles(zip);
+    }
+
+    const stylesDoc = new DOMParser().parseFromString(stylesFile.asText(), 'text/xml');
+    const root = stylesDoc.documentElement;
+    const paragraphStyles = this.childElements(root)
+      .filter(child => child.nodeName === 'w:style' && child.getAttribute('w:type') === 'paragraph');
+    const normal = paragraphStyles.find(style => ['1', 'true'].includes(style.getAttribute('w:default')));
+    const headingStyles = this.collectHeadingStyles(paragraphStyles);
+
+    APA_HEADING_LEVELS.forEach((format, index) => {
+      const level = index + 1;
+      const existing = this.findHeadingStyle(paragraphStyles, level);
+      const styleId = existing?.getAttribute('w:styleId') || `Heading${level}`;
+      const link = existing ? this.childElement(existing, 'w:link') : null;
+      const basedOn = normal ? normal.getAttribute('w:styleId') : null;
+
+      const definition = new DOMParser().parseFromString(
+        `<w:styles xmlns:w="${W_NS}"><w:style w:type="paragraph" w:styleId="${this.escapeXml(styleId)}">` +
+        `<w:name w:val="heading ${level}"/>` +
+        (basedOn ? `<w:basedOn w:val="${this.escapeXml(basedOn)}"/><w:next w:val="${this.escapeXml(basedOn)}"/>` : '') +
+        (link ? `<w:link w:val="${this.escapeXml(link.getAttribute('w:val'))}"/>` : '') +
+        `<w:uiPriority w:val="9"/>${level > 1 ? '<w:unhideWhenUsed/>' : ''}<w:qFormat/>` +
+        '<w:pPr><w:keepNext/><w:keepLines/><w:spacing w:before="0" w:after="0" w:line="480" w:lineRule="auto"/>' +
+        `<w:ind w:left="0" w:firstLine="${format.indented ? 720 : 0}"/><w:jc w:val="${format.centered ? 'center' : 'left'}"/>` +
+        `<w:outlineLvl w:val="${index}"/></w:pPr>` +
+        `<w:rPr><w:b/><w:bCs/>${format.italic ? '<w:i/><w:iCs/>' : '<w:i w:val="0"/><w:iCs w:val="0"/>'}` +
+        '<w:caps w:val="0"/><w:color w:val="auto"/></w:rPr>' +
+        '</w:style></w:styles>',
+        'text/xml'
+      ).documentElement.firstChild;
+      const imported = stylesDoc.importNode(definition, true);
+
+      if (existing) {
+        root.replaceChild(imported, existing);
+      } else {
+        root.appendChild(imported);
+      }
+      headingStyles.styleIds[index] = styleId;
+    });
+
+    zip.file('word/styles.xml', new XMLSerializer().serializeToString(stylesDoc));
+    console.log(`🔠 Defined APA heading styles: ${headingStyles.styleIds.join(', ')}`);
+    return headingStyles;
+  }
+
+  /**
+   * Heading levels of the existing paragraph styles and the style ID of levels 1-5, without changing styles.xml
+   */
+  readHeadingStyles(zip) {
+    const stylesFile = zip.file('word/styles.xml');
+    const paragraphStyles = stylesFile
+      ? this.childElements(new DOMParser().parseFromString(stylesFile.asText(), 'text/xml').documentElement)
+        .filter(child => child.nodeName === 'w:style' && child.getAttribute('w:type') === 'paragraph')
+      : [];
+
+    return this.collectHeadingStyles(paragraphStyles);
+  }
+
+  collectHeadingStyles(paragraphStyles) {
+    const styleLevels = {};
+
+    paragraphStyles.forEach(style => {
+      const name = this.childElement(style, 'w:name')?.getAttribute('w:val') || '';
+      const outlineLevel = this.childElement(this.childElement(style, 'w:pPr'), 'w:outlineLvl')?.getAttribute('w:val');
+      const match = name.match(/^heading\s*(\d)$/i) || style.getAttribute('w:styleId').match(/^heading(\d)$/i);
+      const level = match ? parseInt(match[1], 10) : outlineLevel !== undefined && outlineLevel !== null ? parseInt(outlineLevel, 10) + 1 : null;
+      if (level >= 1 && level <= 9) {
+        styleLevels[style.getAttribute('w:styleId')] = level;
+      }
+    });
+
+    const styleIds = APA_HEADING_LEVELS.map((_, index) =>
+      this.findHeadingStyle(paragraphStyles, index + 1)?.getAttribute('w:styleId') || `Heading${index + 1}`
+    );
+
+    return { styleLevels, styleIds };
+  }
+
+  /**
+   * Paragraph style for a heading level: named "heading N" (Word localizes the style ID), else ID HeadingN
+   */
+  findHeadingStyle(paragraphStyles, level) {
+    return paragraphStyles.find(style =>
+      new RegExp(`^heading\\s*${level}$`, 'i').test(this.childElement(style, 'w:name')?.getAttribute('w:val') || '')
+    ) || paragraphStyles.find(style => style.getAttribute('w:styleId') === `Heading${level}`);
+  }
+
+  fixHeadingStyles(xmlContent, headingStyles) {
+    const xmlDoc = new DOMParser().parseFromString(xmlContent, 'text/xml');
+    const body = xmlDoc.getElementsByTagName('w:body')[0];
+    if (!body) return xmlContent;
+
+    const changes = this.remapHeadings(xmlDoc, body, headingStyles);
+    console.log(`🔠 Remapped ${changes} heading(s) onto the APA heading styles`);
+    return changes > 0 ? new XMLSerializer().serializeToString(xmlDoc) : xmlContent;
+  }
+
+  /**
+   * Put each heading paragraph on the APA style for its level. Levels never skip (a Level 3 directly
+   * under a Level 1 becomes Level 2) and Heading 6-9 become Level 5. Direct formatting that would
+   * override the style is removed, and Level 4-5 headings end with a period.
+   * With a revision context every change is recorded as a tracked change. styles.xml is not updated
+   * then, so the APA heading format is applied as direct paragraph and run formatting.
+   */
+  remapHeadings(xmlDoc, body, headingStyles, revision = null) {
+    const { styleLevels = {}, styleIds = [] } = headingStyles || {};
+    let previousLevel = 0;
+    let changes = 0;
+
+    this.childElements(body).filter(child => child.nodeName === 'w:p').forEach(paragraph => {
+      const pPr = this.childElement(paragraph, 'w:pPr');
+      const style = this.childElement(pPr, 'w:pStyle')?.getAttribute('w:val');
+      const outlineLevel = this.childElement(pPr, 'w:outlineLvl')?.getAttribute('w:val');
+      const styledLevel = style ? styleLevels[style] || (style.match(/^heading(\d)$/i) || [])[1] : null;
+      const sourceLevel = styledLevel
+        ? parseInt(styledLevel, 10)
+        : outlineLevel !== undefined && outlineLevel !== null && parseInt(outlineLevel, 10) < 9 ? parseInt(outlineLevel, 10) + 1 : null;
+      if (!sourceLevel || !this.paragraphText(paragraph).trim()) return;
+
+      const level = Math.min(sourceLevel, previousLevel + 1, APA_HEADING_LEVELS.length);
+      const format = APA_HEADING_LEVELS[level - 1];
+      previousLevel = level;
+      const styleId = styleIds[level - 1] || `Heading${level}`;
+      let changed = false;
+
+      const applyParagraph = properties => {
+        let pStyle = this.childElement(properties, 'w:pStyle');
+        if (!pStyle) {
+          pStyle = xmlDoc.createElement('w:pStyle');
+          properties.insertBefore(pStyle, properties.firstChild);
+        }
+        pStyle.setAttribute('w:val', styleId);
+        this.childElements(properties)
+          .filter(child => ['w:jc', 'w:ind', 'w:outlineLvl'].includes(child.nodeName))
+          .forEach(child => properties.removeChild(child));
+        if (revision) this.setHeadingParagraphFormat(xmlDoc, properties, format, level);
+      };
+      const paragraphProperties = this.ensurePropertiesElement(xmlDoc, paragraph, 'w:pPr');
+      if (revision) {
+        changed = this.trackPropertiesChange(xmlDoc, paragraphProperties, 'w:pPrChange', ['w:rPr', 'w:sectPr', 'w:pPrChange'], revision, applyParagraph);
+      } else {
+        applyParagraph(paragraphProperties);
+        changed = true;
+      }
+
+      // Bold, capitals and switched-off italics in the runs would override the heading style
+      const applyRun = properties => this.childElements(properties)
+        .filter(child => ['w:b', 'w:bCs', 'w:caps', 'w:smallCaps'].includes(child.nodeName) ||
+          (['w:i', 'w:iCs'].includes(child.nodeName) && ['0', 'false'].includes(child.getAttribute('w:val'))))
+        .forEach(child => properties.removeChild(child));
+      Array.from(paragraph.getElementsByTagName('w:r')).forEach(run => {
+        if (revision) {
+          // Every text run gets the heading's bold and italics
+          if (!this.childElements(run).some(child => child.nodeName === 'w:t')) return;
+          const rPr = this.ensurePropertiesElement(xmlDoc, run, 'w:rPr');
+          changed = this.trackPropertiesChange(xmlDoc, rPr, 'w:rPrChange', ['w:rPrChange'], revision,
+            properties => this.setHeadingRunFormat(xmlDoc, properties, format)) || changed;
+        } else {
+          const rPr = this.childElement(run, 'w:rPr');
+          if (rPr) applyRun(rPr);
+        }
+      });
+
+      if (APA_HEADING_LEVELS[level - 1].period) {
+        changed = this.ensureHeadingPeriod(xmlDoc, paragraph, revision) || changed;
+      }
+
+      if (changed) changes++;
+    });
+
+    return changes;
+  }
+
+  /**
+   * APA heading paragraph format as direct formatting (the heading style definitions of updateHeadingStyles)
+   */
+  setHeadingParagraphFormat(xmlDoc, pPr, format, level) {
+    this.setProperty(xmlDoc, pPr, 'w:keepNext', {}, PARAGRAPH_PROPERTY_ORDER);
+    this.setProperty(xmlDoc, pPr, 'w:keepLines', {}, PARAGRAPH_PROPERTY_ORDER);
+    this.setProperty(xmlDoc, pPr, 'w:spacing', { 'w:before': '0', 'w:after': '0', 'w:line': '480', 'w:lineRule': 'auto' }, PARAGRAPH_PROPERTY_ORDER);
+    this.setProperty(xmlDoc, pPr, 'w:ind', { 'w:left': '0', 'w:firstLine': format.indented ? '720' : '0' }, PARAGRAPH_PROPERTY_ORDER);
+    this.setProperty(xmlDoc, pPr, 'w:jc', { 'w:val': format.centered ? 'center' : 'left' }, PARAGRAPH_PROPERTY_ORDER);
+    this.setProperty(xmlDoc, pPr, 'w:outlineLvl', { 'w:val': String(level - 1) }, PARAGRAPH_PROPERTY_ORDER);
+  }
+
+  /**
+   * APA heading run format as direct formatting: bold, italic for Levels 3 and 5, no capitals
+   */
+  setHeadingRunFormat(xmlDoc, rPr, format) {
+    this.childElements(rPr)
+      .filter(child => ['w:caps', 'w:smallCaps'].includes(child.nodeName))
+      .forEach(child => rPr.removeChild(child));
+
+    const italic = format.italic ? {} : { 'w:val': '0' };
+    this.setProperty(xmlDoc, rPr, 'w:b', {}, RUN_PROPERTY_ORDER);
+    this.setProperty(xmlDoc, rPr, 'w:bCs', {}, RUN_PROPERTY_ORDER);
+    this.setProperty(xmlDoc, rPr, 'w:i', italic, RUN_PROPERTY_ORDER);
+    this.setProperty(xmlDoc, rPr, 'w:iCs', italic, RUN_PROPERTY_ORDER);
+  }
+
+  /**
+   * Replace a property element with one that has exactly these attributes, at its schema position
+   */
+  setProperty(xmlDoc, properties, name, attributes, order) {
+    const existing = this.childElement(properties, name);
+    if (existing) properties.removeChild(existing);
+
+    const element = xmlDoc.createElement(name);
+    Object.entries(attributes).forEach(([attribute, value]) => element.setAttribute(attribute, value));
+
+    const position = order.indexOf(name);
+    const next = this.childElements(properties).find(child => order.indexOf(child.nodeName) > position);
+    properties.insertBefore(element, next || null);
+  }
+
+  /**
+   * Append a period to the heading's last text (as a w:ins in suggest mode) unless it already ends with punctuation
+   */
+  ensureHeadingPeriod(xmlDoc, paragraph, revision) {
+    const lastText = Array.from(paragraph.getElementsByTagName('w:t')).filter(t => t.textContent.trim()).pop();
+    if (!lastText || /[.?!]\s*$/.test(lastText.textContent)) return false;
+
+    if (!revision) {
+      this.setText(xmlDoc, lastText, lastText.textContent.replace(/\s*$/, match => `.${match}`));
+      return true;
+    }
+
+    const run = lastText.parentNode;
+    const rPr = this.childElement(run, 'w:rPr');
+    const insertion = this.createRevisionElement(xmlDoc, 'w:ins', revision);
+    const periodRun = xmlDoc.createElement('w:r');
+    if (rPr) {
+      const properties = rPr.cloneNode(true);
+      this.childElements(properties)
+        .filter(child => child.nodeName === 'w:rPrChange')
+        .forEach(child => properties.removeChild(child));
+      periodRun.appendChild(properties);
+    }
+    const periodText = xmlDoc.createElement('w:t');
+    periodText.appendChild(xmlDoc.createTextNode('.'));
+    periodRun.appendChild(periodText);
+    insertion.appendChild(periodRun);
+    run.parentNode.insertBefore(insertion, run.nextSibling);
+    return true;
+  }
+
   /**
    * Modify styles.xml for document-wide formatting changes
    */
@@ -381,6 +931,319 @@ class DocxModifier {
     }
   }
 
+  /**
+   * Apply a fix as Word tracked changes: replaced text becomes w:del + w:ins, formatting changes
+   * keep the previous properties in w:rPrChange / w:pPrChange, so the author can accept or reject them
+   */
+  applyTrackedFix(xmlContent, fixAction, fixValue, options = {}) {
+    try {
+      const xmlDoc = new DOMParser().parseFromString(xmlContent, 'text/xml');
+      const body = xmlDoc.getElementsByTagName('w:body')[0];
+      if (!body) return xmlContent;
+
+      const revision = this.createRevisionContext(xmlDoc, options);
+      let changes = 0;
+
+      switch (fixAction) {
+        case 'fixFont':
+          changes = this.trackRunProperties(xmlDoc, body, revision, rPr => this.setRunFont(xmlDoc, rPr, fixValue || 'Times New Roman'));
+          break;
+
+        case 'fixFontSize':
+          changes = this.trackRunProperties(xmlDoc, body, revision, rPr => this.setRunSize(xmlDoc, rPr, fixValue || 24));
+          break;
+
+        case 'fixLineSpacing':
+          changes = this.trackParagraphProperties(xmlDoc, body, revision, pPr => this.setLineSpacing(xmlDoc, pPr, fixValue || 480));
+          break;
+
+        case 'fixMargins': {
+          const margins = this.resolveMargins(fixValue);
+          Array.from(xmlDoc.getElementsByTagName('w:sectPr')).forEach(sectPr => {
+            // Header and footer references are not part of w:sectPrChange
+            const excluded = ['w:headerReference', 'w:footerReference', 'w:sectPrChange'];
+            if (this.trackPropertiesChange(xmlDoc, sectPr, 'w:sectPrChange', excluded, revision,
+              properties => this.setPageMargins(xmlDoc, properties, margins))) {
+              changes++;
+            }
+          });
+          break;
+        }
+
+        case 'fixIndentation':
+        case 'fixReferenceIndent': {
+          const roles = this.classifyIndentation(body);
+          const fixed = fixAction === 'fixReferenceIndent' ? ['reference'] : ['reference', 'abstract', 'body'];
+          changes = this.trackParagraphProperties(xmlDoc, body, revision, pPr => {
+            const role = roles.get(pPr.parentNode);
+            if (fixed.includes(role)) this.setIndentation(xmlDoc, pPr, role);
+          });
+          break;
+        }
+
+        case 'fixHeadingLevel':
+          changes = this.remapHeadings(xmlDoc, body, options.headingStyles, revision);
+          break;
+
+        case 'addCitationComma':
+        case 'fixParentheticalConnector':
+        case 'fixEtAlFormatting':
+        case 'fixReferenceConnector':
+        case 'fixAllCapsHeading':
+        case 'addPageNumber':
+          changes = this.trackTextReplacement(xmlDoc, body, revision, fixValue);
+          break;
+
+        default:
+          console.warn(`Unsupported tracked fix action: ${fixAction}`);
+          return xmlContent;
+      }
+
+      console.log(`📝 Recorded ${changes} tracked change(s) for ${fixAction}`);
+      return changes > 0 ? new XMLSerializer().serializeToString(xmlDoc) : xmlContent;
+
+    } catch (error) {
+      console.error('Error applying tracked fix:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Author/date for new revisions; ids continue after the highest w:id already in the document
+   */
+  createRevisionContext(xmlDoc, options) {
+    let maxId = 0;
+    Array.from(xmlDoc.getElementsByTagName('*')).forEach(element => {
+      const id = parseInt(element.getAttribute('w:id'), 10);
+      if (!isNaN(id) && id > maxId) maxId = id;
+    });
+
+    return {
+      author: options.author || 'APA Document Checker',
+      date: new Date().toISOString().replace(/\.\d{3}Z$/, 'Z'),
+      nextId: maxId + 1
+    };
+  }
+
+  createRevisionElement(xmlDoc, name, revision) {
+    const element = xmlDoc.createElement(name);
+    element.setAttribute('w:id', String(revision.nextId++));
+    element.setAttribute('w:author', revision.author);
+    element.setAttribute('w:date', revision.date);
+    return element;
+  }
+
+  /**
+   * Replace text inside runs with a w:del of the original and a w:ins of the replacement
+   */
+  trackTextReplacement(xmlDoc, body, revision, fixValue) {
+    const originalText = fixValue?.originalText || fixValue?.original;
+    const replacementText = fixValue?.replacementText || fixValue?.replacement;
+
+    if (!originalText || !replacementText) {
+      console.warn('Invalid fixValue for tracked text fix - missing original or replacement text');
+      return 0;
+    }
+
+    let changes = 0;
+
+    Array.from(body.getElementsByTagName('w:t')).forEach(textElement => {
+      const text = textElement.textContent || '';
+      const run = textElement.parentNode;
+      if (!text.includes(originalText) || run?.nodeName !== 'w:r') return;
+
+      const occurrences = text.split(originalText).length - 1;
+
+      // Text this checker already inserted stays a single insertion
+      if (run.parentNode?.nodeName === 'w:ins') {
+        this.setText(xmlDoc, textElement, text.split(originalText).join(replacementText));
+        changes += occurrences;
+        return;
+      }
+
+      const rPr = this.childElement(run, 'w:rPr');
+      const contents = this.childElements(run).filter(child => child.nodeName !== 'w:rPr');
+      const position = contents.indexOf(textElement);
+      const output = [];
+      let pending = contents.slice(0, position);
+
+      const flush = () => {
+        if (pending.length === 0) return;
+        const piece = run.cloneNode(false);
+        if (rPr) piece.appendChild(rPr.cloneNode(true));
+        pending.forEach(node => piece.appendChild(node));
+        output.push(piece);
+        pending = [];
+      };
+
+      const revisionRun = (wrapperName, textName, value) => {
+        const wrapper = this.createRevisionElement(xmlDoc, wrapperName, revision);
+        const piece = xmlDoc.createElement('w:r');
+        if (rPr) piece.appendChild(rPr.cloneNode(true));
+        const textNode = xmlDoc.createElement(textName);
+        textNode.setAttribute('xml:space', 'preserve');
+        textNode.appendChild(xmlDoc.createTextNode(value));
+        piece.appendChild(textNode);
+        wrapper.appendChild(piece);
+        return wrapper;
+      };
+
+      text.split(originalText).forEach((segment, index, segments) => {
+        if (segment) {
+          const textNode = xmlDoc.createElement('w:t');
+          textNode.setAttribute('xml:space', 'preserve');
+          textNode.appendChild(xmlDoc.createTextNode(segment));
+          pending.push(textNode);
+        }
+        if (index < segments.length - 1) {
+          flush();
+          output.push(revisionRun('w:del', 'w:delText', originalText));
+          output.push(revisionRun('w:ins', 'w:t', replacementText));
+        }
+      });
+
+      pending.push(...contents.slice(position + 1));
+      flush();
+
+      output.forEach(node => run.parentNode.insertBefore(node, run));
+      run.parentNode.removeChild(run);
+      changes += occurrences;
+    });
+
+    return changes;
+  }
+
+  /**
+   * Apply a run property change to every body run, keeping the original w:rPr in w:rPrChange
+   */
+  trackRunProperties(xmlDoc, body, revision, apply) {
+    let changes = 0;
+
+    Array.from(body.getElementsByTagName('w:r')).forEach(run => {
+      if (!this.childElements(run).some(child => child.nodeName === 'w:t')) return;
+
+      const rPr = this.ensurePropertiesElement(xmlDoc, run, 'w:rPr');
+      if (this.trackPropertiesChange(xmlDoc, rPr, 'w:rPrChange', ['w:rPrChange'], revision, apply)) {
+        changes++;
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Apply a paragraph property change to every body paragraph, keeping the original w:pPr in w:pPrChange
+   */
+  trackParagraphProperties(xmlDoc, body, revision, apply) {
+    let changes = 0;
+
+    Array.from(body.getElementsByTagName('w:p')).forEach(paragraph => {
+      const pPr = this.ensurePropertiesElement(xmlDoc, paragraph, 'w:pPr');
+      // The paragraph mark formatting and section properties are not part of a w:pPrChange
+      if (this.trackPropertiesChange(xmlDoc, pPr, 'w:pPrChange', ['w:rPr', 'w:sectPr', 'w:pPrChange'], revision, apply)) {
+        changes++;
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Snapshot the properties, apply the change and record the snapshot when something changed.
+   * An existing change element already holds the original formatting and is kept.
+   */
+  trackPropertiesChange(xmlDoc, properties, changeName, excluded, revision, apply) {
+    const snapshot = properties.cloneNode(true);
+    this.childElements(snapshot)
+      .filter(child => excluded.includes(child.nodeName))
+      .forEach(child => snapshot.removeChild(child));
+
+    const serialize = (element) => this.childElements(element)
+      .filter(child => !excluded.includes(child.nodeName))
+      .map(child => new XMLSerializer().serializeToString(child))
+      .join('');
+
+    const before = serialize(properties);
+    apply(properties);
+    if (serialize(properties) === before) return false;
+
+    if (!this.childElement(properties, changeName)) {
+      const change = this.createRevisionElement(xmlDoc, changeName, revision);
+      change.appendChild(snapshot);
+      properties.appendChild(change);
+    }
+
+    return true;
+  }
+
+  setRunFont(xmlDoc, rPr, fontFamily) {
+    let rFonts = this.childElement(rPr, 'w:rFonts');
+    if (!rFonts) {
+      rFonts = xmlDoc.createElement('w:rFonts');
+      const rStyle = this.childElement(rPr, 'w:rStyle');
+      rPr.insertBefore(rFonts, rStyle ? rStyle.nextSibling : rPr.firstChild);
+    }
+    rFonts.setAttribute('w:ascii', fontFamily);
+    rFonts.setAttribute('w:hAnsi', fontFamily);
+  }
+
+  setRunSize(xmlDoc, rPr, halfPoints) {
+    // Schema order: w:sz / w:szCs come after w:position and before w:highlight, w:u, ...
+    const following = ['w:highlight', 'w:u', 'w:effect', 'w:bdr', 'w:shd', 'w:fitText', 'w:vertAlign',
+      'w:rtl', 'w:cs', 'w:em', 'w:lang', 'w:eastAsianLayout', 'w:specVanish', 'w:oMath', 'w:rPrChange'];
+    [['w:sz', ['w:szCs', ...following]], ['w:szCs', following]].forEach(([name, after]) => {
+      let element = this.childElement(rPr, name);
+      if (!element) {
+        element = xmlDoc.createElement(name);
+        const next = this.childElements(rPr).find(child => after.includes(child.nodeName));
+        rPr.insertBefore(element, next || null);
+      }
+      element.setAttribute('w:val', String(halfPoints));
+    });
+  }
+
+  setLineSpacing(xmlDoc, pPr, line) {
+    let spacing = this.childElement(pPr, 'w:spacing');
+    if (!spacing) {
+      spacing = xmlDoc.createElement('w:spacing');
+      const following = ['w:ind', 'w:contextualSpacing', 'w:mirrorIndents', 'w:suppressOverlap', 'w:jc',
+        'w:textDirection', 'w:textAlignment', 'w:textboxTightWrap', 'w:outlineLvl', 'w:divId', 'w:cnfStyle',
+        'w:rPr', 'w:sectPr', 'w:pPrChange'];
+      const next = this.childElements(pPr).find(child => following.includes(child.nodeName));
+      pPr.insertBefore(spacing, next || null);
+    }
+    spacing.setAttribute('w:line', String(line));
+    spacing.setAttribute('w:lineRule', 'auto');
+  }
+
+  /**
+   * w:rPr / w:pPr must be the first child of its run or paragraph
+   */
+  ensurePropertiesElement(xmlDoc, parent, name) {
+    let properties = this.childElement(parent, name);
+    if (!properties) {
+      properties = xmlDoc.createElement(name);
+      parent.insertBefore(properties, parent.firstChild);
+    }
+    return properties;
+  }
+
+  setText(xmlDoc, textElement, value) {
+    while (textElement.firstChild) {
+      textElement.removeChild(textElement.firstChild);
+    }
+    textElement.appendChild(xmlDoc.createTextNode(value));
+  }
+
+  childElements(element) {
+    if (!element) return [];
+    return Array.from(element.childNodes || []).filter(node => node.nodeType === 1);
+  }
+
+  childElement(element, name) {
+    return this.childElements(element).find(node => node.nodeName === name) || null;
+  }
+
   /**
    * DEPRECATED: applyTextChanges - REMOVED
    * This method was fundamentally flawed (regex-based XML manipulation).
@@ -388,7 +1251,7 @@ class DocxModifier {
    * NEW ARCHITECTURE:
    * - Manual edits are saved as Tiptap JSON to Supabase
    * - DOCX is generated fresh on export only (not incrementally modified)
-   * - See DocxGenerator.js for export functionality
+   * - See DocxExporter.js for export functionality
    *
    * This stub remains for backward compatibility during migration.
    */
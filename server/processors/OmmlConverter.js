@@ -0,0 +1,259 @@
+// server/processors/OmmlConverter.js - Office Math (OMML) to linear text and MathML
+const MATHML_NS = 'http://www.w3.org/1998/Math/MathML';
+
+/**
+ * Converts Word equations (m:oMath / m:oMathPara DOM elements) into:
+ * - linear text (UnicodeMath-like, e.g. "x=(−b±√(b^2−4ac))/(2a)") used for analysis and search
+ * - MathML used to render the equation in the editor
+ * and records variables typed in plain (non-italic) style.
+ */
+class OmmlConverter {
+  constructor() {
+    // Property containers and control elements carry no content
+    this.ignoredElements = new Set([
+      'm:rPr', 'w:rPr', 'm:ctrlPr', 'm:fPr', 'm:sSupPr', 'm:sSubPr', 'm:sSubSupPr', 'm:sPrePr',
+      'm:radPr', 'm:dPr', 'm:naryPr', 'm:funcPr', 'm:accPr', 'm:barPr', 'm:groupChrPr',
+      'm:limLowPr', 'm:limUppPr', 'm:boxPr', 'm:borderBoxPr', 'm:eqArrPr', 'm:mPr', 'm:mcs',
+      'm:oMathParaPr', 'm:phantPr', 'm:argPr'
+    ]);
+  }
+
+  /**
+   * Convert an m:oMath or m:oMathPara element
+   * @returns {{ linear: string, mathml: string, plainVariables: string[] }}
+   */
+  convert(element) {
+    const maths = element.nodeName === 'm:oMathPara'
+      ? this.children(element, 'm:oMath')
+      : [element];
+
+    const plainVariables = new Set();
+    const linear = maths.map(math => this.toLinear(math, plainVariables)).join(' ').trim();
+    const display = element.nodeName === 'm:oMathPara';
+
+    const mathml = `<math xmlns="${MATHML_NS}" display="${display ? 'block' : 'inline'}">` +
+      maths.map(math => `<mrow>${this.toMathML(math)}</mrow>`).join('') +
+      '</math>';
+
+    return { linear, mathml, plainVariables: Array.from(plainVariables) };
+  }
+
+  // === LINEAR FORM ===
+
+  toLinear(element, plainVariables) {
+    if (!element) return '';
+
+    const linear = (el) => this.toLinear(el, plainVariables);
+    const part = (name) => linear(this.child(element, name));
+    const grouped = (name) => this.group(part(name));
+
+    switch (element.nodeName) {
+      case 'm:r': {
+        const text = this.runText(element);
+        if (this.isPlainRun(element)) {
+          // Single letters in plain style are variables that lost their italics
+          (text.match(/(?<![A-Za-z])[A-Za-z](?![A-Za-z])/g) || []).forEach(letter => plainVariables.add(letter));
+        }
+        return text;
+      }
+      case 'm:f':
+        return this.prop(element, 'm:fPr', 'm:type') === 'lin'
+          ? `${part('m:num')}/${part('m:den')}`
+          : `${grouped('m:num')}/${grouped('m:den')}`;
+      case 'm:sSup':
+        return `${part('m:e')}^${grouped('m:sup')}`;
+      case 'm:sSub':
+        return `${part('m:e')}_${grouped('m:sub')}`;
+      case 'm:sSubSup':
+        return `${part('m:e')}_${grouped('m:sub')}^${grouped('m:sup')}`;
+      case 'm:sPre':
+        return `_${grouped('m:sub')}^${grouped('m:sup')}${part('m:e')}`;
+      case 'm:rad': {
+        const degree = part('m:deg');
+        return degree ? `√(${degree}&${part('m:e')})` : `√${grouped('m:e')}`;
+      }
+      case 'm:d': {
+        const begin = this.prop(element, 'm:dPr', 'm:begChr') ?? '(';
+        const end = this.prop(element, 'm:dPr', 'm:endChr') ?? ')';
+        const separator = this.prop(element, 'm:dPr', 'm:sepChr') ?? '|';
+        return `${begin}${this.children(element, 'm:e').map(linear).join(separator)}${end}`;
+      }
+      case 'm:nary': {
+        const operator = this.prop(element, 'm:naryPr', 'm:chr') ?? '∫';
+        const sub = part('m:sub');
+        const sup = part('m:sup');
+        return `${operator}${sub ? `_${this.group(sub)}` : ''}${sup ? `^${this.group(sup)}` : ''} ${part('m:e')}`;
+      }
+      case 'm:func':
+        return `${part('m:fName')} ${grouped('m:e')}`;
+      case 'm:limLow':
+        return `${part('m:e')}_${grouped('m:lim')}`;
+      case 'm:limUpp':
+        return `${part('m:e')}^${grouped('m:lim')}`;
+      case 'm:acc':
+        return `${part('m:e')}${this.prop(element, 'm:accPr', 'm:chr') ?? '̂'}`;
+      case 'm:bar':
+        return `${part('m:e')}̅`;
+      case 'm:groupChr':
+        return `${this.prop(element, 'm:groupChrPr', 'm:chr') ?? '⏟'}${grouped('m:e')}`;
+      case 'm:eqArr':
+        return this.children(element, 'm:e').map(linear).join('; ');
+      case 'm:m':
+        return `[${this.children(element, 'm:mr')
+          .map(row => this.children(row, 'm:e').map(linear).join(' '))
+          .join('; ')}]`;
+      default:
+        // A space after a fraction keeps "(a+b)/c x" from reading as "(a+b)/(cx)"
+        return this.elementChildren(element)
+          .filter(child => !this.ignoredElements.has(child.nodeName))
+          .map((child, index, siblings) => {
+            const text = linear(child);
+            return child.nodeName === 'm:f' && index < siblings.length - 1 ? `${text} ` : text;
+          })
+          .join('');
+    }
+  }
+
+  // === MATHML FORM ===
+
+  toMathML(element) {
+    if (!element) return '';
+
+    const part = (name) => `<mrow>${this.toMathML(this.child(element, name))}</mrow>`;
+
+    switch (element.nodeName) {
+      case 'm:r':
+        return this.tokensToMathML(this.runText(element), this.isPlainRun(element));
+      case 'm:f':
+        return `<mfrac>${part('m:num')}${part('m:den')}</mfrac>`;
+      case 'm:sSup':
+        return `<msup>${part('m:e')}${part('m:sup')}</msup>`;
+      case 'm:sSub':
+        return `<msub>${part('m:e')}${part('m:sub')}</msub>`;
+      case 'm:sSubSup':
+        return `<msubsup>${part('m:e')}${part('m:sub')}${part('m:sup')}</msubsup>`;
+      case 'm:sPre':
+        return `<mmultiscripts>${part('m:e')}<mprescripts/>${part('m:sub')}${part('m:sup')}</mmultiscripts>`;
+      case 'm:rad': {
+        const degree = this.child(element, 'm:deg');
+        return degree && this.toLinear(degree, new Set())
+          ? `<mroot>${part('m:e')}${part('m:deg')}</mroot>`
+          : `<msqrt>${part('m:e')}</msqrt>`;
+      }
+      case 'm:d': {
+        const begin = this.prop(element, 'm:dPr', 'm:begChr') ?? '(';
+        const end = this.prop(element, 'm:dPr', 'm:endChr') ?? ')';
+        const separator = this.prop(element, 'm:dPr', 'm:sepChr') ?? '|';
+        const items = this.children(element, 'm:e').map(e => `<mrow>${this.toMathML(e)}</mrow>`);
+        return `<mrow><mo>${this.escape(begin)}</mo>${items.join(`<mo>${this.escape(separator)}</mo>`)}<mo>${this.escape(end)}</mo></mrow>`;
+      }
+      case 'm:nary': {
+        const operator = `<mo>${this.escape(this.prop(element, 'm:naryPr', 'm:chr') ?? '∫')}</mo>`;
+        const hasSub = !!this.toLinear(this.child(element, 'm:sub'), new Set());
+        const hasSup = !!this.toLinear(this.child(element, 'm:sup'), new Set());
+        const under = this.prop(element, 'm:naryPr', 'm:limLoc') === 'undOvr';
+        let base = operator;
+        if (hasSub && hasSup) {
+          base = under ? `<munderover>${operator}${part('m:sub')}${part('m:sup')}</munderover>` : `<msubsup>${operator}${part('m:sub')}${part('m:sup')}</msubsup>`;
+        } else if (hasSub) {
+          base = under ? `<munder>${operator}${part('m:sub')}</munder>` : `<msub>${operator}${part('m:sub')}</msub>`;
+        } else if (hasSup) {
+          base = under ? `<mover>${operator}${part('m:sup')}</mover>` : `<msup>${operator}${part('m:sup')}</msup>`;
+        }
+        return `<mrow>${base}${part('m:e')}</mrow>`;
+      }
+      case 'm:func':
+        return `<mrow>${part('m:fName')}<mo>&#x2061;</mo>${part('m:e')}</mrow>`;
+      case 'm:limLow':
+        return `<munder>${part('m:e')}${part('m:lim')}</munder>`;
+      case 'm:limUpp':
+        return `<mover>${part('m:e')}${part('m:lim')}</mover>`;
+      case 'm:acc':
+        return `<mover accent="true">${part('m:e')}<mo>${this.escape(this.prop(element, 'm:accPr', 'm:chr') ?? '̂')}</mo></mover>`;
+      case 'm:bar':
+        return this.prop(element, 'm:barPr', 'm:pos') === 'bot'
+          ? `<munder>${part('m:e')}<mo>_</mo></munder>`
+          : `<mover>${part('m:e')}<mo>&#xAF;</mo></mover>`;
+      case 'm:groupChr':
+        return `<munder>${part('m:e')}<mo>${this.escape(this.prop(element, 'm:groupChrPr', 'm:chr') ?? '⏟')}</mo></munder>`;
+      case 'm:eqArr':
+        return `<mtable>${this.children(element, 'm:e').map(e => `<mtr><mtd>${this.toMathML(e)}</mtd></mtr>`).join('')}</mtable>`;
+      case 'm:m':
+        return `<mrow><mo>[</mo><mtable>${this.children(element, 'm:mr').map(row =>
+          `<mtr>${this.children(row, 'm:e').map(e => `<mtd>${this.toMathML(e)}</mtd>`).join('')}</mtr>`
+        ).join('')}</mtable><mo>]</mo></mrow>`;
+      default:
+        return this.elementChildren(element)
+          .filter(child => !this.ignoredElements.has(child.nodeName))
+          .map(child => this.toMathML(child))
+          .join('');
+    }
+  }
+
+  /**
+   * Split run text into MathML tokens: numbers (mn), letters (mi) and operators (mo)
+   */
+  tokensToMathML(text, plain) {
+    const tokens = text.match(/\d+(?:\.\d+)?|[A-Za-zͰ-Ͽ]|\s+|./gu) || [];
+    const variant = plain ? ' mathvariant="normal"' : '';
+
+    return tokens.map(token => {
+      if (/^\s+$/.test(token)) return '';
+      if (/^\d/.test(token)) return `<mn>${token}</mn>`;
+      if (/^[A-Za-zͰ-Ͽ]$/u.test(token)) return `<mi${variant}>${this.escape(token)}</mi>`;
+      return `<mo>${this.escape(token)}</mo>`;
+    }).join('');
+  }
+
+  // === HELPERS ===
+
+  runText(run) {
+    return this.children(run, 'm:t').map(t => t.textContent).join('');
+  }
+
+  /**
+   * m:sty="p" (plain) and m:nor (normal text) switch off math italics
+   */
+  isPlainRun(run) {
+    const rPr = this.child(run, 'm:rPr');
+    if (!rPr) return false;
+    return this.attr(this.child(rPr, 'm:sty'), 'm:val') === 'p' || !!this.child(rPr, 'm:nor');
+  }
+
+  group(text) {
+    return /^[\p{L}\p{N}.]*$/u.test(text) ? text : `(${text})`;
+  }
+
+  prop(element, propertiesName, propertyName) {
+    const properties = this.child(element, propertiesName);
+    const property = properties ? this.child(properties, propertyName) : null;
+    return property ? this.attr(property, 'm:val') ?? '' : undefined;
+  }
+
+  attr(element, name) {
+    if (!element || !element.hasAttribute(name)) return undefined;
+    return element.getAttribute(name);
+  }
+
+  elementChildren(element) {
+    return Array.from(element.childNodes || []).filter(node => node.nodeType === 1);
+  }
+
+  children(element, name) {
+    return this.elementChildren(element).filter(node => node.nodeName === name);
+  }
+
+  child(element, name) {
+    return this.children(element, name)[0] || null;
+  }
+
+  escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+module.exports = OmmlConverter;
@@ -0,0 +1,337 @@
+// server/processors/StyleResolver.js - Effective run/paragraph formatting through the Word style hierarchy
+
+// Theme font slots referenced from w:rFonts (w:asciiTheme="minorHAnsi") or by name ("+mn-lt", "+minorHAnsi")
+const THEME_FONT_PATTERN = /^\+?(major|minor|mj|mn)[-]?(ascii|hansi|eastasia|bidi|lt|ea|cs)?$/i;
+
+/**
+ * Resolves formatting the way Word applies it, lowest to highest priority:
+ *   application default -> docDefaults -> paragraph style chain (w:basedOn) -> character style chain -> direct formatting
+ *
+ * Theme font references are looked up in word/theme/theme1.xml.
+ * Every resolved value has a source: { origin, styleId, styleName, themeFont }
+ * where origin is 'default' | 'docDefaults' | 'paragraphStyle' | 'characterStyle' | 'direct'.
+ */
+class StyleResolver {
+  constructor(stylesData, themeData) {
+    this.styles = new Map();
+    this.defaultStyleIds = {};
+    this.docDefaults = { rPr: null, pPr: null };
+    this.themeFonts = this.extractThemeFonts(themeData);
+    this.chainCache = new Map();
+
+    const stylesRoot = stylesData?.['w:styles'];
+    if (!stylesRoot) return;
+
+    const docDefaults = stylesRoot['w:docDefaults'];
+    this.docDefaults = {
+      rPr: docDefaults?.['w:rPrDefault']?.['w:rPr'] || null,
+      pPr: docDefaults?.['w:pPrDefault']?.['w:pPr'] || null
+    };
+
+    this.ensureArray(stylesRoot['w:style']).forEach(style => {
+      const styleId = style?.$?.['w:styleId'];
+      if (!styleId) return;
+
+      const type = style.$['w:type'];
+      this.styles.set(styleId, style);
+
+      if (style.$['w:default'] === '1' && !this.defaultStyleIds[type]) {
+        this.defaultStyleIds[type] = styleId;
+      }
+    });
+  }
+
+  /**
+   * Major/minor theme fonts: { major: { latin, ea, cs }, minor: { latin, ea, cs } }
+   */
+  extractThemeFonts(themeData) {
+    const fontScheme = themeData?.['a:theme']?.['a:themeElements']?.['a:fontScheme'];
+    const readFont = (font) => ({
+      latin: font?.['a:latin']?.$?.typeface || null,
+      ea: font?.['a:ea']?.$?.typeface || null,
+      cs: font?.['a:cs']?.$?.typeface || null
+    });
+
+    return {
+      major: readFont(fontScheme?.['a:majorFont']),
+      minor: readFont(fontScheme?.['a:minorFont'])
+    };
+  }
+
+  /**
+   * Look up a theme font reference, e.g. "minorHAnsi" or "+mj-lt"
+   * @returns {string|null} typeface, or null when the name is not a theme reference
+   */
+  resolveThemeFont(reference) {
+    const match = THEME_FONT_PATTERN.exec(reference || '');
+    if (!match) return null;
+
+    const scheme = /^(major|mj)$/i.test(match[1]) ? 'major' : 'minor';
+    const slot = (match[2] || 'lt').toLowerCase();
+    const script = slot === 'eastasia' || slot === 'ea' ? 'ea' : slot === 'bidi' || slot === 'cs' ? 'cs' : 'latin';
+
+    // Complex and East Asian slots fall back to the Latin typeface when the theme leaves them empty
+    return this.themeFonts[scheme][script] || this.themeFonts[scheme].latin || null;
+  }
+
+  /**
+   * Style and its w:basedOn ancestors, root first. Cycles are cut at the first repeated style.
+   */
+  getStyleChain(styleId) {
+    if (!styleId) return [];
+    if (this.chainCache.has(styleId)) return this.chainCache.get(styleId);
+
+    const chain = [];
+    const seen = new Set();
+    let current = this.styles.get(styleId);
+
+    while (current && !seen.has(current)) {
+      seen.add(current);
+      chain.unshift(current);
+      const basedOn = current['w:basedOn']?.$?.['w:val'];
+      current = basedOn ? this.styles.get(basedOn) : null;
+    }
+
+    this.chainCache.set(styleId, chain);
+    return chain;
+  }
+
+  getStyleName(styleId) {
+    const style = this.styles.get(styleId);
+    return style?.['w:name']?.$?.['w:val'] || styleId || null;
+  }
+
+  /**
+   * Effective paragraph style id: explicit w:pStyle or the default paragraph style
+   */
+  getParagraphStyleId(pPr) {
+    return pPr?.['w:pStyle']?.$?.['w:val'] || this.defaultStyleIds.paragraph || null;
+  }
+
+  styleLayers(styleId, origin, propertiesName) {
+    return this.getStyleChain(styleId).map(style => ({
+      origin,
+      styleId: style.$['w:styleId'],
+      properties: style[propertiesName] || null
+    }));
+  }
+
+  /**
+   * Walk the layers and keep the highest-priority value returned by read()
+   */
+  cascade(layers, read, fallback) {
+    let result = { value: fallback, source: { origin: 'default' } };
+
+    layers.forEach(layer => {
+      if (!layer.properties) return;
+      const found = read(layer.properties);
+      if (found === undefined) return;
+
+      const value = found?.value !== undefined ? found.value : found;
+      result = {
+        value,
+        source: {
+          origin: layer.origin,
+          styleId: layer.styleId || null,
+          styleName: layer.styleId ? this.getStyleName(layer.styleId) : null,
+          themeFont: found?.themeFont || null
+        }
+      };
+    });
+
+    return result;
+  }
+
+  /**
+   * On/off properties (w:b, w:i): present without w:val means on
+   */
+  readToggle(properties, name) {
+    const element = properties[name];
+    if (element === undefined) return undefined;
+    const val = element?.$?.['w:val'];
+    return val === undefined || !['0', 'false', 'off'].includes(String(val).toLowerCase());
+  }
+
+  /**
+   * Font for one w:rFonts slot ('ascii' or 'hAnsi'); the theme attribute wins over the explicit name
+   */
+  readFont(properties, slot) {
+    const fonts = properties['w:rFonts']?.$;
+    if (!fonts) return undefined;
+
+    const themeReference = fonts[`w:${slot}Theme`];
+    if (themeReference) {
+      const typeface = this.resolveThemeFont(themeReference);
+      if (typeface) return { value: typeface, themeFont: themeReference };
+    }
+
+    const name = fonts[`w:${slot}`];
+    if (!name) return undefined;
+
+    if (name.startsWith('+')) {
+      const typeface = this.resolveThemeFont(name);
+      return typeface ? { value: typeface, themeFont: name } : undefined;
+    }
+
+    return name;
+  }
+
+  /**
+   * Effective run formatting
+   * @param {Object} rPr - direct run properties
+   * @param {Object} pPr - properties of the containing paragraph (for its style)
+   * @returns {{ font: Object, color: string|null, sources: Object }}
+   */
+  resolveRun(rPr, pPr) {
+    const paragraphStyleId = this.getParagraphStyleId(pPr);
+    const characterStyleId = rPr?.['w:rStyle']?.$?.['w:val'] || null;
+
+    const defaults = [{ origin: 'docDefaults', properties: this.docDefaults.rPr }];
+    const paragraphLayers = this.styleLayers(paragraphStyleId, 'paragraphStyle', 'w:rPr');
+    const characterLayers = this.styleLayers(characterStyleId, 'characterStyle', 'w:rPr');
+    const direct = [{ origin: 'direct', properties: rPr || null }];
+    const layers = [...defaults, ...paragraphLayers, ...characterLayers, ...direct];
+
+    // Latin text uses the ASCII font; hAnsi covers the rest of the Latin range
+    const ascii = this.cascade(layers, properties => this.readFont(properties, 'ascii'), null);
+    const family = ascii.value ? ascii : this.cascade(layers, properties => this.readFont(properties, 'hAnsi'), null);
+
+    // No w:sz anywhere means 10pt (ECMA-376 17.3.2.38)
+    const size = this.cascade(layers, properties => {
+      const val = parseInt(properties['w:sz']?.$?.['w:val']);
+      return isNaN(val) ? undefined : val / 2;
+    }, 10);
+
+    const underline = this.cascade(layers, properties => {
+      const element = properties['w:u'];
+      if (element === undefined) return undefined;
+      return (element?.$?.['w:val'] || 'single') !== 'none';
+    }, false);
+
+    const color = this.cascade(layers, properties => {
+      const val = properties['w:color']?.$?.['w:val'];
+      if (!val) return undefined;
+      return val === 'auto' ? null : val;
+    }, null);
+
+    const bold = this.resolveToggle('w:b', defaults, paragraphLayers, characterLayers, direct);
+    const italic = this.resolveToggle('w:i', defaults, paragraphLayers, characterLayers, direct);
+
+    return {
+      font: {
+        family: family.value,
+        size: size.value,
+        bold: bold.value,
+        italic: italic.value,
+        underline: underline.value
+      },
+      color: color.value,
+      sources: {
+        family: family.source,
+        size: size.source,
+        bold: bold.source,
+        italic: italic.source,
+        underline: underline.source,
+        color: color.source
+      }
+    };
+  }
+
+  /**
+   * Toggle properties: within one style chain the nearest value wins, but a paragraph style and a
+   * character style that both switch the property on cancel each other out (ECMA-376 17.7.3).
+   * Direct formatting is absolute.
+   */
+  resolveToggle(name, defaults, paragraphLayers, characterLayers, direct) {
+    const read = properties => this.readToggle(properties, name);
+
+    const directValue = this.cascade(direct, read, undefined);
+    if (directValue.value !== undefined) return directValue;
+
+    const paragraphValue = this.cascade(paragraphLayers, read, undefined);
+    const characterValue = this.cascade(characterLayers, read, undefined);
+
+    if (paragraphValue.value !== undefined && characterValue.value !== undefined) {
+      return { value: paragraphValue.value !== characterValue.value, source: characterValue.source };
+    }
+    if (characterValue.value !== undefined) return characterValue;
+    if (paragraphValue.value !== undefined) return paragraphValue;
+
+    return this.cascade(defaults, read, false);
+  }
+
+  /**
+   * Effective paragraph formatting, in raw Word units (twips, w:line values)
+   * @returns {{ styleId: string|null, spacing: Object, indentation: Object, alignment: string, sources: Object }}
+   */
+  resolveParagraph(pPr) {
+    const paragraphStyleId = this.getParagraphStyleId(pPr);
+    const layers = [
+      { origin: 'docDefaults', properties: this.docDefaults.pPr },
+      ...this.styleLayers(paragraphStyleId, 'paragraphStyle', 'w:pPr'),
+      { origin: 'direct', properties: pPr || null }
+    ];
+
+    const spacingAttr = (attribute) => properties => {
+      const value = properties['w:spacing']?.$?.[attribute];
+      return value === undefined ? undefined : parseInt(value);
+    };
+    const indentAttr = (...attributes) => properties => {
+      const ind = properties['w:ind']?.$;
+      if (!ind) return undefined;
+      const attribute = attributes.find(name => ind[name] !== undefined);
+      return attribute ? parseInt(ind[attribute]) : undefined;
+    };
+
+    // w:line and w:lineRule are set together; single spacing (240, auto) when nothing sets them
+    const line = this.cascade(layers, properties => {
+      const spacing = properties['w:spacing']?.$;
+      if (spacing?.['w:line'] === undefined) return undefined;
+      return { value: { line: parseInt(spacing['w:line']), rule: spacing['w:lineRule'] || 'auto' } };
+    }, { line: 240, rule: 'auto' });
+
+    // First-line and hanging indents exclude each other: whichever is set last wins
+    const firstLineOrHanging = this.cascade(layers, properties => {
+      const ind = properties['w:ind']?.$;
+      if (!ind) return undefined;
+      if (ind['w:hanging'] !== undefined) return { value: { hanging: parseInt(ind['w:hanging']) } };
+      if (ind['w:firstLine'] !== undefined) return { value: { firstLine: parseInt(ind['w:firstLine']) } };
+      return undefined;
+    }, {});
+
+    const before = this.cascade(layers, spacingAttr('w:before'), 0);
+    const after = this.cascade(layers, spacingAttr('w:after'), 0);
+    const left = this.cascade(layers, indentAttr('w:left', 'w:start'), 0);
+    const right = this.cascade(layers, indentAttr('w:right', 'w:end'), 0);
+    const alignment = this.cascade(layers, properties => properties['w:jc']?.$?.['w:val'], 'left');
+
+    return {
+      styleId: paragraphStyleId,
+      spacing: { line: line.value.line, lineRule: line.value.rule, before: before.value, after: after.value },
+      indentation: {
+        firstLine: firstLineOrHanging.value.firstLine ?? null,
+        hanging: firstLineOrHanging.value.hanging ?? null,
+        left: left.value,
+        right: right.value
+      },
+      alignment: alignment.value,
+      sources: {
+        line: line.source,
+        before: before.source,
+        after: after.source,
+        firstLine: firstLineOrHanging.source,
+        hanging: firstLineOrHanging.source,
+        left: left.source,
+        right: right.source,
+        alignment: alignment.source
+      }
+    };
+  }
+
+  ensureArray(item) {
+    if (!item) return [];
+    return Array.isArray(item) ? item : [item];
+  }
+}
+
+module.exports = StyleResolver;
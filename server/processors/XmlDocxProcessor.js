@@ -1,8 +1,12 @@
 // server/processors/XmlDocxProcessor.js - XML-based DOCX processor using xml2js and PizZip
 const PizZip = require('pizzip');
 const xml2js = require('xml2js');
+const { DOMParser, XMLSerializer } = require('@xmldom/xmldom');
 const fs = require('fs').promises;
 const path = require('path');
+const OmmlConverter = require('./OmmlConverter');
+const StyleResolver = require('./StyleResolver');
+const CitationFieldParser = require('./CitationFieldParser');
 
 class XmlDocxProcessor {
   // Static tracking of temporary files for emergency cleanup
@@ -17,6 +21,9 @@ class XmlDocxProcessor {
       explicitCharkey: true
     });
 
+    this.ommlConverter = new OmmlConverter();
+    this.citationFieldParser = new CitationFieldParser();
+
     // APA formatting standards for comparison
     this.apaStandards = {
       font: { family: 'Times New Roman', size: 12 },
@@ -63,7 +70,7 @@ class XmlDocxProcessor {
   /**
    * Process a DOCX document buffer and extract all necessary data
    */
-  async processDocumentBuffer(buffer, filename = 'document.docx') {
+  async processDocumentBuffer(buffer, filename = 'document.docx', options = {}) {
     const tempFilePath = path.join(require('os').tmpdir(), `temp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}_${filename}`);
     let tempFileCreated = false;
 
@@ -80,11 +87,11 @@ class XmlDocxProcessor {
       }
     };
 
-    // Set up timeout cleanup (5 minutes max)
+    // Set up timeout cleanup (5 minutes max, or longer than the processing timeout)
     const timeoutId = setTimeout(async () => {
       console.warn('Temp file cleanup timeout triggered for:', tempFilePath);
       await cleanup();
-    }, 5 * 60 * 1000);
+    }, Math.max(5 * 60 * 1000, (options.timeout || 0) + 60 * 1000));
 
     try {
       // Write buffer to temporary file for processing
@@ -92,11 +99,11 @@ class XmlDocxProcessor {
       tempFileCreated = true;
       XmlDocxProcessor.tempFiles.add(tempFilePath);
 
-      // Process the temporary file with timeout
+      // Process the temporary file with timeout (options.timeout, 2 minutes by default)
       const result = await Promise.race([
-        this.processDocument(tempFilePath),
+        this.processDocument(tempFilePath, options),
         new Promise((_, reject) =>
-          setTimeout(() => reject(new Error('Document processing timeout')), 2 * 60 * 1000)
+          setTimeout(() => reject(new Error('Document processing timeout')), options.timeout || 2 * 60 * 1000)
         )
       ]);
 
@@ -110,37 +117,75 @@ class XmlDocxProcessor {
 
   /**
    * Main processing function using xml2js and PizZip
+   * @param {Object} options - { revisionMode: 'final' | 'original' | 'review', onProgress: (stage) => void }
+   * onProgress is called as each stage starts: 'unzip', 'parse-styles', 'extract-text', 'analyze'
    */
-  async processDocument(filePath) {
+  async processDocument(filePath, options = {}) {
     try {
       console.log('Starting XML-based DOCX processing for:', filePath);
+      const reportProgress = (stage) => options.onProgress?.(stage);
       
       const buffer = await fs.readFile(filePath);
       
       // Load DOCX as ZIP archive
+      reportProgress('unzip');
       const zip = new PizZip(buffer);
       
-      // Extract document structure
-      const documentData = await this.extractDocumentXml(zip);
+      // Extract document structure (tracked changes resolved per revision mode)
+      const revisionMode = this.normalizeRevisionMode(options.revisionMode);
+      const relationships = await this.extractRelationships(zip);
+      const { documentData, documentXml, revisions } = await this.extractDocumentXml(zip, revisionMode, relationships);
+      reportProgress('parse-styles');
       const stylesData = await this.extractStylesXml(zip);
       const settingsData = await this.extractSettingsXml(zip);
       
+      // Style hierarchy (docDefaults, basedOn chains, theme fonts) for effective formatting
+      const themeData = await this.extractThemeXml(zip, relationships);
+      const styleResolver = new StyleResolver(stylesData, themeData);
+      
       // Extract headers and footers
+      reportProgress('extract-text');
       const headersFooters = await this.extractHeadersFooters(zip);
       
-      // Extract tables with border information
-      const tables = await this.extractTablesWithFormatting(zip, documentData);
+      // Extract tables with border information, cell contents and position among the body paragraphs
+      const tables = await this.extractTablesWithFormatting(zip, documentData, documentXml);
+      
+      // Extract footnotes and endnotes linked to their reference marks
+      const notes = await this.extractNotes(zip, documentData);
+      
+      // Extract review comments with their anchored ranges
+      const comments = await this.extractComments(zip, documentXml);
+      
+      // Extract embedded figures with their media parts and caption paragraphs
+      const figures = this.extractFigures(zip, documentData, relationships, styleResolver);
+      
+      // Resolve Word list numbering (numbering.xml) for each paragraph
+      const numbering = await this.extractNumbering(zip);
+      const listInfo = this.extractListInfo(documentData, numbering, stylesData);
       
       // Process the extracted XML data
       const textResult = this.extractPlainText(documentData);
       const htmlResult = this.convertToHtml(documentData, stylesData);
-      const formattingInfo = this.extractFormattingDetails(documentData, stylesData, settingsData);
+      reportProgress('analyze');
+      const formattingInfo = this.extractFormattingDetails(documentData, styleResolver, settingsData, listInfo, relationships);
       const structure = this.extractDocumentStructure(documentData);
-      const styles = this.processStyles(stylesData);
+      const styles = this.processStyles(stylesData, styleResolver);
       
       // Add headers/footers and tables to structure
       structure.headersFooters = headersFooters;
       structure.tables = tables;
+      structure.footnotes = notes.footnotes;
+      structure.endnotes = notes.endnotes;
+      structure.lists = this.groupLists(documentData, listInfo);
+      structure.figures = figures;
+      structure.hyperlinks = this.extractHyperlinks(documentData);
+      structure.equations = this.extractEquations(documentData);
+      
+      // Reference manager citations, also attached to the paragraph they appear in
+      structure.citationFields = this.extractCitationFields(documentData);
+      formattingInfo.paragraphs.forEach(paragraph => {
+        paragraph.citationFields = structure.citationFields.filter(field => field.paragraphIndex === paragraph.index);
+      });
       
       // Extract italicized text for reference validation
       structure.italicizedText = this.extractItalicizedText(documentData);
@@ -154,6 +199,8 @@ class XmlDocxProcessor {
         structure: structure,
         styles: styles,
         headersFooters: headersFooters,
+        comments: comments,
+        revisions: revisions,
         messages: [{
           type: 'info',
           message: 'Document processed using XML parser for accurate structure extraction'
@@ -174,15 +221,370 @@ class XmlDocxProcessor {
 
   /**
    * Extract and parse document.xml
+   * Returns the parsed data plus the resolved XML - revisions, hyperlinks, citation fields and equations flattened
+   * into plain runs (used where document order matters)
    */
-  async extractDocumentXml(zip) {
+  async extractDocumentXml(zip, revisionMode = 'final', relationships = {}) {
     const docXmlFile = zip.file('word/document.xml');
     if (!docXmlFile) {
       throw new Error('document.xml not found in DOCX file');
     }
     
-    const xmlContent = docXmlFile.asText();
-    return await this.parser.parseStringPromise(xmlContent);
+    const { xml: revisedXml, revisions } = this.resolveRevisions(docXmlFile.asText(), revisionMode);
+    const documentXml = this.resolveEquations(this.resolveCitationFields(this.resolveHyperlinks(revisedXml, relationships)));
+    const documentData = await this.parser.parseStringPromise(documentXml);
+    
+    return { documentData, documentXml, revisions };
+  }
+
+  /**
+   * Resolve hyperlinks before parsing:
+   * - w:hyperlink elements (r:id -> document.xml.rels target, w:anchor -> internal bookmark)
+   * - HYPERLINK field codes (w:fldSimple and complex fields built from w:fldChar/w:instrText)
+   * Link runs are unwrapped into plain w:r children in document order and tagged with
+   * linkTarget/linkId, so the displayed text and the real target travel together.
+   */
+  resolveHyperlinks(xmlContent, relationships = {}) {
+    if (!/<w:hyperlink\b|HYPERLINK/.test(xmlContent)) {
+      return xmlContent;
+    }
+
+    try {
+      const xmlDoc = new DOMParser().parseFromString(xmlContent, 'text/xml');
+      let linkCount = 0;
+
+      const tagRuns = (runs, target, source) => {
+        linkCount++;
+        runs.forEach(run => {
+          run.setAttribute('linkTarget', target || '');
+          run.setAttribute('linkId', `link-${linkCount}`);
+          run.setAttribute('linkSource', source);
+        });
+      };
+
+      const unwrap = (element) => {
+        const parent = element.parentNode;
+        while (element.firstChild) {
+          parent.insertBefore(element.firstChild, element);
+        }
+        parent.removeChild(element);
+      };
+
+      // w:hyperlink elements
+      Array.from(xmlDoc.getElementsByTagName('w:hyperlink')).forEach(element => {
+        const relId = element.getAttribute('r:id');
+        const anchor = element.getAttribute('w:anchor');
+        const target = relId
+          ? relationships[relId]?.target
+          : anchor ? `#${anchor}` : null;
+
+        tagRuns(Array.from(element.getElementsByTagName('w:r')), target, 'hyperlink');
+        unwrap(element);
+      });
+
+      // Simple fields: <w:fldSimple w:instr='HYPERLINK "..."'>
+      Array.from(xmlDoc.getElementsByTagName('w:fldSimple')).forEach(element => {
+        const target = this.parseHyperlinkInstruction(element.getAttribute('w:instr'));
+        if (target === null) return;
+
+        tagRuns(Array.from(element.getElementsByTagName('w:r')), target, 'field');
+        unwrap(element);
+      });
+
+      // Complex fields: begin -> instrText -> separate -> result runs -> end (fields may nest)
+      const fieldStack = [];
+
+      Array.from(xmlDoc.getElementsByTagName('w:r')).forEach(run => {
+        const fldChar = run.getElementsByTagName('w:fldChar')[0];
+        const fldCharType = fldChar?.getAttribute('w:fldCharType');
+
+        if (fldCharType === 'begin') {
+          fieldStack.push({ instruction: '', target: null, separated: false, runs: [] });
+          return;
+        }
+
+        const field = fieldStack[fieldStack.length - 1];
+        if (!field) return;
+
+        if (fldCharType === 'separate') {
+          field.separated = true;
+          field.target = this.parseHyperlinkInstruction(field.instruction);
+        } else if (fldCharType === 'end') {
+          fieldStack.pop();
+          if (field.target !== null && field.runs.length > 0) {
+            tagRuns(field.runs, field.target, 'field');
+          }
+        } else if (!field.separated) {
+          Array.from(run.getElementsByTagName('w:instrText')).forEach(node => {
+            field.instruction += node.textContent;
+          });
+        } else if (!run.hasAttribute('linkId')) {
+          // Result runs belong to the innermost field only
+          field.runs.push(run);
+        }
+      });
+
+      console.log(`🔗 Resolved ${linkCount} hyperlinks`);
+
+      return new XMLSerializer().serializeToString(xmlDoc);
+
+    } catch (error) {
+      console.error('Error resolving hyperlinks:', error);
+      return xmlContent;
+    }
+  }
+
+  /**
+   * Target of a HYPERLINK field instruction, or null for other fields
+   * HYPERLINK "url" | HYPERLINK \l "bookmark"
+   */
+  parseHyperlinkInstruction(instruction) {
+    const match = (instruction || '').match(/^\s*HYPERLINK\s+(.*)$/i);
+    if (!match) return null;
+
+    const args = match[1];
+    const anchor = args.match(/\\l\s+"([^"]*)"/);
+    const url = args.replace(/\\l\s+"[^"]*"/, '').match(/"([^"]*)"/);
+
+    if (url) return anchor ? `${url[1]}#${anchor[1]}` : url[1];
+    if (anchor) return `#${anchor[1]}`;
+    return args.trim().split(/\s+/).find(arg => !arg.startsWith('\\')) || '';
+  }
+
+  /**
+   * Resolve reference-manager citation fields (Zotero, Mendeley, EndNote) before parsing.
+   * Result runs of each field are tagged with citeId; the first one also carries the parsed
+   * field data as JSON (citeData), so the rendered citation and its metadata travel together.
+   */
+  resolveCitationFields(xmlContent) {
+    if (!/ADDIN\s+(ZOTERO_ITEM|CSL_CITATION|EN\.CITE)/.test(xmlContent)) {
+      return xmlContent;
+    }
+
+    try {
+      const xmlDoc = new DOMParser().parseFromString(xmlContent, 'text/xml');
+      const fieldStack = [];
+      let citationCount = 0;
+
+      const decodeFieldData = (fldChar) => {
+        const data = fldChar?.getElementsByTagName('w:fldData')[0]?.textContent?.replace(/\s+/g, '');
+        if (!data) return null;
+        const buffer = Buffer.from(data, 'base64');
+        const utf8 = buffer.toString('utf8');
+        return utf8.includes('\u0000') ? buffer.toString('utf16le') : utf8;
+      };
+
+      Array.from(xmlDoc.getElementsByTagName('w:r')).forEach(run => {
+        const fldChar = run.getElementsByTagName('w:fldChar')[0];
+        const fldCharType = fldChar?.getAttribute('w:fldCharType');
+
+        if (fldCharType === 'begin') {
+          fieldStack.push({ instruction: '', fieldData: decodeFieldData(fldChar), separated: false, runs: [] });
+          return;
+        }
+
+        const field = fieldStack[fieldStack.length - 1];
+        if (!field) return;
+
+        if (fldCharType === 'separate') {
+          field.separated = true;
+        } else if (fldCharType === 'end') {
+          fieldStack.pop();
+
+          // EndNote keeps large records in a nested EN.CITE.DATA field - hand its payload to the parent
+          const parent = fieldStack[fieldStack.length - 1];
+          if (parent && /\bEN\.CITE\.DATA\b/.test(field.instruction) && field.fieldData) {
+            parent.fieldData = field.fieldData;
+            return;
+          }
+
+          if (!this.citationFieldParser.isCitationInstruction(field.instruction) || field.runs.length === 0) return;
+
+          const citation = this.citationFieldParser.parse(field.instruction, field.fieldData);
+          if (!citation) return;
+
+          citationCount++;
+          field.runs.forEach((resultRun, index) => {
+            resultRun.setAttribute('citeId', `cite-${citationCount}`);
+            if (index === 0) resultRun.setAttribute('citeData', JSON.stringify(citation));
+          });
+        } else if (!field.separated) {
+          Array.from(run.getElementsByTagName('w:instrText')).forEach(node => {
+            field.instruction += node.textContent;
+          });
+        } else if (!run.hasAttribute('citeId')) {
+          field.runs.push(run);
+        }
+      });
+
+      console.log(`📚 Resolved ${citationCount} reference manager citations`);
+
+      return new XMLSerializer().serializeToString(xmlDoc);
+
+    } catch (error) {
+      console.error('Error resolving citation fields:', error);
+      return xmlContent;
+    }
+  }
+
+  /**
+   * Convert Office Math (m:oMathPara display / m:oMath inline) before parsing.
+   * Each equation becomes a w:r with its linear form as text, tagged with eqId/eqDisplay/eqMathml,
+   * so it stays in the paragraph text (and its offsets) instead of being dropped.
+   */
+  resolveEquations(xmlContent) {
+    if (!/<m:oMath\b/.test(xmlContent)) {
+      return xmlContent;
+    }
+
+    try {
+      const xmlDoc = new DOMParser().parseFromString(xmlContent, 'text/xml');
+      const wordNs = xmlDoc.documentElement.lookupNamespaceURI('w');
+      let equationCount = 0;
+
+      const isNested = (element) => {
+        for (let node = element.parentNode; node; node = node.parentNode) {
+          if (node.nodeName === 'm:oMath' || node.nodeName === 'm:oMathPara') return true;
+        }
+        return false;
+      };
+
+      // Outermost equations in document order (m:oMath inside m:oMathPara belongs to the paragraph)
+      const equations = Array.from(xmlDoc.getElementsByTagName('*'))
+        .filter(element => (element.nodeName === 'm:oMathPara' || element.nodeName === 'm:oMath') && !isNested(element));
+
+      equations.forEach(element => {
+        const { linear, mathml, plainVariables } = this.ommlConverter.convert(element);
+        equationCount++;
+
+        const run = xmlDoc.createElementNS(wordNs, 'w:r');
+        run.setAttribute('eqId', `eq-${equationCount}`);
+        run.setAttribute('eqDisplay', element.nodeName === 'm:oMathPara' ? '1' : '0');
+        run.setAttribute('eqMathml', mathml);
+        if (plainVariables.length > 0) run.setAttribute('eqPlain', plainVariables.join(','));
+
+        const textNode = xmlDoc.createElementNS(wordNs, 'w:t');
+        textNode.setAttribute('xml:space', 'preserve');
+        textNode.appendChild(xmlDoc.createTextNode(linear));
+        run.appendChild(textNode);
+
+        element.parentNode.replaceChild(run, element);
+      });
+
+      console.log(`🧮 Converted ${equationCount} equations`);
+
+      return new XMLSerializer().serializeToString(xmlDoc);
+
+    } catch (error) {
+      console.error('Error converting equations:', error);
+      return xmlContent;
+    }
+  }
+
+  normalizeRevisionMode(revisionMode) {
+    return ['final', 'original', 'review'].includes(revisionMode) ? revisionMode : 'final';
+  }
+
+  /**
+   * Resolve tracked changes (w:ins/w:del/w:moveTo/w:moveFrom) before parsing:
+   * - final: keep insertions, drop deletions (what Word shows with all changes accepted)
+   * - original: drop insertions, keep deletions (all changes rejected)
+   * - review: keep both and tag each run with its revision so the editor can accept/reject it
+   * Revision wrappers are unwrapped so their runs stay in document order as plain w:r children.
+   */
+  resolveRevisions(xmlContent, revisionMode = 'final') {
+    const revisions = {
+      mode: revisionMode,
+      total: 0,
+      insertions: 0,
+      deletions: 0,
+      authors: []
+    };
+
+    if (!/<w:(ins|del|moveTo|moveFrom)\b/.test(xmlContent)) {
+      return { xml: xmlContent, revisions };
+    }
+
+    try {
+      const xmlDoc = new DOMParser().parseFromString(xmlContent, 'text/xml');
+      const authors = new Set();
+      const revisionTypes = {
+        'w:ins': 'insert',
+        'w:moveTo': 'insert',
+        'w:del': 'delete',
+        'w:moveFrom': 'delete'
+      };
+
+      Object.entries(revisionTypes).forEach(([tagName, type]) => {
+        Array.from(xmlDoc.getElementsByTagName(tagName)).forEach(element => {
+          const parent = element.parentNode;
+
+          // Property revisions (paragraph marks inside w:rPr/w:pPr) carry no content
+          if (!parent || parent.nodeName === 'w:rPr' || parent.nodeName === 'w:pPr') return;
+
+          const revision = {
+            type,
+            id: element.getAttribute('w:id') || null,
+            author: element.getAttribute('w:author') || 'Unknown',
+            date: element.getAttribute('w:date') || null
+          };
+
+          revisions.total++;
+          revisions[type === 'insert' ? 'insertions' : 'deletions']++;
+          authors.add(revision.author);
+
+          const keepContent = revisionMode === 'review' || (type === 'insert') === (revisionMode === 'final');
+
+          if (!keepContent) {
+            parent.removeChild(element);
+            return;
+          }
+
+          Array.from(element.getElementsByTagName('w:r')).forEach(run => {
+            // Deleted text is stored as w:delText - expose it as regular text
+            Array.from(run.getElementsByTagName('w:delText')).forEach(node => this.renameXmlElement(node, 'w:t'));
+            Array.from(run.getElementsByTagName('w:delInstrText')).forEach(node => this.renameXmlElement(node, 'w:instrText'));
+
+            if (revisionMode === 'review') {
+              run.setAttribute('revType', revision.type);
+              run.setAttribute('revAuthor', revision.author);
+              if (revision.id) run.setAttribute('revId', revision.id);
+              if (revision.date) run.setAttribute('revDate', revision.date);
+            }
+          });
+
+          // Unwrap: move children in front of the revision element, then remove it
+          while (element.firstChild) {
+            parent.insertBefore(element.firstChild, element);
+          }
+          parent.removeChild(element);
+        });
+      });
+
+      revisions.authors = Array.from(authors);
+
+      console.log(`📝 Resolved ${revisions.total} tracked changes (${revisions.insertions} insertions, ${revisions.deletions} deletions) using "${revisionMode}" view`);
+
+      return { xml: new XMLSerializer().serializeToString(xmlDoc), revisions };
+
+    } catch (error) {
+      console.error('Error resolving tracked changes:', error);
+      return { xml: xmlContent, revisions };
+    }
+  }
+
+  renameXmlElement(element, newName) {
+    const replacement = element.ownerDocument.createElementNS(element.namespaceURI, newName);
+
+    Array.from(element.attributes || []).forEach(attr => {
+      replacement.setAttribute(attr.name, attr.value);
+    });
+    while (element.firstChild) {
+      replacement.appendChild(element.firstChild);
+    }
+
+    element.parentNode.replaceChild(replacement, element);
+    return replacement;
   }
 
   /**
@@ -198,6 +600,26 @@ class XmlDocxProcessor {
     return await this.parser.parseStringPromise(xmlContent);
   }
 
+  /**
+   * Extract and parse the document theme (font scheme for w:asciiTheme references)
+   */
+  async extractThemeXml(zip, relationships = {}) {
+    const themeRel = Object.values(relationships).find(rel => rel.type === 'theme' && !rel.external);
+    const themePath = themeRel ? path.posix.join('word', themeRel.target) : 'word/theme/theme1.xml';
+
+    const themeFile = zip.file(themePath);
+    if (!themeFile) {
+      return null;
+    }
+
+    try {
+      return await this.parser.parseStringPromise(themeFile.asText());
+    } catch (error) {
+      console.error('Error parsing theme:', error);
+      return null;
+    }
+  }
+
   /**
    * Extract and parse settings.xml
    */
@@ -298,7 +720,7 @@ class XmlDocxProcessor {
   /**
    * Extract detailed formatting information
    */
-  extractFormattingDetails(documentData, stylesData, settingsData) {
+  extractFormattingDetails(documentData, styleResolver, settingsData, listInfo = [], relationships = {}) {
     const formatting = {
       document: {
         font: { family: null, size: null },
@@ -309,6 +731,7 @@ class XmlDocxProcessor {
       },
       paragraphs: [],
       runs: [],
+      sections: [],
       compliance: {}
     };
     
@@ -328,10 +751,18 @@ class XmlDocxProcessor {
       paragraphs.forEach((para, index) => {
         if (!para) return;
         
-        const paraFormatting = this.extractParagraphFormatting(para, index);
+        const paraFormatting = this.extractParagraphFormatting(para, index, styleResolver);
+        paraFormatting.list = listInfo[index] || null;
         formatting.paragraphs.push(paraFormatting);
       });
       
+      // Page layout of every section; the paragraph ending a section carries its break
+      formatting.sections = this.extractSections(documentData, relationships);
+      formatting.sections.slice(0, -1).forEach(section => {
+        const lastParagraph = formatting.paragraphs[section.endParagraphIndex];
+        if (lastParagraph) lastParagraph.sectionBreak = section.index;
+      });
+      
       // Set document-level defaults
       this.setDocumentDefaults(formatting);
       
@@ -404,115 +835,992 @@ class XmlDocxProcessor {
             headersFooters.pageNumbers.present = true;
             headersFooters.pageNumbers.position = footerContent.pageNumberPosition;
           }
-        }
-      }
-      
-      // Check document.xml for header/footer references
-      const docRelsFile = zip.file('word/_rels/document.xml.rels');
-      if (docRelsFile) {
-        const relsXml = docRelsFile.asText();
-        const relsData = await this.parser.parseStringPromise(relsXml);
-        this.mapHeaderFooterTypes(relsData, headersFooters);
-      }
-      
+        }
+      }
+      
+      // Check document.xml for header/footer references
+      const docRelsFile = zip.file('word/_rels/document.xml.rels');
+      if (docRelsFile) {
+        const relsXml = docRelsFile.asText();
+        const relsData = await this.parser.parseStringPromise(relsXml);
+        this.mapHeaderFooterTypes(relsData, headersFooters);
+      }
+      
+    } catch (error) {
+      console.error('Error extracting headers/footers:', error);
+    }
+    
+    return headersFooters;
+  }
+  
+  /**
+   * Extract header content
+   */
+  extractHeaderContent(headerData, index) {
+    const content = {
+      index: index,
+      text: '',
+      hasPageNumber: false,
+      pageNumberPosition: null,
+      formatting: {}
+    };
+    
+    try {
+      const header = headerData['w:hdr'];
+      if (header) {
+        const paragraphs = this.ensureArray(header['w:p']);
+        
+        paragraphs.forEach(para => {
+          const text = this.extractParagraphText(para);
+          content.text += text + ' ';
+          
+          // Check for page number field
+          const runs = this.ensureArray(para['w:r']);
+          runs.forEach(run => {
+            if (run['w:fldChar'] || run['w:instrText']) {
+              const instrText = run['w:instrText'];
+              if (instrText && (instrText.includes('PAGE') || instrText.includes('NUMPAGES'))) {
+                content.hasPageNumber = true;
+                
+                // Determine position based on alignment
+                const alignment = para['w:pPr']?.['w:jc']?.['$']?.['w:val'];
+                content.pageNumberPosition = alignment || 'left';
+              }
+            }
+          });
+        });
+        
+        content.text = content.text.trim();
+      }
+    } catch (error) {
+      console.error('Error extracting header content:', error);
+    }
+    
+    return content;
+  }
+  
+  /**
+   * Extract footer content
+   */
+  extractFooterContent(footerData, index) {
+    const content = {
+      index: index,
+      text: '',
+      hasPageNumber: false,
+      pageNumberPosition: null,
+      formatting: {}
+    };
+    
+    try {
+      const footer = footerData['w:ftr'];
+      if (footer) {
+        const paragraphs = this.ensureArray(footer['w:p']);
+        
+        paragraphs.forEach(para => {
+          const text = this.extractParagraphText(para);
+          content.text += text + ' ';
+          
+          // Check for page number
+          const runs = this.ensureArray(para['w:r']);
+          runs.forEach(run => {
+            if (run['w:fldChar'] || run['w:instrText']) {
+              const instrText = run['w:instrText'];
+              if (instrText && (instrText.includes('PAGE') || instrText.includes('NUMPAGES'))) {
+                content.hasPageNumber = true;
+                
+                // Determine position
+                const alignment = para['w:pPr']?.['w:jc']?.['$']?.['w:val'];
+                content.pageNumberPosition = alignment === 'right' ? 'right' : 
+                                            alignment === 'center' ? 'center' : 'left';
+              }
+            }
+          });
+        });
+        
+        content.text = content.text.trim();
+      }
+    } catch (error) {
+      console.error('Error extracting footer content:', error);
+    }
+    
+    return content;
+  }
+
+  /**
+   * Extract footnotes and endnotes and link them to their reference marks in the body
+   */
+  async extractNotes(zip, documentData) {
+    const notes = {
+      footnotes: [],
+      endnotes: []
+    };
+
+    try {
+      const noteParts = [
+        { type: 'footnote', file: 'word/footnotes.xml', root: 'w:footnotes', element: 'w:footnote', target: notes.footnotes },
+        { type: 'endnote', file: 'word/endnotes.xml', root: 'w:endnotes', element: 'w:endnote', target: notes.endnotes }
+      ];
+
+      for (const part of noteParts) {
+        const noteFile = zip.file(part.file);
+        if (!noteFile) continue;
+
+        const noteData = await this.parser.parseStringPromise(noteFile.asText());
+        const noteElements = this.ensureArray(noteData[part.root]?.[part.element]);
+
+        noteElements.forEach(note => {
+          const id = note.$?.['w:id'];
+          const noteType = note.$?.['w:type'];
+
+          // Skip separator and continuation notes - they are not user content
+          if (id === undefined || (noteType && noteType !== 'normal')) return;
+
+          const paragraphs = this.ensureArray(note['w:p'])
+            .map(para => this.extractParagraphText(para).trim())
+            .filter(Boolean);
+          const text = paragraphs.join('\n');
+
+          part.target.push({
+            id,
+            type: part.type,
+            number: null,
+            text,
+            paragraphs,
+            wordCount: text.split(/\s+/).filter(Boolean).length,
+            reference: null
+          });
+        });
+      }
+
+      // Link notes to their reference marks (numbered in order of appearance)
+      const references = this.extractNoteReferences(documentData);
+      const counters = { footnote: 0, endnote: 0 };
+
+      references.forEach(ref => {
+        const collection = ref.type === 'footnote' ? notes.footnotes : notes.endnotes;
+        const note = collection.find(n => n.id === ref.id);
+        if (!note || note.reference) return;
+
+        counters[ref.type]++;
+        note.number = counters[ref.type];
+        note.reference = {
+          paragraphIndex: ref.paragraphIndex,
+          charOffset: ref.charOffset,
+          precedingText: ref.precedingText,
+          followingText: ref.followingText,
+          customMark: ref.customMark
+        };
+      });
+
+      // Notes in reference order, with any unreferenced notes at the end
+      const byAppearance = (a, b) => (a.number || Infinity) - (b.number || Infinity);
+      notes.footnotes.sort(byAppearance);
+      notes.endnotes.sort(byAppearance);
+
+    } catch (error) {
+      console.error('Error extracting footnotes/endnotes:', error);
+    }
+
+    return notes;
+  }
+
+  /**
+   * Find footnote/endnote reference marks in body paragraphs with their text offsets
+   */
+  extractNoteReferences(documentData) {
+    const references = [];
+
+    try {
+      const body = documentData['w:document']['w:body'];
+      const paragraphs = this.ensureArray(body['w:p']);
+
+      paragraphs.forEach((para, index) => {
+        if (!para) return;
+
+        const paragraphText = this.extractParagraphText(para);
+        let offset = 0;
+
+        this.ensureArray(para['w:r']).forEach(run => {
+          if (!run) return;
+
+          const markers = [
+            { type: 'footnote', element: run['w:footnoteReference'] },
+            { type: 'endnote', element: run['w:endnoteReference'] }
+          ];
+
+          markers.forEach(({ type, element }) => {
+            this.ensureArray(element).forEach(mark => {
+              const id = mark.$?.['w:id'];
+              if (id === undefined) return;
+
+              references.push({
+                id,
+                type,
+                paragraphIndex: index,
+                charOffset: offset,
+                precedingText: paragraphText.substring(Math.max(0, offset - 20), offset),
+                followingText: paragraphText.substring(offset, offset + 20),
+                // Custom marks (symbols typed by the author) bypass Word's automatic numbering
+                customMark: ['1', 'true', 'on'].includes(mark.$?.['w:customMarkFollows'])
+              });
+            });
+          });
+
+          offset += this.extractRunText(run).length;
+        });
+      });
+    } catch (error) {
+      console.error('Error extracting note references:', error);
+    }
+
+    return references;
+  }
+
+  /**
+   * Extract Word review comments with their anchored ranges in the body
+   */
+  async extractComments(zip, documentXml = null) {
+    const comments = [];
+
+    try {
+      const commentsFile = zip.file('word/comments.xml');
+      if (!commentsFile) {
+        return comments;
+      }
+
+      const commentsData = await this.parser.parseStringPromise(commentsFile.asText());
+      const commentElements = this.ensureArray(commentsData['w:comments']?.['w:comment']);
+
+      commentElements.forEach(comment => {
+        const attrs = comment.$ || {};
+        if (attrs['w:id'] === undefined) return;
+
+        const paragraphs = this.ensureArray(comment['w:p'])
+          .map(para => this.extractParagraphText(para).trim())
+          .filter(Boolean);
+
+        comments.push({
+          id: attrs['w:id'],
+          author: attrs['w:author'] || 'Unknown',
+          initials: attrs['w:initials'] || null,
+          date: attrs['w:date'] || null,
+          text: paragraphs.join('\n'),
+          paragraphs,
+          anchor: null
+        });
+      });
+
+      // Anchors need document order, which xml2js loses across element types.
+      // Use the revision-resolved XML so offsets match the extracted paragraph text.
+      const anchorXml = documentXml || zip.file('word/document.xml')?.asText();
+      if (anchorXml && comments.length > 0) {
+        const anchors = this.extractCommentAnchors(anchorXml);
+        comments.forEach(comment => {
+          comment.anchor = anchors.get(comment.id) || null;
+        });
+      }
+
+      console.log(`💬 Extracted ${comments.length} comments (${comments.filter(c => c.anchor).length} anchored)`);
+
+    } catch (error) {
+      console.error('Error extracting comments:', error);
+    }
+
+    return comments;
+  }
+
+  /**
+   * Locate w:commentRangeStart/End and w:commentReference marks in body paragraphs.
+   * Offsets follow extractParagraphText (direct w:r children only) so they line up
+   * with the paragraph text used by the editor and the validators.
+   */
+  extractCommentAnchors(documentXml) {
+    const anchors = new Map();
+    const open = new Map();
+    const paragraphTexts = [];
+
+    const xmlDoc = new DOMParser().parseFromString(documentXml, 'text/xml');
+    const body = xmlDoc.getElementsByTagName('w:body')[0];
+    if (!body) return anchors;
+
+    // Mirrors extractRunText so offsets match the extracted paragraph text
+    const runText = (run) => {
+      let text = '';
+      Array.from(run.childNodes || []).forEach(child => {
+        if (child.nodeName === 'w:t') {
+          text += child.textContent || '';
+        } else if (child.nodeName === 'w:br' || child.nodeName === 'w:cr') {
+          text += '\n';
+        } else if (child.nodeName === 'w:tab') {
+          text += '\t';
+        }
+      });
+      return text;
+    };
+
+    const startRange = (id, paragraphIndex, offset) => {
+      open.set(id, { startParagraphIndex: paragraphIndex, startOffset: offset });
+    };
+
+    const endRange = (id, paragraphIndex, offset) => {
+      const start = open.get(id) || { startParagraphIndex: paragraphIndex, startOffset: offset };
+      open.delete(id);
+      anchors.set(id, {
+        ...start,
+        endParagraphIndex: paragraphIndex,
+        endOffset: offset
+      });
+    };
+
+    // Range marks nested in wrappers (hyperlinks, smart tags) don't move the offset
+    const visitMarks = (node, paragraphIndex, offset) => {
+      Array.from(node.childNodes || []).forEach(child => {
+        const id = child.getAttribute?.('w:id');
+        if (child.nodeName === 'w:commentRangeStart') {
+          startRange(id, paragraphIndex, offset);
+        } else if (child.nodeName === 'w:commentRangeEnd') {
+          endRange(id, paragraphIndex, offset);
+        } else if (child.nodeName === 'w:commentReference') {
+          if (!anchors.has(id) && !open.has(id)) endRange(id, paragraphIndex, offset);
+        } else if (child.nodeType === 1) {
+          visitMarks(child, paragraphIndex, offset);
+        }
+      });
+    };
+
+    let paragraphIndex = -1;
+
+    Array.from(body.childNodes).forEach(node => {
+      const id = node.getAttribute?.('w:id');
+
+      if (node.nodeName === 'w:p') {
+        paragraphIndex++;
+        let offset = 0;
+        let text = '';
+
+        Array.from(node.childNodes).forEach(child => {
+          const childId = child.getAttribute?.('w:id');
+
+          if (child.nodeName === 'w:commentRangeStart') {
+            startRange(childId, paragraphIndex, offset);
+          } else if (child.nodeName === 'w:commentRangeEnd') {
+            endRange(childId, paragraphIndex, offset);
+          } else if (child.nodeName === 'w:r') {
+            // Point comments (no range) anchor at their reference mark
+            visitMarks(child, paragraphIndex, offset);
+
+            const content = runText(child);
+            text += content;
+            offset += content.length;
+          } else if (child.nodeType === 1) {
+            visitMarks(child, paragraphIndex, offset);
+          }
+        });
+
+        paragraphTexts[paragraphIndex] = text;
+      } else if (node.nodeName === 'w:commentRangeStart') {
+        // Range starts between paragraphs - anchor at the start of the next one
+        startRange(id, paragraphIndex + 1, 0);
+      } else if (node.nodeName === 'w:commentRangeEnd') {
+        endRange(id, Math.max(0, paragraphIndex), (paragraphTexts[paragraphIndex] || '').length);
+      }
+    });
+
+    // Attach the anchored text for display and text-search fallback
+    anchors.forEach(anchor => {
+      const parts = [];
+      for (let i = anchor.startParagraphIndex; i <= anchor.endParagraphIndex; i++) {
+        const text = paragraphTexts[i] || '';
+        const from = i === anchor.startParagraphIndex ? anchor.startOffset : 0;
+        const to = i === anchor.endParagraphIndex ? anchor.endOffset : text.length;
+        parts.push(text.substring(from, to));
+      }
+      anchor.text = parts.join('\n');
+    });
+
+    return anchors;
+  }
+
+  /**
+   * Extract and parse numbering.xml into list definitions
+   * Returns { [numId]: { abstractNumId, levels: { [ilvl]: { format, text, start } } } }
+   */
+  async extractNumbering(zip) {
+    const numbering = {};
+
+    try {
+      const numberingFile = zip.file('word/numbering.xml');
+      if (!numberingFile) {
+        return numbering;
+      }
+
+      const numberingData = await this.parser.parseStringPromise(numberingFile.asText());
+      const root = numberingData['w:numbering'] || {};
+
+      const parseLevels = (levelElements) => {
+        const levels = {};
+        this.ensureArray(levelElements).forEach(lvl => {
+          const ilvl = lvl?.$?.['w:ilvl'];
+          if (ilvl === undefined) return;
+
+          levels[ilvl] = {
+            format: lvl['w:numFmt']?.$?.['w:val'] || 'decimal',
+            text: lvl['w:lvlText']?.$?.['w:val'] ?? `%${parseInt(ilvl) + 1}.`,
+            start: parseInt(lvl['w:start']?.$?.['w:val'] ?? 1)
+          };
+        });
+        return levels;
+      };
+
+      const abstractNums = {};
+      this.ensureArray(root['w:abstractNum']).forEach(abstractNum => {
+        const id = abstractNum?.$?.['w:abstractNumId'];
+        if (id !== undefined) {
+          abstractNums[id] = parseLevels(abstractNum['w:lvl']);
+        }
+      });
+
+      this.ensureArray(root['w:num']).forEach(num => {
+        const numId = num?.$?.['w:numId'];
+        if (numId === undefined) return;
+
+        const abstractNumId = num['w:abstractNumId']?.$?.['w:val'];
+        const levels = JSON.parse(JSON.stringify(abstractNums[abstractNumId] || {}));
+
+        // Per-instance overrides (restarted numbering, redefined levels)
+        this.ensureArray(num['w:lvlOverride']).forEach(override => {
+          const ilvl = override?.$?.['w:ilvl'];
+          if (ilvl === undefined) return;
+
+          if (override['w:lvl']) {
+            Object.assign(levels, parseLevels({ ...override['w:lvl'], $: { ...override['w:lvl'].$, 'w:ilvl': ilvl } }));
+          }
+          if (override['w:startOverride'] && levels[ilvl]) {
+            levels[ilvl].start = parseInt(override['w:startOverride'].$?.['w:val'] ?? levels[ilvl].start);
+          }
+        });
+
+        numbering[numId] = { abstractNumId, levels };
+      });
+    } catch (error) {
+      console.error('Error extracting numbering definitions:', error);
+    }
+
+    return numbering;
+  }
+
+  /**
+   * Resolve w:numPr for each body paragraph (directly or through its paragraph style)
+   * into list info with the label Word renders: { numId, level, format, ordered, number, label }
+   */
+  extractListInfo(documentData, numbering, stylesData) {
+    const listInfo = [];
+
+    try {
+      const body = documentData['w:document']['w:body'];
+      const paragraphs = this.ensureArray(body['w:p']);
+
+      // Paragraph styles can carry numbering (e.g., "List Bullet", "List Number")
+      const styleNumPr = {};
+      this.ensureArray(stylesData?.['w:styles']?.['w:style']).forEach(style => {
+        const styleId = style?.$?.['w:styleId'];
+        const numPr = style?.['w:pPr']?.['w:numPr'];
+        if (styleId && numPr) {
+          styleNumPr[styleId] = numPr;
+        }
+      });
+
+      // Counters are kept per list instance and level; a higher level restarts deeper ones
+      const counters = {};
+
+      paragraphs.forEach((para, index) => {
+        const pPr = para?.['w:pPr'];
+        const styleId = pPr?.['w:pStyle']?.$?.['w:val'];
+        const numPr = pPr?.['w:numPr'] || styleNumPr[styleId];
+
+        const numId = numPr?.['w:numId']?.$?.['w:val'];
+        const definition = numbering[numId];
+
+        // numId 0 explicitly removes numbering inherited from the style
+        if (!numId || numId === '0' || !definition) {
+          listInfo[index] = null;
+          return;
+        }
+
+        const level = parseInt(numPr['w:ilvl']?.$?.['w:val'] ?? styleNumPr[styleId]?.['w:ilvl']?.$?.['w:val'] ?? 0);
+        const levelDef = definition.levels[level] || { format: 'decimal', text: `%${level + 1}.`, start: 1 };
+        const instance = counters[numId] || (counters[numId] = {});
+
+        instance[level] = instance[level] === undefined ? levelDef.start : instance[level] + 1;
+        Object.keys(instance).forEach(key => {
+          if (parseInt(key) > level) delete instance[key];
+        });
+
+        const ordered = !['bullet', 'none'].includes(levelDef.format);
+        const label = levelDef.format === 'bullet'
+          ? levelDef.text
+          : levelDef.text.replace(/%(\d)/g, (match, lvl) => {
+            const refLevel = parseInt(lvl) - 1;
+            const refDef = definition.levels[refLevel] || levelDef;
+            const value = instance[refLevel] ?? refDef.start;
+            return this.formatListNumber(value, refDef.format);
+          });
+
+        listInfo[index] = {
+          numId,
+          level,
+          format: levelDef.format,
+          ordered,
+          number: instance[level],
+          label
+        };
+      });
+    } catch (error) {
+      console.error('Error resolving list numbering:', error);
+    }
+
+    return listInfo;
+  }
+
+  /**
+   * Group consecutive list paragraphs into lists for structure analysis
+   * Empty paragraphs between items do not break a list
+   */
+  groupLists(documentData, listInfo) {
+    const lists = [];
+
+    try {
+      const body = documentData['w:document']['w:body'];
+      const paragraphs = this.ensureArray(body['w:p']);
+      let current = null;
+
+      paragraphs.forEach((para, index) => {
+        const info = listInfo[index];
+        const text = para ? this.extractParagraphText(para) : '';
+
+        if (!info) {
+          if (text.trim()) current = null;
+          return;
+        }
+
+        if (!current || current.numId !== info.numId) {
+          current = {
+            numId: info.numId,
+            ordered: info.level === 0 ? info.ordered : false,
+            paragraphIndex: index,
+            items: []
+          };
+          lists.push(current);
+        }
+
+        if (info.level === 0) {
+          current.ordered = info.ordered;
+        }
+
+        current.items.push({
+          paragraphIndex: index,
+          level: info.level,
+          format: info.format,
+          ordered: info.ordered,
+          number: info.number,
+          label: info.label,
+          text: text.trim()
+        });
+      });
+    } catch (error) {
+      console.error('Error grouping lists:', error);
+    }
+
+    return lists;
+  }
+
+  formatListNumber(value, format) {
+    switch (format) {
+      case 'lowerLetter':
+      case 'upperLetter': {
+        let letters = '';
+        let n = value;
+        while (n > 0) {
+          letters = String.fromCharCode(97 + ((n - 1) % 26)) + letters;
+          n = Math.floor((n - 1) / 26);
+        }
+        return format === 'upperLetter' ? letters.toUpperCase() : letters;
+      }
+      case 'lowerRoman':
+      case 'upperRoman': {
+        const numerals = [[1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+          [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']];
+        let roman = '';
+        let n = value;
+        numerals.forEach(([amount, symbol]) => {
+          while (n >= amount) {
+            roman += symbol;
+            n -= amount;
+          }
+        });
+        return format === 'upperRoman' ? roman.toUpperCase() : roman;
+      }
+      case 'decimalZero':
+        return String(value).padStart(2, '0');
+      case 'none':
+        return '';
+      default:
+        return String(value);
+    }
+  }
+
+  /**
+   * Extract document relationships (rId -> { type, target })
+   */
+  async extractRelationships(zip) {
+    const relationships = {};
+
+    try {
+      const relsFile = zip.file('word/_rels/document.xml.rels');
+      if (!relsFile) {
+        return relationships;
+      }
+
+      const relsData = await this.parser.parseStringPromise(relsFile.asText());
+      this.ensureArray(relsData['Relationships']?.['Relationship']).forEach(rel => {
+        const id = rel?.$?.['Id'];
+        if (!id) return;
+
+        relationships[id] = {
+          type: (rel.$['Type'] || '').split('/').pop(),
+          target: rel.$['Target'] || null,
+          external: rel.$['TargetMode'] === 'External'
+        };
+      });
+    } catch (error) {
+      console.error('Error extracting relationships:', error);
+    }
+
+    return relationships;
+  }
+
+  /**
+   * Collect equations with their paragraph position and equation number
+   * Numbers come from Word's "#(1)" syntax or a "(1)" typed after the equation
+   */
+  extractEquations(documentData) {
+    const equations = [];
+
+    try {
+      const body = documentData['w:document']['w:body'];
+      const paragraphs = this.ensureArray(body['w:p']);
+
+      paragraphs.forEach((para, index) => {
+        if (!para) return;
+
+        const paragraphText = this.extractParagraphText(para);
+        let offset = 0;
+
+        this.ensureArray(para['w:r']).forEach(run => {
+          if (!run) return;
+
+          const runText = this.extractRunText(run);
+
+          if (run.$?.eqId) {
+            const outsideText = paragraphText.substring(0, offset) + paragraphText.substring(offset + runText.length);
+            const number = runText.match(/#\s*\((\d+)\)\s*$/) || outsideText.match(/^\s*\((\d+)\)\s*$/);
+            const display = run.$.eqDisplay === '1';
+
+            equations.push({
+              id: run.$.eqId,
+              paragraphIndex: index,
+              charOffset: offset,
+              display,
+              // Display equations sit alone on their line (apart from a number)
+              standalone: display || !outsideText.replace(/\(\d+\)/, '').trim(),
+              linear: runText,
+              mathml: run.$.eqMathml || null,
+              number: number ? parseInt(number[1]) : null,
+              plainVariables: run.$.eqPlain ? run.$.eqPlain.split(',') : []
+            });
+          }
+
+          offset += runText.length;
+        });
+      });
+    } catch (error) {
+      console.error('Error extracting equations:', error);
+    }
+
+    return equations;
+  }
+
+  /**
+   * Collect hyperlinks (display text + target) with their paragraph offsets
+   */
+  extractHyperlinks(documentData) {
+    const hyperlinks = [];
+
+    try {
+      const body = documentData['w:document']['w:body'];
+      const paragraphs = this.ensureArray(body['w:p']);
+
+      paragraphs.forEach((para, index) => {
+        if (!para) return;
+
+        let offset = 0;
+        let current = null;
+
+        this.ensureArray(para['w:r']).forEach(run => {
+          if (!run) return;
+
+          const runText = this.extractRunText(run);
+          const linkId = run.$?.linkId;
+
+          if (linkId) {
+            if (current && current.id === linkId) {
+              current.text += runText;
+            } else {
+              current = {
+                id: linkId,
+                target: run.$.linkTarget || null,
+                source: run.$.linkSource || 'hyperlink',
+                text: runText,
+                paragraphIndex: index,
+                charOffset: offset
+              };
+              hyperlinks.push(current);
+            }
+          } else if (runText) {
+            current = null;
+          }
+
+          offset += runText.length;
+        });
+      });
     } catch (error) {
-      console.error('Error extracting headers/footers:', error);
+      console.error('Error extracting hyperlinks:', error);
     }
-    
-    return headersFooters;
+
+    return hyperlinks;
   }
-  
+
   /**
-   * Extract header content
+   * Collect reference manager citations with their rendered text and position
+   * @returns {Array<{ id, source, paragraphIndex, charOffset, text, formattedCitation, edited, items }>}
    */
-  extractHeaderContent(headerData, index) {
-    const content = {
-      index: index,
-      text: '',
-      hasPageNumber: false,
-      pageNumberPosition: null,
-      formatting: {}
-    };
-    
+  extractCitationFields(documentData) {
+    const citationFields = [];
+
     try {
-      const header = headerData['w:hdr'];
-      if (header) {
-        const paragraphs = this.ensureArray(header['w:p']);
-        
-        paragraphs.forEach(para => {
-          const text = this.extractParagraphText(para);
-          content.text += text + ' ';
-          
-          // Check for page number field
-          const runs = this.ensureArray(para['w:r']);
-          runs.forEach(run => {
-            if (run['w:fldChar'] || run['w:instrText']) {
-              const instrText = run['w:instrText'];
-              if (instrText && (instrText.includes('PAGE') || instrText.includes('NUMPAGES'))) {
-                content.hasPageNumber = true;
-                
-                // Determine position based on alignment
-                const alignment = para['w:pPr']?.['w:jc']?.['$']?.['w:val'];
-                content.pageNumberPosition = alignment || 'left';
-              }
+      const body = documentData['w:document']['w:body'];
+      const paragraphs = this.ensureArray(body['w:p']);
+
+      paragraphs.forEach((para, index) => {
+        if (!para) return;
+
+        let offset = 0;
+        let current = null;
+
+        this.ensureArray(para['w:r']).forEach(run => {
+          if (!run) return;
+
+          const runText = this.extractRunText(run);
+          const citeId = run.$?.citeId;
+
+          if (citeId && current?.id === citeId) {
+            current.text += runText;
+          } else if (citeId && run.$.citeData) {
+            let data = null;
+            try {
+              data = JSON.parse(run.$.citeData);
+            } catch (error) {
+              console.warn(`Invalid citation field data for ${citeId}`);
             }
-          });
+
+            current = data ? {
+              id: citeId,
+              source: data.source,
+              paragraphIndex: index,
+              charOffset: offset,
+              text: runText,
+              formattedCitation: data.formattedCitation,
+              items: data.items || []
+            } : null;
+            if (current) citationFields.push(current);
+          } else if (runText) {
+            current = null;
+          }
+
+          offset += runText.length;
         });
-        
-        content.text = content.text.trim();
-      }
+      });
+
+      // Text changed by hand after the reference manager rendered it
+      citationFields.forEach(field => {
+        const normalize = (value) => (value || '').replace(/\s+/g, ' ').trim();
+        field.edited = !!field.formattedCitation && normalize(field.text) !== normalize(field.formattedCitation);
+      });
     } catch (error) {
-      console.error('Error extracting header content:', error);
+      console.error('Error extracting citation fields:', error);
     }
-    
-    return content;
+
+    return citationFields;
   }
-  
+
   /**
-   * Extract footer content
+   * Extract embedded figures (w:drawing) with their media parts, alt text and APA caption paragraphs
+   * APA 7 order: bold "Figure N" label, italic title, image, "Note." paragraph
    */
-  extractFooterContent(footerData, index) {
-    const content = {
-      index: index,
-      text: '',
-      hasPageNumber: false,
-      pageNumberPosition: null,
-      formatting: {}
-    };
-    
+  extractFigures(zip, documentData, relationships, styleResolver = new StyleResolver(null, null)) {
+    const figures = [];
+
     try {
-      const footer = footerData['w:ftr'];
-      if (footer) {
-        const paragraphs = this.ensureArray(footer['w:p']);
-        
-        paragraphs.forEach(para => {
-          const text = this.extractParagraphText(para);
-          content.text += text + ' ';
-          
-          // Check for page number
-          const runs = this.ensureArray(para['w:r']);
-          runs.forEach(run => {
-            if (run['w:fldChar'] || run['w:instrText']) {
-              const instrText = run['w:instrText'];
-              if (instrText && (instrText.includes('PAGE') || instrText.includes('NUMPAGES'))) {
-                content.hasPageNumber = true;
-                
-                // Determine position
-                const alignment = para['w:pPr']?.['w:jc']?.['$']?.['w:val'];
-                content.pageNumberPosition = alignment === 'right' ? 'right' : 
-                                            alignment === 'center' ? 'center' : 'left';
-              }
-            }
+      const body = documentData['w:document']['w:body'];
+      const paragraphs = this.ensureArray(body['w:p']);
+      const texts = paragraphs.map(para => (para ? this.extractParagraphText(para).trim() : ''));
+      const hasDrawing = paragraphs.map(para => this.ensureArray(para?.['w:r']).some(run => run?.['w:drawing']));
+      const labelPattern = /^Figure\s+([A-Z]?\d+)\.?\s*(.*)$/i;
+
+      // Nearest non-empty paragraph before/after an index, without crossing another image
+      const findText = (start, step) => {
+        for (let i = start; i >= 0 && i < texts.length; i += step) {
+          if (hasDrawing[i]) return -1;
+          if (texts[i]) return i;
+        }
+        return -1;
+      };
+
+      paragraphs.forEach((para, index) => {
+        if (!para) return;
+
+        const images = [];
+        this.ensureArray(para['w:r']).forEach(run => {
+          this.ensureArray(run?.['w:drawing']).forEach(drawing => {
+            const image = this.extractDrawing(drawing, zip, relationships);
+            if (image) images.push(image);
           });
         });
-        
-        content.text = content.text.trim();
-      }
+
+        if (images.length === 0) return;
+
+        const figure = {
+          id: `figure-${figures.length + 1}`,
+          paragraphIndex: index,
+          images,
+          label: null,
+          title: null,
+          note: null,
+          captionBelow: null
+        };
+
+        // Label and title above the image
+        const above = findText(index - 1, -1);
+        const aboveLabel = above >= 0 ? texts[above].match(labelPattern) : null;
+
+        if (aboveLabel) {
+          figure.label = this.buildFigureCaptionPart(paragraphs[above], above, texts[above], styleResolver, { number: aboveLabel[1] });
+          if (aboveLabel[2]) {
+            // Title typed on the label line ("Figure 1. Title")
+            figure.title = { ...this.buildFigureCaptionPart(paragraphs[above], above, aboveLabel[2], styleResolver), sameLineAsLabel: true };
+          }
+        } else if (above >= 0) {
+          const labelIndex = findText(above - 1, -1);
+          const label = labelIndex >= 0 ? texts[labelIndex].match(labelPattern) : null;
+
+          if (label && !label[2]) {
+            figure.label = this.buildFigureCaptionPart(paragraphs[labelIndex], labelIndex, texts[labelIndex], styleResolver, { number: label[1] });
+            figure.title = this.buildFigureCaptionPart(paragraphs[above], above, texts[above], styleResolver);
+          }
+        }
+
+        // Caption or note below the image
+        let below = findText(index + 1, 1);
+        const belowLabel = below >= 0 ? texts[below].match(labelPattern) : null;
+
+        if (belowLabel && !figure.label) {
+          // APA 6 style caption under the image
+          figure.captionBelow = this.buildFigureCaptionPart(paragraphs[below], below, texts[below], styleResolver, { number: belowLabel[1] });
+          below = findText(below + 1, 1);
+        }
+
+        if (below >= 0 && /^Note[.:]/.test(texts[below])) {
+          const noteParagraph = paragraphs[below];
+          const firstRun = this.ensureArray(noteParagraph['w:r']).find(run => this.extractRunText(run).trim());
+          figure.note = {
+            ...this.buildFigureCaptionPart(noteParagraph, below, texts[below], styleResolver),
+            labelItalic: !!firstRun && styleResolver.resolveRun(firstRun['w:rPr'], noteParagraph['w:pPr']).font.italic
+          };
+        }
+
+        figures.push(figure);
+      });
+
+      console.log(`🖼️ Extracted ${figures.length} embedded figures`);
     } catch (error) {
-      console.error('Error extracting footer content:', error);
+      console.error('Error extracting figures:', error);
     }
-    
-    return content;
+
+    return figures;
+  }
+
+  /**
+   * Read size, alt text and media part of a single w:drawing
+   */
+  extractDrawing(drawing, zip, relationships) {
+    const container = drawing?.['wp:inline'] || drawing?.['wp:anchor'];
+    if (!container) return null;
+
+    const EMU_PER_INCH = 914400;
+    const extent = container['wp:extent']?.$ || {};
+    const docPr = container['wp:docPr']?.$ || {};
+    const graphicData = container['a:graphic']?.['a:graphicData'];
+    const uri = graphicData?.$?.uri || '';
+    const blip = graphicData?.['pic:pic']?.['pic:blipFill']?.['a:blip']?.$;
+    const relId = blip?.['r:embed'] || blip?.['r:link'] || null;
+    const rel = relId ? relationships[relId] : null;
+
+    let media = null;
+    if (rel?.target) {
+      const partPath = rel.external ? null : path.posix.normalize(`word/${rel.target}`).replace(/^\/+/, '');
+      const part = partPath ? zip.file(partPath) : null;
+
+      media = {
+        target: rel.target,
+        external: rel.external,
+        extension: path.extname(rel.target).replace('.', '').toLowerCase() || null,
+        // Uncompressed size from the ZIP directory - reading the part would inflate the whole image
+        size: part ? part._data?.uncompressedSize ?? null : null
+      };
+    }
+
+    return {
+      type: uri.includes('/picture') ? 'image' : uri.includes('/chart') ? 'chart' : 'shape',
+      name: docPr.name || null,
+      altText: (docPr.descr || '').trim(),
+      altTitle: (docPr.title || '').trim(),
+      // Images marked decorative in Word need no alt text
+      decorative: this.ensureArray(container['wp:docPr']?.['a:extLst']?.['a:ext'])
+        .some(ext => ['1', 'true'].includes(ext?.['adec:decorative']?.$?.val)),
+      width: extent.cx ? Math.round((parseInt(extent.cx) / EMU_PER_INCH) * 100) / 100 : null,
+      height: extent.cy ? Math.round((parseInt(extent.cy) / EMU_PER_INCH) * 100) / 100 : null,
+      inline: !!drawing['wp:inline'],
+      media
+    };
+  }
+
+  /**
+   * Caption paragraph summary with its effective bold/italic formatting (direct, character and
+   * paragraph styles such as Caption)
+   */
+  buildFigureCaptionPart(para, paragraphIndex, text, styleResolver, extra = {}) {
+    const pPr = para['w:pPr'];
+    const textRuns = this.ensureArray(para['w:r']).filter(run => this.extractRunText(run).trim());
+    const fonts = textRuns.map(run => styleResolver.resolveRun(run['w:rPr'], pPr).font);
+
+    return {
+      paragraphIndex,
+      text,
+      style: pPr?.['w:pStyle']?.$?.['w:val'] || null,
+      bold: fonts.length > 0 && fonts.every(font => font.bold),
+      italic: fonts.length > 0 && fonts.every(font => font.italic),
+      ...extra
+    };
   }
 
   /**
@@ -569,22 +1877,26 @@ class XmlDocxProcessor {
   /**
    * Extract tables with border and formatting information
    */
-  async extractTablesWithFormatting(zip, documentData) {
+  async extractTablesWithFormatting(zip, documentData, documentXml = null) {
     const tables = [];
     
     try {
       const body = documentData['w:document']['w:body'];
       const tablElements = this.ensureArray(body['w:tbl']);
+      const positions = documentXml ? this.getBodyTablePositions(documentXml) : [];
       
       tablElements.forEach((table, index) => {
         if (!table) return;
         
         const tableInfo = {
           index: index,
+          // Number of body paragraphs before the table (the table sits before that paragraph)
+          paragraphIndex: positions[index] ?? null,
           hasVerticalLines: false,
           hasFullBorders: false,
           borderStyle: {},
           cells: [],
+          rows: [],
           text: ''
         };
         
@@ -626,17 +1938,30 @@ class XmlDocxProcessor {
           }
         }
         
-        // Extract table text content
+        // Extract table text content, row by row
         const rows = this.ensureArray(table['w:tr']);
         rows.forEach(row => {
+          if (!row) return;
           const cells = this.ensureArray(row['w:tc']);
+          const rowCells = [];
           cells.forEach(cell => {
+            if (!cell) return;
             const paragraphs = this.ensureArray(cell['w:p']);
+            const cellParagraphs = [];
             paragraphs.forEach(para => {
               const text = this.extractParagraphText(para);
               tableInfo.text += text + ' ';
+              cellParagraphs.push(text);
+            });
+            rowCells.push({
+              paragraphs: cellParagraphs,
+              columnSpan: parseInt(cell['w:tcPr']?.['w:gridSpan']?.$?.['w:val']) || 1
             });
           });
+          tableInfo.rows.push({
+            cells: rowCells,
+            header: row['w:trPr']?.['w:tblHeader'] !== undefined
+          });
         });
         
         tableInfo.text = tableInfo.text.trim();
@@ -650,6 +1975,24 @@ class XmlDocxProcessor {
     return tables;
   }
   
+  /**
+   * For each body-level table, the number of body paragraphs before it
+   * (xml2js groups w:p and w:tbl separately, so document order comes from the DOM)
+   */
+  getBodyTablePositions(documentXml) {
+    const xmlDoc = new DOMParser().parseFromString(documentXml, 'text/xml');
+    const body = xmlDoc.getElementsByTagName('w:body')[0];
+    const positions = [];
+    let paragraphCount = 0;
+
+    Array.from(body?.childNodes || []).forEach(node => {
+      if (node.nodeName === 'w:p') paragraphCount++;
+      if (node.nodeName === 'w:tbl') positions.push(paragraphCount);
+    });
+
+    return positions;
+  }
+  
   /**
    * Extract italicized text for reference validation
    */
@@ -998,6 +2341,105 @@ class XmlDocxProcessor {
       .replace(/'/g, '&#39;');
   }
 
+  /**
+   * Collect every section of the document. A w:sectPr inside a paragraph's properties ends a section
+   * at that paragraph; the body-level w:sectPr describes the last section.
+   * Header/footer references a section does not define are inherited from the previous section.
+   */
+  extractSections(documentData, relationships = {}) {
+    const sections = [];
+
+    try {
+      const body = documentData['w:document']['w:body'];
+      const paragraphs = this.ensureArray(body['w:p']);
+      let startParagraphIndex = 0;
+
+      paragraphs.forEach((para, index) => {
+        const sectPr = para?.['w:pPr']?.['w:sectPr'];
+        if (!sectPr) return;
+
+        sections.push(this.extractSectionProperties(sectPr, relationships, sections.length, startParagraphIndex, index));
+        startParagraphIndex = index + 1;
+      });
+
+      sections.push(this.extractSectionProperties(body['w:sectPr'] || {}, relationships, sections.length, startParagraphIndex, Math.max(paragraphs.length - 1, startParagraphIndex)));
+
+      // Word carries header/footer references forward into sections that leave them out
+      sections.forEach((section, index) => {
+        if (index === 0) return;
+        const previous = sections[index - 1];
+        ['headers', 'footers'].forEach(kind => {
+          Object.keys(section[kind]).forEach(type => {
+            if (!section[kind][type] && previous[kind][type]) {
+              section[kind][type] = { ...previous[kind][type], inherited: true };
+            }
+          });
+        });
+      });
+
+      console.log(`📑 Extracted ${sections.length} sections`);
+    } catch (error) {
+      console.error('Error extracting sections:', error);
+    }
+
+    return sections;
+  }
+
+  extractSectionProperties(sectPr, relationships, index, startParagraphIndex, endParagraphIndex) {
+    const pgSz = sectPr['w:pgSz']?.$ || {};
+    const pgMar = sectPr['w:pgMar']?.$ || {};
+    const pgNumType = sectPr['w:pgNumType']?.$ || {};
+    const margin = (name) => pgMar[name] !== undefined ? this.twipsToInches(parseInt(pgMar[name])) : null;
+
+    const width = pgSz['w:w'] ? this.twipsToInches(parseInt(pgSz['w:w'])) : null;
+    const height = pgSz['w:h'] ? this.twipsToInches(parseInt(pgSz['w:h'])) : null;
+
+    const references = (elementName) => {
+      const result = { default: null, first: null, even: null };
+      this.ensureArray(sectPr[elementName]).forEach(reference => {
+        const type = reference?.$?.['w:type'] || 'default';
+        const rId = reference?.$?.['r:id'];
+        if (!rId || !(type in result)) return;
+
+        const target = relationships[rId]?.target || null;
+        const fileNumber = target?.match(/(\d+)\.xml$/);
+        result[type] = {
+          rId,
+          target,
+          // Matches the index of headersFooters.headers / footers (header1.xml -> 1)
+          partIndex: fileNumber ? parseInt(fileNumber[1]) : null,
+          inherited: false
+        };
+      });
+      return result;
+    };
+
+    return {
+      index,
+      startParagraphIndex,
+      endParagraphIndex,
+      breakType: sectPr['w:type']?.$?.['w:val'] || 'nextPage',
+      pageSize: { width, height },
+      orientation: pgSz['w:orient'] || (width && height && width > height ? 'landscape' : 'portrait'),
+      margins: {
+        top: margin('w:top'),
+        bottom: margin('w:bottom'),
+        left: margin('w:left'),
+        right: margin('w:right'),
+        header: margin('w:header'),
+        footer: margin('w:footer'),
+        gutter: margin('w:gutter')
+      },
+      titlePage: sectPr['w:titlePg'] !== undefined && !['0', 'false'].includes(sectPr['w:titlePg']?.$?.['w:val']),
+      headers: references('w:headerReference'),
+      footers: references('w:footerReference'),
+      pageNumbering: {
+        start: pgNumType['w:start'] !== undefined ? parseInt(pgNumType['w:start']) : null,
+        format: pgNumType['w:fmt'] || null
+      }
+    };
+  }
+
   // Additional helper methods for formatting extraction
   extractPageMargins(sectPr, formatting) {
     const pgMar = sectPr['w:pgMar'];
@@ -1022,7 +2464,7 @@ class XmlDocxProcessor {
     }
   }
 
-  extractParagraphFormatting(para, index) {
+  extractParagraphFormatting(para, index, styleResolver = new StyleResolver(null, null)) {
     const paraText = this.extractParagraphText(para);
     const paraFormatting = {
       index,
@@ -1039,40 +2481,24 @@ class XmlDocxProcessor {
     if (process.env.NODE_ENV === 'development') {
     }
 
-    // Extract paragraph properties
+    // Effective paragraph properties: docDefaults -> style chain -> direct formatting
     const pPr = para['w:pPr'];
-    if (pPr) {
-      // Style
-      if (pPr['w:pStyle'] && pPr['w:pStyle'].$) {
-        paraFormatting.style = pPr['w:pStyle'].$['w:val'];
-      }
-
-      // Spacing
-      if (pPr['w:spacing'] && pPr['w:spacing'].$) {
-        const spacing = pPr['w:spacing'].$;
-        paraFormatting.spacing = {
-          line: spacing['w:line'] ? this.lineSpacingToDecimal(spacing['w:line'], spacing['w:lineRule']) : 2.0,
-          before: spacing['w:before'] ? this.twipsToPoints(parseInt(spacing['w:before'])) : null,
-          after: spacing['w:after'] ? this.twipsToPoints(parseInt(spacing['w:after'])) : null
-        };
-      }
+    const resolved = styleResolver.resolveParagraph(pPr);
 
-      // Indentation
-      if (pPr['w:ind'] && pPr['w:ind'].$) {
-        const ind = pPr['w:ind'].$;
-        paraFormatting.indentation = {
-          firstLine: ind['w:firstLine'] ? this.twipsToInches(parseInt(ind['w:firstLine'])) : null,
-          hanging: ind['w:hanging'] ? this.twipsToInches(parseInt(ind['w:hanging'])) : null,
-          left: ind['w:left'] ? this.twipsToInches(parseInt(ind['w:left'])) : null,
-          right: ind['w:right'] ? this.twipsToInches(parseInt(ind['w:right'])) : null
-        };
-      }
-
-      // Alignment
-      if (pPr['w:jc'] && pPr['w:jc'].$) {
-        paraFormatting.alignment = pPr['w:jc'].$['w:val'];
-      }
-    }
+    paraFormatting.style = resolved.styleId;
+    paraFormatting.spacing = {
+      line: this.lineSpacingToDecimal(resolved.spacing.line, resolved.spacing.lineRule),
+      before: this.twipsToPoints(resolved.spacing.before),
+      after: this.twipsToPoints(resolved.spacing.after)
+    };
+    paraFormatting.indentation = {
+      firstLine: resolved.indentation.firstLine !== null ? this.twipsToInches(resolved.indentation.firstLine) : null,
+      hanging: resolved.indentation.hanging !== null ? this.twipsToInches(resolved.indentation.hanging) : null,
+      left: this.twipsToInches(resolved.indentation.left),
+      right: this.twipsToInches(resolved.indentation.right)
+    };
+    paraFormatting.alignment = resolved.alignment;
+    paraFormatting.sources = { ...resolved.sources };
 
     // Extract run-level formatting
     const runs = this.ensureArray(para['w:r']);
@@ -1086,71 +2512,106 @@ class XmlDocxProcessor {
         color: null
       };
 
-      const rPr = run['w:rPr'];
-      if (rPr) {
-        // Font
-        const rFonts = rPr['w:rFonts'];
-        if (rFonts && rFonts.$) {
-          runFormatting.font.family = rFonts.$['w:ascii'] || rFonts.$['w:hAnsi'] || null;
-        }
+      // Tracked change tagged by resolveRevisions in review mode
+      if (run.$?.revType) {
+        runFormatting.revision = {
+          type: run.$.revType,
+          id: run.$.revId || null,
+          author: run.$.revAuthor || 'Unknown',
+          date: run.$.revDate || null
+        };
+      }
 
-        // Size - convert from Word's half-points to points
-        const sz = rPr['w:sz'];
-        if (sz && sz.$) {
-          const rawValue = parseInt(sz.$['w:val']);
-          runFormatting.font.size = rawValue / 2; // Convert from half-points to points
-        }
+      // Hyperlink tagged by resolveHyperlinks
+      if (run.$?.linkId) {
+        runFormatting.link = {
+          target: run.$.linkTarget || null,
+          id: run.$.linkId,
+          source: run.$.linkSource || 'hyperlink'
+        };
+      }
 
-        // Formatting - check for existence of elements, not their values
-        runFormatting.font.bold = 'w:b' in rPr;
-        runFormatting.font.italic = 'w:i' in rPr;
-        runFormatting.font.underline = 'w:u' in rPr;
-        
+      // Reference manager citation tagged by resolveCitationFields
+      if (run.$?.citeId) {
+        runFormatting.citationField = { id: run.$.citeId };
+      }
 
-        // Color
-        const color = rPr['w:color'];
-        if (color && color.$) {
-          runFormatting.color = color.$['w:val'];
-        }
+      // Office Math equation converted by resolveEquations
+      if (run.$?.eqId) {
+        runFormatting.equation = {
+          id: run.$.eqId,
+          display: run.$.eqDisplay === '1',
+          linear: runFormatting.text,
+          mathml: run.$.eqMathml || null
+        };
       }
 
+      // Effective run properties, including those inherited from styles and the theme
+      const resolvedRun = styleResolver.resolveRun(run['w:rPr'], pPr);
+      runFormatting.font = resolvedRun.font;
+      runFormatting.color = resolvedRun.color;
+      runFormatting.sources = resolvedRun.sources;
+
       paraFormatting.runs.push(runFormatting);
     });
 
-    // Set paragraph font from first run if available
-    if (paraFormatting.runs.length > 0) {
-      const firstRun = paraFormatting.runs[0];
-      if (firstRun.font.family && !paraFormatting.font.family) {
-        paraFormatting.font.family = firstRun.font.family;
-      }
-      if (firstRun.font.size && !paraFormatting.font.size) {
-        paraFormatting.font.size = firstRun.font.size;
-      }
+    // Set paragraph font from first run if available, or from the paragraph mark's style otherwise
+    const firstRun = paraFormatting.runs[0] || styleResolver.resolveRun(pPr?.['w:rPr'], pPr);
+    if (firstRun.font.family && !paraFormatting.font.family) {
+      paraFormatting.font.family = firstRun.font.family;
+      paraFormatting.sources.family = firstRun.sources.family;
+    }
+    if (firstRun.font.size && !paraFormatting.font.size) {
+      paraFormatting.font.size = firstRun.font.size;
+      paraFormatting.sources.size = firstRun.sources.size;
     }
 
     return paraFormatting;
   }
 
+  /**
+   * Document-level font, line spacing and indentation: the values most of the body text uses.
+   * Every paragraph carries resolved formatting, so titles, headings and captions are left out -
+   * a 28pt Title must not stand in for a 12pt body.
+   */
   setDocumentDefaults(formatting) {
-    if (formatting.paragraphs.length > 0) {
-      const firstPara = formatting.paragraphs.find(p => p.font.family && p.font.size) || formatting.paragraphs[0];
-      
-      formatting.document.font = { 
-        family: firstPara.font.family || null,
-        size: firstPara.font.size || null
-      };
-      
-      formatting.document.spacing.line = firstPara.spacing.line || null;
-      formatting.document.indentation = { 
-        firstLine: firstPara.indentation.firstLine || null,
-        hanging: firstPara.indentation.hanging || null 
-      };
-    }
+    if (formatting.paragraphs.length === 0) return;
+
+    const withText = formatting.paragraphs.filter(p => p.text && p.text.trim());
+    const body = withText.filter(p => !/^(title|subtitle|heading|caption|toc)/i.test(p.style || ''));
+    const candidates = body.length > 0 ? body : (withText.length > 0 ? withText : formatting.paragraphs);
+
+    // Most common family/size/spacing combination, weighted by text length
+    const keyOf = (p) => `${p.font.family}|${p.font.size}|${p.spacing.line}`;
+    const weights = new Map();
+    candidates.forEach(p => {
+      weights.set(keyOf(p), (weights.get(keyOf(p)) || 0) + Math.max(1, (p.text || '').length));
+    });
+    const [commonKey] = [...weights.entries()].reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+    const typical = candidates.find(p => keyOf(p) === commonKey);
+
+    formatting.document.font = {
+      family: typical.font.family || null,
+      size: typical.font.size || null
+    };
+
+    formatting.document.spacing.line = typical.spacing.line || null;
+    formatting.document.indentation = {
+      firstLine: typical.indentation.firstLine || null,
+      hanging: typical.indentation.hanging || null
+    };
+
+    // Where the document-level values came from (direct formatting, a style, docDefaults or the theme)
+    formatting.document.sources = {
+      family: typical.sources?.family || null,
+      size: typical.sources?.size || null,
+      line: typical.sources?.line || null
+    };
   }
 
-  processStyles(stylesData) {
+  processStyles(stylesData, styleResolver = new StyleResolver(stylesData, null)) {
     if (!stylesData) {
-      return { styles: [], defaultStyle: null };
+      return { styles: [], defaultStyle: null, themeFonts: styleResolver.themeFonts };
     }
 
     const styles = [];
@@ -1161,11 +2622,13 @@ class XmlDocxProcessor {
       
       styleElements.forEach(style => {
         if (style && style.$) {
+          const styleId = style.$['w:styleId'];
           const styleInfo = {
-            id: style.$.styleId,
-            name: style['w:name'] ? style['w:name'].$['w:val'] : style.$.styleId,
-            type: style.$.type,
-            isDefault: style.$.default === '1',
+            id: styleId,
+            name: styleResolver.getStyleName(styleId),
+            type: style.$['w:type'],
+            basedOn: style['w:basedOn']?.$?.['w:val'] || null,
+            isDefault: style.$['w:default'] === '1',
             formatting: {}
           };
           
@@ -1191,6 +2654,18 @@ class XmlDocxProcessor {
             }
           }
           
+          // Effective formatting once basedOn chain, docDefaults and theme fonts are applied
+          if (styleInfo.type === 'paragraph') {
+            const stylePPr = { 'w:pStyle': { $: { 'w:val': styleId } } };
+            const run = styleResolver.resolveRun(null, stylePPr);
+            const paragraph = styleResolver.resolveParagraph(stylePPr);
+            styleInfo.effective = {
+              font: { family: run.font.family, size: run.font.size },
+              spacing: { line: this.lineSpacingToDecimal(paragraph.spacing.line, paragraph.spacing.lineRule) },
+              sources: { family: run.sources.family, size: run.sources.size, line: paragraph.sources.line }
+            };
+          }
+          
           styles.push(styleInfo);
         }
       });
@@ -1200,7 +2675,7 @@ class XmlDocxProcessor {
                         styles.find(s => s.name === 'Normal') ||
                         null;
     
-    return { styles, defaultStyle };
+    return { styles, defaultStyle, themeFonts: styleResolver.themeFonts };
   }
 
   calculateAPACompliance(formatting) {
@@ -5,23 +5,38 @@ const path = require('path');
 const fs = require('fs').promises;
 const os = require('os');
 const WorkerPool = require('../workers/WorkerPool');
+const JobManager = require('../workers/JobManager');
 
 // Create router instance
 const router = express.Router();
 
 // Initialize Worker Pool for concurrent document processing
-// Pool size from environment variable or default to 4 workers
+// Pool size from environment variable or default to 4 workers; it grows up to WORKER_POOL_MAX while jobs wait
 const WORKER_POOL_SIZE = parseInt(process.env.WORKER_POOL_SIZE) || 4;
+const WORKER_POOL_MAX = parseInt(process.env.WORKER_POOL_MAX) || Math.max(WORKER_POOL_SIZE, os.cpus().length);
 const workerScript = path.join(__dirname, '../workers/documentProcessor.worker.js');
 
+// Per-worker memory ceiling and recycling thresholds
+const workerPoolOptions = {
+  minWorkers: WORKER_POOL_SIZE,
+  maxWorkers: WORKER_POOL_MAX,
+  resourceLimits: {
+    maxOldGenerationSizeMb: parseInt(process.env.WORKER_MAX_OLD_GENERATION_MB) || 1024,
+    maxYoungGenerationSizeMb: parseInt(process.env.WORKER_MAX_YOUNG_GENERATION_MB) || 64
+  },
+  maxJobsPerWorker: parseInt(process.env.WORKER_MAX_JOBS) || 100,
+  maxHeapMB: parseInt(process.env.WORKER_RECYCLE_HEAP_MB) || 512,
+  idleTimeout: parseInt(process.env.WORKER_IDLE_TIMEOUT) || 60000
+};
+
 let workerPool;
 
 // Initialize worker pool only in non-serverless environments
 // Vercel and other serverless platforms don't support worker threads well
 if (!process.env.VERCEL) {
   try {
-    workerPool = new WorkerPool(WORKER_POOL_SIZE, workerScript);
-    console.log(`✅ Worker Pool initialized with ${WORKER_POOL_SIZE} workers`);
+    workerPool = new WorkerPool(WORKER_POOL_SIZE, workerScript, workerPoolOptions);
+    console.log(`✅ Worker Pool initialized with ${WORKER_POOL_SIZE}-${WORKER_POOL_MAX} workers`);
 
     // Graceful shutdown handler
     const shutdownHandler = async () => {
@@ -46,8 +61,16 @@ if (!process.env.VERCEL) {
 // Fallback processors for when Worker Pool is not available
 const XmlDocxProcessor = require('../processors/XmlDocxProcessor');
 const DocxModifier = require('../processors/DocxModifier');
+const DocxExporter = require('../processors/DocxExporter');
+const DocumentAnalyzer = require('../analyzers/DocumentAnalyzer');
 const xmlDocxProcessor = new XmlDocxProcessor();
 const docxModifier = new DocxModifier();
+const docxExporter = new DocxExporter();
+const documentAnalyzer = new DocumentAnalyzer();
+
+// Document processing jobs - asynchronous submissions get more time than a held-open request
+const ASYNC_JOB_TIMEOUT = parseInt(process.env.ASYNC_JOB_TIMEOUT) || 10 * 60 * 1000;
+const jobManager = new JobManager(workerPool);
 
 // Configure multer for file uploads
 const storage = process.env.VERCEL
@@ -102,9 +125,194 @@ function isValidDocxFile(buffer) {
          buffer[2] === 0x03 && buffer[3] === 0x04;
 }
 
+/**
+ * Content-Disposition for a download: an ASCII filename for older clients plus the
+ * UTF-8 filename* (RFC 6266) that browsers prefer
+ */
+function attachmentDisposition(filename) {
+  const asciiFilename = filename
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Accents: "Müller" -> "Muller"
+    .replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encodedFilename = encodeURIComponent(filename)
+    .replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+  return `attachment; filename="${asciiFilename}"; filename*=UTF-8''${encodedFilename}`;
+}
+
+/**
+ * Who a worker job is for when scheduling fairly: the signed-in user, else the client address
+ */
+function clientKey(req, user = null) {
+  return user?.id || `ip:${req.ip}`;
+}
+
+/**
+ * Asynchronous submission requested with ?async=true (or an async form/body field)
+ */
+function isAsyncRequest(req) {
+  return [req.query?.async, req.body?.async].some(value => value === true || value === 'true');
+}
+
+/**
+ * Progress stream URL of a job, authorized by a one-time stream token
+ */
+function eventsUrl(job) {
+  return `/api/jobs/${job.id}/events?stream_token=${jobManager.issueStreamToken(job)}`;
+}
+
+/**
+ * 202 response body for an asynchronous submission
+ */
+function jobAcceptedResponse(job) {
+  return {
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/api/jobs/${job.id}`,
+    eventsUrl: eventsUrl(job)
+  };
+}
+
+// Worker Pool failures caused by the document itself: processing it on the main thread would only
+// repeat them outside the worker's time and memory limits
+const RESOURCE_LIMIT_ERRORS = {
+  JOB_TIMEOUT: { statusCode: 504, code: 'PROCESSING_TIMEOUT', message: 'Document processing timed out' },
+  WORKER_OUT_OF_MEMORY: { statusCode: 413, code: 'DOCUMENT_TOO_LARGE', message: 'Document too large to process' },
+  WORKER_EXITED: { statusCode: 413, code: 'DOCUMENT_TOO_LARGE', message: 'Document too large to process' }
+};
+
+/**
+ * Parse a DOCX buffer for a job: Worker Pool if available (falling back to direct processing if the
+ * worker fails, except when the document exceeded the worker's time or memory limits - the job fails
+ * then), otherwise direct processing. Progress stages are reported to the job either way.
+ * userId orders the worker job fairly among users (the job's own user by default)
+ * analyze: true also runs the editor's full APA analysis (analysisOptions: see DocumentAnalyzer) -
+ * analysis is null when it fails
+ */
+async function parseDocument(context, buffer, filename, { revisionMode, timeout = 60000, userId, analyze = false, analysisOptions } = {}) {
+  const processDirectly = async () => {
+    const document = await xmlDocxProcessor.processDocumentBuffer(buffer, filename, {
+      revisionMode,
+      timeout,
+      onProgress: context.progress
+    });
+
+    let analysis = null;
+    if (analyze) {
+      context.progress('validate');
+      try {
+        analysis = await documentAnalyzer.analyze(document, analysisOptions);
+      } catch (error) {
+        console.error('❌ APA analysis failed:', error.message);
+      }
+    }
+
+    return { document, analysis };
+  };
+
+  if (!workerPool) {
+    console.log('📄 Processing directly (no Worker Pool)');
+    return { ...await processDirectly(), processingMethod: 'direct' };
+  }
+
+  try {
+    console.log(`🔄 Sending job to Worker Pool (available workers: ${workerPool.getStats().availableWorkers})`);
+    const workerResult = await context.runWorker({
+      type: 'upload',
+      data: { buffer, filename, revisionMode, timeout, analyze, analysisOptions }
+    }, timeout, { userId });
+
+    console.log(`✅ Worker Pool processing completed`);
+    console.log(`📊 Pool stats:`, workerPool.getStats());
+    return { document: workerResult.document, analysis: workerResult.analysis, processingMethod: 'worker-pool' };
+
+  } catch (error) {
+    if (context.isCancelled()) {
+      throw error;
+    }
+
+    console.error('❌ Worker Pool processing failed:', error.message);
+
+    const limitError = RESOURCE_LIMIT_ERRORS[error.code];
+    if (limitError) {
+      throw Object.assign(new Error(limitError.message), { statusCode: limitError.statusCode, code: limitError.code });
+    }
+
+    console.log('⚠️ Falling back to direct processing');
+    return { ...await processDirectly(), processingMethod: 'direct-fallback' };
+  }
+}
+
+/**
+ * Supabase user for the request's bearer token; null when missing or invalid
+ */
+async function getAuthenticatedUser(req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+
+  const token = authHeader.replace('Bearer ', '');
+
+  const supabase = require('../utils/supabaseClient');
+  const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+  return authError || !user ? null : user;
+}
+
+/**
+ * Job for :id, or null after sending 404/401 - a job is only visible to the signed-in user who
+ * submitted it, or to the submitting client address for anonymous jobs
+ * allowStreamToken: a one-time ?stream_token= (see JobManager.issueStreamToken) authorizes the request too
+ */
+async function findAuthorizedJob(req, res, { allowStreamToken = false } = {}) {
+  const job = jobManager.getJob(req.params.id);
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      code: 'JOB_NOT_FOUND'
+    });
+    return null;
+  }
+
+  if (allowStreamToken && req.query?.stream_token) {
+    if (jobManager.redeemStreamToken(job, req.query.stream_token)) {
+      return job;
+    }
+
+    res.status(401).json({
+      success: false,
+      error: 'Invalid or expired stream token',
+      code: 'UNAUTHORIZED'
+    });
+    return null;
+  }
+
+  let authorized = true;
+  if (job.userId) {
+    const user = await getAuthenticatedUser(req).catch(() => null);
+    authorized = !!user && user.id === job.userId;
+  } else if (job.clientAddress) {
+    authorized = req.ip === job.clientAddress;
+  }
+
+  if (!authorized) {
+    res.status(401).json({
+      success: false,
+      error: 'Not authorized for this job',
+      code: 'UNAUTHORIZED'
+    });
+    return null;
+  }
+
+  return job;
+}
+
 /**
  * POST /api/upload-docx
  * Upload and process a DOCX file using Worker Pool for concurrent processing
+ * With ?async=true responds 202 with a job ID right away - follow it with /api/jobs/:id
  */
 router.post('/upload-docx', upload.single('document'), async (req, res) => {
   const startTime = Date.now();
@@ -141,66 +349,51 @@ router.post('/upload-docx', upload.single('document'), async (req, res) => {
       throw new Error('File is not a valid DOCX document');
     }
 
-    // Process document using Worker Pool if available, otherwise use direct processing
-    let result;
-    let processingMethod;
-
-    if (workerPool) {
-      // ✅ Worker Pool available - process concurrently
-      console.log(`🔄 Sending job to Worker Pool (available workers: ${workerPool.getStats().availableWorkers})`);
-      processingMethod = 'worker-pool';
-
-      try {
-        const workerResult = await workerPool.executeJob({
-          type: 'upload',
-          data: {
-            buffer: fileBuffer,
-            filename: req.file.originalname
-          }
-        }, 60000); // 60 second timeout
-
-        result = workerResult.document;
-
-        console.log(`✅ Worker Pool processing completed`);
-        console.log(`📊 Pool stats:`, workerPool.getStats());
+    // Tracked changes view: 'final' (default), 'original' or 'review'
+    const revisionMode = req.body?.revisionMode;
+
+    const { originalname: originalFilename, size: fileSize } = req.file;
+    const asyncMode = isAsyncRequest(req);
+
+    // Signing in is optional - the job belongs to the user, or else to the client address
+    const user = await getAuthenticatedUser(req).catch(() => null);
+
+    // Process document as a job (Worker Pool if available, otherwise direct processing)
+    const job = jobManager.createJob({
+      type: 'upload',
+      userId: user?.id || null,
+      clientAddress: user ? null : req.ip
+    }, async (context) => {
+      const { document: result, processingMethod } = await parseDocument(context, fileBuffer, originalFilename, {
+        revisionMode,
+        timeout: asyncMode ? ASYNC_JOB_TIMEOUT : 60000,
+        userId: clientKey(req, user)
+      });
 
-      } catch (error) {
-        console.error('❌ Worker Pool processing failed:', error.message);
+      const processingTime = Date.now() - startTime;
+      console.log(`✅ Document processed successfully in ${processingTime}ms (method: ${processingMethod})`);
+
+      // Add processing metadata
+      result.processingInfo = {
+        ...result.processingInfo,
+        processingTime: processingTime,
+        originalFilename,
+        fileSize,
+        processingMethod: processingMethod,
+        workerPoolEnabled: !!workerPool,
+        serverless: !!process.env.VERCEL,
+        platform: process.env.VERCEL ? 'vercel' : 'traditional'
+      };
 
-        // If worker pool fails, fall back to direct processing
-        console.log('⚠️ Falling back to direct processing');
-        processingMethod = 'direct-fallback';
-        result = await xmlDocxProcessor.processDocumentBuffer(fileBuffer, req.file.originalname);
+      // Validate processing results
+      if (!result.text || !result.html) {
+        throw new Error('Document processing produced incomplete results');
       }
 
-    } else {
-      // ⚠️ Worker Pool not available - use direct processing
-      console.log('📄 Processing directly (no Worker Pool)');
-      processingMethod = 'direct';
-      result = await xmlDocxProcessor.processDocumentBuffer(fileBuffer, req.file.originalname);
-    }
-
-    const processingTime = Date.now() - startTime;
-    console.log(`✅ Document processed successfully in ${processingTime}ms (method: ${processingMethod})`);
-
-    // Add processing metadata
-    result.processingInfo = {
-      ...result.processingInfo,
-      processingTime: processingTime,
-      originalFilename: req.file.originalname,
-      fileSize: req.file.size,
-      processingMethod: processingMethod,
-      workerPoolEnabled: !!workerPool,
-      serverless: !!process.env.VERCEL,
-      platform: process.env.VERCEL ? 'vercel' : 'traditional'
-    };
-
-    // Validate processing results
-    if (!result.text || !result.html) {
-      throw new Error('Document processing produced incomplete results');
-    }
+      return { document: result };
+    });
 
-    // Clean up uploaded file if it exists (disk storage)
+    // Clean up uploaded file if it exists (disk storage) - the job works on the buffer
     if (filePath) {
       try {
         await fs.unlink(filePath);
@@ -211,9 +404,20 @@ router.post('/upload-docx', upload.single('document'), async (req, res) => {
       filePath = null;
     }
 
+    // Asynchronous submission: the client follows the job instead of waiting for the document
+    if (asyncMode) {
+      return res.status(202).json(jobAcceptedResponse(job));
+    }
+
+    const { document: result } = await job.promise;
+
+    // The document goes out in this response - the retained job only keeps its status
+    jobManager.releaseResult(job);
+
     // Return success response
     res.json({
       success: true,
+      jobId: job.id,
       document: result,
       message: 'Document processed successfully'
     });
@@ -235,7 +439,11 @@ router.post('/upload-docx', upload.single('document'), async (req, res) => {
     let errorCode = 'PROCESSING_ERROR';
     let errorMessage = 'Failed to process document';
 
-    if (error.message.includes('not a valid DOCX')) {
+    if (error.statusCode) {
+      statusCode = error.statusCode;
+      errorCode = error.code;
+      errorMessage = error.message;
+    } else if (error.message.includes('not a valid DOCX')) {
       statusCode = 400;
       errorCode = 'INVALID_FILE';
       errorMessage = 'File is not a valid DOCX document';
@@ -265,6 +473,7 @@ router.post('/upload-docx', upload.single('document'), async (req, res) => {
 /**
  * POST /api/apply-fix
  * Apply a formatting fix to a DOCX document using Worker Pool
+ * trackChanges: true writes the fix as Word tracked changes (suggest mode)
  */
 router.post('/apply-fix', async (req, res) => {
   console.log('🎯 /api/apply-fix endpoint called');
@@ -294,14 +503,17 @@ router.post('/apply-fix', async (req, res) => {
         fixAction: req.body.fixAction,
         fixValue: req.body.fixValue,
         originalFilename: req.body.originalFilename,
-        documentBuffer: req.body.documentBuffer
+        documentBuffer: req.body.documentBuffer,
+        trackChanges: req.body.trackChanges === 'true'
       };
     } else {
       console.log('📦 Processing JSON data');
       requestData = req.body;
     }
 
-    const { documentBuffer, fixAction, fixValue, originalFilename } = requestData;
+    const { documentBuffer, fixAction, fixValue, originalFilename, trackChanges } = requestData;
+    // Suggest mode: the fix is written as Word tracked changes instead of overwriting the document
+    const fixOptions = { trackChanges: trackChanges === true };
 
     // Validate input
     if (!documentBuffer || !fixAction) {
@@ -314,9 +526,10 @@ router.post('/apply-fix', async (req, res) => {
 
     // Check if the fix is supported
     const supportedFixes = [
-      'fixFont', 'fixFontSize', 'fixLineSpacing', 'fixMargins', 'fixIndentation',
-      'addCitationComma', 'fixParentheticalConnector', 'fixEtAlFormatting',
-      'fixReferenceConnector', 'fixAllCapsHeading', 'addPageNumber'
+      'fixFont', 'fixFontSize', 'fixLineSpacing', 'fixMargins', 'fixIndentation', 'fixReferenceIndent',
+      'fixHeadingLevel', 'sortReferences', 'sortReferencesByYear', 'addCitationComma',
+      'fixParentheticalConnector', 'fixEtAlFormatting', 'fixReferenceConnector', 'fixAllCapsHeading',
+      'addPageNumber'
     ];
 
     if (!supportedFixes.includes(fixAction)) {
@@ -383,21 +596,22 @@ router.post('/apply-fix', async (req, res) => {
             buffer: docxBuffer,
             fixAction: fixAction,
             fixValue: fixValue,
+            options: fixOptions,
             filename: originalFilename || 'document.docx'
           }
-        }, 60000); // 60 second timeout
+        }, 60000, { userId: clientKey(req) }); // 60 second timeout
 
         const modifiedBuffer = fixResult.modifiedBuffer;
         console.log(`✅ Fix applied successfully, reprocessing document...`);
 
-        // Step 2: Reprocess the modified document via worker
+        // Step 2: Reprocess the modified document via worker - still part of the interactive fix
         const reprocessResult = await workerPool.executeJob({
           type: 'upload',
           data: {
             buffer: modifiedBuffer,
             filename: originalFilename || 'document.docx'
           }
-        }, 60000);
+        }, 60000, { priority: 'interactive', userId: clientKey(req) });
 
         reprocessingResult = reprocessResult.document;
         modificationResult = { success: true, buffer: modifiedBuffer };
@@ -411,7 +625,7 @@ router.post('/apply-fix', async (req, res) => {
         console.log('⚠️ Falling back to direct processing');
         processingMethod = 'direct-fallback';
 
-        modificationResult = await docxModifier.applyFormattingFix(docxBuffer, fixAction, fixValue);
+        modificationResult = await docxModifier.applyFormattingFix(docxBuffer, fixAction, fixValue, fixOptions);
 
         if (!modificationResult.success) {
           return res.status(500).json({
@@ -433,7 +647,7 @@ router.post('/apply-fix', async (req, res) => {
       processingMethod = 'direct';
 
       // Apply fix
-      modificationResult = await docxModifier.applyFormattingFix(docxBuffer, fixAction, fixValue);
+      modificationResult = await docxModifier.applyFormattingFix(docxBuffer, fixAction, fixValue, fixOptions);
 
       if (!modificationResult.success) {
         return res.status(500).json({
@@ -534,10 +748,280 @@ router.post('/apply-fix', async (req, res) => {
  * POST /api/process-document
  * Process a document from Supabase Storage
  * Triggered after user uploads to Supabase
+ * With ?async=true (or async: true in the body) responds 202 with a job ID right away
  */
 router.post('/process-document', async (req, res) => {
   console.log('📥 Processing document from Supabase Storage');
 
+  try {
+    const { documentId, revisionMode } = req.body;
+
+    if (!documentId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing documentId',
+        code: 'MISSING_PARAMETERS'
+      });
+    }
+
+    // Import Supabase client
+    const supabase = require('../utils/supabaseClient');
+
+    // Verify the bearer token and get authenticated user
+    const user = await getAuthenticatedUser(req);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Missing, invalid or expired token',
+        code: 'UNAUTHORIZED'
+      });
+    }
+
+    console.log(`🔐 Authenticated user: ${user.id}`);
+
+    // Fetch document metadata from database
+    // Now using verified user.id instead of trusting request body
+    const { data: document, error: fetchError } = await supabase
+      .from('documents')
+      .select('*')
+      .eq('id', documentId)
+      .eq('user_id', user.id)
+      .single();
+
+    if (fetchError || !document) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found',
+        code: 'DOCUMENT_NOT_FOUND'
+      });
+    }
+
+    const asyncMode = isAsyncRequest(req);
+
+    const job = jobManager.createJob({ type: 'process-document', userId: user.id }, async (context) => {
+      try {
+        // Update status to processing
+        await supabase
+          .from('documents')
+          .update({ status: 'processing' })
+          .eq('id', documentId);
+
+        // Download file from Supabase Storage
+        context.progress('download');
+        const { data: fileData, error: downloadError } = await supabase.storage
+          .from('user-documents')
+          .download(document.file_path);
+
+        if (downloadError || !fileData) {
+          throw Object.assign(new Error('Failed to download document from storage'), { statusCode: 500, code: 'DOWNLOAD_ERROR' });
+        }
+
+        // Convert Blob to Buffer
+        const arrayBuffer = await fileData.arrayBuffer();
+        const fileBuffer = Buffer.from(arrayBuffer);
+
+        // Validate DOCX file
+        if (!isValidDocxFile(fileBuffer)) {
+          throw Object.assign(new Error('Invalid DOCX file format'), { statusCode: 400, code: 'INVALID_DOCX' });
+        }
+
+        // Process document via Worker Pool or direct processing
+        // Review mode text mixes insertions and deletions - like the editor, analyze only once the
+        // tracked changes are resolved
+        console.log(`🔄 Processing document ${documentId}`);
+        const { document: result, analysis, processingMethod } = await parseDocument(context, fileBuffer, document.filename, {
+          revisionMode,
+          timeout: asyncMode ? ASYNC_JOB_TIMEOUT : 60000,
+          analyze: revisionMode !== 'review'
+        });
+
+        if (context.isCancelled()) {
+          throw new Error('Job cancelled');
+        }
+
+        // Store the editor's issue list and score; without them the frontend runs the analysis when loaded
+        console.log(analysis
+          ? `📦 Storing document data with ${analysis.issueCount} issues (score ${analysis.complianceScore})`
+          : '📦 Storing document data (analysis will run on frontend)');
+        context.progress('store');
+        const issues = analysis ? analysis.issues : [];
+        const complianceScore = analysis ? analysis.complianceScore : null;
+        const issueCount = analysis ? analysis.issueCount : 0;
+
+        // Store analysis results
+        const { error: insertError } = await supabase
+          .from('analysis_results')
+          .insert({
+            document_id: documentId,
+            compliance_score: complianceScore,
+            issue_count: issueCount,
+            issues: issues,
+            document_data: result
+          });
+
+        if (insertError) {
+          console.error('Failed to save analysis results:', insertError);
+        }
+
+        // Update document status to completed
+        await supabase
+          .from('documents')
+          .update({
+            status: 'completed',
+            processed_at: new Date().toISOString()
+          })
+          .eq('id', documentId);
+
+        console.log(`✅ Document ${documentId} processed successfully`);
+
+        return { documentId, processingMethod, complianceScore, issueCount };
+
+      } catch (error) {
+        // Try to update document status to failed
+        try {
+          await supabase
+            .from('documents')
+            .update({ status: 'failed' })
+            .eq('id', documentId);
+        } catch (updateError) {
+          console.error('Failed to update document status:', updateError);
+        }
+        throw error;
+      }
+    });
+
+    // Asynchronous submission: the client follows the job; the document row tracks the outcome too
+    if (asyncMode) {
+      return res.status(202).json({ ...jobAcceptedResponse(job), documentId });
+    }
+
+    const { processingMethod, complianceScore, issueCount } = await job.promise;
+
+    res.json({
+      success: true,
+      jobId: job.id,
+      documentId,
+      processingMethod,
+      complianceScore,
+      issueCount
+    });
+
+  } catch (error) {
+    console.error('❌ Error processing document:', error);
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to process document',
+      code: error.code || 'PROCESSING_ERROR',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ * Status, progress stage and (once completed) result of a document processing job
+ */
+router.get('/jobs/:id', async (req, res) => {
+  const job = await findAuthorizedJob(req, res);
+  if (!job) return;
+
+  res.json({
+    success: true,
+    job: jobManager.toJSON(job, { includeResult: job.status === 'completed' })
+  });
+});
+
+/**
+ * POST /api/jobs/:id/stream-token
+ * New events URL for a job, with a one-time stream token that expires after a minute - EventSource
+ * cannot send the Authorization header, and session tokens must not end up in URLs
+ */
+router.post('/jobs/:id/stream-token', async (req, res) => {
+  const job = await findAuthorizedJob(req, res);
+  if (!job) return;
+
+  res.json({
+    success: true,
+    eventsUrl: eventsUrl(job)
+  });
+});
+
+/**
+ * GET /api/jobs/:id/events
+ * Server-Sent Events stream of a job: 'progress' events while it runs, then one of
+ * 'completed', 'failed' or 'cancelled' before the stream closes. Fetch the result with GET /api/jobs/:id.
+ * Authorized like the other job routes, or with the one-time stream token of eventsUrl
+ */
+router.get('/jobs/:id/events', async (req, res) => {
+  const job = await findAuthorizedJob(req, res, { allowStreamToken: true });
+  if (!job) return;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  send('progress', jobManager.toJSON(job));
+  if (jobManager.isFinished(job)) {
+    send(job.status, jobManager.toJSON(job));
+    return res.end();
+  }
+
+  // Comment lines keep idle connections open through proxies
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  const unsubscribe = jobManager.subscribe(job.id, (updatedJob) => {
+    if (jobManager.isFinished(updatedJob)) {
+      send(updatedJob.status, jobManager.toJSON(updatedJob));
+      close();
+      res.end();
+    } else {
+      send('progress', jobManager.toJSON(updatedJob));
+    }
+  });
+  req.on('close', close);
+});
+
+/**
+ * DELETE /api/jobs/:id
+ * Cancel a queued or running job
+ */
+router.delete('/jobs/:id', async (req, res) => {
+  const job = await findAuthorizedJob(req, res);
+  if (!job) return;
+
+  if (!jobManager.cancelJob(job.id)) {
+    return res.status(409).json({
+      success: false,
+      error: `Job already ${job.status}`,
+      code: 'JOB_FINISHED'
+    });
+  }
+
+  res.json({
+    success: true,
+    job: jobManager.toJSON(job)
+  });
+});
+
+/**
+ * POST /api/export-docx
+ * Generate a DOCX file from the document's saved Tiptap JSON, with the editor's exporter
+ * JSON (analysis_results.tiptap_content) is the source of truth - DOCX is built on demand
+ */
+router.post('/export-docx', async (req, res) => {
+  console.log('📤 Exporting document to DOCX from Tiptap JSON');
+
   try {
     const { documentId } = req.body;
 
@@ -577,11 +1061,10 @@ router.post('/process-document', async (req, res) => {
 
     console.log(`🔐 Authenticated user: ${user.id}`);
 
-    // Fetch document metadata from database
-    // Now using verified user.id instead of trusting request body
+    // Verify document ownership
     const { data: document, error: fetchError } = await supabase
       .from('documents')
-      .select('*')
+      .select('id, filename, file_path')
       .eq('id', documentId)
       .eq('user_id', user.id)
       .single();
@@ -594,134 +1077,89 @@ router.post('/process-document', async (req, res) => {
       });
     }
 
-    // Update status to processing
-    await supabase
-      .from('documents')
-      .update({ status: 'processing' })
-      .eq('id', documentId);
-
-    // Download file from Supabase Storage
-    const { data: fileData, error: downloadError } = await supabase.storage
-      .from('user-documents')
-      .download(document.file_path);
-
-    if (downloadError || !fileData) {
-      await supabase
-        .from('documents')
-        .update({ status: 'failed' })
-        .eq('id', documentId);
+    // Load the latest saved editor content
+    const { data: analysis, error: analysisError } = await supabase
+      .from('analysis_results')
+      .select('tiptap_content, document_data')
+      .eq('document_id', documentId)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .single();
 
-      return res.status(500).json({
+    if (analysisError || !analysis?.tiptap_content || !analysis.document_data) {
+      return res.status(404).json({
         success: false,
-        error: 'Failed to download document from storage',
-        code: 'DOWNLOAD_ERROR'
+        error: 'No saved editor content found for this document',
+        code: 'CONTENT_NOT_FOUND'
       });
     }
 
-    // Convert Blob to Buffer
-    const arrayBuffer = await fileData.arrayBuffer();
-    const fileBuffer = Buffer.from(arrayBuffer);
+    const tiptapContent = analysis.tiptap_content;
+    const documentData = analysis.document_data;
 
-    // Validate DOCX file
-    if (!isValidDocxFile(fileBuffer)) {
-      await supabase
-        .from('documents')
-        .update({ status: 'failed' })
-        .eq('id', documentId);
+    // Embedded images are not part of the JSON - their bytes come from the imported file
+    let originalDocx = null;
+    if (documentData.structure?.figures?.length > 0 && document.file_path) {
+      const { data: fileData, error: downloadError } = await supabase.storage
+        .from('user-documents')
+        .download(document.file_path);
 
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid DOCX file format',
-        code: 'INVALID_DOCX'
-      });
+      if (downloadError || !fileData) {
+        console.warn(`⚠️ Original DOCX not available, exporting without images: ${downloadError?.message}`);
+      } else {
+        originalDocx = Buffer.from(await fileData.arrayBuffer());
+      }
     }
 
-    // Process document via Worker Pool or direct processing
-    let result;
+    // Generate DOCX via Worker Pool or direct processing
+    let docxBuffer = null;
     let processingMethod;
 
     if (workerPool) {
-      console.log(`🔄 Sending job to Worker Pool for document ${documentId}`);
+      console.log(`🔄 Sending export job to Worker Pool for document ${documentId}`);
       processingMethod = 'worker-pool';
 
       try {
         const workerResult = await workerPool.executeJob({
-          type: 'upload',
-          data: { buffer: fileBuffer, filename: document.filename }
-        }, 60000);
-        result = workerResult.document;
+          type: 'export',
+          data: { documentData, tiptapContent, originalDocx, filename: document.filename }
+        }, 60000, { userId: clientKey(req, user) });
+        docxBuffer = workerResult.buffer;
       } catch (error) {
         console.log('⚠️ Falling back to direct processing');
         processingMethod = 'direct-fallback';
-        result = await xmlDocxProcessor.processDocumentBuffer(fileBuffer, document.filename);
       }
     } else {
-      console.log('📄 Processing directly (Worker Pool not available)');
+      console.log('📄 Exporting directly (Worker Pool not available)');
       processingMethod = 'direct';
-      result = await xmlDocxProcessor.processDocumentBuffer(fileBuffer, document.filename);
     }
 
-    // Store document data without analysis - frontend will run full analysis when loaded
-    console.log('📦 Storing document data (analysis will run on frontend)');
-    const issues = [];
-    const complianceScore = null;
-    const issueCount = 0;
-
-    // Store analysis results
-    const { error: insertError } = await supabase
-      .from('analysis_results')
-      .insert({
-        document_id: documentId,
-        compliance_score: complianceScore,
-        issue_count: issueCount,
-        issues: issues,
-        document_data: result
-      });
-
-    if (insertError) {
-      console.error('Failed to save analysis results:', insertError);
+    if (!docxBuffer) {
+      docxBuffer = await docxExporter.exportDocument({ documentData, tiptapContent, originalDocx });
     }
 
-    // Update document status to completed
-    await supabase
-      .from('documents')
-      .update({
-        status: 'completed',
-        processed_at: new Date().toISOString()
-      })
-      .eq('id', documentId);
+    // Buffers arrive as Uint8Array when transferred from worker threads
+    const outputBuffer = Buffer.isBuffer(docxBuffer) ? docxBuffer : Buffer.from(docxBuffer);
+    const exportFilename = (document.filename || 'document.docx').replace(/\.docx$/i, '') + '.docx';
 
-    console.log(`✅ Document ${documentId} processed successfully`);
+    console.log(`✅ Document ${documentId} exported (${outputBuffer.length} bytes, ${processingMethod})`);
 
-    res.json({
-      success: true,
-      documentId,
-      processingMethod,
-      complianceScore,
-      issueCount
+    res.set({
+      'Content-Type': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'Content-Disposition': attachmentDisposition(exportFilename),
+      'Content-Length': outputBuffer.length,
+      'X-Processing-Method': processingMethod
     });
 
-  } catch (error) {
-    console.error('❌ Error processing document:', error);
+    res.send(outputBuffer);
 
-    // Try to update document status to failed
-    try {
-      const { documentId } = req.body;
-      if (documentId) {
-        const supabase = require('../utils/supabaseClient');
-        await supabase
-          .from('documents')
-          .update({ status: 'failed' })
-          .eq('id', documentId);
-      }
-    } catch (updateError) {
-      console.error('Failed to update document status:', updateError);
-    }
+  } catch (error) {
+    console.error('❌ Error exporting document:', error);
 
     res.status(500).json({
       success: false,
-      error: 'Failed to process document',
-      code: 'PROCESSING_ERROR',
+      error: 'Failed to export document',
+      code: 'EXPORT_ERROR',
       details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -819,3 +1257,8 @@ router.post('/save-edits', async (req, res, next) => {
 // Export the router and worker pool for health check access
 module.exports = router;
 module.exports.workerPool = workerPool;
+module.exports.jobManager = jobManager;
+
+// Document parsing shared with the versioned public API (routes/v1.js)
+module.exports.parseDocument = parseDocument;
+module.exports.isValidDocxFile = isValidDocxFile;
@@ -0,0 +1,180 @@
+// server/routes/v1.js - Versioned public REST API for headless APA checking
+const express = require('express');
+const multer = require('multer');
+const { jobManager, parseDocument, isValidDocxFile } = require('./docx');
+const AnalysisReport = require('../analyzers/AnalysisReport');
+const { authenticateApiKey } = require('../utils/apiKeys');
+
+const router = express.Router();
+
+const PAPER_TYPES = ['auto', 'student', 'professional'];
+const OUTPUT_FORMATS = ['json', 'csv'];
+const ANALYZE_TIMEOUT = parseInt(process.env.API_ANALYZE_TIMEOUT) || 2 * 60 * 1000;
+
+// Documents are analyzed and discarded, never stored - keep uploads in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+    files: 1
+  }
+});
+
+/**
+ * Authenticate with a per-user API key: X-API-Key header or Authorization: Bearer <key>
+ * Sets req.apiKey ({ keyId, userId })
+ */
+async function requireApiKey(req, res, next) {
+  const authHeader = req.headers.authorization;
+  const key = req.headers['x-api-key'] ||
+    (authHeader && authHeader.startsWith('Bearer ') ? authHeader.replace('Bearer ', '') : null);
+
+  if (!key) {
+    return res.status(401).json({
+      success: false,
+      error: 'Missing API key - send it in the X-API-Key header',
+      code: 'MISSING_API_KEY'
+    });
+  }
+
+  try {
+    const apiKey = await authenticateApiKey(key);
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or revoked API key',
+        code: 'INVALID_API_KEY'
+      });
+    }
+
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Analysis options from form fields, JSON body or query string; throws a 400 error when invalid
+ * categories may be an array or a comma-separated list
+ */
+function parseAnalyzeOptions(req) {
+  const option = (name) => req.body?.[name] ?? req.query?.[name];
+  const invalid = (message) => Object.assign(new Error(message), { statusCode: 400, code: 'INVALID_OPTIONS' });
+
+  const paperType = option('paperType') || 'auto';
+  if (!PAPER_TYPES.includes(paperType)) {
+    throw invalid(`paperType must be one of: ${PAPER_TYPES.join(', ')}`);
+  }
+
+  const format = option('format') || 'json';
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw invalid(`format must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  let categories = option('categories') || null;
+  if (categories) {
+    categories = (Array.isArray(categories) ? categories : String(categories).split(','))
+      .map(category => String(category).trim())
+      .filter(Boolean);
+
+    const unknown = categories.filter(category => !AnalysisReport.RULE_CATEGORIES.includes(category));
+    if (unknown.length > 0) {
+      throw invalid(`Unknown categories: ${unknown.join(', ')} (known: ${AnalysisReport.RULE_CATEGORIES.join(', ')})`);
+    }
+  }
+
+  return { paperType: paperType === 'auto' ? null : paperType, categories, format };
+}
+
+/**
+ * The uploaded document: multipart field "document", or base64 in the JSON field "document"
+ * (a data: URL works too). JSON bodies are limited to 10MB, so large files should use multipart.
+ */
+function readDocument(req) {
+  if (req.file) {
+    return { buffer: req.file.buffer, filename: req.file.originalname };
+  }
+
+  if (typeof req.body?.document === 'string') {
+    const base64 = req.body.document.replace(/^data:[^,]*;base64,/, '');
+    return { buffer: Buffer.from(base64, 'base64'), filename: req.body.filename || 'document.docx' };
+  }
+
+  return null;
+}
+
+/**
+ * POST /api/v1/analyze
+ * Check a DOCX against the editor's full APA rule set and return the issues with stable rule IDs,
+ * the compliance score and a breakdown by category.
+ *
+ * Options: paperType ('auto' | 'student' | 'professional'), categories (rule categories to check,
+ * all by default) and format ('json' | 'csv')
+ */
+router.post('/analyze', requireApiKey, upload.single('document'), async (req, res) => {
+  try {
+    const options = parseAnalyzeOptions(req);
+
+    const uploaded = readDocument(req);
+    if (!uploaded) {
+      return res.status(400).json({
+        success: false,
+        error: 'No document - upload a DOCX as the multipart field "document" or send it base64-encoded in the JSON field "document"',
+        code: 'NO_FILE'
+      });
+    }
+
+    if (!isValidDocxFile(uploaded.buffer)) {
+      return res.status(400).json({
+        success: false,
+        error: 'File is not a valid DOCX document',
+        code: 'INVALID_DOCX'
+      });
+    }
+
+    console.log(`🔑 API analyze: ${uploaded.filename} (${uploaded.buffer.length} bytes) for key ${req.apiKey.keyId}`);
+
+    const job = jobManager.createJob({ type: 'api-analyze', userId: req.apiKey.userId }, async (context) => {
+      const { document, analysis } = await parseDocument(context, uploaded.buffer, uploaded.filename, {
+        timeout: ANALYZE_TIMEOUT,
+        analyze: true,
+        analysisOptions: { paperType: options.paperType, categories: options.categories }
+      });
+
+      if (!analysis) {
+        throw Object.assign(new Error('APA analysis failed'), { statusCode: 500, code: 'ANALYSIS_FAILED' });
+      }
+
+      return AnalysisReport.build({
+        analysis,
+        document,
+        filename: uploaded.filename,
+        paperType: options.paperType,
+        categories: options.categories
+      });
+    });
+
+    const report = await job.promise;
+    jobManager.releaseResult(job); // Delivered in this response
+
+    if (options.format === 'csv') {
+      res.set('X-Compliance-Score', String(report.complianceScore));
+      return res.type('text/csv').send(AnalysisReport.toCsv(report));
+    }
+
+    res.json({ success: true, ...report });
+
+  } catch (error) {
+    console.error('❌ API analyze error:', error);
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to analyze document',
+      code: error.code || 'PROCESSING_ERROR',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,130 @@
+// server/tests/documentAnalysis.test.js - The editor's analysis (DocumentService) on parsed document data
+const { test } = require('node:test');
+const assert = require('node:assert');
+const DocumentAnalyzer = require('../analyzers/DocumentAnalyzer');
+
+const documentAnalyzer = new DocumentAnalyzer();
+
+/**
+ * Minimal XmlDocxProcessor output: one body paragraph per text, plus extra structure
+ */
+function documentData(texts, structure = {}) {
+  return {
+    text: texts.join('\n'),
+    html: texts.map(text => `<p>${text}</p>`).join(''),
+    formatting: {
+      document: {},
+      paragraphs: texts.map((text, index) => ({ index, text, runs: [] }))
+    },
+    structure: { headings: [], citations: [], references: [], tables: [], figures: [], ...structure }
+  };
+}
+
+function titles(analysis) {
+  return analysis.issues.map(issue => issue.title);
+}
+
+test('footnote placement is checked through DocumentService', async () => {
+  const text = 'The effect was small in the study. It held across samples.';
+  const analysis = await documentAnalyzer.analyze(documentData([text], {
+    footnotes: [{
+      id: '1',
+      type: 'footnote',
+      number: 1,
+      text: 'Data were collected in 2020.',
+      paragraphs: ['Data were collected in 2020.'],
+      wordCount: 5,
+      reference: {
+        paragraphIndex: 0,
+        charOffset: 33,
+        precedingText: text.substring(13, 33),
+        followingText: text.substring(33, 53),
+        customMark: null
+      }
+    }]
+  }));
+
+  assert.ok(titles(analysis).includes('Footnote number before punctuation'));
+});
+
+test('Word list numbering is checked through DocumentService', async () => {
+  const texts = ['Participants completed three tasks:', 'Read the passage.', 'answer the questions'];
+  const item = (paragraphIndex, label) => ({
+    paragraphIndex,
+    level: 0,
+    format: 'lowerLetter',
+    ordered: true,
+    number: paragraphIndex,
+    label,
+    text: texts[paragraphIndex]
+  });
+
+  const analysis = await documentAnalyzer.analyze(documentData(texts, {
+    lists: [{ numId: '1', ordered: true, paragraphIndex: 1, items: [item(1, 'a)'), item(2, 'b)')] }]
+  }));
+
+  assert.ok(titles(analysis).includes('Numbered list label format'));
+  assert.ok(titles(analysis).includes('Inconsistent list punctuation'));
+});
+
+test('Word equations are checked through DocumentService', async () => {
+  const texts = ['The mean is computed as', 'x=(a+b)/2'];
+  const analysis = await documentAnalyzer.analyze(documentData(texts, {
+    equations: [{ id: 'eq-1', paragraphIndex: 1, charOffset: 0, linear: texts[1], display: true, standalone: true, number: null, plainVariables: [] }]
+  }));
+
+  assert.ok(titles(analysis).includes('Unnumbered display equation'));
+});
+
+test('reference manager citation fields are checked through DocumentService', async () => {
+  const text = 'Prior work found the same effect (Jones, 2019).';
+  const analysis = await documentAnalyzer.analyze(documentData([text], {
+    citationFields: [{
+      id: 'cite-1',
+      source: 'Zotero',
+      paragraphIndex: 0,
+      charOffset: 33,
+      text: '(Jones, 2019)',
+      formattedCitation: '(Smith, 2020)',
+      edited: true,
+      items: [{ authors: [{ family: 'Smith', given: 'Ann' }], year: '2020' }]
+    }]
+  }));
+
+  assert.ok(titles(analysis).includes('Citation edited outside reference manager'));
+  assert.ok(titles(analysis).includes('Citation author does not match source'));
+  assert.ok(titles(analysis).includes('Citation year does not match source'));
+});
+
+test('links and citation fields are checked without a references section', async () => {
+  const text = 'Data are at https://example.org/data as reported (Smith, 2020).';
+  const analysis = await documentAnalyzer.analyze(documentData([text], {
+    hyperlinks: [{ paragraphIndex: 0, charOffset: 12, text: 'https://example.org/data', target: 'https://example.com/other' }],
+    citationFields: [{
+      id: 'cite-1',
+      source: 'Zotero',
+      paragraphIndex: 0,
+      charOffset: 49,
+      text: '(Smith, 2020)',
+      formattedCitation: '(Smith, 2020)',
+      edited: false,
+      items: [{ authors: [{ family: 'Smith', given: 'Ann' }], year: '2020' }]
+    }]
+  }));
+
+  assert.ok(titles(analysis).includes('Hyperlink text does not match target'));
+  assert.ok(titles(analysis).includes('Cited source missing from references'));
+});
+
+test('category filters score only the issues they keep', async () => {
+  const texts = ['The mean is computed as', 'x=(a+b)/2'];
+  const data = documentData(texts, {
+    equations: [{ id: 'eq-1', paragraphIndex: 1, charOffset: 0, linear: texts[1], display: true, standalone: true, number: null, plainVariables: [] }]
+  });
+  const all = await documentAnalyzer.analyze(data);
+  const categories = [...new Set(all.issues.map(issue => issue.category))].slice(0, 1);
+  const filtered = await documentAnalyzer.analyze(data, { categories });
+
+  assert.ok(filtered.issues.every(issue => categories.includes(issue.category)));
+  assert.ok(filtered.complianceScore >= all.complianceScore);
+});
@@ -0,0 +1,48 @@
+// server/tests/docxExporter.test.js - Server-side DOCX export of stored documents
+const { test } = require('node:test');
+const assert = require('node:assert');
+const PizZip = require('pizzip');
+const DocxExporter = require('../processors/DocxExporter');
+
+const docxExporter = new DocxExporter();
+
+function documentData(texts) {
+  return {
+    text: texts.join('\n'),
+    html: texts.map(text => `<p>${text}</p>`).join(''),
+    formatting: {
+      document: {},
+      paragraphs: texts.map((text, index) => ({ index, text, runs: [] }))
+    },
+    structure: { headings: [], citations: [], references: [], tables: [], figures: [] }
+  };
+}
+
+function documentTexts(buffer) {
+  const xml = new PizZip(buffer).file('word/document.xml').asText();
+  return (xml.match(/<w:t(?: [^>]*)?>[^<]*<\/w:t>/g) || []).map(element => element.replace(/<[^>]+>/g, ''));
+}
+
+test('the saved editor content is what gets exported', async () => {
+  const buffer = await docxExporter.exportDocument({
+    documentData: documentData(['Method', 'We recruited students.']),
+    tiptapContent: {
+      type: 'doc',
+      content: [
+        { type: 'paragraph', content: [{ type: 'text', text: 'Method' }] },
+        { type: 'paragraph', content: [{ type: 'text', text: 'We recruited 40 students.' }] }
+      ]
+    }
+  });
+
+  assert.ok(Buffer.isBuffer(buffer));
+  assert.deepStrictEqual(documentTexts(buffer), ['Method', 'We recruited 40 students.']);
+});
+
+test('documents without saved editor content export the processed text', async () => {
+  const buffer = await docxExporter.exportDocument({
+    documentData: documentData(['Method', 'We recruited students.'])
+  });
+
+  assert.deepStrictEqual(documentTexts(buffer), ['Method', 'We recruited students.']);
+});
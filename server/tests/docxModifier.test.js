@@ -0,0 +1,195 @@
+// server/tests/docxModifier.test.js - APA fixes applied to DOCX files, directly and as tracked changes
+const { test } = require('node:test');
+const assert = require('node:assert');
+const PizZip = require('pizzip');
+const { DOMParser } = require('@xmldom/xmldom');
+const DocxModifier = require('../processors/DocxModifier');
+
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+const docxModifier = new DocxModifier();
+
+const STYLES = `<w:styles xmlns:w="${W_NS}">` +
+  '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>' +
+  '<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:rPr><w:sz w:val="32"/></w:rPr></w:style>' +
+  '<w:style w:type="paragraph" w:styleId="Heading3"><w:name w:val="heading 3"/></w:style>' +
+  '</w:styles>';
+
+/**
+ * Paragraph XML: text plus optional w:pPr content and run properties
+ */
+function paragraph(text, { pPr = '', rPr = '' } = {}) {
+  return `<w:p>${pPr ? `<w:pPr>${pPr}</w:pPr>` : ''}<w:r>${rPr ? `<w:rPr>${rPr}</w:rPr>` : ''}<w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
+}
+
+function docx(paragraphs, styles = STYLES) {
+  const zip = new PizZip();
+  zip.file('word/document.xml', `<w:document xmlns:w="${W_NS}"><w:body>${paragraphs.join('')}<w:sectPr/></w:body></w:document>`);
+  zip.file('word/styles.xml', styles);
+  return zip.generate({ type: 'nodebuffer' });
+}
+
+function readPart(buffer, name) {
+  return new PizZip(buffer).file(name).asText();
+}
+
+/**
+ * Top-level body paragraphs of the fixed document
+ */
+function bodyParagraphs(buffer) {
+  const xmlDoc = new DOMParser().parseFromString(readPart(buffer, 'word/document.xml'), 'text/xml');
+  const body = xmlDoc.getElementsByTagName('w:body')[0];
+  return Array.from(body.childNodes).filter(node => node.nodeName === 'w:p');
+}
+
+function child(element, name) {
+  return Array.from(element?.childNodes || []).find(node => node.nodeName === name) || null;
+}
+
+function paragraphText(element) {
+  return Array.from(element.getElementsByTagName('w:t')).map(t => t.textContent).join('');
+}
+
+async function applyFix(buffer, fixAction, fixValue = null, options = {}) {
+  const result = await docxModifier.applyFormattingFix(buffer, fixAction, fixValue, options);
+  assert.ok(result.success, result.error);
+  return result.buffer;
+}
+
+test('heading levels are remapped onto the APA heading styles', async () => {
+  const input = docx([
+    paragraph('Method', { pPr: '<w:pStyle w:val="Heading1"/>' }),
+    paragraph('Participants', { pPr: '<w:pStyle w:val="Heading3"/><w:jc w:val="center"/>', rPr: '<w:caps/>' }),
+    paragraph('We recruited students.')
+  ]);
+
+  const output = await applyFix(input, 'fixHeadingLevel');
+  const [, subheading] = bodyParagraphs(output);
+  const pPr = child(subheading, 'w:pPr');
+
+  // Level 3 directly under Level 1 becomes Level 2; direct formatting that overrides the style is removed
+  assert.strictEqual(child(pPr, 'w:pStyle').getAttribute('w:val'), 'Heading2');
+  assert.strictEqual(child(pPr, 'w:jc'), null);
+  assert.strictEqual(child(child(subheading.getElementsByTagName('w:r')[0], 'w:rPr'), 'w:caps'), null);
+
+  const styles = readPart(output, 'word/styles.xml');
+  assert.match(styles, /w:styleId="Heading2"><w:name w:val="heading 2"\/>/);
+  assert.doesNotMatch(styles, /<w:sz w:val="32"\/>/);
+});
+
+test('suggest mode records heading fixes as tracked formatting and leaves styles.xml alone', async () => {
+  const input = docx([
+    paragraph('Method', { pPr: '<w:pStyle w:val="Heading1"/>' }),
+    paragraph('We recruited students.')
+  ]);
+
+  const output = await applyFix(input, 'fixHeadingLevel', null, { trackChanges: true, author: 'Reviewer' });
+  assert.strictEqual(readPart(output, 'word/styles.xml'), STYLES);
+
+  const [heading, body] = bodyParagraphs(output);
+  const pPr = child(heading, 'w:pPr');
+  const pPrChange = child(pPr, 'w:pPrChange');
+  assert.ok(pPrChange, 'paragraph formatting is a tracked change');
+  assert.strictEqual(pPrChange.getAttribute('w:author'), 'Reviewer');
+  assert.strictEqual(child(pPr, 'w:jc').getAttribute('w:val'), 'center');
+  assert.strictEqual(child(pPr, 'w:outlineLvl').getAttribute('w:val'), '0');
+  assert.deepStrictEqual(
+    Array.from(pPr.childNodes).map(node => node.nodeName),
+    ['w:pStyle', 'w:keepNext', 'w:keepLines', 'w:spacing', 'w:ind', 'w:jc', 'w:outlineLvl', 'w:pPrChange']
+  );
+
+  const rPr = child(heading.getElementsByTagName('w:r')[0], 'w:rPr');
+  assert.ok(child(rPr, 'w:b'), 'heading text is bold');
+  assert.ok(child(rPr, 'w:rPrChange'), 'run formatting is a tracked change');
+
+  assert.strictEqual(child(body, 'w:pPr'), null);
+});
+
+test('indentation fix leaves the abstract flush left and indents body text and references', async () => {
+  const input = docx([
+    paragraph('Abstract', { pPr: '<w:jc w:val="center"/>', rPr: '<w:b/>' }),
+    paragraph('This study examined study habits.', { pPr: '<w:ind w:firstLine="720"/>' }),
+    paragraph('Keywords: study habits, students'),
+    paragraph('Method', { pPr: '<w:pStyle w:val="Heading1"/>' }),
+    paragraph('We recruited students.'),
+    paragraph('References', { pPr: '<w:jc w:val="center"/>', rPr: '<w:b/>' }),
+    paragraph('Alpha, B. (2019). A study of habits. Journal of Stuff, 5(6), 7-8.')
+  ]);
+
+  const output = await applyFix(input, 'fixIndentation');
+  const indentation = Object.fromEntries(bodyParagraphs(output).map(element => {
+    const ind = child(child(element, 'w:pPr'), 'w:ind');
+    return [paragraphText(element), ind ? `${ind.getAttribute('w:firstLine')}/${ind.getAttribute('w:hanging')}` : null];
+  }));
+
+  assert.strictEqual(indentation['This study examined study habits.'], '0/');
+  assert.strictEqual(indentation['Keywords: study habits, students'], '720/');
+  assert.strictEqual(indentation['We recruited students.'], '720/');
+  assert.strictEqual(indentation['Alpha, B. (2019). A study of habits. Journal of Stuff, 5(6), 7-8.'], '/720');
+  assert.strictEqual(indentation.Method, null);
+});
+
+test('suggest mode records text fixes as a deletion and an insertion', async () => {
+  const input = docx([
+    paragraph('Results were clear (Smith 2020).', { rPr: '<w:i/>' })
+  ]);
+
+  const output = await applyFix(input, 'addCitationComma', {
+    originalText: '(Smith 2020)',
+    replacementText: '(Smith, 2020)'
+  }, { trackChanges: true, author: 'Reviewer' });
+
+  const [fixed] = bodyParagraphs(output);
+  assert.deepStrictEqual(
+    Array.from(fixed.childNodes).map(node => node.nodeName),
+    ['w:r', 'w:del', 'w:ins', 'w:r']
+  );
+
+  const deletion = child(fixed, 'w:del');
+  const insertion = child(fixed, 'w:ins');
+  assert.strictEqual(deletion.getAttribute('w:author'), 'Reviewer');
+  assert.notStrictEqual(deletion.getAttribute('w:id'), insertion.getAttribute('w:id'));
+  assert.strictEqual(deletion.getElementsByTagName('w:delText')[0].textContent, '(Smith 2020)');
+
+  // Accepting the change gives the fixed text; every piece keeps the run formatting
+  assert.strictEqual(paragraphText(fixed), 'Results were clear (Smith, 2020).');
+  assert.strictEqual(fixed.getElementsByTagName('w:i').length, 4);
+});
+
+test('suggest mode keeps the previous indentation in w:pPrChange', async () => {
+  const input = docx([
+    paragraph('We recruited students.', { pPr: '<w:ind w:firstLine="360"/>' })
+  ]);
+
+  const output = await applyFix(input, 'fixIndentation', null, { trackChanges: true });
+  const pPr = child(bodyParagraphs(output)[0], 'w:pPr');
+
+  assert.strictEqual(child(pPr, 'w:ind').getAttribute('w:firstLine'), '720');
+  const previous = child(child(pPr, 'w:pPrChange'), 'w:pPr');
+  assert.strictEqual(child(previous, 'w:ind').getAttribute('w:firstLine'), '360');
+});
+
+test('reference entries are moved into APA order with their formatting', async () => {
+  const input = docx([
+    paragraph('References', { pPr: '<w:jc w:val="center"/>', rPr: '<w:b/>' }),
+    paragraph('Zeta, A. (2020). Late work. Journal of Stuff, 1(2), 3-4.', { pPr: '<w:ind w:left="720" w:hanging="720"/>' }),
+    paragraph('Alpha, B. (2019). Second study. Journal of Stuff, 5(6), 7-8.'),
+    paragraph(''),
+    paragraph('Alpha, B. (2015). First study. Journal of Stuff, 2(3), 4-5.', { rPr: '<w:i/>' })
+  ]);
+
+  const output = await applyFix(input, 'sortReferences');
+  const paragraphs = bodyParagraphs(output);
+
+  assert.deepStrictEqual(paragraphs.map(paragraphText), [
+    'References',
+    'Alpha, B. (2015). First study. Journal of Stuff, 2(3), 4-5.',
+    'Alpha, B. (2019). Second study. Journal of Stuff, 5(6), 7-8.',
+    '',
+    'Zeta, A. (2020). Late work. Journal of Stuff, 1(2), 3-4.'
+  ]);
+
+  // Whole paragraphs move: runs and paragraph properties go with their entry
+  assert.strictEqual(paragraphs[1].getElementsByTagName('w:i').length, 1);
+  assert.strictEqual(child(child(paragraphs[4], 'w:pPr'), 'w:ind').getAttribute('w:hanging'), '720');
+});
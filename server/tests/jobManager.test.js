@@ -0,0 +1,112 @@
+// server/tests/jobManager.test.js - Job lifecycle, results and stream tokens
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const JobManager = require('../workers/JobManager');
+
+// Job log lines on stdout can break the test runner's reporting on Node 20
+mock.method(console, 'log', () => {});
+
+test('a delivered result is released while the job keeps its status', async () => {
+  const jobManager = new JobManager();
+  const job = jobManager.createJob({ type: 'upload' }, async () => ({ document: { text: 'Body' } }));
+
+  const { document } = await job.promise;
+  assert.strictEqual(document.text, 'Body');
+  assert.deepStrictEqual(job.result, { document: { text: 'Body' } });
+
+  jobManager.releaseResult(job);
+  assert.strictEqual(job.result, null);
+  assert.strictEqual(jobManager.getJob(job.id).status, 'completed');
+  assert.strictEqual(jobManager.toJSON(job, { includeResult: true }).result, null);
+});
+
+test('a job goes from queued to running to completed and reports its progress stages', async () => {
+  const jobManager = new JobManager();
+  const events = [];
+  let job = null;
+
+  job = jobManager.createJob({ type: 'upload', userId: 'user-1' }, async (context) => {
+    context.progress('unzip');
+    context.progress('started'); // Progress never goes back
+    context.progress('unknown-stage');
+    return 'done';
+  });
+  jobManager.subscribe(job.id, ({ status, stage, progress }) => events.push(`${status}:${stage}:${progress}`));
+
+  assert.strictEqual(job.status, 'queued');
+  assert.deepStrictEqual(jobManager.getStats(), { queued: 1, running: 0, completed: 0, failed: 0, cancelled: 0 });
+
+  assert.strictEqual(await job.promise, 'done');
+  assert.deepStrictEqual(events, ['running:queued:0', 'running:unzip:20', 'running:started:20', 'completed:done:100']);
+
+  const view = jobManager.toJSON(job);
+  assert.strictEqual(view.status, 'completed');
+  assert.ok(view.startedAt && view.finishedAt);
+  assert.ok(!('result' in view), 'the result is only included on request');
+});
+
+test('a failing task fails the job with the error message', async () => {
+  const jobManager = new JobManager();
+  const job = jobManager.createJob({ type: 'upload' }, async () => {
+    throw new Error('DOCX processing failed');
+  });
+
+  await assert.rejects(job.promise, /DOCX processing failed/);
+  assert.strictEqual(job.status, 'failed');
+  assert.strictEqual(job.error, 'DOCX processing failed');
+  assert.strictEqual(jobManager.cancelJob(job.id), false, 'finished jobs cannot be cancelled');
+});
+
+test('cancelling a queued job keeps its task from running', async () => {
+  const jobManager = new JobManager();
+  let ran = false;
+  const job = jobManager.createJob({ type: 'upload' }, async () => {
+    ran = true;
+  });
+
+  assert.strictEqual(jobManager.cancelJob(job.id), true);
+  await assert.rejects(job.promise, /Job cancelled/);
+  assert.strictEqual(ran, false);
+  assert.strictEqual(job.status, 'cancelled');
+});
+
+test('cancelling a running job cancels its worker job and discards the result', async () => {
+  const cancelled = [];
+  let finishWorker = null;
+  const workerPool = {
+    submitJob: () => ({ jobId: 'worker-1', promise: new Promise(resolve => { finishWorker = resolve; }) }),
+    cancelJob: (workerJobId) => cancelled.push(workerJobId)
+  };
+  const jobManager = new JobManager(workerPool);
+
+  let job = null;
+  const started = new Promise(resolve => {
+    job = jobManager.createJob({ type: 'upload' }, async (context) => {
+      const running = context.runWorker({ type: 'processDocument' }, 1000);
+      resolve();
+      const result = await running;
+      assert.strictEqual(context.isCancelled(), true);
+      return result;
+    });
+  });
+
+  await started;
+  assert.strictEqual(job.status, 'running');
+  assert.strictEqual(jobManager.cancelJob(job.id), true);
+  assert.deepStrictEqual(cancelled, ['worker-1']);
+
+  finishWorker({ document: {} }); // A late worker result is not kept
+  await assert.rejects(job.promise, /Job cancelled/);
+  assert.strictEqual(job.status, 'cancelled');
+  assert.strictEqual(job.result, null);
+});
+
+test('stream tokens can be used once', () => {
+  const jobManager = new JobManager();
+  const job = jobManager.createJob({ type: 'upload' }, async () => null);
+  const token = jobManager.issueStreamToken(job);
+
+  assert.strictEqual(jobManager.redeemStreamToken(job, 'unknown'), false);
+  assert.strictEqual(jobManager.redeemStreamToken(job, token), true);
+  assert.strictEqual(jobManager.redeemStreamToken(job, token), false);
+});
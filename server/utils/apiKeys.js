@@ -0,0 +1,53 @@
+// server/utils/apiKeys.js - Per-user API keys for the public REST API
+const crypto = require('crypto');
+
+// Every key starts with this prefix (keys are generated on the Profile page, see src/lib/apiKeys.js)
+const API_KEY_PREFIX = 'apa_';
+
+/**
+ * Only the SHA-256 hash of a key is stored (api_keys.key_hash), so a key is shown once when it is
+ * created and cannot be recovered afterwards
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Look up an API key; returns { keyId, userId } or null when it is unknown or revoked
+ * Records when the key was last used (shown on the Profile page)
+ */
+async function authenticateApiKey(key) {
+  if (!key || !key.startsWith(API_KEY_PREFIX)) {
+    return null;
+  }
+
+  const supabase = require('./supabaseClient');
+  const { data: apiKey, error } = await supabase
+    .from('api_keys')
+    .select('id, user_id')
+    .eq('key_hash', hashApiKey(key))
+    .is('revoked_at', null)
+    .maybeSingle();
+
+  if (error || !apiKey) {
+    return null;
+  }
+
+  // Bookkeeping only - the request does not wait for it
+  supabase
+    .from('api_keys')
+    .update({ last_used_at: new Date().toISOString() })
+    .eq('id', apiKey.id)
+    .then(({ error: updateError }) => {
+      if (updateError) {
+        console.error('Failed to update API key usage:', updateError);
+      }
+    })
+    .catch(updateError => {
+      console.error('Failed to update API key usage:', updateError);
+    });
+
+  return { keyId: apiKey.id, userId: apiKey.user_id };
+}
+
+module.exports = { API_KEY_PREFIX, hashApiKey, authenticateApiKey };
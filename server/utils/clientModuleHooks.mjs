@@ -0,0 +1,34 @@
+// server/utils/clientModuleHooks.mjs - Module hooks that let Node import the client code in src/ unchanged
+import path from 'node:path';
+
+const SRC_URL = new URL('../../src/', import.meta.url).href;
+
+/**
+ * The client code is written for the Next.js bundler: '@/...' imports (jsconfig alias) and relative
+ * imports without a file extension. Resolve both to the .js file under src/
+ */
+export async function resolve(specifier, context, nextResolve) {
+  let url = null;
+  if (specifier.startsWith('@/')) {
+    url = new URL(specifier.slice(2), SRC_URL);
+  } else if (specifier.startsWith('.') && context.parentURL?.startsWith(SRC_URL)) {
+    url = new URL(specifier, context.parentURL);
+  }
+
+  if (url && !path.extname(url.pathname)) {
+    url.pathname += '.js';
+  }
+
+  return nextResolve(url ? url.href : specifier, context);
+}
+
+/**
+ * Files under src/ are ES modules, although package.json does not say so (.js is CommonJS to Node)
+ */
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(SRC_URL) && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+
+  return nextLoad(url, context);
+}
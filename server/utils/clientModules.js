@@ -0,0 +1,25 @@
+// server/utils/clientModules.js - Import the client code in src/ on the server
+const { register } = require('module');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const SRC_DIR = path.join(__dirname, '../../src');
+
+// Module hooks are registered once per thread (the main thread and each worker)
+let hooksRegistered = false;
+
+/**
+ * Import an ES module from src/ (path relative to src/, e.g. 'services/DocumentService.js')
+ * The client modules are imported as they are; clientModuleHooks.mjs resolves their '@/' and
+ * extensionless imports for Node.
+ */
+function importClientModule(modulePath) {
+  if (!hooksRegistered) {
+    register('./clientModuleHooks.mjs', pathToFileURL(__filename));
+    hooksRegistered = true;
+  }
+
+  return import(pathToFileURL(path.join(SRC_DIR, modulePath)).href);
+}
+
+module.exports = { importClientModule };
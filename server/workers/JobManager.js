@@ -0,0 +1,253 @@
+// server/workers/JobManager.js - Document processing jobs with status, progress and cancellation
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Progress stages in the order they happen, with the share of the job done when each one starts
+const JOB_STAGES = {
+  queued: 0,
+  started: 5,
+  download: 10,
+  unzip: 20,
+  'parse-styles': 35,
+  'extract-text': 50,
+  analyze: 70,
+  validate: 80,
+  store: 90,
+  done: 100
+};
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Stream tokens authorize one progress stream (EventSource cannot send an Authorization header)
+const STREAM_TOKEN_TTL = 60 * 1000;
+
+/**
+ * JobManager tracks document processing jobs from submission to result, so a request can return
+ * a job ID right away and clients can poll, stream progress or cancel.
+ *
+ * A job runs a task function that receives a context:
+ *   { id, progress(stage), runWorker(jobData, timeout, options), isCancelled() }
+ * runWorker sends work to the WorkerPool (options: priority, userId - the job's user by default) and
+ * forwards the worker's progress stages to the job.
+ * Cancelling a job cancels its current worker job; work done on the main thread cannot be
+ * interrupted, but its result is discarded.
+ *
+ * Jobs live in memory and are removed `retention` ms after they finish; a result that was already
+ * delivered can be released earlier.
+ * A job belongs to userId (signed-in submitter) or, for anonymous submissions, clientAddress.
+ */
+class JobManager extends EventEmitter {
+  constructor(workerPool = null, options = {}) {
+    super();
+    this.setMaxListeners(0); // One listener per open progress stream
+
+    this.workerPool = workerPool;
+    this.retention = options.retention || 15 * 60 * 1000;
+    this.jobs = new Map(); // jobId -> job
+  }
+
+  /**
+   * Create a job and start its task on the next tick
+   * job.promise settles with the task's result (used by synchronous requests)
+   */
+  createJob({ type, userId = null, clientAddress = null }, task) {
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      userId,
+      clientAddress,
+      status: 'queued',
+      stage: 'queued',
+      progress: JOB_STAGES.queued,
+      result: null,
+      error: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      workerJobId: null,
+      streamTokens: new Map(), // token -> expiry time
+      promise: null
+    };
+    this.jobs.set(job.id, job);
+
+    const context = {
+      id: job.id,
+      progress: (stage) => this._setStage(job, stage),
+      runWorker: (jobData, timeout, options) => this._runWorker(job, jobData, timeout, options),
+      isCancelled: () => job.status === 'cancelled'
+    };
+
+    job.promise = new Promise(resolve => setImmediate(resolve))
+      .then(() => {
+        if (job.status === 'cancelled') throw new Error('Job cancelled');
+        job.status = 'running';
+        job.startedAt = Date.now();
+        this._notify(job);
+        return task(context);
+      })
+      .then(
+        result => {
+          if (job.status === 'cancelled') throw new Error('Job cancelled');
+          this._finish(job, 'completed', { result });
+          return result;
+        },
+        error => {
+          if (job.status !== 'cancelled') {
+            this._finish(job, 'failed', { error: error.message });
+          }
+          throw error;
+        }
+      );
+
+    // Asynchronous submissions never await the promise - failures are reported through the job
+    job.promise.catch(() => {});
+
+    console.log(`📋 Job ${job.id} created (type: ${type})`);
+    return job;
+  }
+
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * Cancel a queued or running job; returns false when it has already finished
+   */
+  cancelJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || this.isFinished(job)) {
+      return false;
+    }
+
+    if (job.workerJobId && this.workerPool) {
+      this.workerPool.cancelJob(job.workerJobId);
+    }
+
+    this._finish(job, 'cancelled', { error: 'Job cancelled' });
+    console.log(`🚫 Job ${jobId} cancelled`);
+    return true;
+  }
+
+  /**
+   * Drop a delivered result so the job's retention does not keep it in memory
+   * (synchronous requests send the result in their response)
+   */
+  releaseResult(job) {
+    job.result = null;
+  }
+
+  isFinished(job) {
+    return FINISHED_STATUSES.includes(job.status);
+  }
+
+  /**
+   * Short-lived, single-use token for one progress stream of the job
+   */
+  issueStreamToken(job) {
+    const token = crypto.randomBytes(24).toString('base64url');
+    job.streamTokens.set(token, Date.now() + STREAM_TOKEN_TTL);
+    setTimeout(() => job.streamTokens.delete(token), STREAM_TOKEN_TTL).unref();
+    return token;
+  }
+
+  /**
+   * Use up a stream token; returns false when it is unknown, expired or already used
+   */
+  redeemStreamToken(job, token) {
+    const expiresAt = job.streamTokens.get(token);
+    job.streamTokens.delete(token);
+    return !!expiresAt && expiresAt > Date.now();
+  }
+
+  /**
+   * Listen for status and progress changes of one job; returns the unsubscribe function
+   */
+  subscribe(jobId, listener) {
+    this.on(jobId, listener);
+    return () => this.off(jobId, listener);
+  }
+
+  /**
+   * Public view of a job; the result is only included on request (it can be a whole document)
+   */
+  toJSON(job, { includeResult = false } = {}) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      stage: job.stage,
+      progress: job.progress,
+      error: job.error,
+      createdAt: new Date(job.createdAt).toISOString(),
+      startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+      finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+      ...(includeResult ? { result: job.result } : {})
+    };
+  }
+
+  /**
+   * Number of jobs per status
+   */
+  getStats() {
+    const stats = { queued: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+    this.jobs.forEach(job => {
+      stats[job.status]++;
+    });
+    return stats;
+  }
+
+  // Private methods
+
+  async _runWorker(job, jobData, timeout, options = {}) {
+    if (job.status === 'cancelled') {
+      throw new Error('Job cancelled');
+    }
+    if (!this.workerPool) {
+      throw new Error('Worker Pool not available');
+    }
+
+    const { jobId, promise } = this.workerPool.submitJob(jobData, timeout, {
+      ...options,
+      userId: options.userId || job.userId,
+      onProgress: ({ stage }) => this._setStage(job, stage)
+    });
+    job.workerJobId = jobId;
+
+    try {
+      return await promise;
+    } finally {
+      job.workerJobId = null;
+    }
+  }
+
+  _setStage(job, stage) {
+    if (this.isFinished(job) || !(stage in JOB_STAGES)) return;
+
+    // Progress never goes back, e.g. when a second worker job reports 'started' again
+    job.stage = stage;
+    job.progress = Math.max(job.progress, JOB_STAGES[stage]);
+    this._notify(job);
+  }
+
+  _finish(job, status, { result = null, error = null } = {}) {
+    job.status = status;
+    job.result = result;
+    job.error = error;
+    job.finishedAt = Date.now();
+    if (status === 'completed') {
+      job.stage = 'done';
+      job.progress = JOB_STAGES.done;
+    }
+
+    console.log(`${status === 'completed' ? '✅' : '⚠️'} Job ${job.id} ${status}${error ? `: ${error}` : ''}`);
+    this._notify(job);
+
+    setTimeout(() => this.jobs.delete(job.id), this.retention).unref();
+  }
+
+  _notify(job) {
+    this.emit(job.id, job);
+  }
+}
+
+module.exports = JobManager;
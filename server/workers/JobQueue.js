@@ -0,0 +1,134 @@
+// server/workers/JobQueue.js - Priority queue with per-user round-robin for the WorkerPool
+
+// Highest priority first
+const PRIORITIES = ['interactive', 'upload', 'batch'];
+
+// Default priority per worker job type
+const TYPE_PRIORITIES = {
+  fix: 'interactive',
+  'save-edits': 'interactive',
+  upload: 'upload',
+  export: 'batch'
+};
+
+/**
+ * JobQueue orders waiting jobs by priority (interactive fix > upload > batch export), and within a
+ * priority takes one job per user in turn, so one user's thirty queued chapters do not hold back
+ * everyone else. Each user's own jobs stay in submission order.
+ */
+class JobQueue {
+  constructor() {
+    // priority -> { users: Map(userKey -> jobData[]), order: userKey[] }
+    this.lanes = new Map(PRIORITIES.map(priority => [priority, { users: new Map(), order: [] }]));
+    this.size = 0;
+  }
+
+  /**
+   * Priority for a job: the requested one if known, else the default for its type
+   */
+  static resolvePriority(jobType, priority = null) {
+    if (PRIORITIES.includes(priority)) return priority;
+    return TYPE_PRIORITIES[jobType] || 'upload';
+  }
+
+  /**
+   * Add a job; front puts it ahead of the user's other jobs and the user first in line (re-queued jobs)
+   */
+  enqueue(jobData, { priority, userKey = 'anonymous', front = false }) {
+    const lane = this.lanes.get(priority);
+    if (!lane.users.has(userKey)) {
+      lane.users.set(userKey, []);
+      if (front) {
+        lane.order.unshift(userKey);
+      } else {
+        lane.order.push(userKey);
+      }
+    } else if (front) {
+      lane.order.splice(lane.order.indexOf(userKey), 1);
+      lane.order.unshift(userKey);
+    }
+
+    const jobs = lane.users.get(userKey);
+    if (front) {
+      jobs.unshift(jobData);
+    } else {
+      jobs.push(jobData);
+    }
+    this.size++;
+  }
+
+  /**
+   * Next job: highest priority lane with jobs, next user in that lane's rotation
+   */
+  dequeue() {
+    for (const lane of this.lanes.values()) {
+      if (lane.order.length === 0) continue;
+
+      const userKey = lane.order.shift();
+      const jobs = lane.users.get(userKey);
+      const jobData = jobs.shift();
+
+      if (jobs.length > 0) {
+        lane.order.push(userKey); // Back of the line until everyone else had a turn
+      } else {
+        lane.users.delete(userKey);
+      }
+
+      this.size--;
+      return jobData;
+    }
+
+    return null;
+  }
+
+  /**
+   * Remove a waiting job (cancelled or timed out); returns false when it is not queued
+   */
+  remove(jobId) {
+    for (const lane of this.lanes.values()) {
+      for (const [userKey, jobs] of lane.users.entries()) {
+        const index = jobs.findIndex(jobData => jobData.jobId === jobId);
+        if (index === -1) continue;
+
+        jobs.splice(index, 1);
+        if (jobs.length === 0) {
+          lane.users.delete(userKey);
+          lane.order.splice(lane.order.indexOf(userKey), 1);
+        }
+        this.size--;
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Remove and return every waiting job
+   */
+  drain() {
+    const jobs = [];
+    let jobData;
+    while ((jobData = this.dequeue())) {
+      jobs.push(jobData);
+    }
+    return jobs;
+  }
+
+  /**
+   * Waiting jobs and distinct waiting users per priority
+   */
+  getDepth() {
+    const depth = {};
+    this.lanes.forEach((lane, priority) => {
+      let jobs = 0;
+      lane.users.forEach(userJobs => {
+        jobs += userJobs.length;
+      });
+      depth[priority] = { jobs, users: lane.users.size };
+    });
+    return depth;
+  }
+}
+
+module.exports = JobQueue;
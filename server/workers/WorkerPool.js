@@ -2,21 +2,43 @@
 const { Worker } = require('worker_threads');
 const path = require('path');
 const { EventEmitter } = require('events');
+const JobQueue = require('./JobQueue');
+
+// Most recent pool decisions kept for the health endpoint
+const MAX_DECISIONS = 20;
 
 /**
  * WorkerPool manages a pool of worker threads for concurrent document processing
  * Ensures multiple users can process documents simultaneously without blocking
+ * Waiting jobs are ordered by priority, then round-robin between users (see JobQueue)
+ *
+ * Worker lifecycle (options):
+ * - resourceLimits: V8 heap limits per worker; a worker that exceeds them dies and its job fails
+ * - maxJobsPerWorker / maxHeapMB: a worker is recycled (replaced) after that many jobs, or when the
+ *   heap it reports after a job is above the threshold
+ * - minWorkers / maxWorkers: workers are added while jobs wait (up to max) and idle workers above
+ *   min are retired after idleTimeout
+ * Every recycle, scale and replace decision is kept in getStats().decisions.
  */
 class WorkerPool extends EventEmitter {
-  constructor(poolSize = 4, workerScript) {
+  constructor(poolSize = 4, workerScript, options = {}) {
     super();
 
-    this.poolSize = poolSize;
+    this.minWorkers = options.minWorkers || poolSize;
+    this.maxWorkers = Math.max(options.maxWorkers || this.minWorkers, this.minWorkers);
+    this.poolSize = this.minWorkers;
+    this.resourceLimits = options.resourceLimits || { maxOldGenerationSizeMb: 1024 };
+    this.maxJobsPerWorker = options.maxJobsPerWorker || 100;
+    this.maxHeapMB = options.maxHeapMB || 512;
+    this.idleTimeout = options.idleTimeout || 60000;
+    this.maxAttempts = options.maxAttempts || 2; // A job whose worker dies is retried once
     this.workerScript = workerScript;
+    this.nextWorkerId = 0;
+    this.decisions = [];
     this.workers = [];
     this.availableWorkers = [];
     this.busyWorkers = new Map(); // worker -> jobId
-    this.jobQueue = [];
+    this.jobQueue = new JobQueue();
     this.activeJobs = new Map(); // jobId -> { resolve, reject, timeout, jobData }
     this.isShuttingDown = false;
 
@@ -24,33 +46,47 @@ class WorkerPool extends EventEmitter {
     this.stats = {
       totalJobsProcessed: 0,
       totalJobsFailed: 0,
+      totalJobsCancelled: 0,
       currentQueueSize: 0,
-      peakQueueSize: 0
+      peakQueueSize: 0,
+      workersRecycled: 0,
+      workersReplaced: 0,
+      scaleUps: 0,
+      scaleDowns: 0
     };
 
     // Initialize worker pool
     this._initializeWorkers();
 
-    console.log(`✅ WorkerPool initialized with ${poolSize} workers`);
+    // Retire idle workers above the minimum
+    this.scaleDownInterval = setInterval(() => this._scaleDown(), Math.min(this.idleTimeout, 30000));
+    this.scaleDownInterval.unref();
+
+    console.log(`✅ WorkerPool initialized with ${this.minWorkers} workers (max ${this.maxWorkers})`);
   }
 
   /**
    * Initialize all worker threads
    */
   _initializeWorkers() {
-    for (let i = 0; i < this.poolSize; i++) {
-      this._createWorker(i);
+    for (let i = 0; i < this.minWorkers; i++) {
+      this._createWorker();
     }
   }
 
   /**
    * Create a single worker thread
    */
-  _createWorker(workerId) {
-    const worker = new Worker(this.workerScript);
+  _createWorker() {
+    const workerId = this.nextWorkerId++;
+    const worker = new Worker(this.workerScript, { resourceLimits: this.resourceLimits });
     worker.workerId = workerId;
     worker.isAvailable = true;
     worker.currentJobId = null;
+    worker.jobsProcessed = 0;
+    worker.heapUsed = 0;
+    worker.idleSince = Date.now();
+    worker.retired = null; // Reason, once the pool has taken the worker out of service
 
     // Handle messages from worker
     worker.on('message', (message) => {
@@ -69,26 +105,116 @@ class WorkerPool extends EventEmitter {
 
     this.workers.push(worker);
     this.availableWorkers.push(worker);
+    this.poolSize = this.workers.length;
 
     console.log(`Worker ${workerId} created and ready`);
+    return worker;
+  }
+
+  /**
+   * Take a worker out of service and terminate it; its exit is then not treated as a crash
+   */
+  _retireWorker(worker, reason) {
+    worker.retired = reason;
+    this.busyWorkers.delete(worker);
+    this.workers = this.workers.filter(candidate => candidate !== worker);
+    this.availableWorkers = this.availableWorkers.filter(candidate => candidate !== worker);
+    this.poolSize = this.workers.length;
+    worker.terminate();
+  }
+
+  /**
+   * Keep at least minWorkers, and add workers (up to maxWorkers) while jobs wait with no worker free
+   */
+  _ensureCapacity() {
+    if (this.isShuttingDown) {
+      return;
+    }
+
+    while (this.workers.length < this.minWorkers) {
+      const worker = this._createWorker();
+      this.stats.workersReplaced++;
+      this._recordDecision('replace', worker.workerId, `pool below minimum of ${this.minWorkers} workers`);
+    }
+
+    const waiting = this.jobQueue.size - this.availableWorkers.length;
+    for (let i = 0; i < waiting && this.workers.length < this.maxWorkers; i++) {
+      const worker = this._createWorker();
+      this.stats.scaleUps++;
+      this._recordDecision('scale-up', worker.workerId, `${this.jobQueue.size} job(s) waiting`);
+    }
+  }
+
+  /**
+   * Retire workers idle for longer than idleTimeout while the pool is above minWorkers
+   */
+  _scaleDown() {
+    if (this.isShuttingDown || this.jobQueue.size > 0) {
+      return;
+    }
+
+    const now = Date.now();
+    this.availableWorkers
+      .filter(worker => now - worker.idleSince > this.idleTimeout)
+      .forEach(worker => {
+        if (this.workers.length <= this.minWorkers) return;
+        this._retireWorker(worker, 'idle');
+        this.stats.scaleDowns++;
+        this._recordDecision('scale-down', worker.workerId, `idle for ${Math.round((now - worker.idleSince) / 1000)}s`);
+      });
+  }
+
+  /**
+   * Why a worker should be recycled after its last job, or null
+   */
+  _recycleReason(worker) {
+    if (worker.jobsProcessed >= this.maxJobsPerWorker) {
+      return `processed ${worker.jobsProcessed} jobs`;
+    }
+    if (worker.heapUsed > this.maxHeapMB * 1024 * 1024) {
+      return `heap ${Math.round(worker.heapUsed / 1024 / 1024)}MB above ${this.maxHeapMB}MB`;
+    }
+    return null;
+  }
+
+  _recordDecision(action, workerId, reason) {
+    console.log(`⚖️ WorkerPool ${action}: worker ${workerId} (${reason}, workers: ${this.workers.length})`);
+    this.decisions.unshift({ action, workerId, reason, workers: this.workers.length, timestamp: new Date().toISOString() });
+    this.decisions.length = Math.min(this.decisions.length, MAX_DECISIONS);
   }
 
   /**
    * Execute a job on an available worker
    * Returns a promise that resolves with the job result
    */
-  executeJob(jobData, timeout = 60000) {
+  executeJob(jobData, timeout = 60000, options = {}) {
+    return this.submitJob(jobData, timeout, options).promise;
+  }
+
+  /**
+   * Queue a job and return its ID together with the result promise, so the job can be cancelled
+   * options.priority: 'interactive' | 'upload' | 'batch' (default from the job type)
+   * options.userId: who the job is for - jobs of one user take turns with everyone else's
+   * options.onProgress receives { jobId, stage }: 'started' when a worker picks the job up, then the
+   * stages the worker reports
+   * The promise rejects with error.code 'JOB_TIMEOUT', 'WORKER_OUT_OF_MEMORY' or 'WORKER_EXITED' (the
+   * worker kept dying on the job) when the job exhausted its time or memory
+   */
+  submitJob(jobData, timeout = 60000, options = {}) {
     if (this.isShuttingDown) {
-      return Promise.reject(new Error('WorkerPool is shutting down'));
+      return { jobId: null, promise: Promise.reject(new Error('WorkerPool is shutting down')) };
     }
 
     // Generate unique job ID
     const jobId = `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     jobData.jobId = jobId;
 
-    console.log(`📥 Job ${jobId} received (type: ${jobData.type})`);
+    const priority = JobQueue.resolvePriority(jobData.type, options.priority);
+    const userKey = options.userId || 'anonymous';
+
+    console.log(`📥 Job ${jobId} received (type: ${jobData.type}, priority: ${priority})`);
 
-    return new Promise((resolve, reject) => {
+    const promise = new Promise((resolve, reject) => {
       // Set up timeout
       const timeoutId = setTimeout(() => {
         this._handleJobTimeout(jobId);
@@ -100,6 +226,10 @@ class WorkerPool extends EventEmitter {
         reject,
         timeout: timeoutId,
         jobData,
+        priority,
+        userKey,
+        onProgress: options.onProgress || null,
+        attempts: 0,
         startTime: Date.now()
       });
 
@@ -109,12 +239,50 @@ class WorkerPool extends EventEmitter {
         this._assignJobToWorker(worker, jobData);
       } else {
         // No available worker, add to queue
-        this.jobQueue.push(jobData);
-        this.stats.currentQueueSize = this.jobQueue.length;
+        this.jobQueue.enqueue(jobData, { priority, userKey });
+        this.stats.currentQueueSize = this.jobQueue.size;
         this.stats.peakQueueSize = Math.max(this.stats.peakQueueSize, this.stats.currentQueueSize);
-        console.log(`⏳ Job ${jobId} queued (queue size: ${this.jobQueue.length})`);
+        console.log(`⏳ Job ${jobId} queued (${priority}, queue size: ${this.jobQueue.size})`);
+
+        // Add workers while jobs wait, up to maxWorkers
+        this._ensureCapacity();
+        this._processQueue();
       }
     });
+
+    return { jobId, promise };
+  }
+
+  /**
+   * Cancel a queued or running job; a running job's worker is terminated and replaced
+   * Returns false when the job is unknown or already finished
+   */
+  cancelJob(jobId) {
+    const job = this.activeJobs.get(jobId);
+    if (!job) {
+      return false;
+    }
+
+    clearTimeout(job.timeout);
+    this.activeJobs.delete(jobId);
+    this.stats.totalJobsCancelled++;
+    job.reject(new Error('Job cancelled'));
+
+    if (this.jobQueue.remove(jobId)) {
+      this.stats.currentQueueSize = this.jobQueue.size;
+      console.log(`🚫 Job ${jobId} cancelled while queued`);
+      return true;
+    }
+
+    for (const [worker, currentJobId] of this.busyWorkers.entries()) {
+      if (currentJobId === jobId) {
+        console.warn(`🚫 Job ${jobId} cancelled - terminating worker ${worker.workerId}`);
+        worker.terminate();
+        break;
+      }
+    }
+
+    return true;
   }
 
   /**
@@ -134,6 +302,12 @@ class WorkerPool extends EventEmitter {
 
     console.log(`🔄 Assigning job ${jobData.jobId} to worker ${worker.workerId}`);
 
+    const job = this.activeJobs.get(jobData.jobId);
+    if (job) {
+      job.attempts++;
+      job.onProgress?.({ jobId: jobData.jobId, stage: 'started' });
+    }
+
     // Send job to worker
     worker.postMessage(jobData);
   }
@@ -144,31 +318,51 @@ class WorkerPool extends EventEmitter {
   _handleWorkerMessage(worker, message) {
     const { jobId, success, result, error, processingTime } = message;
 
+    // Progress report - the job is still running
+    if (message.type === 'progress') {
+      this.activeJobs.get(jobId)?.onProgress?.({ jobId, stage: message.stage });
+      return;
+    }
+
     console.log(`📤 Worker ${worker.workerId} completed job ${jobId} (success: ${success}, time: ${processingTime}ms)`);
 
+    worker.jobsProcessed++;
+    if (message.heapUsed) {
+      worker.heapUsed = message.heapUsed;
+    }
+
     // Get job metadata
     const job = this.activeJobs.get(jobId);
-    if (!job) {
+    if (job) {
+      // Clear timeout
+      clearTimeout(job.timeout);
+
+      // Update statistics
+      if (success) {
+        this.stats.totalJobsProcessed++;
+        job.resolve(result);
+      } else {
+        this.stats.totalJobsFailed++;
+        job.reject(new Error(error || 'Worker processing failed'));
+      }
+
+      // Clean up
+      this.activeJobs.delete(jobId);
+    } else {
       console.warn(`⚠️ Received result for unknown job ${jobId}`);
-      return;
     }
 
-    // Clear timeout
-    clearTimeout(job.timeout);
-
-    // Update statistics
-    if (success) {
-      this.stats.totalJobsProcessed++;
-      job.resolve(result);
+    // Recycle a worker that has done enough jobs or grown too large, otherwise reuse it
+    const recycleReason = this._recycleReason(worker);
+    if (recycleReason) {
+      this._retireWorker(worker, 'recycled');
+      this.stats.workersRecycled++;
+      this._recordDecision('recycle', worker.workerId, recycleReason);
+      this._ensureCapacity();
     } else {
-      this.stats.totalJobsFailed++;
-      job.reject(new Error(error || 'Worker processing failed'));
+      this._freeWorker(worker);
     }
 
-    // Clean up
-    this.activeJobs.delete(jobId);
-    this._freeWorker(worker);
-
     // Process next job in queue if any
     this._processQueue();
   }
@@ -184,20 +378,29 @@ class WorkerPool extends EventEmitter {
       const job = this.activeJobs.get(jobId);
       if (job) {
         clearTimeout(job.timeout);
-        job.reject(new Error(`Worker error: ${error.message}`));
+        job.reject(error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+          ? Object.assign(new Error(`Worker ran out of memory (limit ${this.resourceLimits.maxOldGenerationSizeMb || 'default'}MB)`), { code: 'WORKER_OUT_OF_MEMORY' })
+          : new Error(`Worker error: ${error.message}`));
         this.activeJobs.delete(jobId);
         this.stats.totalJobsFailed++;
       }
     }
 
-    // Worker might still be functional, try to free it
-    this._freeWorker(worker);
+    // An uncaught error terminates the worker - keep it out of the pool until its exit is handled
+    worker.isAvailable = false;
+    this.availableWorkers = this.availableWorkers.filter(candidate => candidate !== worker);
   }
 
   /**
    * Handle worker exit
    */
   _handleWorkerExit(worker, code) {
+    // Recycled and scaled-down workers were already replaced or are no longer needed
+    if (worker.retired) {
+      console.log(`♻️ Worker ${worker.workerId} exited (${worker.retired})`);
+      return;
+    }
+
     console.warn(`⚠️ Worker ${worker.workerId} exited with code ${code}`);
 
     // Handle any active job on this worker
@@ -205,18 +408,22 @@ class WorkerPool extends EventEmitter {
     if (jobId) {
       const job = this.activeJobs.get(jobId);
       if (job) {
-        clearTimeout(job.timeout);
-
-        // If not shutting down, re-queue the job
-        if (!this.isShuttingDown) {
-          console.log(`♻️ Re-queueing job ${jobId} after worker exit`);
-          this.jobQueue.unshift(job.jobData);
-          this.stats.currentQueueSize = this.jobQueue.length;
-        } else {
+        if (this.isShuttingDown) {
+          clearTimeout(job.timeout);
           job.reject(new Error('Worker exited during shutdown'));
+          this.activeJobs.delete(jobId);
+        } else if (job.attempts >= this.maxAttempts) {
+          // The job itself is the likely cause (e.g. a document that exhausts the heap) - do not retry
+          clearTimeout(job.timeout);
+          job.reject(Object.assign(new Error(`Worker exited while processing the job (${job.attempts} attempts)`), { code: 'WORKER_EXITED' }));
+          this.activeJobs.delete(jobId);
+          this.stats.totalJobsFailed++;
+        } else {
+          // Re-queue the job; it keeps its timeout
+          console.log(`♻️ Re-queueing job ${jobId} after worker exit`);
+          this.jobQueue.enqueue(job.jobData, { priority: job.priority, userKey: job.userKey, front: true });
+          this.stats.currentQueueSize = this.jobQueue.size;
         }
-
-        this.activeJobs.delete(jobId);
       }
     }
 
@@ -230,11 +437,16 @@ class WorkerPool extends EventEmitter {
     if (workerIndex !== -1) {
       this.workers.splice(workerIndex, 1);
     }
+    this.poolSize = this.workers.length;
 
-    // If not shutting down, create a replacement worker
+    // If not shutting down, create a replacement worker when the pool needs one
     if (!this.isShuttingDown) {
-      console.log(`🔄 Creating replacement worker for worker ${worker.workerId}`);
-      this._createWorker(worker.workerId);
+      if (this.workers.length < this.minWorkers || this.jobQueue.size > this.availableWorkers.length) {
+        const replacement = this._createWorker();
+        this.stats.workersReplaced++;
+        this._recordDecision('replace', replacement.workerId, `worker ${worker.workerId} exited with code ${code}`);
+      }
+      this._ensureCapacity();
       this._processQueue();
     }
   }
@@ -250,10 +462,16 @@ class WorkerPool extends EventEmitter {
       return;
     }
 
-    job.reject(new Error('Job processing timeout'));
+    job.reject(Object.assign(new Error('Job processing timeout'), { code: 'JOB_TIMEOUT' }));
     this.activeJobs.delete(jobId);
     this.stats.totalJobsFailed++;
 
+    // A job that timed out while waiting must not reach a worker later
+    if (this.jobQueue.remove(jobId)) {
+      this.stats.currentQueueSize = this.jobQueue.size;
+      return;
+    }
+
     // Find and terminate the worker handling this job
     for (const [worker, currentJobId] of this.busyWorkers.entries()) {
       if (currentJobId === jobId) {
@@ -272,6 +490,8 @@ class WorkerPool extends EventEmitter {
     worker.currentJobId = null;
     this.busyWorkers.delete(worker);
 
+    worker.idleSince = Date.now();
+
     // Only add back to available pool if worker is still in the workers array
     if (this.workers.includes(worker) && !this.availableWorkers.includes(worker)) {
       this.availableWorkers.push(worker);
@@ -283,7 +503,7 @@ class WorkerPool extends EventEmitter {
    * Process the next job in the queue
    */
   _processQueue() {
-    if (this.jobQueue.length === 0) {
+    if (this.jobQueue.size === 0) {
       return;
     }
 
@@ -292,14 +512,14 @@ class WorkerPool extends EventEmitter {
       return;
     }
 
-    const jobData = this.jobQueue.shift();
-    this.stats.currentQueueSize = this.jobQueue.length;
+    const jobData = this.jobQueue.dequeue();
+    this.stats.currentQueueSize = this.jobQueue.size;
 
-    console.log(`📤 Processing queued job ${jobData.jobId} (remaining: ${this.jobQueue.length})`);
+    console.log(`📤 Processing queued job ${jobData.jobId} (remaining: ${this.jobQueue.size})`);
     this._assignJobToWorker(worker, jobData);
 
     // Process more if possible
-    if (this.jobQueue.length > 0 && this.availableWorkers.length > 0) {
+    if (this.jobQueue.size > 0 && this.availableWorkers.length > 0) {
       this._processQueue();
     }
   }
@@ -314,7 +534,23 @@ class WorkerPool extends EventEmitter {
       availableWorkers: this.availableWorkers.length,
       busyWorkers: this.busyWorkers.size,
       activeJobs: this.activeJobs.size,
-      currentQueueSize: this.jobQueue.length
+      currentQueueSize: this.jobQueue.size,
+      queueDepth: this.jobQueue.getDepth(),
+      minWorkers: this.minWorkers,
+      maxWorkers: this.maxWorkers,
+      limits: {
+        resourceLimits: this.resourceLimits,
+        maxJobsPerWorker: this.maxJobsPerWorker,
+        maxHeapMB: this.maxHeapMB,
+        idleTimeout: this.idleTimeout
+      },
+      workers: this.workers.map(worker => ({
+        workerId: worker.workerId,
+        busy: this.busyWorkers.has(worker),
+        jobsProcessed: worker.jobsProcessed,
+        heapUsedMB: Math.round(worker.heapUsed / 1024 / 1024)
+      })),
+      decisions: this.decisions
     };
   }
 
@@ -328,17 +564,17 @@ class WorkerPool extends EventEmitter {
 
     console.log('🛑 Shutting down WorkerPool...');
     this.isShuttingDown = true;
+    clearInterval(this.scaleDownInterval);
 
     // Reject all queued jobs
-    while (this.jobQueue.length > 0) {
-      const jobData = this.jobQueue.shift();
+    this.jobQueue.drain().forEach(jobData => {
       const job = this.activeJobs.get(jobData.jobId);
       if (job) {
         clearTimeout(job.timeout);
         job.reject(new Error('WorkerPool shutdown'));
         this.activeJobs.delete(jobData.jobId);
       }
-    }
+    });
 
     // Wait for active jobs to complete (with timeout)
     const shutdownTimeout = 30000; // 30 seconds
@@ -1,11 +1,16 @@
 // server/workers/documentProcessor.worker.js - Worker thread for document processing
 const { parentPort } = require('worker_threads');
+const v8 = require('v8');
 const XmlDocxProcessor = require('../processors/XmlDocxProcessor');
 const DocxModifier = require('../processors/DocxModifier');
+const DocxExporter = require('../processors/DocxExporter');
+const DocumentAnalyzer = require('../analyzers/DocumentAnalyzer');
 
 // Initialize processors
 const xmlProcessor = new XmlDocxProcessor();
 const docxModifier = new DocxModifier();
+const docxExporter = new DocxExporter();
+const documentAnalyzer = new DocumentAnalyzer();
 
 // Track processing for logging
 let jobsProcessed = 0;
@@ -26,7 +31,7 @@ parentPort.on('message', async (message) => {
 
     switch (type) {
       case 'upload':
-        result = await processUpload(data);
+        result = await processUpload(data, jobId);
         break;
 
       case 'fix':
@@ -37,6 +42,10 @@ parentPort.on('message', async (message) => {
         result = await processSaveEdits(data);
         break;
 
+      case 'export':
+        result = await processExport(data);
+        break;
+
       default:
         throw new Error(`Unknown job type: ${type}`);
     }
@@ -51,7 +60,8 @@ parentPort.on('message', async (message) => {
       jobId,
       success: true,
       result,
-      processingTime
+      processingTime,
+      heapUsed: v8.getHeapStatistics().used_heap_size // Lets the pool recycle a worker that has grown too large
     });
 
   } catch (error) {
@@ -64,16 +74,22 @@ parentPort.on('message', async (message) => {
       jobId,
       success: false,
       error: error.message,
-      processingTime
+      processingTime,
+      heapUsed: v8.getHeapStatistics().used_heap_size
     });
   }
 });
 
 /**
  * Process document upload (XML parsing and APA analysis data extraction)
+ * With analyze: true also runs the editor's full APA analysis ('validate' stage, see
+ * DocumentAnalyzer for analysisOptions); analysis is null when it fails, so the editor analyzes
+ * the document itself when it is opened
+ * Each processing stage is reported to the main thread as a progress message
  */
-async function processUpload(data) {
-  const { buffer, filename } = data;
+async function processUpload(data, jobId) {
+  const { buffer, filename, revisionMode, timeout, analyze = false, analysisOptions } = data;
+  const reportProgress = (stage) => parentPort.postMessage({ jobId, type: 'progress', stage });
 
   console.log(`📄 Processing upload: ${filename} (${buffer.length} bytes)`);
 
@@ -87,7 +103,11 @@ async function processUpload(data) {
   }
 
   // Process document buffer using XmlDocxProcessor
-  const result = await xmlProcessor.processDocumentBuffer(buffer, filename);
+  const result = await xmlProcessor.processDocumentBuffer(buffer, filename, {
+    revisionMode,
+    timeout,
+    onProgress: reportProgress
+  });
 
   // Validate result
   if (!result || !result.text || !result.html) {
@@ -96,8 +116,20 @@ async function processUpload(data) {
 
   console.log(`✅ Upload processed: ${result.text.length} chars, ${result.formatting?.paragraphs?.length || 0} paragraphs`);
 
+  let analysis = null;
+  if (analyze) {
+    reportProgress('validate');
+    try {
+      analysis = await documentAnalyzer.analyze(result, analysisOptions);
+      console.log(`✅ APA analysis: ${analysis.issueCount} issues, score ${analysis.complianceScore}`);
+    } catch (error) {
+      console.error('❌ APA analysis failed:', error.message);
+    }
+  }
+
   return {
     document: result,
+    analysis,
     stats: {
       textLength: result.text.length,
       htmlLength: result.html.length,
@@ -111,7 +143,7 @@ async function processUpload(data) {
  * Process formatting fix application (DOCX modification)
  */
 async function processFix(data) {
-  const { buffer, fixAction, fixValue, filename } = data;
+  const { buffer, fixAction, fixValue, options, filename } = data;
 
   console.log(`🔧 Processing fix: ${fixAction} for ${filename}`);
 
@@ -125,7 +157,7 @@ async function processFix(data) {
   }
 
   // Apply fix using DocxModifier
-  const fixResult = await docxModifier.applyFormattingFix(buffer, fixAction, fixValue);
+  const fixResult = await docxModifier.applyFormattingFix(buffer, fixAction, fixValue, options);
 
   if (!fixResult.success) {
     throw new Error(fixResult.error || 'Fix application failed');
@@ -173,6 +205,30 @@ async function processSaveEdits(data) {
   };
 }
 
+/**
+ * Process DOCX export (stored document data and Tiptap JSON to DOCX generation)
+ */
+async function processExport(data) {
+  const { documentData, tiptapContent, originalDocx, filename } = data;
+
+  console.log(`📤 Processing export: ${filename}`);
+
+  // Validate input
+  if (!documentData) {
+    throw new Error('Document data is required');
+  }
+
+  // Generate DOCX with the editor's exporter
+  const buffer = await docxExporter.exportDocument({ documentData, tiptapContent, originalDocx });
+
+  console.log(`✅ DOCX exported: ${buffer.length} bytes`);
+
+  return {
+    buffer,
+    success: true
+  };
+}
+
 /**
  * Handle worker errors
  */
@@ -17,7 +17,7 @@ export default function DashboardClient({ user, profile, initialDocuments }) {
   const [uploadingFileName, setUploadingFileName] = useState('');
   const [error, setError] = useState('');
 
-  const handleFileUpload = async (file) => {
+  const handleFileUpload = async (file, options = {}) => {
     if (!file) return;
 
     setUploadingFileName(file.name);
@@ -94,6 +94,7 @@ export default function DashboardClient({ user, profile, initialDocuments }) {
         },
         body: JSON.stringify({
           documentId: documentData.id,
+          revisionMode: options.revisionMode,
         }),
       });
 
@@ -7,6 +7,7 @@ import { updateUserProfile } from '@/lib/profiles';
 import { useToast } from '@/hooks/use-toast';
 import Sidebar from '@/components/dashboard/Sidebar';
 import MobileSidebar from '@/components/dashboard/MobileSidebar';
+import { ApiKeysCard } from '@/components/profile/ApiKeysCard';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
@@ -256,6 +257,8 @@ export default function ProfileClient({ user, profile }) {
             </CardContent>
           </Card>
 
+          {/* API Keys for the public REST API */}
+          <ApiKeysCard user={user} />
 
           {/* Account Actions */}
           <Card className="border-red-200">
@@ -0,0 +1,135 @@
+'use client';
+
+import { memo, useCallback, useEffect, useLayoutEffect, useRef, useState } from 'react';
+import { MessageSquare } from 'lucide-react';
+import { findCommentRange } from '@/utils/tiptapCommentHighlighter';
+
+const CARD_GAP = 8;
+
+const formatDate = (date) => {
+  if (!date) return null;
+  const parsed = new Date(date);
+  return isNaN(parsed.getTime()) ? null : parsed.toLocaleDateString();
+};
+
+/**
+ * Side gutter listing imported Word comments next to the text they are anchored to
+ * Positions follow the editor layout; overlapping cards are pushed down
+ */
+const CommentsGutter = memo(({ editor, comments = [], activeCommentId, onCommentClick }) => {
+  const containerRef = useRef(null);
+  const cardRefs = useRef(new Map());
+  const [anchorTops, setAnchorTops] = useState({});
+
+  const measureAnchors = useCallback(() => {
+    if (!editor || editor.isDestroyed || !containerRef.current) return;
+
+    const containerTop = containerRef.current.getBoundingClientRect().top;
+    const tops = {};
+
+    comments.forEach(comment => {
+      try {
+        const range = findCommentRange(editor.state.doc, comment);
+        if (!range) return;
+        tops[comment.id] = editor.view.coordsAtPos(range.from).top - containerTop;
+      } catch (error) {
+        // Position outside the current document - leave the comment unplaced
+      }
+    });
+
+    setAnchorTops(tops);
+  }, [editor, comments]);
+
+  // Re-measure when the document or layout changes
+  useEffect(() => {
+    if (!editor) return;
+
+    measureAnchors();
+    editor.on('update', measureAnchors);
+    window.addEventListener('resize', measureAnchors);
+
+    return () => {
+      editor.off('update', measureAnchors);
+      window.removeEventListener('resize', measureAnchors);
+    };
+  }, [editor, measureAnchors]);
+
+  // Stack cards so they never overlap
+  useLayoutEffect(() => {
+    let nextFreeTop = 0;
+
+    comments
+      .filter(comment => anchorTops[comment.id] !== undefined)
+      .sort((a, b) => anchorTops[a.id] - anchorTops[b.id])
+      .forEach(comment => {
+        const card = cardRefs.current.get(comment.id);
+        if (!card) return;
+
+        const top = Math.max(anchorTops[comment.id], nextFreeTop);
+        card.style.top = `${top}px`;
+        nextFreeTop = top + card.offsetHeight + CARD_GAP;
+      });
+  }, [comments, anchorTops, activeCommentId]);
+
+  if (comments.length === 0) {
+    return null;
+  }
+
+  const anchored = comments.filter(comment => comment.anchor);
+  const unanchored = comments.filter(comment => !comment.anchor);
+
+  const renderCard = (comment, positioned) => {
+    const isActive = comment.id === activeCommentId;
+    const isMeasured = anchorTops[comment.id] !== undefined;
+
+    return (
+      <button
+        key={comment.id}
+        type="button"
+        ref={positioned ? (node) => {
+          if (node) cardRefs.current.set(comment.id, node);
+          else cardRefs.current.delete(comment.id);
+        } : undefined}
+        onClick={() => onCommentClick?.(isActive ? null : comment.id)}
+        className={`${positioned ? `absolute left-0 right-0 ${isMeasured ? '' : 'invisible'}` : 'w-full'} text-left rounded-lg border p-3 text-sm shadow-sm transition-colors ${
+          isActive
+            ? 'border-amber-400 bg-amber-50'
+            : 'border-slate-200 bg-white hover:border-amber-300'
+        }`}
+      >
+        <div className="flex items-center justify-between gap-2 mb-1">
+          <span className="font-semibold text-slate-800 truncate">{comment.author}</span>
+          {formatDate(comment.date) && (
+            <span className="text-xs text-slate-400 shrink-0">{formatDate(comment.date)}</span>
+          )}
+        </div>
+        {comment.anchor?.text && (
+          <p className="text-xs italic text-slate-500 mb-1 line-clamp-1">&ldquo;{comment.anchor.text}&rdquo;</p>
+        )}
+        <p className={`text-slate-700 whitespace-pre-wrap ${isActive ? '' : 'line-clamp-3'}`}>{comment.text}</p>
+      </button>
+    );
+  };
+
+  return (
+    <aside className="w-72 shrink-0 hidden lg:block">
+      <div className="flex items-center gap-2 mb-3 text-xs font-semibold uppercase tracking-wide text-slate-500">
+        <MessageSquare className="h-4 w-4" />
+        Comments ({comments.length})
+      </div>
+      {/* Comments without an anchor in the body (e.g., inside tables) */}
+      {unanchored.length > 0 && (
+        <div className="space-y-2 mb-2">
+          {unanchored.map(comment => renderCard(comment, false))}
+        </div>
+      )}
+      <div ref={containerRef} className="relative">
+        {anchored.map(comment => renderCard(comment, true))}
+      </div>
+    </aside>
+  );
+});
+
+CommentsGutter.displayName = 'CommentsGutter';
+
+export default CommentsGutter;
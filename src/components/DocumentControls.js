@@ -9,6 +9,9 @@ import {
   Download,
   FileText,
   File,
+  FileCheck2,
+  FileDiff,
+  MessageSquareText,
   Undo2,
   Redo2
 } from 'lucide-react';
@@ -111,6 +114,36 @@ const DocumentControls = memo(({
                   <span>{isExporting ? 'Exporting...' : 'Export DOCX'}</span>
                 </button>
 
+                <button
+                  onClick={() => handleExport('docx-original')}
+                  disabled={isExporting}
+                  title="Export your edits into the original file, keeping everything else exactly as uploaded"
+                  className="flex items-center space-x-2 px-4 py-2 rounded-xl text-sm font-medium transition-all duration-200 bg-slate-100 text-slate-700 hover:bg-slate-200 shadow-sm disabled:bg-slate-100 disabled:cursor-not-allowed"
+                >
+                  <FileCheck2 className="h-4 w-4" />
+                  <span>Original File</span>
+                </button>
+
+                <button
+                  onClick={() => handleExport('docx-suggest')}
+                  disabled={isExporting}
+                  title="Export with applied fixes as tracked changes to accept or reject in Word"
+                  className="flex items-center space-x-2 px-4 py-2 rounded-xl text-sm font-medium transition-all duration-200 bg-slate-100 text-slate-700 hover:bg-slate-200 shadow-sm disabled:bg-slate-100 disabled:cursor-not-allowed"
+                >
+                  <FileDiff className="h-4 w-4" />
+                  <span>Suggest Mode</span>
+                </button>
+
+                <button
+                  onClick={() => handleExport('docx-comments')}
+                  disabled={isExporting}
+                  title="Export with open APA issues as Word comments on the text they refer to"
+                  className="flex items-center space-x-2 px-4 py-2 rounded-xl text-sm font-medium transition-all duration-200 bg-slate-100 text-slate-700 hover:bg-slate-200 shadow-sm disabled:bg-slate-100 disabled:cursor-not-allowed"
+                >
+                  <MessageSquareText className="h-4 w-4" />
+                  <span>With Comments</span>
+                </button>
+
                 <button
                   onClick={() => handleExport('html')}
                   disabled={isExporting}
@@ -0,0 +1,38 @@
+'use client';
+
+import { memo } from 'react';
+
+/**
+ * Footnotes and endnotes extracted from the DOCX, listed in reference order
+ * Notes are read-only - they live in footnotes.xml/endnotes.xml, not in the editor body
+ */
+const DocumentNotes = memo(({ footnotes = [], endnotes = [] }) => {
+  if (footnotes.length === 0 && endnotes.length === 0) {
+    return null;
+  }
+
+  const renderNotes = (title, notes) => notes.length > 0 && (
+    <div className="mb-4 last:mb-0">
+      <h4 className="text-xs font-semibold uppercase tracking-wide text-slate-500 mb-2">{title}</h4>
+      <ol className="space-y-2">
+        {notes.map(note => (
+          <li key={`${note.type}-${note.id}`} className="flex gap-2 text-sm text-slate-700">
+            <sup className="font-semibold text-slate-500 mt-2">{note.number || '?'}</sup>
+            <span className="whitespace-pre-wrap">{note.text}</span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+
+  return (
+    <div className="border-t border-slate-200 px-8 py-6 bg-slate-50/50 rounded-b-xl">
+      {renderNotes('Footnotes', footnotes)}
+      {renderNotes('Endnotes', endnotes)}
+    </div>
+  );
+});
+
+DocumentNotes.displayName = 'DocumentNotes';
+
+export default DocumentNotes;
@@ -31,6 +31,7 @@ export default function IssuesPanel({
   const {
     getIssues,
     applyFix,
+    applyFixes,
     processingState,
     getDocumentStats,
     getComplianceScore,
@@ -95,6 +96,7 @@ export default function IssuesPanel({
   
   const [activeTab, setActiveTab] = useState('issues'); // 'issues' or 'stats'
   const [fixError, setFixError] = useState(null);
+  const [fixSummary, setFixSummary] = useState(null);
 
   // Refs for tracking issue elements
   const issueRefs = useRef({});
@@ -110,6 +112,24 @@ export default function IssuesPanel({
     }
   };
   
+  // Apply every fixable issue in one pass
+  const handleApplyAllFixes = async () => {
+    setFixError(null);
+    try {
+      const result = await applyFixes();
+      const parts = [`Applied ${result.applied.length} fix${result.applied.length === 1 ? '' : 'es'}`];
+      if (result.conflicts.length > 0) parts.push(`${result.conflicts.length} left for review (overlapping fixes)`);
+      if (result.skipped.length > 0) parts.push(`${result.skipped.length} skipped`);
+      setFixSummary(parts.join(', '));
+      setTimeout(() => setFixSummary(null), 5000);
+    } catch (error) {
+      setFixError(error.message || 'Fixes failed');
+      setTimeout(() => setFixError(null), 5000);
+    }
+  };
+
+  const fixableCount = useMemo(() => (issues || []).filter(issue => issue.hasFix).length, [issues]);
+
   // Group issues by severity and separate document formatting issues
   const { groupedIssues, documentFormattingIssues } = useMemo(() => {
     const grouped = {};
@@ -271,11 +291,32 @@ export default function IssuesPanel({
                   <div className="w-2 h-2 bg-blue-500 rounded-full"></div>
                   <span className="text-sm font-medium text-blue-700">{issueCounts.Minor} Minor</span>
                 </div>
+                {fixableCount > 1 && (
+                  <button
+                    onClick={handleApplyAllFixes}
+                    disabled={processingState.isApplyingFix}
+                    className={`ml-auto flex items-center space-x-2 px-3 py-1.5 rounded-lg text-sm font-medium transition-all duration-200 ${
+                      processingState.isApplyingFix
+                        ? 'bg-slate-100 text-slate-400 cursor-not-allowed'
+                        : 'bg-gradient-to-r from-emerald-500 to-emerald-600 text-white shadow-sm hover:shadow-md'
+                    }`}
+                  >
+                    <Sparkles className="h-4 w-4" />
+                    <span>Fix All ({fixableCount})</span>
+                  </button>
+                )}
               </div>
             )}
           </div>
         )}
 
+        {/* Batch Fix Summary */}
+        {fixSummary && (
+          <div className="mt-4 p-3 bg-emerald-50 border border-emerald-200 rounded-lg">
+            <p className="text-sm text-emerald-800">{fixSummary}</p>
+          </div>
+        )}
+
         {/* Error Message */}
         {fixError && (
           <div className="mt-4 p-3 bg-amber-50 border border-amber-200 rounded-lg">
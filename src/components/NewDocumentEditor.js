@@ -9,6 +9,9 @@ import EmptyDocumentState from '@/components/EmptyDocumentState';
 import LoadingState from '@/components/LoadingState';
 import DocumentControls from '@/components/DocumentControls';
 import FormattingToolbar from '@/components/FormattingToolbar';
+import DocumentNotes from '@/components/DocumentNotes';
+import CommentsGutter from '@/components/CommentsGutter';
+import RevisionReviewBar from '@/components/RevisionReviewBar';
 import { SavingIndicator } from '@/components/SavingIndicator';
 
 /**
@@ -32,7 +35,10 @@ export const NewDocumentEditor = () => {
     toggleHighlighting,
     saveStatus,
     saveError,
-    retrySave
+    retrySave,
+    comments,
+    activeCommentId,
+    setActiveCommentId
   } = useUnifiedDocumentEditor();
 
   const { toast } = useToast();
@@ -98,11 +104,13 @@ export const NewDocumentEditor = () => {
 
       <FormattingToolbar editor={editor} />
 
+      <RevisionReviewBar editor={editor} />
+
       {/* Editor Content */}
       <div className="flex-1 overflow-auto bg-slate-50" style={{ scrollBehavior: 'smooth' }}>
         <div className="p-6">
-          <div className="mx-auto max-w-4xl">
-            <div className="bg-white rounded-xl shadow-lg border border-slate-200">
+          <div className={`mx-auto flex gap-6 ${comments.length > 0 ? 'max-w-6xl' : 'max-w-4xl'}`}>
+            <div className="flex-1 min-w-0 bg-white rounded-xl shadow-lg border border-slate-200">
               {!editorInitialized && (
                 <div className="absolute inset-0 bg-white bg-opacity-75 flex items-center justify-center z-10 rounded-xl">
                   <div className="text-center">
@@ -115,7 +123,17 @@ export const NewDocumentEditor = () => {
                 editor={editor}
                 className="prose max-w-none min-h-[500px] p-8 focus:outline-none"
               />
+              <DocumentNotes
+                footnotes={documentModel.structure.footnotes}
+                endnotes={documentModel.structure.endnotes}
+              />
             </div>
+            <CommentsGutter
+              editor={editor}
+              comments={comments}
+              activeCommentId={activeCommentId}
+              onCommentClick={setActiveCommentId}
+            />
           </div>
         </div>
       </div>
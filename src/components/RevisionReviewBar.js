@@ -0,0 +1,119 @@
+'use client';
+
+import { memo, useEffect, useState } from 'react';
+import { Check, X, GitCompare, ChevronDown, ChevronUp } from 'lucide-react';
+import { collectRevisions } from '@/utils/tiptapTrackedChanges';
+
+/**
+ * Review bar for tracked changes imported in "review" mode
+ * APA analysis is paused until every revision has been accepted or rejected
+ */
+const RevisionReviewBar = memo(({ editor }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [expanded, setExpanded] = useState(false);
+
+  useEffect(() => {
+    if (!editor) return;
+
+    const refresh = () => {
+      if (!editor.isDestroyed) {
+        setRevisions(collectRevisions(editor.state.doc));
+      }
+    };
+
+    refresh();
+    editor.on('update', refresh);
+    editor.on('create', refresh);
+
+    return () => {
+      editor.off('update', refresh);
+      editor.off('create', refresh);
+    };
+  }, [editor]);
+
+  if (!editor || revisions.length === 0) {
+    return null;
+  }
+
+  const insertions = revisions.filter(revision => revision.type === 'insert').length;
+  const deletions = revisions.length - insertions;
+
+  return (
+    <div className="border-b border-amber-200 bg-amber-50 px-6 py-3">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex items-center gap-3 text-sm text-amber-900">
+          <GitCompare className="h-4 w-4 shrink-0" />
+          <span>
+            <strong>{revisions.length} tracked {revisions.length === 1 ? 'change' : 'changes'}</strong>
+            {' '}({insertions} inserted, {deletions} deleted) need review. APA analysis is paused until all changes are accepted or rejected.
+          </span>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={() => setExpanded(!expanded)}
+            className="flex items-center gap-1 px-3 py-1.5 text-sm text-amber-900 hover:bg-amber-100 rounded-md transition-colors"
+          >
+            {expanded ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+            Review
+          </button>
+          <button
+            type="button"
+            onClick={() => editor.chain().focus().acceptAllRevisions().run()}
+            className="px-3 py-1.5 text-sm font-medium bg-emerald-600 text-white rounded-md hover:bg-emerald-700 transition-colors"
+          >
+            Accept all
+          </button>
+          <button
+            type="button"
+            onClick={() => editor.chain().focus().rejectAllRevisions().run()}
+            className="px-3 py-1.5 text-sm font-medium bg-white border border-slate-300 text-slate-700 rounded-md hover:bg-slate-50 transition-colors"
+          >
+            Reject all
+          </button>
+        </div>
+      </div>
+
+      {expanded && (
+        <ul className="mt-3 max-h-60 overflow-auto divide-y divide-amber-100 rounded-md border border-amber-200 bg-white">
+          {revisions.map(revision => (
+            <li key={revision.key} className="flex items-center gap-3 px-3 py-2 text-sm">
+              <span className={`shrink-0 text-xs font-semibold uppercase ${revision.type === 'insert' ? 'text-emerald-700' : 'text-red-700'}`}>
+                {revision.type === 'insert' ? 'Inserted' : 'Deleted'}
+              </span>
+              <button
+                type="button"
+                onClick={() => editor.chain().focus().setTextSelection(revision.ranges[0]).scrollIntoView().run()}
+                className={`flex-1 min-w-0 truncate text-left ${revision.type === 'insert' ? 'text-emerald-800' : 'text-red-800 line-through'}`}
+                title={revision.text}
+              >
+                {revision.text}
+              </button>
+              <span className="shrink-0 text-xs text-slate-500">{revision.author}</span>
+              <button
+                type="button"
+                onClick={() => editor.chain().focus().acceptRevision(revision.key).run()}
+                className="p-1 text-emerald-700 hover:bg-emerald-50 rounded"
+                title="Accept change"
+              >
+                <Check className="h-4 w-4" />
+              </button>
+              <button
+                type="button"
+                onClick={() => editor.chain().focus().rejectRevision(revision.key).run()}
+                className="p-1 text-red-700 hover:bg-red-50 rounded"
+                title="Reject change"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+});
+
+RevisionReviewBar.displayName = 'RevisionReviewBar';
+
+export default RevisionReviewBar;
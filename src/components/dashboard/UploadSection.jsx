@@ -3,15 +3,16 @@
 import { Card, CardContent } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { UploadCloud, FilePlus2, Loader2 } from "lucide-react";
-import { useRef } from "react";
+import { useRef, useState } from "react";
 import { useDropzone } from 'react-dropzone';
 
 export function UploadSection({ onFileUpload, uploading, uploadingFileName }) {
   const fileInputRef = useRef(null);
+  const [revisionMode, setRevisionMode] = useState('final');
 
   const onDrop = (acceptedFiles) => {
     if (onFileUpload && acceptedFiles.length > 0) {
-      onFileUpload(acceptedFiles[0]);
+      onFileUpload(acceptedFiles[0], { revisionMode });
     }
   };
 
@@ -72,6 +73,22 @@ export function UploadSection({ onFileUpload, uploading, uploadingFileName }) {
               <FilePlus2 className="w-5 h-5" />
               Choose File
             </Button>
+            {/* Tracked changes handling - clicks must not open the file dialog */}
+            <label
+              className="flex items-center gap-2 text-sm text-slate-500"
+              onClick={(e) => e.stopPropagation()}
+            >
+              Tracked changes:
+              <select
+                value={revisionMode}
+                onChange={(e) => setRevisionMode(e.target.value)}
+                className="rounded-md border border-slate-300 bg-white px-2 py-1 text-sm text-slate-700"
+              >
+                <option value="final">Analyze final version</option>
+                <option value="original">Analyze original version</option>
+                <option value="review">Review changes in editor</option>
+              </select>
+            </label>
           </div>
         )}
       </CardContent>
@@ -0,0 +1,161 @@
+'use client';
+
+import { useEffect, useState } from "react";
+import { createClient } from "@/lib/supabase/client";
+import { listApiKeys, createApiKey, revokeApiKey } from "@/lib/apiKeys";
+import { useToast } from "@/hooks/use-toast";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import { KeyRound, Copy, Trash2, Loader2 } from "lucide-react";
+
+export function ApiKeysCard({ user }) {
+  const { toast } = useToast();
+  const [supabase] = useState(() => createClient());
+  const [keys, setKeys] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [creating, setCreating] = useState(false);
+  const [name, setName] = useState('');
+  const [newKey, setNewKey] = useState(null);
+
+  useEffect(() => {
+    listApiKeys(supabase, user.id).then(data => {
+      setKeys(data);
+      setLoading(false);
+    });
+  }, [supabase, user.id]);
+
+  const formatDate = (dateString) => {
+    if (!dateString) return 'Never';
+    return new Date(dateString).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+  };
+
+  const handleCreate = async () => {
+    setCreating(true);
+    const { data, key, error } = await createApiKey(supabase, user.id, name.trim() || 'API key');
+    setCreating(false);
+
+    if (error) {
+      toast({
+        variant: "destructive",
+        title: "Could not create key",
+        description: error.message || "Failed to create API key. Please try again.",
+      });
+      return;
+    }
+
+    setKeys([data, ...keys]);
+    setNewKey(key);
+    setName('');
+  };
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(newKey);
+    toast({
+      title: "Copied",
+      description: "The API key is on your clipboard.",
+    });
+  };
+
+  const handleRevoke = async (keyId) => {
+    const { data, error } = await revokeApiKey(supabase, user.id, keyId);
+
+    if (error) {
+      toast({
+        variant: "destructive",
+        title: "Could not revoke key",
+        description: error.message || "Failed to revoke API key. Please try again.",
+      });
+      return;
+    }
+
+    setKeys(keys.map(key => (key.id === keyId ? data : key)));
+    toast({
+      title: "Key revoked",
+      description: `Requests using "${data.name}" will be rejected.`,
+    });
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>API Keys</CardTitle>
+        <CardDescription>
+          Check documents without the browser through the REST API (POST /api/v1/analyze). Send the key in the X-API-Key header.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {/* New key form */}
+        <div className="space-y-2">
+          <Label htmlFor="api_key_name">New key</Label>
+          <div className="flex gap-2">
+            <Input
+              id="api_key_name"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Key name, e.g. LMS pipeline"
+            />
+            <Button onClick={handleCreate} disabled={creating}>
+              {creating ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <KeyRound className="mr-2 h-4 w-4" />}
+              Create Key
+            </Button>
+          </div>
+        </div>
+
+        {/* Shown once - only the hash is stored */}
+        {newKey && (
+          <div className="rounded-lg border border-emerald-200 bg-emerald-50 p-4 space-y-2">
+            <p className="text-sm font-medium text-emerald-800">
+              Copy your new key now - it will not be shown again.
+            </p>
+            <div className="flex gap-2">
+              <Input value={newKey} readOnly className="font-mono bg-white" />
+              <Button variant="outline" size="icon" onClick={handleCopy}>
+                <Copy className="h-4 w-4" />
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {/* Existing keys */}
+        {loading ? (
+          <div className="flex justify-center py-4 text-slate-500">
+            <Loader2 className="h-5 w-5 animate-spin" />
+          </div>
+        ) : keys.length === 0 ? (
+          <p className="text-sm text-slate-500">You have no API keys yet.</p>
+        ) : (
+          <div className="divide-y divide-slate-100">
+            {keys.map((key) => (
+              <div key={key.id} className="flex items-center gap-4 py-3">
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2">
+                    <p className="font-medium text-slate-900 truncate">{key.name}</p>
+                    {key.revoked_at && <Badge variant="secondary">Revoked</Badge>}
+                  </div>
+                  <p className="text-xs text-slate-500">
+                    <span className="font-mono">{key.key_prefix}…</span>
+                    {' · '}Created {formatDate(key.created_at)}
+                    {' · '}Last used {formatDate(key.last_used_at)}
+                  </p>
+                </div>
+                {!key.revoked_at && (
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="w-9 h-9 text-slate-500 hover:text-red-600 hover:bg-red-100"
+                    onClick={() => handleRevoke(key.id)}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -2,6 +2,7 @@
 
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { TiptapAPAAnalyzer } from '@/utils/tiptapApaAnalyzer';
+import { collectRevisions } from '@/utils/tiptapTrackedChanges';
 
 /**
  * Analysis hook - Runs APA analysis in background
@@ -33,6 +34,15 @@ export const useAnalysis = (editor, documentModel, enabled = true, editorInitial
     }
 
     try {
+      // Review mode: tracked changes must be accepted or rejected before analysis runs,
+      // otherwise inserted and deleted text would be analyzed together
+      const pendingRevisions = collectRevisions(editor.state.doc).length;
+      if (pendingRevisions > 0) {
+        console.log(`⏸️ [useAnalysis] Skipping analysis - ${pendingRevisions} tracked changes pending review`);
+        setIssues([]);
+        return;
+      }
+
       const currentContent = editor.getJSON();
       const contentString = JSON.stringify(currentContent);
 
@@ -1,11 +1,14 @@
 'use client';
 
-import { useEffect, useCallback, useRef, useState } from 'react';
+import { useEffect, useCallback, useMemo, useRef, useState } from 'react';
 import { useEditor } from '@tiptap/react';
 import StarterKit from '@tiptap/starter-kit';
 import { Underline } from '@tiptap/extension-underline';
 import { FormattedParagraph, FontFormatting, DocumentDefaults } from '@/utils/tiptapFormattingExtensions';
 import { IssueHighlighter } from '@/utils/tiptapIssueHighlighter';
+import { CommentHighlighter } from '@/utils/tiptapCommentHighlighter';
+import { TrackedChange } from '@/utils/tiptapTrackedChanges';
+import { Equation } from '@/utils/tiptapEquation';
 import { useUnifiedDocumentStore } from '@/store/unifiedDocumentStore';
 import { useAutoSave } from './useAutoSave';
 import { useAnalysis } from './useAnalysis';
@@ -29,6 +32,7 @@ export const useUnifiedDocumentEditor = () => {
   // UI state (moved from Zustand)
   const [activeIssueId, setActiveIssueId] = useState(null);
   const [showHighlighting, setShowHighlighting] = useState(true);
+  const [activeCommentId, setActiveCommentId] = useState(null);
   const [saveStatus, setSaveStatus] = useState('idle'); // 'idle' | 'saving' | 'saved' | 'error'
   const [saveError, setSaveError] = useState(null);
 
@@ -39,6 +43,10 @@ export const useUnifiedDocumentEditor = () => {
         heading: {
           levels: [1, 2, 3, 4, 5, 6]
         },
+        link: {
+          openOnClick: false, // Links imported from the DOCX are edited, not followed
+          autolink: false
+        },
         history: {
           depth: 100, // Store up to 100 undo steps
           newGroupDelay: 500 // Group changes within 500ms as single undo step
@@ -48,6 +56,8 @@ export const useUnifiedDocumentEditor = () => {
       FontFormatting,
       DocumentDefaults,
       Underline,
+      TrackedChange,
+      Equation,
       IssueHighlighter.configure({
         issues: [], // Will be updated by useIssueDecorations
         activeIssueId,
@@ -61,6 +71,10 @@ export const useUnifiedDocumentEditor = () => {
             shouldScroll: false // Already in view, don't scroll editor
           });
         }
+      }),
+      CommentHighlighter.configure({
+        comments: [], // Updated from documentModel.comments once content is loaded
+        onCommentClick: (commentId) => setActiveCommentId(commentId)
       })
     ],
     content: '<p>Loading document...</p>',
@@ -117,6 +131,18 @@ export const useUnifiedDocumentEditor = () => {
   // Issue decorations (visual only)
   useIssueDecorations(editor, issues, activeIssueId, showHighlighting);
 
+  // Imported Word comments (visual only)
+  const comments = useMemo(() => documentModel?.comments?.getAll() || [], [documentModel]);
+
+  useEffect(() => {
+    if (!editor || !editorInitialized || !editor.commands.updateCommentHighlights) return;
+
+    editor.commands.updateCommentHighlights({
+      comments,
+      activeCommentId
+    });
+  }, [editor, editorInitialized, comments, activeCommentId]);
+
   // Keyboard shortcuts for undo/redo (Tiptap native)
   useEffect(() => {
     if (!editor) return;
@@ -359,6 +385,48 @@ export const useUnifiedDocumentEditor = () => {
         console.log(`   No pmPosition, will use fallback`);
       }
 
+      // Apply a document-wide formatting fix to every node (positions do not move)
+      const applyFormatting = (state, tr, property, value) => {
+        // tr.doc, so several formatting fixes in one transaction build on each other
+        tr.doc.descendants((node, pos) => {
+          if (node.type.name === 'paragraph' || node.type.name === 'heading') {
+            // Update paragraph-level attributes
+            if (property === 'lineHeight') {
+              tr.setNodeMarkup(pos, null, { ...node.attrs, lineHeight: value });
+            } else if (property === 'indentation') {
+              tr.setNodeMarkup(pos, null, { ...node.attrs, firstLineIndent: `${value}in` });
+            }
+          } else if (node.isText && (property === 'fontFamily' || property === 'fontSize')) {
+            // Update text marks for font properties
+            const from = pos;
+            const to = pos + node.nodeSize;
+
+            // Get existing marks
+            const marks = node.marks;
+
+            // Find or create fontFormatting mark
+            let fontMark = marks.find(m => m.type.name === 'fontFormatting');
+
+            if (fontMark) {
+              // Update existing mark
+              const newAttrs = { ...fontMark.attrs };
+              if (property === 'fontFamily') newAttrs.fontFamily = value;
+              if (property === 'fontSize') newAttrs.fontSize = value;
+
+              tr.removeMark(from, to, fontMark);
+              tr.addMark(from, to, state.schema.marks.fontFormatting.create(newAttrs));
+            } else {
+              // Create new mark
+              const attrs = {};
+              if (property === 'fontFamily') attrs.fontFamily = value;
+              if (property === 'fontSize') attrs.fontSize = value;
+
+              tr.addMark(from, to, state.schema.marks.fontFormatting.create(attrs));
+            }
+          }
+        });
+      };
+
       // Apply fix via ProseMirror transaction (surgical update)
       try {
         if (fixData.type === 'textReplacement' && fixData.textReplacement) {
@@ -461,51 +529,98 @@ export const useUnifiedDocumentEditor = () => {
           console.log(`   🎨 Applying formatting fix: ${property}=${value}`);
           console.log('   Traversing document nodes...');
 
-          // Apply formatting to all nodes in the document
-          state.doc.descendants((node, pos) => {
-            if (node.type.name === 'paragraph' || node.type.name === 'heading') {
-              // Update paragraph-level attributes
-              if (property === 'lineHeight') {
-                tr.setNodeMarkup(pos, null, { ...node.attrs, lineHeight: value });
-              } else if (property === 'indentation') {
-                tr.setNodeMarkup(pos, null, { ...node.attrs, firstLineIndent: `${value}in` });
-              }
-            } else if (node.isText && (property === 'fontFamily' || property === 'fontSize')) {
-              // Update text marks for font properties
-              const from = pos;
-              const to = pos + node.nodeSize;
+          applyFormatting(state, tr, property, value);
 
-              // Get existing marks
-              const marks = node.marks;
+          view.dispatch(tr);
+          shouldReanalyze = true;
 
-              // Find or create fontFormatting mark
-              let fontMark = marks.find(m => m.type.name === 'fontFormatting');
+          console.log('   ✅ Formatting fix applied via transaction (cursor preserved)');
+          console.log('╚═══════════════════════════════════════════════════════╝\n');
+        }
+        else if (fixData.type === 'batch') {
+          // Batch fix: every text edit and formatting change in one transaction (one undo step)
+          const { state, view } = editor;
+          const { doc } = state;
+          const tr = state.tr;
 
-              if (fontMark) {
-                // Update existing mark
-                const newAttrs = { ...fontMark.attrs };
-                if (property === 'fontFamily') newAttrs.fontFamily = value;
-                if (property === 'fontSize') newAttrs.fontSize = value;
+          console.log(`   🧰 Applying ${fixData.textReplacements.length} text edit(s) and ${fixData.formatting.length} formatting fix(es)`);
 
-                tr.removeMark(from, to, fontMark);
-                tr.addMark(from, to, state.schema.marks.fontFormatting.create(newAttrs));
-              } else {
-                // Create new mark
-                const attrs = {};
-                if (property === 'fontFamily') attrs.fontFamily = value;
-                if (property === 'fontSize') attrs.fontSize = value;
+          fixData.formatting.forEach(({ property, value }) => applyFormatting(state, tr, property, value));
 
-                tr.addMark(from, to, state.schema.marks.fontFormatting.create(attrs));
-              }
+          // Locate every edit in the unchanged document: the issue's pmPosition, else its paragraph
+          const located = [];
+          fixData.textReplacements.forEach(replacement => {
+            let start = null;
+            const { pmPosition } = replacement;
+
+            if (pmPosition && pmPosition.from >= 0 && pmPosition.to <= doc.content.size && pmPosition.from < pmPosition.to) {
+              const index = doc.textBetween(pmPosition.from, pmPosition.to, ' ').indexOf(replacement.original);
+              if (index !== -1) start = pmPosition.from + index;
             }
+
+            if (start === null) {
+              doc.descendants((node, pos) => {
+                if (start !== null) return false;
+                if (node.type.name === 'paragraph' || node.type.name === 'heading') {
+                  if (node.textContent === replacement.paragraphText) {
+                    start = pos + 1 + replacement.occurrence;
+                  }
+                  return false;
+                }
+              });
+            }
+
+            if (start === null) {
+              console.warn(`   ❌ Could not find "${replacement.original.substring(0, 40)}"`);
+              return;
+            }
+
+            const from = start + replacement.offset;
+            located.push({ from, to: from + replacement.length, text: replacement.text });
           });
 
+          // Back to front, so each edit leaves the positions of the ones still to come untouched
+          located
+            .sort((a, b) => b.from - a.from)
+            .forEach(({ from, to, text }) => tr.insertText(text, tr.mapping.map(from), tr.mapping.map(to)));
+
           view.dispatch(tr);
           shouldReanalyze = true;
 
-          console.log('   ✅ Formatting fix applied via transaction (cursor preserved)');
+          console.log(`   ✅ Batch fix applied via transaction (${located.length} text edit(s))`);
           console.log('╚═══════════════════════════════════════════════════════╝\n');
         }
+        else if (fixData.type === 'reorder' && fixData.reorder) {
+          // Reorder fix: move whole top-level nodes, so attrs (hanging indent) and marks travel with them
+          const { blockTexts, order } = fixData.reorder;
+          const { state, view } = editor;
+          const { doc } = state;
+          const nodes = [];
+          doc.forEach(node => nodes.push(node));
+
+          // Last run of consecutive blocks with the expected texts
+          let first = -1;
+          for (let index = nodes.length - blockTexts.length; index >= 0 && first === -1; index--) {
+            if (blockTexts.every((text, offset) => nodes[index + offset].textContent === text)) {
+              first = index;
+            }
+          }
+
+          if (first !== -1) {
+            const block = nodes.slice(first, first + blockTexts.length);
+            const from = nodes.slice(0, first).reduce((size, node) => size + node.nodeSize, 0);
+            const to = block.reduce((size, node) => size + node.nodeSize, from);
+
+            view.dispatch(state.tr.replaceWith(from, to, order.map(index => block[index])));
+            shouldReanalyze = true;
+
+            console.log(`   ✅ ${blockTexts.length} paragraph(s) reordered via transaction`);
+            console.log('╚═══════════════════════════════════════════════════════╝\n');
+          } else {
+            console.warn('   ❌ Could not find the paragraphs to reorder');
+            console.warn('╚═══════════════════════════════════════════════════════╝\n');
+          }
+        }
       } catch (error) {
         console.error('   ❌ [useUnifiedDocumentEditor] Error applying fix:', error);
         console.error('╚═══════════════════════════════════════════════════════╝\n');
@@ -574,6 +689,11 @@ export const useUnifiedDocumentEditor = () => {
     toggleHighlighting: () => setShowHighlighting(!showHighlighting),
     scrollToIssue,
 
+    // Imported review comments
+    comments,
+    activeCommentId,
+    setActiveCommentId,
+
     // Save status
     saveStatus,
     saveError,
@@ -0,0 +1,93 @@
+/**
+ * API Key Helper Functions
+ * Functions to create, list and revoke the per-user keys of the public REST API (/api/v1)
+ */
+
+// Must match API_KEY_PREFIX in server/utils/apiKeys.js
+const API_KEY_PREFIX = 'apa_';
+
+/**
+ * SHA-256 hash of a key as hex - the server looks keys up by this hash
+ * @param {string} key - Full API key
+ * @returns {Promise<string>} Hex digest
+ */
+async function hashApiKey(key) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Fetches the user's API keys, newest first (without hashes)
+ * @param {Object} supabase - Supabase client instance
+ * @param {string} userId - User ID to fetch keys for
+ * @returns {Promise<Array>} API keys or an empty list
+ */
+export async function listApiKeys(supabase, userId) {
+  const { data, error } = await supabase
+    .from('api_keys')
+    .select('id, name, key_prefix, created_at, last_used_at, revoked_at')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    console.error('Error fetching API keys:', error);
+    return [];
+  }
+
+  return data;
+}
+
+/**
+ * Creates a new API key; the full key is only returned here and never stored
+ * @param {Object} supabase - Supabase client instance
+ * @param {string} userId - User ID the key belongs to
+ * @param {string} name - Label to tell keys apart
+ * @returns {Promise<Object>} { data, key } or error
+ */
+export async function createApiKey(supabase, userId, name) {
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  const key = API_KEY_PREFIX + Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+  const { data, error } = await supabase
+    .from('api_keys')
+    .insert({
+      user_id: userId,
+      name,
+      key_prefix: key.substring(0, API_KEY_PREFIX.length + 8),
+      key_hash: await hashApiKey(key),
+      created_at: new Date().toISOString(),
+    })
+    .select('id, name, key_prefix, created_at, last_used_at, revoked_at')
+    .single();
+
+  if (error) {
+    console.error('Error creating API key:', error);
+    return { error };
+  }
+
+  return { data, key };
+}
+
+/**
+ * Revokes an API key - requests made with it are rejected from then on
+ * @param {Object} supabase - Supabase client instance
+ * @param {string} userId - User ID the key belongs to
+ * @param {string} keyId - API key ID
+ * @returns {Promise<Object>} Revoked key or error
+ */
+export async function revokeApiKey(supabase, userId, keyId) {
+  const { data, error } = await supabase
+    .from('api_keys')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', keyId)
+    .eq('user_id', userId)
+    .select('id, name, key_prefix, created_at, last_used_at, revoked_at')
+    .single();
+
+  if (error) {
+    console.error('Error revoking API key:', error);
+    return { error };
+  }
+
+  return { data };
+}
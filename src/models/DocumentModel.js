@@ -3,6 +3,18 @@
 import { v4 as uuidv4 } from 'uuid';
 import { ParagraphModel } from './ParagraphModel';
 
+// Word numFmt -> HTML ordered list type (rendered by the Tiptap orderedList node)
+const ORDERED_LIST_TYPES = {
+  decimal: '1',
+  lowerLetter: 'a',
+  upperLetter: 'A',
+  lowerRoman: 'i',
+  upperRoman: 'I'
+};
+
+// Block nodes that wrap paragraphs without being paragraphs themselves
+const CONTAINER_NODE_TYPES = new Set(['bulletList', 'orderedList', 'listItem', 'blockquote']);
+
 /**
  * Single source of truth for document state
  * Replaces fragmented state (documentText, documentHtml, editorContent, etc.)
@@ -33,6 +45,9 @@ export class DocumentModel {
     this.paragraphs = new Map(); // paragraph-id -> ParagraphModel
     this.paragraphOrder = []; // Maintains document order
 
+    // Paragraph texts as they are in currentBuffer (round-trip export diffs the edits against these)
+    this.originalParagraphs = [];
+
     // Document-level formatting
     this.formatting = new FormattingModel();
 
@@ -42,12 +57,18 @@ export class DocumentModel {
     // Document styles
     this.styles = new StylesModel();
 
+    // Review comments imported from the DOCX
+    this.comments = new CommentsModel();
+
     // Issue tracking
     this.issues = new IssueTracker();
 
     // Change tracking
     this.changeLog = new ChangeLog();
 
+    // Fixes applied from the checker (exported as Word tracked changes in suggest mode)
+    this.fixHistory = new FixHistory();
+
     // Statistics (derived)
     this._statsCache = null;
     this._statsCacheVersion = 0;
@@ -77,6 +98,7 @@ export class DocumentModel {
         model.paragraphs.set(paragraphModel.id, paragraphModel);
         model.paragraphOrder.push(paragraphModel.id);
       });
+      model.originalParagraphs = documentData.formatting.paragraphs.map(paraData => paraData.text || '');
     } else {
       // Fallback: create paragraphs from text
       const text = documentData.text || '';
@@ -100,6 +122,16 @@ export class DocumentModel {
       model.styles.initializeFromServer(documentData.styles);
     }
 
+    // Set review comments
+    if (documentData.comments) {
+      model.comments.initializeFromServer(documentData.comments);
+    }
+
+    model.metadata.detectPaperDetails(
+      model.paragraphOrder.map(id => model.paragraphs.get(id)),
+      model.structure.headersFooters
+    );
+
     // Record creation in change log
     model.changeLog.recordChange({
       type: 'document-created',
@@ -145,12 +177,49 @@ export class DocumentModel {
   getTiptapJson() {
     const content = [];
 
-    this.paragraphOrder.forEach((id, index) => {
+    // Open lists, outermost first: { node, level, numId, ordered }
+    let listStack = [];
+
+    this.paragraphOrder.forEach(id => {
       const paragraph = this.paragraphs.get(id);
-      if (paragraph) {
-        const node = paragraph.toTiptapNode();
+      if (!paragraph) return;
+
+      const node = paragraph.toTiptapNode();
+      const list = paragraph.formatting.list;
+
+      if (!list) {
+        listStack = [];
         content.push(node);
+        return;
       }
+
+      // Close deeper lists, and a list at this level that belongs to another Word list
+      while (listStack.length > 0 && listStack[listStack.length - 1].level > list.level) {
+        listStack.pop();
+      }
+      const current = listStack[listStack.length - 1];
+      if (current && current.level === list.level && (current.numId !== list.numId || current.ordered !== list.ordered)) {
+        listStack.pop();
+      }
+
+      let top = listStack[listStack.length - 1];
+      if (!top || top.level < list.level) {
+        const listNode = list.ordered
+          ? { type: 'orderedList', attrs: { start: list.number || 1, type: ORDERED_LIST_TYPES[list.format] || null }, content: [] }
+          : { type: 'bulletList', content: [] };
+
+        // Nested lists live inside the last item of their parent list
+        if (top) {
+          top.node.content[top.node.content.length - 1].content.push(listNode);
+        } else {
+          content.push(listNode);
+        }
+
+        top = { node: listNode, level: list.level, numId: list.numId, ordered: list.ordered };
+        listStack.push(top);
+      }
+
+      top.node.content.push({ type: 'listItem', content: [node] });
     });
 
     return {
@@ -204,8 +273,11 @@ export class DocumentModel {
     let hasChanges = false;
     const affectedParagraphs = new Set();
 
+    // Paragraphs inside lists map to paragraphOrder just like top-level ones
+    const blocks = this._collectBlocks(tiptapDoc.content);
+
     // Process each paragraph in editor content
-    tiptapDoc.content.forEach((node, index) => {
+    blocks.forEach((node, index) => {
       if (node.type === 'paragraph') {
         // Find corresponding paragraph by position
         const paragraphId = this.paragraphOrder[index];
@@ -226,6 +298,14 @@ export class DocumentModel {
               affectedParagraphs.add(paragraphId);
               hasChanges = true;
             }
+
+            // Section breaks move with the paragraph that ends the section
+            const sectionBreak = node.attrs?.sectionBreak ?? null;
+            if ((paragraph.formatting.sectionBreak ?? null) !== sectionBreak) {
+              paragraph.update({ formatting: { sectionBreak } });
+              affectedParagraphs.add(paragraphId);
+              hasChanges = true;
+            }
           }
         } else {
           // New paragraph added in editor
@@ -239,13 +319,13 @@ export class DocumentModel {
     });
 
     // Handle deleted paragraphs
-    if (tiptapDoc.content.length < this.paragraphOrder.length) {
-      const paragraphsToDelete = this.paragraphOrder.slice(tiptapDoc.content.length);
+    if (blocks.length < this.paragraphOrder.length) {
+      const paragraphsToDelete = this.paragraphOrder.slice(blocks.length);
       paragraphsToDelete.forEach(id => {
         this.paragraphs.delete(id);
         affectedParagraphs.add(id);
       });
-      this.paragraphOrder = this.paragraphOrder.slice(0, tiptapDoc.content.length);
+      this.paragraphOrder = this.paragraphOrder.slice(0, blocks.length);
       hasChanges = true;
     }
 
@@ -271,6 +351,20 @@ export class DocumentModel {
     return hasChanges;
   }
 
+  /**
+   * Flatten Tiptap block nodes in document order, descending into lists and block quotes
+   */
+  _collectBlocks(nodes, blocks = []) {
+    (nodes || []).forEach(node => {
+      if (CONTAINER_NODE_TYPES.has(node.type)) {
+        this._collectBlocks(node.content, blocks);
+      } else {
+        blocks.push(node);
+      }
+    });
+    return blocks;
+  }
+
   /**
    * Get document statistics (cached)
    */
@@ -350,16 +444,50 @@ export class DocumentModel {
     });
   }
 
+  /**
+   * Sections with paragraph ranges recomputed from the current paragraphs
+   * Edits move the boundaries; deleting the paragraph that ends a section merges it into the next one
+   */
+  getSections() {
+    const layouts = this.formatting.sections || [];
+    if (layouts.length === 0) return [];
+
+    const sections = [];
+    let startParagraphIndex = 0;
+
+    this.paragraphOrder.forEach((id, index) => {
+      const layoutIndex = this.paragraphs.get(id)?.formatting.sectionBreak;
+      if (layoutIndex === null || layoutIndex === undefined || !layouts[layoutIndex]) return;
+
+      sections.push({ ...layouts[layoutIndex], index: sections.length, startParagraphIndex, endParagraphIndex: index });
+      startParagraphIndex = index + 1;
+    });
+
+    sections.push({
+      ...layouts[layouts.length - 1],
+      index: sections.length,
+      startParagraphIndex,
+      endParagraphIndex: Math.max(this.paragraphOrder.length - 1, startParagraphIndex)
+    });
+
+    return sections;
+  }
+
   // Private helper methods
   _extractTextFromTiptapNode(node) {
     if (!node.content) return '';
-    return node.content.map(child => child.text || '').join('');
+    return node.content.map(child => child.type === 'equation' ? child.attrs?.linear || '' : child.text || '').join('');
   }
 
   _extractRunsFromTiptapNode(node) {
     if (!node.content) return [];
 
     return node.content.map((textNode, index) => {
+      if (textNode.type === 'equation') {
+        const { id, display, linear, mathml } = textNode.attrs || {};
+        return { index, text: linear || '', font: {}, equation: { id, display: !!display, linear: linear || '', mathml: mathml || null } };
+      }
+
       const run = {
         index,
         text: textNode.text || '',
@@ -383,6 +511,9 @@ export class DocumentModel {
               if (mark.attrs.fontSize) run.font.size = parseFloat(mark.attrs.fontSize);
               if (mark.attrs.color) run.color = mark.attrs.color;
               break;
+            case 'link':
+              run.link = { target: mark.attrs.href || null, id: null, source: 'hyperlink' };
+              break;
           }
         });
       }
@@ -408,6 +539,57 @@ export class DocumentMetadata {
     this.processedAt = null;
     this.processor = '';
     this.originalFormat = 'docx';
+
+    // APA paper details, written to the title page and page header on export
+    this.paperType = 'student'; // 'student' | 'professional'
+    this.runningHead = '';
+    this.titlePage = {
+      title: '',
+      authors: '',
+      affiliation: '',
+      course: '',
+      instructor: '',
+      date: '',
+      // Leading paragraphs of the document that already form the title page
+      paragraphCount: 0
+    };
+  }
+
+  /**
+   * Fill the paper details from the imported document: the running head from the header and the
+   * title page from the centered lines the document starts with (title, author, affiliation,
+   * then course, instructor and date on student papers)
+   */
+  detectPaperDetails(paragraphs, headersFooters) {
+    const runningHead = (headersFooters?.runningHead?.text || '').replace(/^Running head:\s*/i, '').trim();
+    if (runningHead.length >= 2) {
+      this.runningHead = runningHead;
+      this.paperType = 'professional';
+    }
+
+    const lines = [];
+    let paragraphCount = 0;
+    for (let i = 0; i < paragraphs.length && lines.length < 8; i++) {
+      const text = paragraphs[i].text.trim();
+      if (!text) continue;
+      if (paragraphs[i].formatting?.alignment !== 'center') break;
+      lines.push(text);
+      paragraphCount = i + 1;
+    }
+
+    // A single centered line is a heading, not a title page
+    if (lines.length < 2) return;
+
+    const fields = this.paperType === 'professional'
+      ? ['authors', 'affiliation']
+      : ['authors', 'affiliation', 'course', 'instructor', 'date'];
+    const [title, ...rest] = lines;
+
+    this.titlePage.title = title;
+    fields.forEach((field, index) => {
+      this.titlePage[field] = rest[index] || '';
+    });
+    this.titlePage.paragraphCount = paragraphCount;
   }
 }
 
@@ -420,8 +602,11 @@ export class FormattingModel {
       font: { family: null, size: null },
       spacing: { line: null, paragraph: null },
       margins: { top: null, bottom: null, left: null, right: null },
-      indentation: { firstLine: null, hanging: null }
+      indentation: { firstLine: null, hanging: null },
+      sources: null
     };
+    // Page layout per section: { index, breakType, pageSize, orientation, margins, titlePage, headers, footers, pageNumbering }
+    this.sections = [];
     this.compliance = null;
   }
 
@@ -431,10 +616,15 @@ export class FormattingModel {
         font: serverFormatting.document.font || this.document.font,
         spacing: serverFormatting.document.spacing || this.document.spacing,
         margins: serverFormatting.document.margins || this.document.margins,
-        indentation: serverFormatting.document.indentation || this.document.indentation
+        indentation: serverFormatting.document.indentation || this.document.indentation,
+        sources: serverFormatting.document.sources || null
       };
     }
 
+    if (serverFormatting.sections) {
+      this.sections = serverFormatting.sections;
+    }
+
     if (serverFormatting.compliance) {
       this.compliance = serverFormatting.compliance;
     }
@@ -443,6 +633,7 @@ export class FormattingModel {
   clone() {
     const cloned = new FormattingModel();
     cloned.document = JSON.parse(JSON.stringify(this.document));
+    cloned.sections = JSON.parse(JSON.stringify(this.sections));
     cloned.compliance = this.compliance ? JSON.parse(JSON.stringify(this.compliance)) : null;
     return cloned;
   }
@@ -458,8 +649,15 @@ export class StructureModel {
     this.citations = [];
     this.references = [];
     this.tables = [];
+    this.figures = [];
+    this.hyperlinks = [];
+    this.equations = [];
+    this.citationFields = [];
     this.italicizedText = [];
     this.headersFooters = null;
+    this.footnotes = [];
+    this.endnotes = [];
+    this.lists = [];
   }
 
   initializeFromServer(serverStructure) {
@@ -468,8 +666,15 @@ export class StructureModel {
     this.citations = serverStructure.citations || [];
     this.references = serverStructure.references || [];
     this.tables = serverStructure.tables || [];
+    this.figures = serverStructure.figures || [];
+    this.hyperlinks = serverStructure.hyperlinks || [];
+    this.equations = serverStructure.equations || [];
+    this.citationFields = serverStructure.citationFields || [];
     this.italicizedText = serverStructure.italicizedText || [];
     this.headersFooters = serverStructure.headersFooters || null;
+    this.footnotes = serverStructure.footnotes || [];
+    this.endnotes = serverStructure.endnotes || [];
+    this.lists = serverStructure.lists || [];
   }
 }
 
@@ -488,6 +693,42 @@ export class StylesModel {
   }
 }
 
+/**
+ * Review comments model (Word comments.xml)
+ */
+export class CommentsModel {
+  constructor() {
+    this.comments = [];
+  }
+
+  initializeFromServer(serverComments) {
+    this.comments = (serverComments || []).map(comment => ({
+      id: comment.id,
+      author: comment.author || 'Unknown',
+      initials: comment.initials || null,
+      date: comment.date || null,
+      text: comment.text || '',
+      anchor: comment.anchor || null
+    }));
+  }
+
+  getAll() {
+    return this.comments;
+  }
+
+  getForParagraph(paragraphIndex) {
+    return this.comments.filter(comment =>
+      comment.anchor &&
+      paragraphIndex >= comment.anchor.startParagraphIndex &&
+      paragraphIndex <= comment.anchor.endParagraphIndex
+    );
+  }
+
+  get size() {
+    return this.comments.length;
+  }
+}
+
 /**
  * Change log for tracking document modifications
  */
@@ -518,6 +759,39 @@ export class ChangeLog {
   }
 }
 
+/**
+ * Fixes applied from the checker with the content they replaced
+ *   text:       { kind: 'text', fixAction, paragraphId, offset, deleted, inserted }
+ *   formatting: { kind: 'formatting', fixAction, paragraphs: { [paragraphId]: { runs, spacing, indentation } } }
+ */
+export class FixHistory {
+  constructor() {
+    this.entries = [];
+  }
+
+  record(entry) {
+    const recorded = {
+      id: uuidv4(),
+      timestamp: Date.now(),
+      ...entry
+    };
+    this.entries.push(recorded);
+    return recorded;
+  }
+
+  getTextChanges(paragraphId) {
+    return this.entries.filter(entry => entry.kind === 'text' && entry.paragraphId === paragraphId);
+  }
+
+  getFormattingChanges(paragraphId) {
+    return this.entries.filter(entry => entry.kind === 'formatting' && entry.paragraphs[paragraphId]);
+  }
+
+  get length() {
+    return this.entries.length;
+  }
+}
+
 /**
  * Issue tracking with paragraph association
  */
@@ -20,7 +20,10 @@ export class ParagraphModel {
       spacing: { line: null, before: null, after: null },
       indentation: { firstLine: null, left: null, right: null, hanging: null },
       alignment: null,
-      styleName: null
+      styleName: null,
+      list: null, // Word numbering: { numId, level, format, ordered, number, label }
+      sectionBreak: null, // Index into FormattingModel.sections when this paragraph ends a section
+      sources: null // Where resolved values came from: { family: { origin, styleId, styleName, themeFont }, ... }
     };
 
     // Text runs (inline formatting)
@@ -79,6 +82,18 @@ export class ParagraphModel {
       paragraph.formatting.styleName = serverParagraph.style;
     }
 
+    if (serverParagraph.list) {
+      paragraph.formatting.list = { ...serverParagraph.list };
+    }
+
+    if (serverParagraph.sectionBreak !== undefined) {
+      paragraph.formatting.sectionBreak = serverParagraph.sectionBreak;
+    }
+
+    if (serverParagraph.sources) {
+      paragraph.formatting.sources = { ...serverParagraph.sources };
+    }
+
     // Process runs (inline formatting)
     if (serverParagraph.runs && Array.isArray(serverParagraph.runs)) {
       serverParagraph.runs.forEach((runData, runIndex) => {
@@ -138,6 +153,7 @@ export class ParagraphModel {
       if (attrs.hangingIndent) paragraph.formatting.indentation.hanging = attrs.hangingIndent;
       if (attrs.textAlign) paragraph.formatting.alignment = attrs.textAlign;
       if (attrs.styleName) paragraph.formatting.styleName = attrs.styleName;
+      if (attrs.sectionBreak !== null && attrs.sectionBreak !== undefined) paragraph.formatting.sectionBreak = attrs.sectionBreak;
     }
 
     // Process content (text nodes with marks)
@@ -145,11 +161,10 @@ export class ParagraphModel {
       let textParts = [];
 
       tiptapNode.content.forEach((textNode, runIndex) => {
-        if (textNode.type === 'text' && textNode.text) {
-          textParts.push(textNode.text);
-
-          // Create run with formatting from marks
+        if ((textNode.type === 'text' && textNode.text) || textNode.type === 'equation') {
+          // Create run with formatting from marks (equations carry their linear form as text)
           const runModel = RunModel.fromTiptapTextNode(textNode, runIndex);
+          textParts.push(runModel.text);
           paragraph.runs.set(runModel.id, runModel);
           paragraph.runOrder.push(runModel.id);
         }
@@ -303,6 +318,7 @@ export class ParagraphModel {
     if (this.formatting.indentation.hanging) attrs.hangingIndent = `${this.formatting.indentation.hanging}in`;
     if (this.formatting.alignment) attrs.textAlign = this.formatting.alignment;
     if (this.formatting.styleName) attrs.styleName = this.formatting.styleName;
+    if (this.formatting.sectionBreak !== null && this.formatting.sectionBreak !== undefined) attrs.sectionBreak = this.formatting.sectionBreak;
 
     // Store original formatting for preservation
     attrs.originalFormatting = this.originalData;
@@ -399,6 +415,15 @@ export class RunModel {
 
     this.color = null;
     this.highlight = null;
+
+    // Tracked change (review mode only): { type: 'insert' | 'delete', id, author, date }
+    this.revision = null;
+
+    // Hyperlink from w:hyperlink or a HYPERLINK field: { target, id, source }
+    this.link = null;
+
+    // Office Math equation: { id, display, linear, mathml } - text holds the linear form
+    this.equation = null;
   }
 
   /**
@@ -427,6 +452,18 @@ export class RunModel {
       run.highlight = serverRun.highlight;
     }
 
+    if (serverRun.revision) {
+      run.revision = { ...serverRun.revision };
+    }
+
+    if (serverRun.link) {
+      run.link = { ...serverRun.link };
+    }
+
+    if (serverRun.equation) {
+      run.equation = { ...serverRun.equation };
+    }
+
     return run;
   }
 
@@ -461,6 +498,14 @@ export class RunModel {
       run.color = runData.color;
     }
 
+    if (runData.link) {
+      run.link = { ...runData.link };
+    }
+
+    if (runData.equation) {
+      run.equation = { ...runData.equation };
+    }
+
     return run;
   }
 
@@ -472,6 +517,12 @@ export class RunModel {
     run.index = index;
     run.text = textNode.text || '';
 
+    if (textNode.type === 'equation') {
+      const { id, display, linear, mathml } = textNode.attrs || {};
+      run.text = linear || '';
+      run.equation = { id, display: !!display, linear: linear || '', mathml: mathml || null };
+    }
+
     // Process marks
     if (textNode.marks) {
       textNode.marks.forEach(mark => {
@@ -493,6 +544,12 @@ export class RunModel {
             }
             if (mark.attrs.color) run.color = mark.attrs.color;
             break;
+          case 'revision':
+            run.revision = { ...mark.attrs };
+            break;
+          case 'link':
+            run.link = { target: mark.attrs.href || null, id: null, source: 'hyperlink' };
+            break;
         }
       });
     }
@@ -546,6 +603,19 @@ export class RunModel {
   toTiptapTextNode() {
     if (!this.text) return null;
 
+    // Equations render as an atom node; formatting marks do not apply to them
+    if (this.equation) {
+      return {
+        type: 'equation',
+        attrs: {
+          id: this.equation.id,
+          display: !!this.equation.display,
+          linear: this.text,
+          mathml: this.equation.mathml
+        }
+      };
+    }
+
     const textNode = {
       type: 'text',
       text: this.text
@@ -571,6 +641,22 @@ export class RunModel {
       });
     }
 
+    // Hyperlink keeps its real target, not just the displayed text
+    if (this.link?.target) {
+      marks.push({
+        type: 'link',
+        attrs: { href: this.link.target }
+      });
+    }
+
+    // Tracked change pending review
+    if (this.revision) {
+      marks.push({
+        type: 'revision',
+        attrs: { ...this.revision }
+      });
+    }
+
     if (marks.length > 0) {
       textNode.marks = marks;
     }
@@ -589,6 +675,9 @@ export class RunModel {
     cloned.font = { ...this.font };
     cloned.color = this.color;
     cloned.highlight = this.highlight;
+    cloned.revision = this.revision ? { ...this.revision } : null;
+    cloned.link = this.link ? { ...this.link } : null;
+    cloned.equation = this.equation ? { ...this.equation } : null;
     return cloned;
   }
 }
\ No newline at end of file
@@ -4,6 +4,7 @@ import { DocumentModel } from '@/models/DocumentModel';
 import { ParagraphModel } from '@/models/ParagraphModel';
 import { IncrementalAPAAnalyzer } from '@/utils/IncrementalAPAAnalyzer';
 import { EnhancedAPAAnalyzer } from '@/utils/enhancedApaAnalyzer';
+import { ReferenceSorter } from '@/utils/referenceSorter';
 import { FEATURES } from '@/config/features';
 
 /**
@@ -18,6 +19,7 @@ export class DocumentService {
       new EnhancedAPAAnalyzer();
 
     this.compressionUtils = new CompressionUtils();
+    this.referenceSorter = new ReferenceSorter();
     this.serverBaseUrl = process.env.NODE_ENV === 'development' ? 'http://localhost:3001' : '';
 
     if (process.env.NODE_ENV === 'development') {
@@ -28,7 +30,7 @@ export class DocumentService {
   /**
    * Load document from server upload response
    */
-  async loadDocument(file) {
+  async loadDocument(file, options = {}) {
     if (!file) {
       throw new Error('No file provided');
     }
@@ -50,6 +52,9 @@ export class DocumentService {
     // Upload and process on server
     const formData = new FormData();
     formData.append('document', file);
+    if (options.revisionMode) {
+      formData.append('revisionMode', options.revisionMode);
+    }
 
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), 120000); // 2 minute timeout
@@ -108,12 +113,14 @@ export class DocumentService {
 
   /**
    * Perform incremental APA analysis on document
+   * options.paperType ('student' | 'professional') is used instead of detecting it (full analysis only)
    */
   async analyzeDocument(documentModel, options = {}) {
     const {
       force = false,
       changedParagraphs = null,
-      preserveUnchanged = true
+      preserveUnchanged = true,
+      paperType = null
     } = options;
 
     if (!documentModel) {
@@ -128,7 +135,7 @@ export class DocumentService {
       analysisResults = await this._performIncrementalAnalysis(documentModel, changedParagraphs);
     } else {
       // Full analysis
-      analysisResults = await this._performFullAnalysis(documentModel);
+      analysisResults = await this._performFullAnalysis(documentModel, { paperType });
     }
 
     const analysisTime = Date.now() - startTime;
@@ -137,7 +144,7 @@ export class DocumentService {
     this._updateDocumentIssues(documentModel, analysisResults);
 
     // Calculate compliance score
-    const score = this._calculateComplianceScore(analysisResults.issues);
+    const score = this.calculateComplianceScore(analysisResults.issues);
 
     return {
       success: true,
@@ -174,6 +181,11 @@ export class DocumentService {
     try {
       let fixResult;
 
+      // Formatting fixes mutate the model - keep the values they replace for suggest-mode export
+      const previousFormatting = this._isFormattingFix(issue.fixAction)
+        ? this._captureFormatting(documentModel, issue.fixAction)
+        : null;
+
       // Route to appropriate fix handler based on type
       if (this._isTextFix(issue.fixAction)) {
         // Text fixes: client-side JSON mutation (instant)
@@ -185,9 +197,14 @@ export class DocumentService {
         console.log('🎨 Applying formatting fix (client-side):', issue.fixAction);
         fixResult = this._generateFormattingFixTransaction(documentModel, issue);
       }
+      else if (this._isReorderFix(issue.fixAction)) {
+        // Reorder fixes: client-side paragraph order update (instant)
+        console.log('🔀 Applying reorder fix (client-side):', issue.fixAction);
+        fixResult = this._generateReorderFixTransaction(documentModel, issue);
+      }
       else {
-        // Fallback to server for unsupported fix types (legacy)
-        console.warn('⚠️ Using server-side fix (legacy):', issue.fixAction);
+        // Server-side fixes, and fallback for unsupported fix types (legacy)
+        console.warn('⚠️ Using server-side fix:', issue.fixAction);
         fixResult = await this._applyServerFormattingFix(documentModel, issue);
       }
 
@@ -195,6 +212,8 @@ export class DocumentService {
         // Remove fixed issue
         documentModel.issues.removeIssue(issueId);
 
+        this._recordFix(documentModel, issue, fixResult, previousFormatting);
+
         // Record fix application
         documentModel.changeLog.recordChange({
           type: 'fix-applied',
@@ -230,6 +249,185 @@ export class DocumentService {
     }
   }
 
+  /**
+   * Apply many fixes in one pass ("fix all", or every fix in a category)
+   * Text fixes are planned against the current paragraph text and ordered by severity, then position.
+   * A fix whose edit overlaps one already planned is reported as a conflict instead of being applied.
+   * All text edits are committed in one DocumentTransaction; each document-wide formatting fix runs once.
+   * Server-side fixes need their own round trip and reorder fixes move whole paragraphs, so both are skipped.
+   * @param {DocumentModel} documentModel
+   * @param {{ issueIds?: string[], category?: string }} selection - every fixable issue when empty
+   * @param {DocumentTransaction} transaction
+   */
+  async applyFixes(documentModel, selection = {}, transaction) {
+    if (!documentModel || !transaction) {
+      throw new Error('Document model and transaction required');
+    }
+
+    const { issueIds = null, category = null } = selection;
+    const issues = (issueIds
+      ? issueIds.map(id => documentModel.issues.issues.get(id) || { id, missing: true })
+      : documentModel.issues.getAllIssues().filter(issue => issue.hasFix && this.isFixImplemented(issue.fixAction))
+    ).filter(issue => !category || issue.missing || issue.category === category);
+
+    const applied = [];
+    const skipped = [];
+    const conflicts = [];
+    const plans = [];
+    const formattingFixes = new Map(); // fixAction -> issues
+
+    issues.forEach(issue => {
+      const summary = { issueId: issue.id, fixAction: issue.fixAction || null };
+
+      if (issue.missing) {
+        skipped.push({ ...summary, reason: 'Issue not found' });
+      } else if (!issue.hasFix || !this.isFixImplemented(issue.fixAction)) {
+        skipped.push({ ...summary, reason: 'No automatic fix' });
+      } else if (this._isTextFix(issue.fixAction)) {
+        const plan = this._planTextFix(documentModel, issue, plans);
+        if (plan) {
+          plans.push(plan);
+        } else {
+          skipped.push({ ...summary, reason: 'Text to fix not found or already fixed' });
+        }
+      } else if (this._isFormattingFix(issue.fixAction)) {
+        formattingFixes.set(issue.fixAction, [...(formattingFixes.get(issue.fixAction) || []), issue]);
+      } else if (this._isReorderFix(issue.fixAction)) {
+        skipped.push({ ...summary, reason: 'Reorders paragraphs - apply it on its own' });
+      } else {
+        skipped.push({ ...summary, reason: 'Server-side fix - apply it on its own' });
+      }
+    });
+
+    // Higher severity wins an overlap, then document order
+    const severityOrder = { Critical: 0, Major: 1, Minor: 2 };
+    plans.sort((a, b) =>
+      (severityOrder[a.issue.severity] ?? 3) - (severityOrder[b.issue.severity] ?? 3) ||
+      a.paragraphIndex - b.paragraphIndex ||
+      a.start - b.start
+    );
+
+    const edits = [];
+    plans.forEach(plan => {
+      const summary = { issueId: plan.issue.id, fixAction: plan.issue.fixAction };
+      const samePlace = edits.filter(edit => edit.paragraphId === plan.paragraphId);
+      const duplicate = samePlace.find(edit => edit.start === plan.start && edit.end === plan.end && edit.text === plan.text);
+      const blocking = samePlace.find(edit => this._editsOverlap(edit, plan));
+
+      if (duplicate) {
+        applied.push({ ...summary, duplicateOf: duplicate.issue.id });
+      } else if (blocking) {
+        conflicts.push({ ...summary, conflictsWith: blocking.issue.id });
+      } else {
+        edits.push(plan);
+        applied.push(summary);
+      }
+    });
+
+    const snapshot = documentModel.createSnapshot();
+
+    try {
+      // Text edits - one transaction, edits within a paragraph applied back to front
+      const editsByParagraph = new Map();
+      edits.forEach(edit => {
+        editsByParagraph.set(edit.paragraphId, [...(editsByParagraph.get(edit.paragraphId) || []), edit]);
+      });
+
+      editsByParagraph.forEach((paragraphEdits, paragraphId) => {
+        const paragraph = documentModel.paragraphs.get(paragraphId);
+        const ordered = [...paragraphEdits].sort((a, b) => b.start - a.start);
+        const text = ordered.reduce(
+          (current, edit) => current.slice(0, edit.start) + edit.text + current.slice(edit.end),
+          paragraph.text
+        );
+        const runs = this._spliceRuns(paragraph, ordered);
+        transaction.updateParagraph(paragraphId, runs ? { text, runs } : { text });
+
+        // Offsets in the fixed text, so suggest-mode export finds each change where it ended up
+        let shift = 0;
+        [...ordered].reverse().forEach(edit => {
+          documentModel.fixHistory.record({
+            kind: 'text',
+            fixAction: edit.issue.fixAction,
+            paragraphId,
+            offset: edit.start + shift,
+            deleted: paragraph.text.substring(edit.start, edit.end),
+            inserted: edit.text
+          });
+          shift += edit.text.length - (edit.end - edit.start);
+        });
+      });
+
+      if (edits.length > 0) {
+        await transaction.commit();
+      }
+
+      // Formatting fixes are document-wide: one application covers every issue reporting it
+      const formatting = [];
+      formattingFixes.forEach((fixIssues, fixAction) => {
+        const previousFormatting = this._captureFormatting(documentModel, fixAction);
+        const fixResult = this._generateFormattingFixTransaction(documentModel, fixIssues[0]);
+
+        fixIssues.forEach(issue => {
+          const summary = { issueId: issue.id, fixAction };
+          if (fixResult.success) {
+            applied.push(summary);
+          } else {
+            skipped.push({ ...summary, reason: fixResult.error || 'Fix application failed' });
+          }
+        });
+
+        if (fixResult.success) {
+          this._recordFix(documentModel, fixIssues[0], fixResult, previousFormatting);
+          formatting.push(fixResult.transactionData.formatting);
+        }
+      });
+
+      applied.forEach(({ issueId }) => documentModel.issues.removeIssue(issueId));
+
+      documentModel.changeLog.recordChange({
+        type: 'fixes-applied',
+        transactionId: transaction.id,
+        applied: applied.length,
+        skipped: skipped.length,
+        conflicts: conflicts.length,
+        timestamp: Date.now(),
+        snapshotId: snapshot.id
+      });
+
+      console.log(`🔧 Batch fix: ${applied.length} applied, ${skipped.length} skipped, ${conflicts.length} in conflict`);
+
+      return {
+        success: true,
+        applied,
+        skipped,
+        conflicts,
+        fixData: {
+          type: 'batch',
+          textReplacements: edits
+            .sort((a, b) => a.paragraphIndex - b.paragraphIndex || a.start - b.start)
+            .map(edit => ({
+              paragraphId: edit.paragraphId,
+              paragraphText: edit.paragraphText,
+              original: edit.original,
+              occurrence: edit.occurrence,
+              offset: edit.start - edit.occurrence,
+              length: edit.end - edit.start,
+              text: edit.text,
+              pmPosition: edit.issue.pmPosition || null
+            })),
+          formatting
+        },
+        snapshotId: snapshot.id
+      };
+
+    } catch (error) {
+      console.error('❌ Batch fix failed:', error);
+      documentModel.restoreFromSnapshot(snapshot);
+      throw error;
+    }
+  }
+
   /**
    * Update paragraph content (maintains sync with editor)
    */
@@ -316,20 +514,57 @@ export class DocumentService {
           filename: `${documentModel.metadata.name || 'document'}.html`
         };
 
-      case 'docx': {
+      case 'docx':
+      case 'docx-suggest':
+      case 'docx-comments': {
         // NEW: Generate DOCX from JSON using DocxExportService
+        // Suggest mode writes applied fixes as tracked changes the author can accept or reject in Word,
+        // comments mode writes the open APA issues as Word comments on the text they refer to
         const { DocxExportService } = await import('./DocxExportService');
         const exportService = new DocxExportService();
+        const mode = format.toLowerCase();
+        const suffix = { 'docx-suggest': ' (suggested fixes)', 'docx-comments': ' (APA comments)' }[mode] || '';
+
+        // Embedded images are not part of the model - their bytes come from the imported file
+        const originalDocx = documentModel.structure.figures?.length > 0
+          ? await this._loadOriginalDocx(documentModel)
+          : null;
+
+        console.log(`📤 Exporting document as DOCX (JSON-based, ${mode})...`);
+        const docxBuffer = await exportService.exportToDocx(documentModel, {
+          trackChanges: mode === 'docx-suggest',
+          issueComments: mode === 'docx-comments',
+          originalDocx
+        });
 
-        console.log('📤 Exporting document as DOCX (JSON-based)...');
-        const docxBuffer = await exportService.exportToDocx(documentModel);
+        return {
+          success: true,
+          format: 'docx',
+          content: docxBuffer,
+          filename: `${documentModel.metadata.name || 'document'}${suffix}.docx`,
+          method: 'json-based' // Indicate new architecture
+        };
+      }
+
+      case 'docx-original': {
+        // Round-trip: patch the editor's paragraph edits into the original file instead of regenerating it
+        const originalBuffer = await this._loadOriginalDocx(documentModel);
+        if (!originalBuffer) {
+          throw new Error('Original DOCX is not available for round-trip export');
+        }
+
+        const { DocxPatchService } = await import('./DocxPatchService');
+        const patchService = new DocxPatchService();
+
+        console.log('📤 Exporting document as DOCX (round-trip patch of the original)...');
+        const docxBuffer = await patchService.patchDocx(originalBuffer, documentModel);
 
         return {
           success: true,
           format: 'docx',
           content: docxBuffer,
           filename: `${documentModel.metadata.name || 'document'}.docx`,
-          method: 'json-based' // Indicate new architecture
+          method: 'round-trip'
         };
       }
 
@@ -379,7 +614,7 @@ export class DocumentService {
       statistics: stats,
       issues: issueStats,
       compliance: {
-        score: this._calculateComplianceScore(documentModel.issues.getAllIssues()),
+        score: this.calculateComplianceScore(documentModel.issues.getAllIssues()),
         lastAnalysis: documentModel.issues.lastAnalysisTimestamp,
         totalParagraphs: documentModel.paragraphOrder.length,
         analysisVersion: documentModel.version
@@ -391,13 +626,14 @@ export class DocumentService {
 
   // Private methods
 
-  async _performFullAnalysis(documentModel) {
+  async _performFullAnalysis(documentModel, { paperType = null } = {}) {
     // Convert document model to format expected by analyzer
+    // paperType ('student' | 'professional') overrides the paper type the validators detect from the text
     const documentData = {
       text: documentModel.getPlainText(),
       html: documentModel.getFormattedHtml(),
       formatting: this._extractFormattingForAnalysis(documentModel),
-      structure: this._extractStructureForAnalysis(documentModel),
+      structure: { ...this._extractStructureForAnalysis(documentModel), paperType },
       styles: this._extractStylesForAnalysis(documentModel)
     };
 
@@ -513,7 +749,10 @@ export class DocumentService {
     documentModel.issues.lastAnalysisTimestamp = Date.now();
   }
 
-  _calculateComplianceScore(issues) {
+  /**
+   * Compliance score (0-100) of an issue list: critical issues cost 8 points, major 4, minor 1.5
+   */
+  calculateComplianceScore(issues) {
     if (!issues || issues.length === 0) return 100;
 
     const criticalCount = issues.filter(i => i.severity === 'Critical').length;
@@ -527,7 +766,10 @@ export class DocumentService {
    * Check if a fix action is actually implemented
    */
   isFixImplemented(fixAction) {
-    return this._isTextFix(fixAction) || this._isFormattingFix(fixAction);
+    return this._isTextFix(fixAction) ||
+      this._isFormattingFix(fixAction) ||
+      this._isReorderFix(fixAction) ||
+      this._isServerFix(fixAction);
   }
 
   /**
@@ -557,6 +799,26 @@ export class DocumentService {
     ].includes(fixAction);
   }
 
+  /**
+   * Check if fix is a reorder fix (paragraph order update)
+   */
+  _isReorderFix(fixAction) {
+    return [
+      'sortReferences',
+      'sortReferencesByYear'
+    ].includes(fixAction);
+  }
+
+  /**
+   * Check if fix is only applied by the server (DOCX XML modification, model rebuilt from the result)
+   */
+  _isServerFix(fixAction) {
+    return [
+      'fixReferenceIndent',
+      'fixHeadingLevel'
+    ].includes(fixAction);
+  }
+
   /**
    * Generate transaction data for text fixes
    * Returns data for ProseMirror transaction, does NOT mutate
@@ -635,12 +897,117 @@ export class DocumentService {
           from,
           to,
           text: replacementText,
-          original: originalText // Editor will search for this text
+          original: originalText, // Editor will search for this text
+          paragraphId
         }
       }
     };
   }
 
+  /**
+   * Locate a text fix in its paragraph and reduce it to the characters that change:
+   * "(Smith and Jones 2020)" -> "(Smith & Jones, 2020)" is one edit replacing "and" and one inserting ","
+   * when the connector and the comma are fixed separately, so the two do not conflict.
+   */
+  _planTextFix(documentModel, issue, planned) {
+    const { fixAction, fixValue, location } = issue;
+    const original = fixValue?.original || issue.highlightText || issue.text;
+    if (!original) return null;
+
+    // The flagged paragraph, else the first paragraph containing the text
+    let paragraphIndex = location?.paragraphIndex ?? -1;
+    let paragraph = documentModel.paragraphs.get(documentModel.paragraphOrder[paragraphIndex]);
+    if (!paragraph || !paragraph.text.includes(original)) {
+      paragraphIndex = documentModel.paragraphOrder.findIndex(id => documentModel.paragraphs.get(id)?.text.includes(original));
+      paragraph = documentModel.paragraphs.get(documentModel.paragraphOrder[paragraphIndex]);
+    }
+    if (!paragraph) return null;
+
+    // The flagged occurrence, else the first one this fix action has not claimed yet
+    let occurrence = -1;
+    if (location?.charOffset !== undefined && paragraph.text.substring(location.charOffset, location.charOffset + original.length) === original) {
+      occurrence = location.charOffset;
+    } else {
+      for (let index = paragraph.text.indexOf(original); index !== -1; index = paragraph.text.indexOf(original, index + 1)) {
+        const claimed = planned.some(plan =>
+          plan.paragraphId === paragraph.id && plan.issue.fixAction === fixAction && plan.occurrence === index
+        );
+        if (!claimed) {
+          occurrence = index;
+          break;
+        }
+      }
+      if (occurrence === -1) occurrence = paragraph.text.indexOf(original);
+    }
+
+    const replacement = fixValue?.original && fixValue?.replacement
+      ? fixValue.replacement
+      : this._applyLegacyTextFix(original, fixAction, { ...issue, text: original });
+    if (replacement === original) return null;
+
+    let prefix = 0;
+    while (prefix < original.length && prefix < replacement.length && original[prefix] === replacement[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < original.length - prefix && suffix < replacement.length - prefix &&
+      original[original.length - 1 - suffix] === replacement[replacement.length - 1 - suffix]) suffix++;
+
+    return {
+      issue,
+      paragraphId: paragraph.id,
+      paragraphIndex,
+      paragraphText: paragraph.text,
+      original,
+      occurrence,
+      start: occurrence + prefix,
+      end: occurrence + original.length - suffix,
+      text: replacement.slice(prefix, replacement.length - suffix)
+    };
+  }
+
+  /**
+   * Overlapping ranges, or two insertions at the same point (their order would be arbitrary)
+   */
+  _editsOverlap(a, b) {
+    return (a.start < b.end && b.start < a.end) ||
+      (a.start === b.start && (a.start === a.end || b.start === b.end));
+  }
+
+  /**
+   * Run data for a paragraph after applying edits (sorted back to front); inserted text takes the
+   * formatting of the text before it. Null when the runs do not add up to the paragraph text.
+   */
+  _spliceRuns(paragraph, edits) {
+    const runs = paragraph.runOrder
+      .map(id => paragraph.runs.get(id))
+      .filter(Boolean)
+      .map(run => ({ text: run.text, font: { ...run.font }, color: run.color, link: run.link, equation: run.equation }));
+
+    if (runs.length === 0 || runs.map(run => run.text).join('') !== paragraph.text) return null;
+
+    edits.forEach(edit => {
+      let offset = 0;
+      const bounds = runs.map(run => {
+        const start = offset;
+        offset += run.text.length;
+        return { run, start };
+      });
+      const target = bounds.find(({ run, start }) => !run.equation && start < edit.start && edit.start <= start + run.text.length) ||
+        bounds.find(({ run, start }) => !run.equation && start >= edit.start);
+
+      bounds.forEach(bound => {
+        const from = Math.min(Math.max(edit.start - bound.start, 0), bound.run.text.length);
+        const to = Math.min(Math.max(edit.end - bound.start, 0), bound.run.text.length);
+        bound.run.text = bound.run.text.slice(0, from) + (bound === target ? edit.text : '') + bound.run.text.slice(to);
+      });
+
+      if (!target && edit.text) {
+        runs.push({ text: edit.text });
+      }
+    });
+
+    return runs.filter(run => run.text || run.equation);
+  }
+
   /**
    * Generate transaction data for formatting fixes
    * Returns data for content refresh (document-wide changes require full reload)
@@ -739,6 +1106,139 @@ export class DocumentService {
     };
   }
 
+  /**
+   * Generate transaction data for reorder fixes
+   * Sorts the reference list into APA order by permuting paragraphOrder, so each entry keeps its
+   * runs and formatting. Empty paragraphs inside the list stay where they are.
+   */
+  _generateReorderFixTransaction(documentModel, issue) {
+    const paragraphs = documentModel.paragraphOrder.map(id => documentModel.paragraphs.get(id));
+
+    // Last "References" heading - a table of contents may list it earlier
+    const headingIndex = paragraphs.map(para => (para?.text || '').trim())
+      .reduce((found, text, index) => /^(references|reference list)$/i.test(text) ? index : found, -1);
+    if (headingIndex === -1) {
+      return { success: false, error: 'References section not found' };
+    }
+
+    // The list runs until an appendix or the next heading
+    let endIndex = headingIndex + 1;
+    while (endIndex < paragraphs.length) {
+      const para = paragraphs[endIndex];
+      const text = (para?.text || '').trim();
+      const styleName = para?.formatting.styleName?.toLowerCase() || '';
+      if (/^appendix/i.test(text) || styleName.includes('heading') || styleName.includes('title')) break;
+      endIndex++;
+    }
+
+    const block = documentModel.paragraphOrder.slice(headingIndex + 1, endIndex);
+    const slots = block
+      .map((id, offset) => offset)
+      .filter(offset => documentModel.paragraphs.get(block[offset])?.text.trim());
+    const entries = slots.map(offset => block[offset]);
+    const sorted = this.referenceSorter.sort(entries, id => documentModel.paragraphs.get(id).text);
+
+    if (sorted.every((id, index) => id === entries[index])) {
+      return { success: false, error: 'References are already in order' };
+    }
+
+    const reordered = [...block];
+    slots.forEach((offset, index) => {
+      reordered[offset] = sorted[index];
+    });
+
+    documentModel.paragraphOrder.splice(headingIndex + 1, block.length, ...reordered);
+    documentModel.paragraphOrder.forEach((id, index) => {
+      const para = documentModel.paragraphs.get(id);
+      if (para) para.index = index;
+    });
+
+    // Update document version
+    documentModel.version++;
+    documentModel.lastModified = Date.now();
+
+    console.log(`🔀 ${issue.fixAction}: ${entries.length} references sorted`);
+
+    return {
+      success: true,
+      transactionData: {
+        type: 'reorder',
+        reorder: {
+          // Editor blocks are matched on the texts before the fix
+          blockTexts: block.map(id => documentModel.paragraphs.get(id)?.text || ''),
+          order: reordered.map(id => block.indexOf(id))
+        }
+      }
+    };
+  }
+
+  /**
+   * Snapshot the paragraph and run values a formatting fix is about to overwrite
+   */
+  _captureFormatting(documentModel, fixAction) {
+    const paragraphs = {};
+
+    documentModel.paragraphOrder.forEach(id => {
+      const para = documentModel.paragraphs.get(id);
+      if (!para) return;
+
+      switch (fixAction) {
+        case 'fixFont':
+          paragraphs[id] = { runs: para.runOrder.map(runId => ({ family: para.runs.get(runId)?.font?.family ?? null })) };
+          break;
+        case 'fixFontSize':
+          paragraphs[id] = { runs: para.runOrder.map(runId => ({ size: para.runs.get(runId)?.font?.size ?? null })) };
+          break;
+        case 'fixLineSpacing':
+          paragraphs[id] = { spacing: { ...para.formatting.spacing } };
+          break;
+        case 'fixIndentation':
+          paragraphs[id] = { indentation: { ...para.formatting.indentation } };
+          break;
+      }
+    });
+
+    return paragraphs;
+  }
+
+  /**
+   * Keep what an applied fix changed so DOCX export can offer it as a Word tracked change
+   */
+  _recordFix(documentModel, issue, fixResult, previousFormatting) {
+    const replacement = fixResult.transactionData?.textReplacement;
+
+    if (replacement?.paragraphId) {
+      const paragraph = documentModel.paragraphs.get(replacement.paragraphId);
+      if (!paragraph || !replacement.original || !paragraph.text.includes(replacement.original)) return;
+
+      // Reduce the replacement to the characters that actually change: "(Smith 2020)" -> insert ","
+      const oldText = paragraph.text;
+      const newText = oldText.replace(replacement.original, replacement.text);
+      let start = 0;
+      while (start < oldText.length && start < newText.length && oldText[start] === newText[start]) start++;
+      let end = 0;
+      while (end < oldText.length - start && end < newText.length - start &&
+        oldText[oldText.length - 1 - end] === newText[newText.length - 1 - end]) end++;
+
+      if (start === oldText.length - end && start === newText.length - end) return;
+
+      documentModel.fixHistory.record({
+        kind: 'text',
+        fixAction: issue.fixAction,
+        paragraphId: replacement.paragraphId,
+        offset: start,
+        deleted: oldText.substring(start, oldText.length - end),
+        inserted: newText.substring(start, newText.length - end)
+      });
+    } else if (previousFormatting && Object.keys(previousFormatting).length > 0) {
+      documentModel.fixHistory.record({
+        kind: 'formatting',
+        fixAction: issue.fixAction,
+        paragraphs: previousFormatting
+      });
+    }
+  }
+
   /**
    * Legacy text fix logic (for backward compatibility)
    */
@@ -784,48 +1284,21 @@ export class DocumentService {
   }
 
   async _applyServerFormattingFix(documentModel, issue) {
-    let base64Buffer;
-
-    if (!documentModel.currentBuffer) {
-      // Document loaded from Supabase - download original file first
-      if (!documentModel.supabase.filePath) {
-        return {
-          success: false,
-          message: 'Cannot apply formatting fixes: document file path not available.'
-        };
-      }
-
-      console.log('📥 Downloading document from Supabase for fix application...');
-      console.log('📁 File path:', documentModel.supabase.filePath);
-
-      // Download from Supabase storage - use createBrowserClient from @supabase/ssr
-      const { createBrowserClient } = await import('@supabase/ssr');
-      const supabase = createBrowserClient(
-        process.env.NEXT_PUBLIC_SUPABASE_URL,
-        process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY
-      );
-
-      const { data: fileData, error: downloadError } = await supabase.storage
-        .from('user-documents')
-        .download(documentModel.supabase.filePath);
-
-      console.log('📦 Download result:', { hasData: !!fileData, error: downloadError });
-
-      if (downloadError || !fileData) {
-        return {
-          success: false,
-          message: 'Failed to download document from storage for fix application.'
-        };
-      }
+    if (!documentModel.currentBuffer && !documentModel.supabase.filePath) {
+      return {
+        success: false,
+        message: 'Cannot apply formatting fixes: document file path not available.'
+      };
+    }
 
-      // Convert Blob to Buffer to base64
-      const arrayBuffer = await fileData.arrayBuffer();
-      const buffer = Buffer.from(arrayBuffer);
-      base64Buffer = this._bufferToBase64(buffer);
-    } else {
-      const decompressedBuffer = await this.compressionUtils.decompressBuffer(documentModel.currentBuffer);
-      base64Buffer = this._bufferToBase64(decompressedBuffer);
+    const buffer = await this._loadOriginalDocx(documentModel);
+    if (!buffer) {
+      return {
+        success: false,
+        message: 'Failed to download document from storage for fix application.'
+      };
     }
+    const base64Buffer = this._bufferToBase64(buffer);
 
     console.log('🔧 Sending fix to backend:', {
       fixAction: issue.fixAction,
@@ -903,6 +1376,7 @@ export class DocumentService {
           documentModel.paragraphs.set(paragraphModel.id, paragraphModel);
           documentModel.paragraphOrder.push(paragraphModel.id);
         });
+        documentModel.originalParagraphs = result.document.formatting.paragraphs.map(paraData => paraData.text || '');
 
         console.log(`✅ Paragraphs rebuilt: ${documentModel.paragraphOrder.length} paragraphs`);
       }
@@ -933,6 +1407,44 @@ export class DocumentService {
     };
   }
 
+  /**
+   * The DOCX the model was built from: the in-memory buffer for fresh uploads,
+   * the file in Supabase Storage for documents loaded from the dashboard
+   */
+  async _loadOriginalDocx(documentModel) {
+    if (documentModel.currentBuffer) {
+      return this.compressionUtils.decompressBuffer(documentModel.currentBuffer);
+    }
+
+    if (!documentModel.supabase.filePath) {
+      return null;
+    }
+
+    console.log('📥 Downloading document from Supabase...');
+    console.log('📁 File path:', documentModel.supabase.filePath);
+
+    // Download from Supabase storage - use createBrowserClient from @supabase/ssr
+    const { createBrowserClient } = await import('@supabase/ssr');
+    const supabase = createBrowserClient(
+      process.env.NEXT_PUBLIC_SUPABASE_URL,
+      process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY
+    );
+
+    const { data: fileData, error: downloadError } = await supabase.storage
+      .from('user-documents')
+      .download(documentModel.supabase.filePath);
+
+    console.log('📦 Download result:', { hasData: !!fileData, error: downloadError });
+
+    if (downloadError || !fileData) {
+      return null;
+    }
+
+    // Convert Blob to Buffer
+    const arrayBuffer = await fileData.arrayBuffer();
+    return Buffer.from(arrayBuffer);
+  }
+
   async _saveToSupabase(documentModel, modifiedBufferBase64, updatedDocumentData) {
     try {
       const { createBrowserClient } = await import('@supabase/ssr');
@@ -966,7 +1478,7 @@ export class DocumentService {
       // Get current Tiptap JSON and issues for the NEW architecture
       const tiptapContent = documentModel.getTiptapJson();
       const issues = documentModel.issues.getAllIssues();
-      const complianceScore = this._calculateComplianceScore(issues);
+      const complianceScore = this.calculateComplianceScore(issues);
 
       // Update analysis_results table with BOTH old and new data
       const { error: updateError } = await supabase
@@ -1029,7 +1541,7 @@ export class DocumentService {
 
       // Get current issues for compliance score
       const issues = documentModel.issues.getAllIssues();
-      const complianceScore = this._calculateComplianceScore(issues);
+      const complianceScore = this.calculateComplianceScore(issues);
 
       // Check abort signal before network operations
       if (signal?.aborted) {
@@ -1147,6 +1659,7 @@ export class DocumentService {
           indentation: paragraph.formatting.indentation,
           alignment: paragraph.formatting.alignment,
           style: paragraph.formatting.styleName,
+          sources: paragraph.formatting.sources,
           runs: Array.from(paragraph.runs.values()).map(run => ({
             index: run.index,
             text: run.text,
@@ -1155,6 +1668,7 @@ export class DocumentService {
           }))
         } : null;
       }).filter(Boolean),
+      sections: documentModel.getSections(),
       compliance: documentModel.formatting.compliance
     };
   }
@@ -1166,8 +1680,15 @@ export class DocumentService {
       citations: documentModel.structure.citations,
       references: documentModel.structure.references,
       tables: documentModel.structure.tables,
+      figures: documentModel.structure.figures,
+      hyperlinks: documentModel.structure.hyperlinks,
+      equations: documentModel.structure.equations,
+      citationFields: documentModel.structure.citationFields,
       italicizedText: documentModel.structure.italicizedText,
       headersFooters: documentModel.structure.headersFooters,
+      footnotes: documentModel.structure.footnotes,
+      endnotes: documentModel.structure.endnotes,
+      lists: documentModel.structure.lists,
       // Add paragraph map for accurate index mapping
       paragraphMap: documentModel.paragraphOrder.map((id, index) => {
         const para = documentModel.paragraphs.get(id);
@@ -1,19 +1,93 @@
 'use client';
 
-import { Document, Packer, Paragraph, TextRun, HeadingLevel, AlignmentType } from 'docx';
+import {
+  Document, Packer, Paragraph, TextRun, InsertedTextRun, DeletedTextRun, Header, Footer, PageNumber, Tab,
+  HeadingLevel, AlignmentType, PageOrientation, TabStopType, ParagraphProperties, XmlComponent,
+  XmlAttributeComponent, CommentRangeStart, CommentRangeEnd, CommentReference, Table, TableRow, TableCell,
+  WidthType, BorderStyle, ImageRun, FootnoteReferenceRun, LevelFormat
+} from 'docx';
+import JSZip from 'jszip';
+import { ChangeTracker } from '@/utils/ChangeTracker';
+
+const DEFAULT_AUTHOR = 'APA Document Checker';
+
+// What the automatic fixes without a text replacement do, for issue comments
+const FIX_DESCRIPTIONS = {
+  fixFont: 'Change the font to Times New Roman.',
+  fixFontSize: 'Change the font size to 12 pt.',
+  fixLineSpacing: 'Set line spacing to double (2.0).',
+  fixMargins: 'Set all page margins to 1 inch.',
+  fixIndentation: 'Indent the first line of body paragraphs by 0.5 inch.',
+  sortReferences: 'Sort the reference list alphabetically by first author.',
+  sortReferencesByYear: 'Order works by the same author by year of publication.'
+};
+
+// Word list number formats (numbering.xml w:numFmt) to docx level formats
+const LIST_FORMATS = {
+  decimal: LevelFormat.DECIMAL,
+  lowerLetter: LevelFormat.LOWER_LETTER,
+  upperLetter: LevelFormat.UPPER_LETTER,
+  lowerRoman: LevelFormat.LOWER_ROMAN,
+  upperRoman: LevelFormat.UPPER_ROMAN,
+  bullet: LevelFormat.BULLET
+};
+const LIST_BULLETS = ['•', '◦', '▪'];
+
+const PIXELS_PER_INCH = 96;
+
+/**
+ * w:id / w:author / w:date of a tracked change
+ */
+class RevisionAttributes extends XmlAttributeComponent {
+  xmlKeys = { id: 'w:id', author: 'w:author', date: 'w:date' };
+}
+
+/**
+ * w:pPrChange - docx has no paragraph property revisions, so this holds the previous w:pPr
+ */
+class ParagraphPropertiesChange extends XmlComponent {
+  constructor({ id, author, date, ...properties }) {
+    super('w:pPrChange');
+    this.root.push(new RevisionAttributes({ id, author, date }));
+    this.root.push(new ParagraphProperties(properties));
+  }
+}
 
 /**
  * DOCX Export Service - Generate DOCX from DocumentModel JSON
  * This is the JSON-first architecture: JSON is source of truth, DOCX generated on-demand
  */
 export class DocxExportService {
+  constructor() {
+    this.revisionId = 0;
+    // Set during a suggest-mode export: { author, date, fixHistory }
+    this.suggest = null;
+    // Set during an issue-comments export: paragraph id -> [{ id, start, end }]
+    this.commentRanges = null;
+    // Paragraphs that form the title page: paragraph id -> 'title' | 'line'
+    this.titlePageRoles = null;
+    // Paragraph that starts on the page after the title page
+    this.titlePageBreakBefore = null;
+    // Imported structures the editor does not hold, re-attached to the current paragraphs:
+    // tables and stand-alone figures before a paragraph id (null = end of document),
+    // images inside a paragraph, footnote marks at paragraph offsets and APA caption roles
+    this.blocksBefore = null;
+    this.paragraphImages = null;
+    this.noteMarks = null;
+    this.captionRoles = null;
+  }
 
   /**
    * Convert DocumentModel to DOCX buffer
    * @param {DocumentModel} documentModel
+   * @param {Object} options
+   * @param {boolean} options.trackChanges - suggest mode: applied fixes become Word revisions
+   * @param {boolean} options.issueComments - open APA issues become Word comments on the text they refer to
+   * @param {string} options.author - revision and comment author shown in Word
+   * @param {Buffer|Uint8Array} options.originalDocx - imported file, the source of embedded images
    * @returns {Promise<Uint8Array>} DOCX file buffer
    */
-  async exportToDocx(documentModel) {
+  async exportToDocx(documentModel, options = {}) {
     if (!documentModel) {
       throw new Error('No document model provided');
     }
@@ -21,24 +95,61 @@ export class DocxExportService {
     console.log('📄 Generating DOCX from JSON...');
     const startTime = Date.now();
 
-    // Build DOCX sections
-    const sections = [{
-      properties: {
-        page: {
-          margin: {
-            top: this._inchesToTwip(documentModel.formatting.document.margins.top || 1.0),
-            bottom: this._inchesToTwip(documentModel.formatting.document.margins.bottom || 1.0),
-            left: this._inchesToTwip(documentModel.formatting.document.margins.left || 1.0),
-            right: this._inchesToTwip(documentModel.formatting.document.margins.right || 1.0)
+    this.revisionId = 0;
+    this.suggest = options.trackChanges && documentModel.fixHistory?.length > 0
+      ? {
+        author: options.author || DEFAULT_AUTHOR,
+        date: new Date().toISOString().replace(/\.\d{3}Z$/, 'Z'),
+        fixHistory: documentModel.fixHistory
+      }
+      : null;
+
+    const issueComments = options.issueComments
+      ? this._buildIssueComments(documentModel, options.author || DEFAULT_AUTHOR)
+      : null;
+    this.commentRanges = issueComments?.ranges || null;
+
+    const titlePage = this._prepareTitlePage(documentModel);
+    const footnotes = await this._prepareStructures(documentModel, options.originalDocx);
+    const numbering = this._buildNumbering(documentModel);
+
+    // Build DOCX sections - one per imported section so page layout changes survive the round trip
+    const layouts = documentModel.getSections();
+    const sections = layouts.length > 0
+      ? layouts.map(layout => this._buildSection(documentModel, layout))
+      : [{
+        properties: {
+          page: {
+            margin: {
+              top: this._inchesToTwip(documentModel.formatting.document.margins.top || 1.0),
+              bottom: this._inchesToTwip(documentModel.formatting.document.margins.bottom || 1.0),
+              left: this._inchesToTwip(documentModel.formatting.document.margins.left || 1.0),
+              right: this._inchesToTwip(documentModel.formatting.document.margins.right || 1.0)
+            }
           }
-        }
-      },
-      children: this._buildParagraphs(documentModel)
-    }];
+        },
+        children: this._buildParagraphs(documentModel)
+      }];
+
+    sections[0].children.unshift(...titlePage);
+
+    // Tables and figures after the last paragraph; Word expects a paragraph after a final table
+    const trailingBlocks = this.blocksBefore.get(null) || [];
+    if (trailingBlocks.length > 0) {
+      sections[sections.length - 1].children.push(...trailingBlocks, new Paragraph({}));
+    }
+
+    // The exported file must carry APA page numbers even when the original had none
+    if (!this._hasPageNumbers(documentModel)) {
+      sections[0].headers = this._buildApaHeaders(documentModel.metadata, sections[0].properties);
+    }
 
     // Create document
     const doc = new Document({
       sections,
+      comments: issueComments ? { children: issueComments.comments } : undefined,
+      footnotes: Object.keys(footnotes).length > 0 ? footnotes : undefined,
+      numbering: numbering.length > 0 ? { config: numbering } : undefined,
       styles: {
         default: {
           document: {
@@ -62,28 +173,513 @@ export class DocxExportService {
     const buffer = await Packer.toBuffer(doc);
 
     const exportTime = Date.now() - startTime;
-    console.log(`✅ DOCX generated in ${exportTime}ms`);
+    console.log(`✅ DOCX generated in ${exportTime}ms${this.revisionId > 0 ? ` with ${this.revisionId} tracked changes` : ''}${issueComments ? ` and ${issueComments.comments.length} issue comments` : ''}`);
 
     return buffer;
   }
 
   /**
-   * Build paragraphs from DocumentModel
+   * Build one DOCX section from a section layout (see DocumentModel.getSections)
    */
-  _buildParagraphs(documentModel) {
-    const paragraphs = [];
+  _buildSection(documentModel, layout) {
+    const margins = layout.margins || {};
+    const margin = (value, fallback) => this._inchesToTwip(value ?? fallback);
+    const { width, height } = layout.pageSize || {};
+    const landscape = layout.orientation === 'landscape';
+
+    const page = {
+      margin: {
+        top: margin(margins.top, 1.0),
+        bottom: margin(margins.bottom, 1.0),
+        left: margin(margins.left, 1.0),
+        right: margin(margins.right, 1.0),
+        header: margin(margins.header, 0.5),
+        footer: margin(margins.footer, 0.5),
+        gutter: margin(margins.gutter, 0)
+      }
+    };
+
+    // docx swaps width and height for landscape pages, so always pass the portrait dimensions
+    if (width && height) {
+      page.size = {
+        width: this._inchesToTwip(Math.min(width, height)),
+        height: this._inchesToTwip(Math.max(width, height)),
+        orientation: landscape ? PageOrientation.LANDSCAPE : PageOrientation.PORTRAIT
+      };
+    }
+
+    if (layout.pageNumbering?.start !== null && layout.pageNumbering?.start !== undefined) {
+      page.pageNumbers = { start: layout.pageNumbering.start };
+    }
+
+    // The paragraph holding an imported break is recreated by docx - drop it when it is empty
+    let endParagraphIndex = layout.endParagraphIndex;
+    const lastParagraph = documentModel.paragraphs.get(documentModel.paragraphOrder[endParagraphIndex]);
+    if (lastParagraph && lastParagraph.formatting?.sectionBreak !== null && lastParagraph.formatting?.sectionBreak !== undefined && !lastParagraph.text.trim()) {
+      endParagraphIndex--;
+    }
+
+    const section = {
+      properties: {
+        type: layout.breakType || undefined,
+        titlePage: !!layout.titlePage,
+        page
+      },
+      children: this._buildParagraphs(documentModel, layout.startParagraphIndex, endParagraphIndex)
+    };
+
+    // Sections without their own header/footer parts inherit the previous section's in Word
+    const headers = this._buildHeadersFooters(layout.headers, documentModel.structure?.headersFooters?.headers, Header);
+    const footers = this._buildHeadersFooters(layout.footers, documentModel.structure?.headersFooters?.footers, Footer);
+    if (headers) section.headers = headers;
+    if (footers) section.footers = footers;
+
+    return section;
+  }
+
+  /**
+   * Rebuild the header or footer parts a section references from their imported text
+   */
+  _buildHeadersFooters(references, parts, PartClass) {
+    if (!references || !parts) return null;
+
+    const result = {};
+    Object.entries(references).forEach(([type, reference]) => {
+      if (!reference || reference.inherited) return;
+
+      const part = parts.find(item => item.index === reference.partIndex);
+      if (!part) return;
+
+      const children = [];
+      if (part.text?.trim()) children.push(new TextRun(part.text.trim()));
+      if (part.hasPageNumber) children.push(new TextRun({ children: [PageNumber.CURRENT] }));
+
+      result[type] = new PartClass({
+        children: [new Paragraph({
+          children,
+          alignment: part.hasPageNumber && !part.text?.trim() ? AlignmentType.RIGHT : undefined
+        })]
+      });
+    });
+
+    return Object.keys(result).length > 0 ? result : null;
+  }
+
+  /**
+   * Title page from the paper details in the document metadata
+   * When the document already starts with its title page those paragraphs are laid out in place
+   * (see _buildParagraphs), otherwise the title page is generated and returned.
+   */
+  _prepareTitlePage(documentModel) {
+    const { title, authors, affiliation, course, instructor, date, paragraphCount } = documentModel.metadata.titlePage || {};
+    this.titlePageRoles = null;
+    this.titlePageBreakBefore = null;
+
+    if (!title?.trim()) return [];
+
+    if (paragraphCount > 0) {
+      this.titlePageRoles = new Map();
+      documentModel.paragraphOrder.slice(0, paragraphCount).forEach(id => {
+        if (!documentModel.paragraphs.get(id)?.text.trim()) return;
+        this.titlePageRoles.set(id, this.titlePageRoles.size === 0 ? 'title' : 'line');
+      });
+      this.titlePageBreakBefore = documentModel.paragraphOrder[paragraphCount] || null;
+      return [];
+    }
+
+    this.titlePageBreakBefore = documentModel.paragraphOrder[0] || null;
+
+    // Bold title three double-spaced lines down, one blank line, then one centered line per detail
+    const line = (text, options = {}) => new Paragraph({
+      alignment: AlignmentType.CENTER,
+      spacing: { line: 480, before: 0, after: 0, ...options.spacing },
+      children: text ? [new TextRun({ text, bold: options.bold })] : []
+    });
+
+    return [
+      line(title.trim(), { bold: true, spacing: { before: 1440 } }),
+      line(''),
+      ...[authors, affiliation, course, instructor, date]
+        .filter(value => value?.trim())
+        .map(value => line(value.trim()))
+    ];
+  }
+
+  /**
+   * True when an imported header or footer already holds a page number
+   */
+  _hasPageNumbers(documentModel) {
+    const headersFooters = documentModel.structure?.headersFooters;
+    if (!headersFooters) return false;
+
+    return !!headersFooters.pageNumbers?.present ||
+      [...(headersFooters.headers || []), ...(headersFooters.footers || [])].some(part => part.hasPageNumber);
+  }
+
+  /**
+   * APA page header: page number flush right, with the running head flush left on professional papers
+   */
+  _buildApaHeaders(metadata, properties) {
+    const runningHead = metadata.paperType === 'professional'
+      ? this._runningHead(metadata)
+      : '';
+
+    const { size, margin = {} } = properties.page || {};
+    // Without an imported page size docx writes A4 (11906 twips wide)
+    const pageWidth = size
+      ? (size.orientation === PageOrientation.LANDSCAPE ? size.height : size.width)
+      : 11906;
+    const textWidth = pageWidth - (margin.left ?? this._inchesToTwip(1.0)) - (margin.right ?? this._inchesToTwip(1.0));
+
+    const buildHeader = () => new Header({
+      children: [runningHead
+        ? new Paragraph({
+          tabStops: [{ type: TabStopType.RIGHT, position: textWidth }],
+          children: [
+            new TextRun(runningHead),
+            new TextRun({ children: [new Tab(), PageNumber.CURRENT] })
+          ]
+        })
+        : new Paragraph({
+          alignment: AlignmentType.RIGHT,
+          children: [new TextRun({ children: [PageNumber.CURRENT] })]
+        })]
+    });
+
+    // The title page is numbered too, so a distinct first-page header repeats the default one
+    return properties.titlePage
+      ? { default: buildHeader(), first: buildHeader() }
+      : { default: buildHeader() };
+  }
+
+  /**
+   * Running head in capitals, falling back to the title shortened to 50 characters at a word boundary
+   */
+  _runningHead(metadata) {
+    const text = (metadata.runningHead || metadata.titlePage?.title || '').trim().toUpperCase();
+    if (text.length <= 50) return text;
+
+    const shortened = text.substring(0, 51);
+    return shortened.substring(0, shortened.lastIndexOf(' ')).trim() || text.substring(0, 50);
+  }
+
+  /**
+   * Formatting a paragraph's role forces on all of its runs: bold title-page title,
+   * bold table/figure label and italic table/figure title
+   */
+  _paragraphRunOverrides(paragraphId) {
+    if (this.titlePageRoles?.get(paragraphId) === 'title') return { bold: true };
+
+    switch (this.captionRoles?.get(paragraphId)) {
+      case 'label':
+        return { bold: true, italics: false };
+      case 'title':
+        return { italics: true, bold: false };
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Re-attach the imported tables, figures and footnotes the editor does not hold to the current paragraphs
+   * @returns {Promise<Object>} footnotes for the docx Document, by footnote id
+   */
+  async _prepareStructures(documentModel, originalDocx) {
+    this.blocksBefore = new Map();
+    this.paragraphImages = new Map();
+    this.noteMarks = new Map();
+    this.captionRoles = new Map();
+
+    const structure = documentModel.structure || {};
+    const mapping = this._mapOriginalParagraphs(documentModel);
+    const idAt = (index) => documentModel.paragraphOrder[index] ?? null;
+    const addTo = (map, key, value) => {
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(value);
+    };
+
+    // Tables: APA borders, then the label and title above and the note below get their styling
+    (structure.tables || []).forEach(table => {
+      if (!table.rows?.length || table.paragraphIndex === null || table.paragraphIndex === undefined) return;
+
+      const position = mapping[Math.min(table.paragraphIndex, mapping.length - 1)];
+      addTo(this.blocksBefore, idAt(position.index), this._buildTable(table));
+      this._markCaptions(documentModel, position.index, position.index, /^Table\s+[A-Z]?\d+/i);
+    });
+
+    // Figures: images go back into their paragraph, or before the next one if it was deleted
+    const media = await this._loadMedia(structure.figures, originalDocx);
+    (structure.figures || []).forEach(figure => {
+      const images = figure.images
+        .filter(image => media.has(image.media?.target))
+        .map(image => this._buildImage(image, media.get(image.media.target)));
+      if (images.length === 0) return;
+
+      const position = mapping[figure.paragraphIndex];
+      if (position?.kept) {
+        images.forEach(image => addTo(this.paragraphImages, idAt(position.index), image));
+        this._markCaptions(documentModel, position.index, position.index + 1, /^Figure\s+[A-Z]?\d+/i);
+      } else if (position) {
+        addTo(this.blocksBefore, idAt(position.index), new Paragraph({ children: images }));
+      }
+    });
+
+    // Footnotes; docx cannot write endnotes, so they become footnotes after them
+    const footnotes = {};
+    [...(structure.footnotes || []), ...(structure.endnotes || [])]
+      .filter(note => note.reference && documentModel.paragraphOrder.length > 0)
+      .forEach(note => {
+        const id = Object.keys(footnotes).length + 1;
+        footnotes[id] = {
+          children: (note.paragraphs?.length ? note.paragraphs : [note.text || '']).map(text => new Paragraph({
+            spacing: { line: 240, before: 0, after: 0 },
+            children: [new TextRun(text)]
+          }))
+        };
+
+        const mark = this._locateNoteMark(documentModel, mapping, note.reference);
+        addTo(this.noteMarks, mark.paragraphId, { id, position: mark.position });
+      });
+
+    return footnotes;
+  }
+
+  /**
+   * Where each imported paragraph is now: { index, kept } by original paragraph index, plus one entry
+   * for the end of the document. Deleted paragraphs point at the next paragraph that survived.
+   */
+  _mapOriginalParagraphs(documentModel) {
+    const currentTexts = documentModel.paragraphOrder.map(id => documentModel.paragraphs.get(id)?.text || '');
+    const originalTexts = documentModel.originalParagraphs?.length > 0 ? documentModel.originalParagraphs : currentTexts;
+    const mapping = new Array(originalTexts.length + 1).fill(null);
+
+    new ChangeTracker().detectParagraphEdits(originalTexts, currentTexts).forEach(operation => {
+      if (operation.oldIndex !== null && operation.newIndex !== null) {
+        mapping[operation.oldIndex] = { index: operation.newIndex, kept: true };
+      }
+    });
+
+    let next = { index: currentTexts.length, kept: false };
+    for (let i = mapping.length - 1; i >= 0; i--) {
+      if (mapping[i]) {
+        next = { index: mapping[i].index, kept: false };
+      } else {
+        mapping[i] = next;
+      }
+    }
+
+    return mapping;
+  }
+
+  /**
+   * APA table/figure captions: bold label and italic title above, note below
+   * @param {number} aboveIndex - captions are searched before this paragraph
+   * @param {number} belowIndex - the note is searched from this paragraph on
+   */
+  _markCaptions(documentModel, aboveIndex, belowIndex, labelPattern) {
+    const textAt = (index) => documentModel.paragraphs.get(documentModel.paragraphOrder[index])?.text.trim() || '';
+    const nonEmpty = (start, step) => {
+      for (let i = start; i >= 0 && i < documentModel.paragraphOrder.length; i += step) {
+        if (textAt(i)) return i;
+      }
+      return -1;
+    };
+
+    const nearest = nonEmpty(aboveIndex - 1, -1);
+    if (nearest >= 0 && labelPattern.test(textAt(nearest))) {
+      this.captionRoles.set(documentModel.paragraphOrder[nearest], 'label');
+    } else if (nearest >= 0) {
+      const label = nonEmpty(nearest - 1, -1);
+      if (label >= 0 && labelPattern.test(textAt(label))) {
+        this.captionRoles.set(documentModel.paragraphOrder[label], 'label');
+        this.captionRoles.set(documentModel.paragraphOrder[nearest], 'title');
+      }
+    }
+
+    const note = nonEmpty(belowIndex, 1);
+    if (note >= 0 && /^Note[.:]/.test(textAt(note))) {
+      this.captionRoles.set(documentModel.paragraphOrder[note], 'note');
+    }
+  }
+
+  /**
+   * APA table: horizontal rules above and below the table and under the column heads, no vertical lines
+   */
+  _buildTable(table) {
+    const rule = { style: BorderStyle.SINGLE, size: 4, color: '000000' };
+    const none = { style: BorderStyle.NONE, size: 0, color: 'auto' };
+
+    // Rows marked as repeating header rows, else the first row holds the column heads
+    const leadingHeaders = table.rows.findIndex(row => !row.header);
+    const headerRows = leadingHeaders === -1 ? table.rows.length : Math.max(1, leadingHeaders);
+
+    // Equal columns across a 6.5" text width; Word stretches them to the 100% table width
+    const columns = Math.max(...table.rows.map(row => row.cells.reduce((sum, cell) => sum + (cell.columnSpan || 1), 0)), 1);
+
+    return new Table({
+      width: { size: 100, type: WidthType.PERCENTAGE },
+      columnWidths: Array(columns).fill(Math.floor(this._inchesToTwip(6.5) / columns)),
+      borders: {
+        top: rule,
+        bottom: rule,
+        left: none,
+        right: none,
+        insideHorizontal: none,
+        insideVertical: none
+      },
+      rows: table.rows.map((row, rowIndex) => new TableRow({
+        tableHeader: rowIndex < headerRows,
+        children: row.cells.map(cell => new TableCell({
+          columnSpan: cell.columnSpan > 1 ? cell.columnSpan : undefined,
+          borders: rowIndex === headerRows - 1 ? { bottom: rule } : undefined,
+          children: (cell.paragraphs.length > 0 ? cell.paragraphs : ['']).map(text => new Paragraph({
+            alignment: rowIndex < headerRows ? AlignmentType.CENTER : undefined,
+            spacing: { line: 240, before: 0, after: 0 },
+            children: text ? [new TextRun(text)] : []
+          }))
+        }))
+      }))
+    });
+  }
+
+  /**
+   * Image bytes by relationship target, read from the imported DOCX
+   */
+  async _loadMedia(figures, originalDocx) {
+    const media = new Map();
+    const targets = new Set((figures || [])
+      .flatMap(figure => figure.images)
+      .filter(image => image.type === 'image' && image.media && !image.media.external)
+      .map(image => image.media.target));
+
+    if (targets.size === 0) return media;
+    if (!originalDocx) {
+      console.warn('⚠️ Original DOCX not available - embedded images are left out of the export');
+      return media;
+    }
+
+    const zip = await JSZip.loadAsync(originalDocx);
+    for (const target of targets) {
+      const part = zip.file(this._resolvePartPath(target));
+      if (part) media.set(target, await part.async('uint8array'));
+    }
+
+    return media;
+  }
+
+  _buildImage(image, data) {
+    return new ImageRun({
+      data,
+      transformation: {
+        width: Math.round((image.width || 6) * PIXELS_PER_INCH),
+        height: Math.round((image.height || 4) * PIXELS_PER_INCH)
+      },
+      altText: {
+        name: image.name || 'Figure',
+        description: image.altText || '',
+        title: image.altTitle || ''
+      }
+    });
+  }
+
+  /**
+   * Relationship targets are relative to word/ unless they start with a slash
+   */
+  _resolvePartPath(target) {
+    const parts = [];
+    (target.startsWith('/') ? target : `word/${target}`).split('/').forEach(part => {
+      if (part === '..') parts.pop();
+      else if (part && part !== '.') parts.push(part);
+    });
+    return parts.join('/');
+  }
+
+  /**
+   * Footnote mark position in the current text: the imported offset while the paragraph is unchanged,
+   * else after the text that preceded the mark, else before the text that followed it
+   */
+  _locateNoteMark(documentModel, mapping, reference) {
+    const position = mapping[reference.paragraphIndex] || mapping[mapping.length - 1];
+
+    if (!position.kept) {
+      // The paragraph is gone - keep the note at the end of the paragraph before its old place
+      const index = Math.max(0, position.index - 1);
+      return { paragraphId: documentModel.paragraphOrder[index], position: Infinity };
+    }
+
+    const paragraphId = documentModel.paragraphOrder[position.index];
+    const text = documentModel.paragraphs.get(paragraphId)?.text || '';
+    const originalText = documentModel.originalParagraphs?.[reference.paragraphIndex];
+
+    if (originalText === text || originalText === undefined) {
+      return { paragraphId, position: Math.min(reference.charOffset, text.length) };
+    }
+
+    const preceding = reference.precedingText ? text.indexOf(reference.precedingText) : -1;
+    if (preceding >= 0) {
+      return { paragraphId, position: preceding + reference.precedingText.length };
+    }
+
+    const following = reference.followingText ? text.indexOf(reference.followingText) : -1;
+    return { paragraphId, position: following >= 0 ? following : text.length };
+  }
+
+  /**
+   * docx numbering definitions for the Word lists the paragraphs belong to, one per numId
+   */
+  _buildNumbering(documentModel) {
+    const lists = new Map();
 
     documentModel.paragraphOrder.forEach(id => {
+      const list = documentModel.paragraphs.get(id)?.formatting?.list;
+      if (!list || list.numId === null || list.numId === undefined) return;
+
+      if (!lists.has(list.numId)) lists.set(list.numId, new Map());
+      const levels = lists.get(list.numId);
+      if (!levels.has(list.level || 0)) levels.set(list.level || 0, list);
+    });
+
+    return Array.from(lists, ([numId, levels]) => ({
+      reference: `list-${numId}`,
+      levels: Array.from({ length: 9 }, (_, level) => {
+        const definition = levels.get(level) || { ordered: levels.get(0)?.ordered };
+        const format = LIST_FORMATS[definition.format] || (definition.ordered ? LevelFormat.DECIMAL : LevelFormat.BULLET);
+
+        return {
+          level,
+          format,
+          text: format === LevelFormat.BULLET ? LIST_BULLETS[level % LIST_BULLETS.length] : `%${level + 1}.`,
+          alignment: AlignmentType.LEFT,
+          style: {
+            paragraph: {
+              indent: { left: 720 * (level + 1), hanging: 360 }
+            }
+          }
+        };
+      })
+    }));
+  }
+
+  /**
+   * Build paragraphs from DocumentModel, optionally limited to a paragraph range (inclusive)
+   */
+  _buildParagraphs(documentModel, startIndex = 0, endIndex = documentModel.paragraphOrder.length - 1) {
+    const paragraphs = [];
+
+    documentModel.paragraphOrder.slice(startIndex, endIndex + 1).forEach(id => {
       const para = documentModel.paragraphs.get(id);
       if (!para) return;
 
+      // Tables and figures that sit before this paragraph
+      paragraphs.push(...(this.blocksBefore?.get(id) || []));
+
       // Determine if heading or paragraph
       const styleName = para.formatting?.styleName || para.style || '';
       const isHeading = styleName.toLowerCase().includes('heading');
       const headingLevel = this._extractHeadingLevel(styleName);
 
-      // Build text runs
-      const children = this._buildTextRuns(para);
+      // Build text runs, followed by the paragraph's embedded images
+      const children = [...this._buildTextRuns(para), ...(this.paragraphImages?.get(id) || [])];
 
       // Create paragraph
       const paragraphConfig = {
@@ -107,13 +703,38 @@ export class DocxExportService {
         paragraphConfig.alignment = this._convertAlignment(para.formatting.alignment);
       }
 
+      // Word numbering; the list level sets the indent
+      const list = para.formatting?.list;
+      if (list?.numId !== undefined && list?.numId !== null) {
+        paragraphConfig.numbering = { reference: `list-${list.numId}`, level: list.level || 0 };
+        delete paragraphConfig.indent;
+      }
+
+      // Table and figure captions and notes are flush left
+      if (this.captionRoles?.has(id)) {
+        delete paragraphConfig.indent;
+      }
+
+      // Title page lines are centered without a first-line indent
+      if (this.titlePageRoles?.has(id)) {
+        paragraphConfig.alignment = AlignmentType.CENTER;
+        delete paragraphConfig.indent;
+      }
+      if (id === this.titlePageBreakBefore) {
+        paragraphConfig.pageBreakBefore = true;
+      }
+
       // Create heading or paragraph
       if (isHeading && headingLevel) {
         paragraphConfig.heading = this._convertHeadingLevel(headingLevel);
-        paragraphs.push(new Paragraph(paragraphConfig));
-      } else {
-        paragraphs.push(new Paragraph(paragraphConfig));
       }
+
+      const paragraph = new Paragraph(paragraphConfig);
+      const propertiesChange = this._buildParagraphPropertiesChange(id, paragraphConfig);
+      if (propertiesChange) {
+        paragraph.properties.push(propertiesChange);
+      }
+      paragraphs.push(paragraph);
     });
 
     return paragraphs;
@@ -121,39 +742,361 @@ export class DocxExportService {
 
   /**
    * Build text runs from paragraph
+   * Imported revisions stay tracked changes; in suggest mode applied fixes become revisions too.
+   * Issue comment ranges are placed around the text they anchor to.
    */
   _buildTextRuns(paragraph) {
     const runs = [];
+    const textChanges = this._locateTextChanges(paragraph);
+    const commentRanges = (this.commentRanges?.get(paragraph.id) || []).map(range => ({ ...range }));
+    const noteMarks = (this.noteMarks?.get(paragraph.id) || []).map(mark => ({ ...mark }));
 
     // paragraph.runs is a Map, so use .size instead of .length
     if (paragraph.runs && paragraph.runs.size > 0) {
+      let offset = 0;
+      let lastOptions = null;
+
       // Iterate runs in order
-      paragraph.runOrder.forEach(runId => {
+      paragraph.runOrder.forEach((runId, runIndex) => {
         const run = paragraph.runs.get(runId);
         if (!run || !run.text) return;
 
-        runs.push(new TextRun({
-          text: run.text,
-          font: run.font?.family || 'Times New Roman',
-          size: (run.font?.size || 12) * 2,
-          bold: run.font?.bold || false,
-          italics: run.font?.italic || false,
-          underline: run.font?.underline ? {} : undefined,
-          color: run.color ? run.color.replace('#', '') : undefined
-        }));
+        const options = this._buildRunOptions(run, paragraph.id, runIndex);
+        lastOptions = options;
+
+        if (run.revision) {
+          const RevisionRun = run.revision.type === 'delete' ? DeletedTextRun : InsertedTextRun;
+          runs.push(...this._emitMarkers(offset, options, textChanges, commentRanges, noteMarks));
+          runs.push(new RevisionRun({
+            ...this._withRevisionId(options),
+            text: run.text,
+            ...this._nextRevision(run.revision.author, run.revision.date)
+          }));
+        } else {
+          runs.push(...this._splitRun(run.text, offset, options, textChanges, commentRanges, noteMarks));
+        }
+
+        offset += run.text.length;
       });
+
+      // Deletions and comment ends at the very end of the paragraph
+      runs.push(...this._emitMarkers(Infinity, lastOptions, textChanges, commentRanges, noteMarks));
     } else if (paragraph.text) {
       // Fallback to plain text
-      runs.push(new TextRun({
-        text: paragraph.text,
+      const options = {
         font: 'Times New Roman',
-        size: 24 // 12pt
-      }));
+        size: 24, // 12pt
+        ...this._paragraphRunOverrides(paragraph.id)
+      };
+      runs.push(...this._splitRun(paragraph.text, 0, options, textChanges, commentRanges, noteMarks));
+      runs.push(...this._emitMarkers(Infinity, options, textChanges, commentRanges, noteMarks));
     }
 
     return runs;
   }
 
+  /**
+   * TextRun options for a run, with the previous properties (w:rPrChange) when a suggested fix changed its font
+   * The revision gets its id per output run - see _withRevisionId
+   */
+  _buildRunOptions(run, paragraphId, runIndex) {
+    const options = {
+      font: run.font?.family || 'Times New Roman',
+      size: (run.font?.size || 12) * 2,
+      bold: run.font?.bold || false,
+      italics: run.font?.italic || false,
+      underline: run.font?.underline ? {} : undefined,
+      color: run.color ? run.color.replace('#', '') : undefined,
+      ...this._paragraphRunOverrides(paragraphId)
+    };
+
+    if (!this.suggest || run.revision) return options;
+
+    // The earliest fix holds the original value
+    const previous = {};
+    this.suggest.fixHistory.getFormattingChanges(paragraphId).forEach(change => {
+      const runs = change.paragraphs[paragraphId].runs;
+      const before = runs?.[Math.min(runIndex, runs.length - 1)];
+      if (!before) return;
+      if (before.family !== undefined && previous.font === undefined) previous.font = before.family || 'Times New Roman';
+      if (before.size !== undefined && previous.size === undefined) previous.size = (before.size || 12) * 2;
+    });
+
+    const changed = (previous.font !== undefined && previous.font !== options.font) ||
+      (previous.size !== undefined && previous.size !== options.size);
+
+    if (changed) {
+      const { underline, color, ...properties } = options;
+      options.revision = {
+        ...properties,
+        ...(underline ? { underline } : {}),
+        ...(color ? { color } : {}),
+        ...previous
+      };
+    }
+
+    return options;
+  }
+
+  /**
+   * w:pPrChange for paragraphs whose spacing or indentation a suggested fix changed
+   */
+  _buildParagraphPropertiesChange(paragraphId, paragraphConfig) {
+    if (!this.suggest) return null;
+
+    let spacing;
+    let indentation;
+    this.suggest.fixHistory.getFormattingChanges(paragraphId).forEach(change => {
+      const previous = change.paragraphs[paragraphId];
+      if (previous.spacing && spacing === undefined) spacing = previous.spacing;
+      if (previous.indentation && indentation === undefined) indentation = previous.indentation;
+    });
+
+    const previousLine = spacing ? (spacing.line || 2.0) * 240 : paragraphConfig.spacing.line;
+    const previousFirstLine = indentation
+      ? (indentation.firstLine ? this._inchesToTwip(indentation.firstLine) : undefined)
+      : paragraphConfig.indent?.firstLine;
+
+    if (previousLine === paragraphConfig.spacing.line && previousFirstLine === paragraphConfig.indent?.firstLine) {
+      return null;
+    }
+
+    return new ParagraphPropertiesChange({
+      ...this._nextRevision(),
+      heading: paragraphConfig.heading,
+      alignment: paragraphConfig.alignment,
+      spacing: { ...paragraphConfig.spacing, line: previousLine },
+      indent: previousFirstLine !== undefined ? { firstLine: previousFirstLine } : undefined
+    });
+  }
+
+  /**
+   * Text fixes recorded for a paragraph, located in its current text
+   * Fixes the author has since edited away or undone are skipped
+   */
+  _locateTextChanges(paragraph) {
+    if (!this.suggest) return [];
+
+    const changes = [];
+    this.suggest.fixHistory.getTextChanges(paragraph.id).forEach(change => {
+      let start = change.offset;
+      if (paragraph.text.substring(start, start + change.inserted.length) !== change.inserted) {
+        start = change.inserted ? paragraph.text.indexOf(change.inserted) : -1;
+      }
+      if (start === -1) return;
+
+      const located = { start, end: start + change.inserted.length, deleted: change.deleted, emitted: !change.deleted };
+      const overlaps = changes.some(other => located.start < other.end && other.start < located.end);
+      if (!overlaps) changes.push(located);
+    });
+
+    return changes.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Split one run around located text changes and comment ranges:
+   * inserted text becomes w:ins, replaced text w:del
+   */
+  _splitRun(text, runStart, options, changes, commentRanges, noteMarks = []) {
+    const runEnd = runStart + text.length;
+    const boundaries = new Set([runStart, runEnd]);
+    [...changes, ...commentRanges].forEach(range => {
+      [range.start, range.end].forEach(position => {
+        if (position > runStart && position < runEnd) boundaries.add(position);
+      });
+    });
+    noteMarks.forEach(mark => {
+      if (mark.position > runStart && mark.position < runEnd) boundaries.add(mark.position);
+    });
+
+    const positions = Array.from(boundaries).sort((a, b) => a - b);
+    const runs = [];
+
+    positions.slice(0, -1).forEach((from, index) => {
+      const to = positions[index + 1];
+      runs.push(...this._emitMarkers(from, options, changes, commentRanges, noteMarks));
+
+      const pieceText = text.substring(from - runStart, to - runStart);
+      const inserted = changes.some(change => change.start <= from && to <= change.end);
+      runs.push(inserted
+        ? new InsertedTextRun({ ...this._withRevisionId(options), text: pieceText, ...this._nextRevision() })
+        : new TextRun({ ...this._withRevisionId(options), text: pieceText }));
+    });
+
+    return runs;
+  }
+
+  /**
+   * Everything anchored at or before a position that has not been written yet:
+   * comment ends (with their reference mark), deletions, footnote marks, then comment starts
+   */
+  _emitMarkers(position, options, changes, commentRanges, noteMarks = []) {
+    const output = [];
+
+    const endComments = () => {
+      commentRanges.filter(range => range.started && !range.ended && range.end <= position).forEach(range => {
+        output.push(new CommentRangeEnd(range.id), new TextRun({ children: [new CommentReference(range.id)] }));
+        range.ended = true;
+      });
+    };
+
+    endComments();
+
+    changes.filter(change => !change.emitted && change.start <= position).forEach(change => {
+      output.push(new DeletedTextRun({ ...this._withRevisionId(options || {}), text: change.deleted, ...this._nextRevision() }));
+      change.emitted = true;
+    });
+
+    noteMarks.filter(mark => !mark.emitted && mark.position <= position).forEach(mark => {
+      output.push(new FootnoteReferenceRun(mark.id));
+      mark.emitted = true;
+    });
+
+    commentRanges.filter(range => !range.started && range.start <= position).forEach(range => {
+      output.push(new CommentRangeStart(range.id));
+      range.started = true;
+    });
+
+    // Collapsed ranges close right away
+    endComments();
+
+    return output;
+  }
+
+  /**
+   * One Word comment per open issue, anchored to the issue's location or highlight text.
+   * Issues without a usable location (document-level checks) are anchored to the first paragraph.
+   * @returns {{ comments: Array, ranges: Map<string, Array<{ id, start, end }>> }}
+   */
+  _buildIssueComments(documentModel, author) {
+    const severityOrder = { Critical: 0, Major: 1, Minor: 2 };
+    const issues = documentModel.issues.getAllIssues()
+      .slice()
+      .sort((a, b) => (severityOrder[a.severity] ?? 3) - (severityOrder[b.severity] ?? 3));
+
+    const ranges = new Map();
+    const comments = [];
+    const firstParagraphId = documentModel.paragraphOrder.find(id => documentModel.paragraphs.get(id)?.text?.trim());
+    if (!firstParagraphId) return { comments, ranges };
+
+    issues.forEach(issue => {
+      const anchor = this._locateIssue(documentModel, issue) || {
+        paragraphId: firstParagraphId,
+        start: 0,
+        end: documentModel.paragraphs.get(firstParagraphId).text.length
+      };
+
+      const id = comments.length;
+      comments.push({
+        id,
+        author,
+        initials: 'APA',
+        date: new Date(),
+        children: this._buildIssueCommentParagraphs(issue)
+      });
+
+      if (!ranges.has(anchor.paragraphId)) ranges.set(anchor.paragraphId, []);
+      ranges.get(anchor.paragraphId).push({ id, start: anchor.start, end: anchor.end });
+    });
+
+    return { comments, ranges };
+  }
+
+  /**
+   * Paragraph and character range of an issue in the current text
+   * The stored offset is trusted only while the highlight text is still there
+   */
+  _locateIssue(documentModel, issue) {
+    const location = issue.location || {};
+    const highlight = issue.highlightText || issue.text || '';
+    const paragraphAt = (index) => {
+      const id = documentModel.paragraphOrder[index];
+      const paragraph = id ? documentModel.paragraphs.get(id) : null;
+      return paragraph ? { id, text: paragraph.text || '' } : null;
+    };
+
+    if (Number.isInteger(location.paragraphIndex) && location.paragraphIndex >= 0) {
+      const paragraph = paragraphAt(location.paragraphIndex);
+      if (paragraph) {
+        const { charOffset, length } = location;
+        if (Number.isInteger(charOffset) && length > 0 &&
+          (!highlight || paragraph.text.substring(charOffset, charOffset + length) === highlight.substring(0, length))) {
+          return { paragraphId: paragraph.id, start: charOffset, end: Math.min(charOffset + length, paragraph.text.length) };
+        }
+
+        const found = highlight ? paragraph.text.indexOf(highlight) : -1;
+        if (found !== -1) {
+          return { paragraphId: paragraph.id, start: found, end: found + highlight.length };
+        }
+
+        if (location.type !== 'text' || !highlight) {
+          return { paragraphId: paragraph.id, start: 0, end: paragraph.text.length };
+        }
+      }
+    }
+
+    if (highlight) {
+      for (let index = 0; index < documentModel.paragraphOrder.length; index++) {
+        const paragraph = paragraphAt(index);
+        const found = paragraph ? paragraph.text.indexOf(highlight) : -1;
+        if (found !== -1) {
+          return { paragraphId: paragraph.id, start: found, end: found + highlight.length };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Comment body: severity and title, what is wrong, the APA rule and the suggested fix
+   */
+  _buildIssueCommentParagraphs(issue) {
+    const paragraphs = [
+      new Paragraph({
+        children: [new TextRun({ text: `[${issue.severity || 'Issue'}] ${issue.title}`, bold: true })]
+      })
+    ];
+
+    if (issue.description) {
+      paragraphs.push(new Paragraph({ children: [new TextRun(issue.description)] }));
+    }
+
+    if (issue.explanation) {
+      paragraphs.push(new Paragraph({ children: [new TextRun({ text: issue.explanation, italics: true })] }));
+    }
+
+    const replacement = issue.fixValue?.replacement || issue.fixValue?.replacementText;
+    const original = issue.fixValue?.original || issue.fixValue?.originalText;
+    const suggestion = replacement
+      ? `Replace "${original || issue.text}" with "${replacement}".`
+      : issue.hasFix ? FIX_DESCRIPTIONS[issue.fixAction] : null;
+
+    if (suggestion) {
+      paragraphs.push(new Paragraph({
+        children: [new TextRun({ text: 'Suggested fix: ', bold: true }), new TextRun(suggestion)]
+      }));
+    }
+
+    return paragraphs;
+  }
+
+  /**
+   * A run split around text changes needs a separate w:rPrChange id for every piece
+   */
+  _withRevisionId(options) {
+    return options.revision ? { ...options, revision: { ...options.revision, ...this._nextRevision() } } : options;
+  }
+
+  _nextRevision(author, date) {
+    this.revisionId++;
+    return {
+      id: this.revisionId,
+      author: author || this.suggest?.author || DEFAULT_AUTHOR,
+      date: date || this.suggest?.date || new Date().toISOString().replace(/\.\d{3}Z$/, 'Z')
+    };
+  }
+
   // Helper methods
   _inchesToTwip(inches) {
     return Math.round(inches * 1440);
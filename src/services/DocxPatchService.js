@@ -0,0 +1,325 @@
+'use client';
+
+import JSZip from 'jszip';
+import { ChangeTracker } from '@/utils/ChangeTracker';
+
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+
+// Wrappers the server unwraps when it extracts paragraph text, so their runs count as paragraph text
+const TEXT_CONTAINERS = new Set(['w:hyperlink', 'w:ins']);
+
+// Revision markup that must not be copied into new paragraphs and runs
+const REVISION_ELEMENTS = new Set(['w:pPrChange', 'w:rPrChange', 'w:ins', 'w:del', 'w:sectPr']);
+
+/**
+ * DocxPatchService - Round-trip DOCX export
+ * Instead of regenerating the document, patches the paragraph edits made in the editor into the
+ * original word/document.xml. Everything the editor does not model (fields, bookmarks, drawings,
+ * content controls, headers, footers and every other part of the package) passes through untouched.
+ *
+ * Paragraphs are aligned with ChangeTracker.detectParagraphEdits on the texts the document was imported
+ * with (documentModel.originalParagraphs). Within a modified paragraph only the changed words
+ * (ChangeTracker.diffWords) are rewritten, so run formatting around each edit is kept. Paragraphs whose
+ * XML text no longer matches the imported text (e.g. review-mode revisions) are rewritten as a single
+ * run with the first run's formatting.
+ */
+export class DocxPatchService {
+  constructor() {
+    this.changeTracker = new ChangeTracker();
+  }
+
+  /**
+   * @param {Buffer|Uint8Array|ArrayBuffer} originalBuffer - the DOCX the model was imported from
+   * @param {DocumentModel} documentModel
+   * @returns {Promise<Uint8Array>} patched DOCX
+   */
+  async patchDocx(originalBuffer, documentModel) {
+    const zip = await JSZip.loadAsync(originalBuffer);
+    const documentFile = zip.file('word/document.xml');
+    if (!documentFile) {
+      throw new Error('Original DOCX has no word/document.xml');
+    }
+
+    const xmlDoc = new DOMParser().parseFromString(await documentFile.async('string'), 'application/xml');
+    const body = xmlDoc.getElementsByTagName('w:body')[0];
+    const xmlParagraphs = this._childElements(body, 'w:p');
+
+    const oldTexts = documentModel.originalParagraphs || [];
+    const newTexts = documentModel.paragraphOrder.map(id => documentModel.paragraphs.get(id)?.text || '');
+
+    if (oldTexts.length !== xmlParagraphs.length) {
+      throw new Error(
+        `Original DOCX does not match the imported document (${xmlParagraphs.length} paragraphs, expected ${oldTexts.length})`
+      );
+    }
+
+    const operations = this.changeTracker.detectParagraphEdits(oldTexts, newTexts);
+    const stats = { modified: 0, inserted: 0, deleted: 0 };
+    let previous = null;
+
+    operations.forEach(operation => {
+      const paragraph = operation.oldIndex !== null ? xmlParagraphs[operation.oldIndex] : null;
+
+      switch (operation.type) {
+        case 'keep':
+          previous = paragraph;
+          break;
+
+        case 'modify':
+          this._patchParagraphText(paragraph, oldTexts[operation.oldIndex], newTexts[operation.newIndex]);
+          previous = paragraph;
+          stats.modified++;
+          break;
+
+        case 'insert': {
+          const template = previous || xmlParagraphs[0] || null;
+          const inserted = this._createParagraph(xmlDoc, template, newTexts[operation.newIndex]);
+          const reference = previous
+            ? previous.nextSibling
+            : xmlParagraphs[0] || this._childElement(body, 'w:sectPr');
+          body.insertBefore(inserted, reference);
+          previous = inserted;
+          stats.inserted++;
+          break;
+        }
+
+        case 'delete':
+          // A paragraph carrying a section break keeps its mark so the section layout survives
+          if (this._childElement(this._childElement(paragraph, 'w:pPr'), 'w:sectPr')) {
+            this._replaceParagraphText(paragraph, '');
+            previous = paragraph;
+          } else {
+            body.removeChild(paragraph);
+          }
+          stats.deleted++;
+          break;
+      }
+    });
+
+    console.log(`🧩 Round-trip export: ${stats.modified} modified, ${stats.inserted} inserted, ${stats.deleted} deleted paragraphs`);
+
+    zip.file('word/document.xml', new XMLSerializer().serializeToString(xmlDoc));
+    return zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' });
+  }
+
+  // Private methods
+
+  /**
+   * Rewrite only the changed words, so run formatting around each edit is kept
+   */
+  _patchParagraphText(paragraph, oldText, newText) {
+    if (oldText === newText) return;
+
+    if (this._collectTextSegments(paragraph).map(segment => segment.text).join('') !== oldText) {
+      this._replaceParagraphText(paragraph, newText);
+      return;
+    }
+
+    // Later hunks first so the offsets of earlier ones stay valid
+    this.changeTracker.diffWords(oldText, newText).reverse().forEach(hunk => {
+      const deleted = oldText.slice(hunk.start, hunk.end);
+      let prefix = 0;
+      while (prefix < deleted.length && prefix < hunk.text.length && deleted[prefix] === hunk.text[prefix]) {
+        prefix++;
+      }
+      let suffix = 0;
+      while (
+        suffix < deleted.length - prefix &&
+        suffix < hunk.text.length - prefix &&
+        deleted[deleted.length - 1 - suffix] === hunk.text[hunk.text.length - 1 - suffix]
+      ) {
+        suffix++;
+      }
+
+      this._replaceRange(
+        paragraph,
+        hunk.start + prefix,
+        hunk.end - suffix,
+        hunk.text.slice(prefix, hunk.text.length - suffix)
+      );
+    });
+  }
+
+  /**
+   * Replace paragraph text [start, end) with text, editing the w:t elements in place
+   */
+  _replaceRange(paragraph, start, end, text) {
+    const segments = this._collectTextSegments(paragraph);
+    const editable = segments.filter(segment => segment.editable);
+
+    // Typed text takes the formatting of the text before it, like it does in Word
+    const target = editable.find(segment => segment.start < start && start <= segment.end) ||
+      editable.find(segment => segment.start >= start) ||
+      editable[editable.length - 1];
+
+    if (!target) {
+      const current = segments.map(segment => segment.text).join('');
+      this._replaceParagraphText(paragraph, current.slice(0, start) + text + current.slice(end));
+      return;
+    }
+
+    segments.forEach(segment => {
+      const localStart = Math.min(Math.max(start - segment.start, 0), segment.text.length);
+      const localEnd = Math.min(Math.max(end - segment.start, 0), segment.text.length);
+
+      if (segment.editable) {
+        if (localStart === localEnd && segment !== target) return;
+        this._setText(
+          segment.node,
+          segment.text.slice(0, localStart) + (segment === target ? text : '') + segment.text.slice(localEnd)
+        );
+      } else if (localStart < localEnd) {
+        segment.node.parentNode.removeChild(segment.node);
+      }
+    });
+  }
+
+  /**
+   * Replace all paragraph text with one run, keeping paragraph properties and non-text content
+   */
+  _replaceParagraphText(paragraph, newText) {
+    const segments = this._collectTextSegments(paragraph);
+    const target = segments.find(segment => segment.editable);
+
+    segments
+      .filter(segment => segment !== target)
+      .forEach(segment => segment.node.parentNode.removeChild(segment.node));
+
+    if (target) {
+      this._setText(target.node, newText);
+    } else if (newText) {
+      this._appendRun(paragraph, newText);
+    }
+  }
+
+  /**
+   * Text-bearing run children in document order, mirroring the server's extractRunText:
+   * w:t is text, w:tab is '\t', w:br and w:cr are '\n'
+   */
+  _collectTextSegments(paragraph) {
+    const segments = [];
+    let offset = 0;
+
+    const visit = (element) => {
+      this._childElements(element).forEach(child => {
+        if (TEXT_CONTAINERS.has(child.nodeName)) {
+          visit(child);
+          return;
+        }
+        if (child.nodeName !== 'w:r') return;
+
+        this._childElements(child).forEach(node => {
+          const text = node.nodeName === 'w:t'
+            ? node.textContent
+            : node.nodeName === 'w:tab'
+              ? '\t'
+              : node.nodeName === 'w:br' || node.nodeName === 'w:cr' ? '\n' : null;
+          if (text === null) return;
+
+          segments.push({ node, text, start: offset, end: offset + text.length, editable: node.nodeName === 'w:t' });
+          offset += text.length;
+        });
+      });
+    };
+
+    visit(paragraph);
+    return segments;
+  }
+
+  /**
+   * New paragraph with the template's paragraph properties and first-run formatting
+   */
+  _createParagraph(xmlDoc, template, text) {
+    const paragraph = xmlDoc.createElementNS(W_NS, 'w:p');
+    const pPr = this._childElement(template, 'w:pPr');
+
+    if (pPr) {
+      paragraph.appendChild(this._cloneWithoutRevisions(pPr));
+    }
+    if (text) {
+      paragraph.appendChild(this._createRun(xmlDoc, template, text));
+    }
+
+    return paragraph;
+  }
+
+  _appendRun(paragraph, text) {
+    paragraph.appendChild(this._createRun(paragraph.ownerDocument, paragraph, text));
+  }
+
+  _createRun(xmlDoc, template, text) {
+    const run = xmlDoc.createElementNS(W_NS, 'w:r');
+
+    // Formatting of the first text run, else the paragraph mark's run properties
+    const firstSegment = template ? this._collectTextSegments(template)[0] : null;
+    const rPr = firstSegment
+      ? this._childElement(firstSegment.node.parentNode, 'w:rPr')
+      : this._childElement(this._childElement(template, 'w:pPr'), 'w:rPr');
+
+    if (rPr) {
+      run.appendChild(this._cloneWithoutRevisions(rPr));
+    }
+
+    const t = xmlDoc.createElementNS(W_NS, 'w:t');
+    run.appendChild(t);
+    this._setText(t, text);
+
+    return run;
+  }
+
+  /**
+   * Set w:t text; tabs and line breaks become w:tab / w:br siblings in the same run
+   */
+  _setText(textNode, text) {
+    const xmlDoc = textNode.ownerDocument;
+    const [first, ...rest] = text.split(/([\t\n])/);
+
+    while (textNode.firstChild) {
+      textNode.removeChild(textNode.firstChild);
+    }
+    textNode.appendChild(xmlDoc.createTextNode(first));
+    textNode.setAttributeNS(XML_NS, 'xml:space', 'preserve');
+
+    let anchor = textNode;
+    rest.filter(part => part !== '').forEach(part => {
+      let node;
+      if (part === '\t') {
+        node = xmlDoc.createElementNS(W_NS, 'w:tab');
+      } else if (part === '\n') {
+        node = xmlDoc.createElementNS(W_NS, 'w:br');
+      } else {
+        node = xmlDoc.createElementNS(W_NS, 'w:t');
+        node.appendChild(xmlDoc.createTextNode(part));
+        node.setAttributeNS(XML_NS, 'xml:space', 'preserve');
+      }
+      anchor.parentNode.insertBefore(node, anchor.nextSibling);
+      anchor = node;
+    });
+  }
+
+  _cloneWithoutRevisions(element) {
+    const clone = element.cloneNode(true);
+    const strip = (node) => {
+      this._childElements(node).forEach(child => {
+        if (REVISION_ELEMENTS.has(child.nodeName)) {
+          node.removeChild(child);
+        } else {
+          strip(child);
+        }
+      });
+    };
+    strip(clone);
+    return clone;
+  }
+
+  _childElements(element, name = null) {
+    if (!element) return [];
+    return Array.from(element.childNodes || [])
+      .filter(node => node.nodeType === 1 && (!name || node.nodeName === name));
+  }
+
+  _childElement(element, name) {
+    return this._childElements(element, name)[0] || null;
+  }
+}
@@ -120,7 +120,7 @@ export const useUnifiedDocumentStore = create((set, get) => ({
   /**
    * Load document from file upload
    */
-  uploadDocument: async (file) => {
+  uploadDocument: async (file, options = {}) => {
     if (!file) {
       throw new Error('No file provided');
     }
@@ -144,7 +144,7 @@ export const useUnifiedDocumentStore = create((set, get) => ({
         }
       }));
 
-      const result = await get().documentService.loadDocument(file);
+      const result = await get().documentService.loadDocument(file, options);
 
       set(state => ({
         processingState: {
@@ -430,6 +430,77 @@ export const useUnifiedDocumentStore = create((set, get) => ({
     }
   },
 
+  /**
+   * Apply many fixes in one pass - selection: { issueIds } or { category }, every fixable issue when empty
+   * Returns which fixes were applied, skipped or left out because they conflict with another fix
+   */
+  applyFixes: async (selection = {}) => {
+    const state = get();
+
+    if (!state.documentModel) {
+      throw new Error('Document model required');
+    }
+
+    if (state.processingState.isApplyingFix) {
+      throw new Error('Another fix is already being applied');
+    }
+
+    set(currentState => ({
+      processingState: {
+        ...currentState.processingState,
+        isApplyingFix: true,
+        currentFixId: null,
+        stage: 'Applying fixes'
+      }
+    }));
+
+    try {
+      const result = await state.documentService.applyFixes(
+        state.documentModel,
+        selection,
+        state.createTransaction()
+      );
+
+      set(currentState => ({
+        processingState: {
+          ...currentState.processingState,
+          isApplyingFix: false,
+          currentFixId: null,
+          stage: null
+        }
+      }));
+
+      // One event, so the editor applies every fix in a single ProseMirror transaction
+      if (result.applied.length > 0) {
+        storeEvents.emit('fixApplied', {
+          issueIds: result.applied.map(fix => fix.issueId),
+          snapshotId: result.snapshotId,
+          fixData: result.fixData
+        });
+      }
+
+      return {
+        success: true,
+        applied: result.applied,
+        skipped: result.skipped,
+        conflicts: result.conflicts
+      };
+
+    } catch (error) {
+      console.error('Error applying fixes:', error);
+      set(currentState => ({
+        processingState: {
+          ...currentState.processingState,
+          isApplyingFix: false,
+          currentFixId: null,
+          lastError: error.message,
+          stage: null
+        }
+      }));
+      throw error;
+    }
+  },
+
   // === EDITOR SYNCHRONIZATION ===
   // Sync methods removed - now handled by hooks (useAutoSave, useAnalysis)
 
@@ -187,6 +187,98 @@ export class ChangeTracker {
     return changes;
   }
 
+  /**
+   * Align two ordered lists of paragraph texts (e.g. the imported paragraphs and the edited ones)
+   * Unlike detectParagraphChanges this does not rely on ids, which are positional, so inserting a
+   * paragraph does not mark every following paragraph as modified.
+   * Returns operations in document order: keep, modify, insert and delete, each with oldIndex/newIndex.
+   */
+  detectParagraphEdits(oldTexts, newTexts) {
+    const operations = [];
+    let prefix = 0;
+    let suffix = 0;
+
+    while (prefix < oldTexts.length && prefix < newTexts.length && oldTexts[prefix] === newTexts[prefix]) {
+      prefix++;
+    }
+    while (
+      suffix < oldTexts.length - prefix &&
+      suffix < newTexts.length - prefix &&
+      oldTexts[oldTexts.length - 1 - suffix] === newTexts[newTexts.length - 1 - suffix]
+    ) {
+      suffix++;
+    }
+
+    for (let i = 0; i < prefix; i++) {
+      operations.push({ type: 'keep', oldIndex: i, newIndex: i });
+    }
+
+    const oldMiddle = oldTexts.slice(prefix, oldTexts.length - suffix);
+    const newMiddle = newTexts.slice(prefix, newTexts.length - suffix);
+    const matches = this._alignTexts(oldMiddle, newMiddle);
+
+    // Unmatched paragraphs between two matches pair up as modifications, the rest are inserts/deletes
+    let oldCursor = 0;
+    let newCursor = 0;
+    [...matches, [oldMiddle.length, newMiddle.length]].forEach(([oldMatch, newMatch]) => {
+      while (oldCursor < oldMatch && newCursor < newMatch) {
+        operations.push({ type: 'modify', oldIndex: prefix + oldCursor++, newIndex: prefix + newCursor++ });
+      }
+      while (oldCursor < oldMatch) {
+        operations.push({ type: 'delete', oldIndex: prefix + oldCursor++, newIndex: null });
+      }
+      while (newCursor < newMatch) {
+        operations.push({ type: 'insert', oldIndex: null, newIndex: prefix + newCursor++ });
+      }
+      if (oldMatch < oldMiddle.length) {
+        operations.push({ type: 'keep', oldIndex: prefix + oldCursor++, newIndex: prefix + newCursor++ });
+      }
+    });
+
+    for (let i = 0; i < suffix; i++) {
+      operations.push({
+        type: 'keep',
+        oldIndex: oldTexts.length - suffix + i,
+        newIndex: newTexts.length - suffix + i
+      });
+    }
+
+    return operations;
+  }
+
+  /**
+   * Word-level diff of two paragraph texts (whitespace and punctuation are tokens of their own)
+   * Returns hunks in document order: replace oldText[start, end) with text
+   */
+  diffWords(oldText, newText) {
+    const tokenize = (text) => text.split(/(\s+|[^\p{L}\p{N}\s])/u).filter(token => token !== '');
+    const oldTokens = tokenize(oldText);
+    const newTokens = tokenize(newText);
+    const hunks = [];
+
+    let oldCursor = 0;
+    let newCursor = 0;
+    let oldOffset = 0;
+    [...this._alignTexts(oldTokens, newTokens), [oldTokens.length, newTokens.length]].forEach(([oldMatch, newMatch]) => {
+      const start = oldOffset;
+      while (oldCursor < oldMatch) {
+        oldOffset += oldTokens[oldCursor++].length;
+      }
+      const text = newTokens.slice(newCursor, newMatch).join('');
+      newCursor = newMatch;
+
+      if (oldOffset > start || text) {
+        hunks.push({ start, end: oldOffset, text });
+      }
+      if (oldMatch < oldTokens.length) {
+        oldOffset += oldTokens[oldCursor++].length;
+        newCursor++;
+      }
+    });
+
+    return hunks;
+  }
+
   /**
    * Calculate change significance for analysis prioritization
    */
@@ -491,6 +583,40 @@ export class ChangeTracker {
     return oldFormatting !== newFormatting;
   }
 
+  /**
+   * Longest common subsequence of equal texts, as [oldIndex, newIndex] pairs in order
+   */
+  _alignTexts(oldTexts, newTexts) {
+    // Very large edited regions are paired positionally instead of aligned
+    if (oldTexts.length * newTexts.length > 4000000) {
+      return [];
+    }
+
+    const lengths = Array.from({ length: oldTexts.length + 1 }, () => new Uint32Array(newTexts.length + 1));
+    for (let i = oldTexts.length - 1; i >= 0; i--) {
+      for (let j = newTexts.length - 1; j >= 0; j--) {
+        lengths[i][j] = oldTexts[i] === newTexts[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const matches = [];
+    let i = 0;
+    let j = 0;
+    while (i < oldTexts.length && j < newTexts.length) {
+      if (oldTexts[i] === newTexts[j]) {
+        matches.push([i++, j++]);
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        i++;
+      } else {
+        j++;
+      }
+    }
+
+    return matches;
+  }
+
   _applyOperation(content, operation) {
     switch (operation.type) {
       case 'text-replace':
@@ -715,6 +841,7 @@ export class DocumentTransaction {
       paragraphId,
       oldText: paragraph.text,
       oldFormatting: JSON.parse(JSON.stringify(paragraph.formatting)),
+      oldRuns: paragraph.runOrder.map(runId => paragraph.runs.get(runId)).filter(Boolean),
       oldChangeSequence: paragraph.changeSequence
     });
 
@@ -881,6 +1008,14 @@ export class DocumentTransaction {
         paragraph.text = rollbackData.oldText;
         paragraph.formatting = rollbackData.oldFormatting;
         paragraph.changeSequence = rollbackData.oldChangeSequence;
+
+        // update() replaces the run models, so the old ones are still intact
+        paragraph.runs.clear();
+        paragraph.runOrder = [];
+        rollbackData.oldRuns.forEach(run => {
+          paragraph.runs.set(run.id, run);
+          paragraph.runOrder.push(run.id);
+        });
       }
     }
   }
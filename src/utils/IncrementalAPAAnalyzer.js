@@ -1,6 +1,7 @@
 'use client';
 
 import { EnhancedAPAAnalyzer } from './enhancedApaAnalyzer';
+import { AdditionalAPARules } from './additionalApaRules';
 
 /**
  * Incremental APA Analyzer - Optimized for DocumentModel architecture
@@ -10,6 +11,9 @@ export class IncrementalAPAAnalyzer extends EnhancedAPAAnalyzer {
   constructor(validators = {}) {
     super(validators);
 
+    // Note and equation checks on the structures parsed from the DOCX
+    this.additionalRules = validators.additionalRules || new AdditionalAPARules();
+
     // Analysis cache for paragraphs
     this.paragraphCache = new Map(); // paragraph-hash -> analysis-results
     this.documentCache = new Map(); // document-hash -> document-level-issues
@@ -259,6 +263,27 @@ export class IncrementalAPAAnalyzer extends EnhancedAPAAnalyzer {
         issues.push(...(Array.isArray(tableFigureIssues) ? tableFigureIssues : []));
       }
 
+      // Reference manager citation fields (edited citations, shown text vs. field data)
+      if (documentData.structure?.citationFields?.length > 0) {
+        issues.push(...this.advancedCitationValidator.validateCitationFields(documentData.structure.citationFields));
+      }
+
+      // Word lists (seriation checks on the numbering resolved from numbering.xml)
+      if (documentData.structure?.lists?.length > 0) {
+        issues.push(...this.comprehensiveValidator.validateDocumentLists(documentData.structure.lists));
+      }
+
+      // Word equations (display numbering and variable style)
+      if (documentData.structure?.equations?.length > 0) {
+        issues.push(...this.additionalRules.validateDocumentEquations(documentData.structure.equations));
+      }
+
+      // Footnotes and endnotes (placement, numbering, length)
+      const notes = [...(documentData.structure?.footnotes || []), ...(documentData.structure?.endnotes || [])];
+      if (notes.length > 0) {
+        issues.push(...this.additionalRules.validateDocumentNotes(notes));
+      }
+
     } catch (error) {
       console.error('Error in document-level analysis:', error);
       issues.push(this.createErrorIssue(
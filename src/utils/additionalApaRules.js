@@ -37,6 +37,12 @@ export class AdditionalAPARules {
    * Validate footnotes according to APA 7th edition
    */
   validateFootnotes(text, structure) {
+    // Prefer real notes parsed from footnotes.xml/endnotes.xml over text heuristics
+    const notes = [...(structure?.footnotes || []), ...(structure?.endnotes || [])];
+    if (notes.length > 0) {
+      return this.validateDocumentNotes(notes);
+    }
+
     const issues = [];
     const footnotes = text.match(this.patterns.footnote) || [];
     
@@ -71,11 +77,150 @@ export class AdditionalAPARules {
     return issues;
   }
   
+  /**
+   * Validate footnotes/endnotes extracted from the DOCX (APA 7th ed. Section 2.13)
+   */
+  validateDocumentNotes(notes) {
+    const issues = [];
+    const referenced = notes.filter(note => note.reference);
+    const first = referenced[0] || notes[0];
+
+    // APA prefers to minimize footnote use
+    issues.push({
+      title: "Footnotes detected",
+      description: `Document contains ${notes.length} ${notes.length === 1 ? 'note' : 'notes'}; APA style discourages extensive use of footnotes`,
+      text: first.text.substring(0, 50),
+      severity: "Minor",
+      category: "formatting",
+      hasFix: false,
+      explanation: "Use footnotes sparingly. Consider incorporating content into main text or using parenthetical information."
+    });
+
+    referenced.forEach(note => {
+      const { paragraphIndex, charOffset, precedingText, followingText, customMark } = note.reference;
+      const label = `${note.type === 'endnote' ? 'Endnote' : 'Footnote'} ${note.number}`;
+      const context = precedingText.slice(-15);
+      const location = {
+        paragraphIndex,
+        charOffset: Math.max(0, charOffset - context.length),
+        length: context.length,
+        type: 'text'
+      };
+
+      // Number follows punctuation (except dashes), e.g., "text.¹" not "text¹."
+      if (/^[.,;:!?]/.test(followingText) && /[A-Za-z0-9)"'”’]$/.test(precedingText)) {
+        issues.push({
+          title: "Footnote number before punctuation",
+          description: `${label} is placed before a punctuation mark`,
+          text: `${context}${followingText.charAt(0)}`,
+          highlightText: context,
+          severity: "Minor",
+          category: "formatting",
+          location,
+          hasFix: false,
+          explanation: "Place footnote numbers after any punctuation mark except a dash (e.g., \"...in the study.¹\")."
+        });
+      }
+
+      // Number precedes a dash
+      if (/[—–]$/.test(precedingText)) {
+        issues.push({
+          title: "Footnote number after dash",
+          description: `${label} follows a dash`,
+          text: context,
+          highlightText: context,
+          severity: "Minor",
+          category: "formatting",
+          location,
+          hasFix: false,
+          explanation: "A footnote number precedes a dash (e.g., \"the results¹—which were unexpected—\")."
+        });
+      }
+
+      // No space before the number
+      if (/\s$/.test(precedingText)) {
+        issues.push({
+          title: "Space before footnote number",
+          description: `${label} is separated from the preceding text by a space`,
+          text: context,
+          highlightText: context.trim() || context,
+          severity: "Minor",
+          category: "formatting",
+          location,
+          hasFix: false,
+          explanation: "Footnote numbers follow the word or punctuation mark directly, without a space."
+        });
+      }
+
+      // Automatic consecutive numbering
+      if (customMark) {
+        issues.push({
+          title: "Custom footnote mark",
+          description: `${label} uses a custom symbol instead of an automatic number`,
+          text: context,
+          highlightText: context,
+          severity: "Minor",
+          category: "formatting",
+          location,
+          hasFix: false,
+          explanation: "Number footnotes consecutively with superscript Arabic numerals in the order they appear."
+        });
+      }
+
+      // One brief idea per note
+      if (note.wordCount > 100 || note.paragraphs.length > 1) {
+        issues.push({
+          title: "Long footnote",
+          description: `${label} has ${note.wordCount} words${note.paragraphs.length > 1 ? ` in ${note.paragraphs.length} paragraphs` : ''}`,
+          text: note.text.substring(0, 50),
+          severity: "Minor",
+          category: "formatting",
+          hasFix: false,
+          explanation: "Content footnotes should convey just one idea. If a note runs longer than a short paragraph, consider moving the material into the text or an appendix."
+        });
+      }
+    });
+
+    // Notes that are never referenced from the text
+    notes.filter(note => !note.reference).forEach(note => {
+      issues.push({
+        title: "Unreferenced footnote",
+        description: `A ${note.type} is not referenced anywhere in the text`,
+        text: note.text.substring(0, 50),
+        severity: "Minor",
+        category: "formatting",
+        hasFix: false,
+        explanation: "Every footnote must be called out in the text with a superscript number; remove notes that are no longer referenced."
+      });
+    });
+
+    // Mixing footnotes and endnotes breaks consecutive numbering
+    if (notes.some(note => note.type === 'footnote') && notes.some(note => note.type === 'endnote')) {
+      issues.push({
+        title: "Mixed footnotes and endnotes",
+        description: "Document uses both footnotes and endnotes",
+        text: first.text.substring(0, 50),
+        severity: "Minor",
+        category: "formatting",
+        hasFix: false,
+        explanation: "Use one note style consistently: footnotes at the bottom of the page or endnotes on a separate page after the references, numbered consecutively."
+      });
+    }
+
+    return issues;
+  }
+
   /**
    * Validate mathematical equations formatting
    */
   validateMathematicalEquations(text, structure) {
     const issues = [];
+
+    // Word equations (OMML) converted on the server
+    if (structure?.equations?.length > 0) {
+      issues.push(...this.validateDocumentEquations(structure.equations));
+      return issues;
+    }
     
     // Check for mathematical symbols
     if (this.patterns.equation.test(text)) {
@@ -119,6 +264,76 @@ export class AdditionalAPARules {
     return issues;
   }
   
+  /**
+   * Validate equations imported from Word (linear form, display flag, number and plain-style variables)
+   */
+  validateDocumentEquations(equations) {
+    const issues = [];
+
+    const equationIssue = (equation, props) => {
+      const highlightText = equation.linear.substring(0, 50);
+      return {
+        text: highlightText,
+        highlightText,
+        severity: "Minor",
+        category: "formatting",
+        location: {
+          paragraphIndex: equation.paragraphIndex,
+          charOffset: equation.charOffset,
+          length: highlightText.length,
+          type: 'text'
+        },
+        hasFix: false,
+        ...props
+      };
+    };
+
+    const displayed = equations.filter(equation => equation.linear && (equation.display || equation.standalone));
+    let expectedNumber = 1;
+
+    displayed.forEach(equation => {
+      if (equation.number === null || equation.number === undefined) {
+        issues.push(equationIssue(equation, {
+          title: "Unnumbered display equation",
+          description: "Equation displayed on its own line has no number",
+          explanation: "Number display equations consecutively with the number in parentheses near the right margin: (1), (2), etc."
+        }));
+        return;
+      }
+
+      if (equation.number !== expectedNumber) {
+        issues.push(equationIssue(equation, {
+          title: "Equation numbers out of sequence",
+          description: `Equation (${equation.number}) found where (${expectedNumber}) was expected`,
+          explanation: "Number display equations consecutively in the order they appear in the text"
+        }));
+      }
+      expectedNumber = equation.number + 1;
+    });
+
+    equations.forEach(equation => {
+      if (!equation.linear) return;
+
+      if (!equation.display && !equation.standalone && equation.linear.length > 50) {
+        issues.push(equationIssue(equation, {
+          title: "Long inline equation",
+          description: "Complex equations should be displayed on separate lines",
+          explanation: "Display complex equations on separate lines and number them"
+        }));
+      }
+
+      if (equation.plainVariables?.length > 0) {
+        issues.push(equationIssue(equation, {
+          title: "Equation variables not italicized",
+          description: `Variable${equation.plainVariables.length > 1 ? 's' : ''} ${equation.plainVariables.join(', ')} set in plain (roman) type`,
+          explanation: "Italicize variables in equations; use roman type only for numbers, operators, function names (sin, log) and abbreviations"
+        }));
+      }
+    });
+
+    return issues;
+  }
+
   /**
    * Validate legal references formatting
    */
@@ -34,6 +34,100 @@ export class AdvancedCitationValidator {
     // Narrative vs parenthetical consistency
     issues.push(...this.validateCitationConsistency(text));
     
+    // Reference manager fields carry the real author/year data behind the rendered text
+    if (structure?.citationFields?.length > 0) {
+      issues.push(...this.validateCitationFields(structure.citationFields));
+    }
+    
+    return issues;
+  }
+
+  /**
+   * Compare Zotero/Mendeley/EndNote citation metadata with the citation text shown in the document
+   */
+  validateCitationFields(citationFields) {
+    const issues = [];
+
+    citationFields.forEach(field => {
+      const text = (field.text || '').trim();
+      if (!text) return;
+
+      const location = {
+        paragraphIndex: field.paragraphIndex,
+        charOffset: field.charOffset,
+        length: field.text.length,
+        type: 'text'
+      };
+      const issue = (title, description, severity, explanation) => ({
+        title,
+        description,
+        text,
+        highlightText: text,
+        severity,
+        category: "citations",
+        location,
+        hasFix: false,
+        explanation
+      });
+
+      // Hand edits are lost the next time the reference manager refreshes citations
+      if (field.edited) {
+        issues.push(issue(
+          "Citation edited outside reference manager",
+          `"${text}" differs from the ${field.source} output "${field.formattedCitation}"`,
+          "Minor",
+          "Edit citations through the reference manager (e.g. with prefix, suffix or page options). Manual changes are overwritten when citations are refreshed and may no longer match the reference data."
+        ));
+      }
+
+      field.items.forEach(item => {
+        const authors = item.authors || [];
+        const names = authors.map(author => author.family || author.literal).filter(Boolean);
+        const label = `${names[0] || 'Unknown author'}${item.year ? `, ${item.year}` : ''}`;
+
+        if (!item.suppressAuthor && names.length > 0) {
+          if (!text.includes(names[0])) {
+            issues.push(issue(
+              "Citation author does not match source",
+              `"${text}" does not show the first author "${names[0]}" recorded for this source`,
+              "Major",
+              "The author in the citation must match the author of the cited work. Refresh the citation from the reference manager or correct the source record."
+            ));
+          } else if (names.length === 2 && !text.includes(names[1])) {
+            issues.push(issue(
+              "Missing second author",
+              `Source (${label}) has two authors but "${names[1]}" is not cited`,
+              "Major",
+              "Cite both authors of a two-author work every time: (Smith & Jones, 2020) or Smith and Jones (2020)."
+            ));
+          } else if (names.length >= 3 && text.includes(names[1]) && !/et al\./.test(text)) {
+            issues.push(issue(
+              "Use \"et al.\" for three or more authors",
+              `Source (${label}) has ${names.length} authors; cite only "${names[0]} et al."`,
+              "Minor",
+              "APA 7th edition shortens citations of works with three or more authors to the first author plus \"et al.\" from the first citation."
+            ));
+          }
+        }
+
+        if (item.year && !text.includes(item.year)) {
+          issues.push(issue(
+            "Citation year does not match source",
+            `"${text}" does not show the year ${item.year} recorded for ${names[0] || 'this source'}`,
+            "Major",
+            "The year in the citation must match the publication year of the cited work."
+          ));
+        } else if (!item.year && !/n\.d\./.test(text)) {
+          issues.push(issue(
+            "Missing \"n.d.\" for undated source",
+            `Source (${label}) has no publication date`,
+            "Minor",
+            "Use \"n.d.\" (no date) in citations of works without a publication date: (Smith, n.d.)."
+          ));
+        }
+      });
+    });
+
     return issues;
   }
 
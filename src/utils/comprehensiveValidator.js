@@ -15,9 +15,15 @@ export class ComprehensiveValidator {
 
   /**
    * Validate lists and seriation
+   * Word auto-numbered lists come from structure.lists (their markers are not part of the text);
+   * typed markers like "1." or "-" are still detected from the text
    */
-  validateListsAndSeriation(text) {
+  validateListsAndSeriation(text, structure = null) {
     const issues = [];
+
+    if (structure?.lists?.length > 0) {
+      issues.push(...this.validateDocumentLists(structure.lists));
+    }
     
     // Check bulleted lists
     const bulletPatterns = [/^[•·▪▫◦‣⁃]\s+/gm, /^\*\s+/gm, /^-\s+/gm];
@@ -124,6 +130,82 @@ export class ComprehensiveValidator {
     return issues;
   }
 
+  /**
+   * Validate Word lists resolved from numbering.xml (APA 7th ed. Sections 6.49-6.52)
+   */
+  validateDocumentLists(lists) {
+    const issues = [];
+
+    const itemIssue = (item, props) => {
+      const highlightText = item.text.substring(0, 50);
+      return {
+        text: highlightText,
+        highlightText,
+        severity: "Minor",
+        category: "lists",
+        location: {
+          paragraphIndex: item.paragraphIndex,
+          charOffset: 0,
+          length: highlightText.length,
+          type: 'text'
+        },
+        hasFix: false,
+        ...props
+      };
+    };
+
+    lists.forEach(list => {
+      const items = (list.items || []).filter(item => item.text);
+      const topLevel = items.filter(item => item.level === 0);
+      if (items.length === 0) return;
+
+      // A list needs at least two items
+      if (items.length === 1) {
+        issues.push(itemIssue(items[0], {
+          title: "Single-item list",
+          description: "List contains only one item",
+          explanation: "Lists (seriation) need at least two items. Work a single item into the running text instead."
+        }));
+      }
+
+      // Numbered lists use Arabic numerals followed by a period
+      const badLabel = topLevel.find(item => item.ordered && !/^\d+\.$/.test(item.label || ''));
+      if (badLabel) {
+        issues.push(itemIssue(badLabel, {
+          title: "Numbered list label format",
+          description: `Numbered list uses "${badLabel.label}" as its label`,
+          explanation: "Number list items with an Arabic numeral followed by a period (1., 2., 3.). Use lowercase letters in parentheses, e.g., (a), (b), only for seriation within a sentence."
+        }));
+      }
+
+      // Punctuation should be consistent: all sentences (periods) or all fragments (none)
+      const withPeriods = topLevel.filter(item => /[.?!]$/.test(item.text));
+      const withoutPeriods = topLevel.filter(item => !/[.?!]$/.test(item.text));
+      if (withPeriods.length > 0 && withoutPeriods.length > 0) {
+        const minority = withPeriods.length < withoutPeriods.length ? withPeriods : withoutPeriods;
+        issues.push(itemIssue(minority[0], {
+          title: "Inconsistent list punctuation",
+          description: `${withPeriods.length} of ${topLevel.length} list items end with a period`,
+          explanation: "Use periods for all items (complete sentences) or none (fragments)"
+        }));
+      }
+
+      // Items should start consistently (sentences are capitalized)
+      const capitalized = topLevel.filter(item => /^[A-Z]/.test(item.text));
+      const lowercase = topLevel.filter(item => /^[a-z]/.test(item.text));
+      if (capitalized.length > 0 && lowercase.length > 0) {
+        const minority = capitalized.length < lowercase.length ? capitalized : lowercase;
+        issues.push(itemIssue(minority[0], {
+          title: "Inconsistent list capitalization",
+          description: "Some list items begin with a capital letter and others do not",
+          explanation: "Capitalize the first word of list items that are complete sentences; keep the style consistent across all items in a list."
+        }));
+      }
+    });
+
+    return issues;
+  }
+
   /**
    * Validate abbreviation management
    */
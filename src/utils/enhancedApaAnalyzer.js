@@ -250,7 +250,7 @@ export class EnhancedAPAAnalyzer {
     try {
       // 11. Lists, abbreviations, and appendices
       if (text) {
-        const listIssues = this.comprehensiveValidator.validateListsAndSeriation(text);
+        const listIssues = this.comprehensiveValidator.validateListsAndSeriation(text, structure);
         issues.push(...(Array.isArray(listIssues) ? listIssues : []));
 
         const abbrIssues = this.comprehensiveValidator.validateAbbreviations(text);
@@ -307,6 +307,30 @@ export class EnhancedAPAAnalyzer {
     };
   }
 
+  /**
+   * Explain where a resolved formatting value came from, so users know what to change
+   * (the text itself, a named style, the document defaults or the theme)
+   */
+  describeFormattingSource(source) {
+    if (!source) return '';
+
+    const theme = source.themeFont ? ` via the ${/^\+?(major|mj)/i.test(source.themeFont) ? 'headings' : 'body'} theme font` : '';
+
+    switch (source.origin) {
+      case 'direct':
+        return ' (set directly on the text)';
+      case 'paragraphStyle':
+      case 'characterStyle':
+        return ` (inherited from the "${source.styleName || source.styleId}" style${theme})`;
+      case 'docDefaults':
+        return ` (inherited from the document defaults${theme})`;
+      case 'default':
+        return ' (Word default - not set anywhere in the document)';
+      default:
+        return '';
+    }
+  }
+
   /**
    * Analyze formatting with precise measurements - FIXED with safe property access
    */
@@ -322,6 +346,7 @@ export class EnhancedAPAAnalyzer {
     const indentation = documentFormatting.indentation || {};
     const paragraphs = formatting?.paragraphs || [];
     const compliance = formatting?.compliance || {};
+    const sources = documentFormatting.sources || {};
     
     // Check font family - SAFE ACCESS
     if (font.family) {
@@ -334,7 +359,7 @@ export class EnhancedAPAAnalyzer {
         const paraIndex = firstParagraphWithText ? paragraphs.indexOf(firstParagraphWithText) : 0;
         issues.push({
           title: "Incorrect font family",
-          description: `Document uses "${font.family}" instead of Times New Roman`,
+          description: `Document uses "${font.family}" instead of Times New Roman${this.describeFormattingSource(sources.family)}`,
           text: firstParagraphWithText ? firstParagraphWithText.text.substring(0, 50) : null,
           highlightText: firstParagraphWithText ? firstParagraphWithText.text.substring(0, 50) : null,
           severity: "Major",
@@ -370,7 +395,7 @@ export class EnhancedAPAAnalyzer {
       const paraIndex = firstParagraphWithText ? paragraphs.indexOf(firstParagraphWithText) : 0;
       issues.push({
         title: "Incorrect font size",
-        description: `Font size is ${font.size}pt instead of 12pt`,
+        description: `Font size is ${font.size}pt instead of 12pt${this.describeFormattingSource(sources.size)}`,
         text: firstParagraphWithText ? firstParagraphWithText.text.substring(0, 50) : null,
         highlightText: firstParagraphWithText ? firstParagraphWithText.text.substring(0, 50) : null,
         severity: "Major",
@@ -395,7 +420,7 @@ export class EnhancedAPAAnalyzer {
       const paraIndex = firstParagraphWithText ? paragraphs.indexOf(firstParagraphWithText) : 0;
       issues.push({
         title: "Incorrect line spacing",
-        description: `Line spacing is ${spacing.line} instead of double (2.0)`,
+        description: `Line spacing is ${spacing.line} instead of double (2.0)${this.describeFormattingSource(sources.line)}`,
         text: firstParagraphWithText ? firstParagraphWithText.text.substring(0, 50) : null,
         highlightText: firstParagraphWithText ? firstParagraphWithText.text.substring(0, 50) : null,
         severity: "Major",
@@ -438,8 +463,9 @@ export class EnhancedAPAAnalyzer {
     
     // Check paragraph indentation - SAFE ACCESS
     if (paragraphs.length > 0) {
+      // Resolved indentation always has a left value, so a zero left indent alone does not mark body text
       const bodyParagraphs = paragraphs.filter(p => 
-        p && p.indentation && (p.indentation.firstLine !== null || p.indentation.left !== null)
+        p && p.text?.trim() && p.indentation && (p.indentation.firstLine !== null || p.indentation.left)
       );
       
       const incorrectIndentation = bodyParagraphs.filter(p => {
@@ -465,6 +491,124 @@ export class EnhancedAPAAnalyzer {
       }
     }
     
+    // Per-section page layout (landscape pages, appendices with their own margins or headers)
+    if (formatting?.sections?.length > 0) {
+      issues.push(...this.analyzeSections(formatting.sections, paragraphs));
+    }
+    
+    return issues;
+  }
+
+  /**
+   * Validate the page layout of every document section
+   */
+  analyzeSections(sections, paragraphs) {
+    const issues = [];
+    const multipleSections = sections.length > 1;
+    const nonLetterSections = [];
+
+    sections.forEach((section, position) => {
+      const label = `Section ${section.index + 1}`;
+      const sectionParagraphs = paragraphs.slice(section.startParagraphIndex, section.endParagraphIndex + 1);
+      const firstParagraph = sectionParagraphs.find(p => p?.text?.trim());
+      const highlightText = firstParagraph ? firstParagraph.text.substring(0, 50) : null;
+      const location = firstParagraph
+        ? { type: "text", paragraphIndex: firstParagraph.index, charOffset: 0, length: highlightText.length }
+        : { type: "document", section: "sections" };
+
+      // The last section's margins are the document margins checked above
+      if (multipleSections && position < sections.length - 1) {
+        const marginIssues = [];
+        Object.entries(this.apaStandards.margins).forEach(([side, required]) => {
+          const actual = section.margins?.[side];
+          if (actual !== null && actual !== undefined && Math.abs(actual - required) > 0.1) {
+            marginIssues.push(`${side}: ${Math.round(actual * 100) / 100}" (should be ${required}")`);
+          }
+        });
+
+        if (marginIssues.length > 0) {
+          issues.push({
+            title: "Incorrect section margins",
+            description: `${label} margins are not 1 inch: ${marginIssues.join(', ')}`,
+            text: highlightText,
+            highlightText,
+            severity: "Major",
+            category: "formatting",
+            location,
+            hasFix: false,
+            explanation: "APA 7th edition requires 1-inch margins on all sides of every page, including landscape pages and appendices."
+          });
+        }
+      }
+
+      const { width, height } = section.pageSize || {};
+      if (width && height) {
+        const shortSide = Math.min(width, height);
+        const longSide = Math.max(width, height);
+        if (Math.abs(shortSide - 8.5) > 0.1 || Math.abs(longSide - 11) > 0.1) {
+          nonLetterSections.push(`${label} (${Math.round(shortSide * 100) / 100}" × ${Math.round(longSide * 100) / 100}")`);
+        }
+      }
+
+      // Landscape orientation is meant for tables or figures too wide for a portrait page
+      if (section.orientation === 'landscape') {
+        const hasDisplay = sectionParagraphs.some(p => /^(Table|Figure)\s+\d+/.test(p?.text?.trim() || ''));
+        if (!hasDisplay) {
+          issues.push({
+            title: "Landscape section without a table or figure",
+            description: `${label} uses landscape orientation but contains no numbered table or figure`,
+            text: highlightText,
+            highlightText,
+            severity: "Minor",
+            category: "formatting",
+            location,
+            hasFix: false,
+            explanation: "Keep text pages in portrait orientation. Use a landscape section only for a table or figure that does not fit in portrait orientation."
+          });
+        }
+      }
+
+      // Every page, including the title page, needs the page number header
+      const headers = section.headers || {};
+      if (position === 0 && section.titlePage && !headers.first && headers.default) {
+        issues.push({
+          title: "Title page header is empty",
+          description: `${label} uses a different first page without a first-page header, so the title page has no page number`,
+          text: highlightText,
+          highlightText,
+          severity: "Minor",
+          category: "headers",
+          location,
+          hasFix: false,
+          explanation: "APA 7th edition places the page number in the header of every page, starting with 1 on the title page."
+        });
+      } else if (multipleSections && !headers.default && sections.some(other => other.headers?.default)) {
+        issues.push({
+          title: "Section without page header",
+          description: `${label} has no header, so its pages have no page number`,
+          text: highlightText,
+          highlightText,
+          severity: "Minor",
+          category: "headers",
+          location,
+          hasFix: false,
+          explanation: "APA 7th edition places the page number in the header of every page, including appendices and landscape pages."
+        });
+      }
+    });
+
+    if (nonLetterSections.length > 0) {
+      issues.push({
+        title: "Non-standard page size",
+        description: `Page size is not US Letter (8.5" × 11"): ${nonLetterSections.join(', ')}`,
+        severity: "Minor",
+        category: "formatting",
+        location: { type: "document", section: "pageSetup" },
+        hasFix: false,
+        explanation: "APA 7th edition papers use 8.5 × 11 in. (US Letter) pages. A4 is acceptable only when your institution or publisher requires it."
+      });
+    }
+
     return issues;
   }
   
@@ -8,6 +8,7 @@ export class HeaderFooterValidator {
 
   /**
    * Validate headers, footers, running head, and page numbers
+   * structure.paperType ('student' | 'professional') skips detecting the paper type from the text
    */
   validateHeadersFooters(text, structure) {
     const issues = [];
@@ -16,7 +17,7 @@ export class HeaderFooterValidator {
     const headersFooters = structure?.headersFooters || {};
     
     // Validate running head
-    issues.push(...this.validateRunningHead(headersFooters, text));
+    issues.push(...this.validateRunningHead(headersFooters, text, structure?.paperType));
     
     // Validate page numbers
     issues.push(...this.validatePageNumbers(headersFooters, text));
@@ -33,21 +34,25 @@ export class HeaderFooterValidator {
   /**
    * FIXED: Validate running head format according to APA 7th Edition
    */
-  validateRunningHead(headersFooters, text) {
+  validateRunningHead(headersFooters, text, paperType = null) {
     const issues = [];
 
     // UPDATED: APA 7th distinguishes between student and professional papers
     // Check if document appears to be a professional paper
     const wordCount = text.split(/\s+/).filter(Boolean).length;
     const hasRunningHeadText = text.toLowerCase().includes('running head');
-    const isProfessionalPaper = hasRunningHeadText || wordCount > 5000; // Professional papers are typically longer
+    const isProfessionalPaper = paperType
+      ? paperType === 'professional'
+      : hasRunningHeadText || wordCount > 5000; // Professional papers are typically longer
 
     // NEW: Detect if this is a student paper (common indicators)
-    const isStudentPaper = text.toLowerCase().includes('student') ||
-                          text.toLowerCase().includes('university') ||
-                          text.toLowerCase().includes('course') ||
-                          text.toLowerCase().includes('professor') ||
-                          (!hasRunningHeadText && wordCount < 3000);
+    const isStudentPaper = paperType
+      ? paperType === 'student'
+      : text.toLowerCase().includes('student') ||
+        text.toLowerCase().includes('university') ||
+        text.toLowerCase().includes('course') ||
+        text.toLowerCase().includes('professor') ||
+        (!hasRunningHeadText && wordCount < 3000);
 
     if (isProfessionalPaper) {
       const runningHead = headersFooters.runningHead;
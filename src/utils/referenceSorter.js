@@ -0,0 +1,111 @@
+// src/utils/referenceSorter.js - APA 7 reference list order (Sections 9.44-9.47)
+'use client';
+
+// Leading articles ignored when a title or group name takes the author position
+const LEADING_ARTICLE = /^(a|an|the)\s+/i;
+
+export class ReferenceSorter {
+  /**
+   * Sort entries into APA order; items are strings or objects read through getText
+   * The sort is stable, so entries that compare equal keep their current order
+   */
+  sort(items, getText = item => item) {
+    return items
+      .map((item, index) => ({ item, index, key: this.sortKey(getText(item)) }))
+      .sort((a, b) => this.compareKeys(a.key, b.key) || a.index - b.index)
+      .map(({ item }) => item);
+  }
+
+  compare(textA, textB) {
+    return this.compareKeys(this.sortKey(textA), this.sortKey(textB));
+  }
+
+  /**
+   * Authors compared name by name, surname then initials, letter by letter - "nothing precedes something",
+   * so Brown, J. comes before Browning, A. and a one-author work before one the author shares with others.
+   * Works by the same authors are ordered by date (n.d. first, in press last), then by a/b suffix,
+   * then by title.
+   */
+  compareKeys(a, b) {
+    return this.compareAuthors(a.authors, b.authors) ||
+      (a.year - b.year) ||
+      this.compareLetters(a.suffix, b.suffix) ||
+      this.compareLetters(a.title, b.title);
+  }
+
+  compareAuthors(authorsA, authorsB) {
+    for (let index = 0; index < Math.max(authorsA.length, authorsB.length); index++) {
+      const authorA = authorsA[index];
+      const authorB = authorsB[index];
+      if (!authorA) return -1;
+      if (!authorB) return 1;
+
+      const order = this.compareLetters(authorA.surname, authorB.surname) ||
+        this.compareLetters(authorA.initials, authorB.initials);
+      if (order) return order;
+    }
+    return 0;
+  }
+
+  /**
+   * Authors, date and title of one reference entry
+   */
+  sortKey(text) {
+    const entry = (text || '').trim();
+    const date = entry.match(/\(\s*(?:(\d{4})([a-z])?|(n\.\s?d\.)(?:-([a-z]))?|(in press)(?:-([a-z]))?)[^)]*\)/i);
+    const authorPart = date ? entry.substring(0, date.index) : '';
+    const title = date
+      ? entry.substring(date.index + date[0].length).replace(/^\s*\.\s*/, '').split(/\.\s/)[0]
+      : entry;
+
+    let year = 0;
+    if (date?.[1]) {
+      year = parseInt(date[1], 10);
+    } else if (date?.[5]) {
+      year = Infinity;
+    }
+
+    return {
+      // Works without an author are alphabetized by title, which takes the author position
+      authors: authorPart.trim() ? this.parseAuthors(authorPart) : [{ surname: this.letters(title.replace(LEADING_ARTICLE, '')), initials: '' }],
+      year: date?.[3] ? -Infinity : year,
+      suffix: (date?.[2] || date?.[4] || date?.[6] || '').toLowerCase(),
+      title: this.letters(title.replace(LEADING_ARTICLE, ''))
+    };
+  }
+
+  /**
+   * "Smith, J. A., Brown, K., & Lee, M. (Eds.)." -> [{ surname: 'smith', initials: 'ja' }, ...]
+   * Group authors stay spelled out as one name
+   */
+  parseAuthors(authorPart) {
+    return authorPart
+      .replace(/\(\s*eds?\.?\s*\)/gi, '')
+      .replace(/[\s.]+$/, '.')
+      .split(/(?<=\.)\s*,\s*(?:&\s*)?|\s+&\s+|,\s*\.\.\.\s*/)
+      .map(name => name.trim())
+      .filter(Boolean)
+      .map(name => {
+        const comma = name.indexOf(',');
+        return comma === -1
+          ? { surname: this.letters(name.replace(LEADING_ARTICLE, '')), initials: '' }
+          : { surname: this.letters(name.substring(0, comma)), initials: this.letters(name.substring(comma + 1)) };
+      });
+  }
+
+  /**
+   * Letters and digits only, without case or accents - spaces, hyphens and apostrophes do not count
+   */
+  letters(text) {
+    return (text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]/gu, '');
+  }
+
+  compareLetters(a, b) {
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+  }
+}
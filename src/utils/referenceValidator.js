@@ -1,8 +1,11 @@
 // src/utils/referenceValidator.js - Comprehensive reference list validation
 'use client';
 
+import { ReferenceSorter } from './referenceSorter';
+
 export class ReferenceValidator {
   constructor() {
+    this.referenceSorter = new ReferenceSorter();
     // Enhanced DOI pattern with validation
     this.doiPattern = /(?:https?:\/\/)?(?:dx\.)?doi\.org\/([0-9.]+\/[^\s]+)|doi:\s*([0-9.]+\/[^\s]+)/i;
     this.urlPattern = /https?:\/\/[^\s)]+/g;
@@ -14,30 +17,62 @@ export class ReferenceValidator {
    * Main validation function for references section with deep formatting
    */
   validateReferences(text, structure, italicizedText = []) {
-    const issues = [];
-
-    if (!text) return issues;
+    if (!text) return [];
 
     // Extract references section
     const referencesMatch = text.match(/(?:^|\n)(?:references|REFERENCES|References)\s*\n([\s\S]*?)(?=\n(?:appendix|APPENDIX|Appendix)|$)/i);
+    const referencesText = referencesMatch ? referencesMatch[1].trim() : '';
 
-    if (!referencesMatch) {
-      // Check if there are citations that need references
-      const hasCitations = /\([^)]+,\s*\d{4}\)/.test(text);
-      if (hasCitations) {
-        issues.push({
-          title: "Missing references section",
-          description: "Document contains citations but no references section",
-          severity: "Critical",
-          category: "references",
-          hasFix: false,
-          explanation: "All cited sources must be listed in the References section at the end of the document."
-        });
-      }
-      return issues;
+    // Parse individual references with paragraph mapping
+    const referenceEntries = referencesText
+      ? this.parseReferenceEntries(referencesText, text, this.buildParagraphMap(text, structure))
+      : [];
+
+    const issues = referencesMatch
+      ? this.checkReferenceList(text, referencesText, referenceEntries, italicizedText)
+      : this.checkMissingReferences(text);
+
+    // Link targets and reference-manager fields are checked even without a usable reference list
+    // Link targets resolved from w:hyperlink / HYPERLINK fields (visible text alone can hide them)
+    if (structure?.hyperlinks?.length > 0) {
+      issues.push(...this.checkHyperlinkTargets(structure.hyperlinks, structure.sections));
+    }
+
+    // Sources cited through Zotero/Mendeley/EndNote fields, matched on their recorded author and year
+    if (structure?.citationFields?.length > 0) {
+      issues.push(...this.checkCitationFields(structure.citationFields, referenceEntries));
+    }
+
+    return issues;
+  }
+
+  /**
+   * Citations without a references section
+   */
+  checkMissingReferences(text) {
+    const issues = [];
+
+    // Check if there are citations that need references
+    const hasCitations = /\([^)]+,\s*\d{4}\)/.test(text);
+    if (hasCitations) {
+      issues.push({
+        title: "Missing references section",
+        description: "Document contains citations but no references section",
+        severity: "Critical",
+        category: "references",
+        hasFix: false,
+        explanation: "All cited sources must be listed in the References section at the end of the document."
+      });
     }
 
-    const referencesText = referencesMatch[1].trim();
+    return issues;
+  }
+
+  /**
+   * Checks of the reference list entries
+   */
+  checkReferenceList(text, referencesText, referenceEntries, italicizedText) {
+    const issues = [];
 
     // Check for empty references section
     if (referencesText.length < 50 || !referencesText.match(/[A-Z]/)) {
@@ -52,33 +87,6 @@ export class ReferenceValidator {
       return issues;
     }
 
-    // Use DocumentModel's paragraph map if available (most accurate)
-    // Otherwise fall back to text splitting (less accurate due to empty line handling)
-    let paragraphMap;
-
-    if (structure?.paragraphMap && Array.isArray(structure.paragraphMap)) {
-      paragraphMap = structure.paragraphMap;
-    } else {
-      // Fallback: Build paragraph map from text splitting
-      paragraphMap = [];
-      let charOffset = 0;
-
-      text.split('\n').forEach((paraText) => {
-        if (paraText.trim()) { // Only non-empty paragraphs (matches DocumentModel.getPlainText filter)
-          paragraphMap.push({
-            index: paragraphMap.length,
-            text: paraText,
-            charStart: charOffset,
-            charEnd: charOffset + paraText.length
-          });
-        }
-        charOffset += paraText.length + 1; // +1 for newline
-      });
-    }
-
-    // Parse individual references with paragraph mapping
-    const referenceEntries = this.parseReferenceEntries(referencesText, text, paragraphMap);
-
     // Run all validation checks including deep formatting with italicized text
     issues.push(...this.checkAlphabeticalOrder(referenceEntries));
     issues.push(...this.checkHangingIndent(referenceEntries, referencesText));
@@ -90,6 +98,35 @@ export class ReferenceValidator {
     return issues;
   }
 
+  /**
+   * Paragraph texts with their offsets in the plain text
+   * Use DocumentModel's paragraph map if available (most accurate)
+   * Otherwise fall back to text splitting (less accurate due to empty line handling)
+   */
+  buildParagraphMap(text, structure) {
+    if (structure?.paragraphMap && Array.isArray(structure.paragraphMap)) {
+      return structure.paragraphMap;
+    }
+
+    // Fallback: Build paragraph map from text splitting
+    const paragraphMap = [];
+    let charOffset = 0;
+
+    text.split('\n').forEach((paraText) => {
+      if (paraText.trim()) { // Only non-empty paragraphs (matches DocumentModel.getPlainText filter)
+        paragraphMap.push({
+          index: paragraphMap.length,
+          text: paraText,
+          charStart: charOffset,
+          charEnd: charOffset + paraText.length
+        });
+      }
+      charOffset += paraText.length + 1; // +1 for newline
+    });
+
+    return paragraphMap;
+  }
+
   /**
    * Parse reference entries from text with accurate paragraph index mapping
    */
@@ -247,47 +284,39 @@ export class ReferenceValidator {
     if (entries.length < 2) return issues;
     
     for (let i = 1; i < entries.length; i++) {
-      const current = entries[i].firstAuthor.toLowerCase();
-      const previous = entries[i-1].firstAuthor.toLowerCase();
-      
-      if (current && previous && current < previous) {
-        // Check for same author, different years
-        const currentBase = current.replace(/[a-z]$/, '');
-        const previousBase = previous.replace(/[a-z]$/, '');
-        
-        if (currentBase !== previousBase) {
-          issues.push({
-            title: "References not in alphabetical order",
-            description: `"${entries[i].firstAuthor}" should come before "${entries[i-1].firstAuthor}"`,
-            text: `${entries[i].firstAuthor} (${entries[i].year})`,
-            severity: "Major",
-            category: "references",
-            hasFix: true,
-            fixAction: "sortReferences",
-            explanation: "References must be listed in alphabetical order by the first author's surname."
-          });
-          break; // Only report first occurrence
-        }
-      }
-      
-      // Check same author, year order
-      if (current === previous && entries[i].year && entries[i-1].year) {
-        const currentYear = entries[i].year;
-        const previousYear = entries[i-1].year;
-        
-        if (currentYear < previousYear && !currentYear.includes('n.d.')) {
-          issues.push({
-            title: "Same author references not in chronological order",
-            description: `${entries[i].firstAuthor}'s works should be ordered by year`,
-            text: `${previousYear} comes before ${currentYear}`,
-            severity: "Minor",
-            category: "references",
-            hasFix: true,
-            fixAction: "sortReferencesByYear",
-            explanation: "When the same author has multiple works, order them chronologically (oldest first)."
-          });
-        }
+      // APA 9.44-9.47 order: letter by letter, "nothing precedes something", then by date
+      const previousKey = this.referenceSorter.sortKey(entries[i-1].text);
+      const currentKey = this.referenceSorter.sortKey(entries[i].text);
+      if (this.referenceSorter.compareKeys(previousKey, currentKey) <= 0) continue;
+
+      const currentAuthor = entries[i].firstAuthor || entries[i].text.substring(0, 40);
+      const previousAuthor = entries[i-1].firstAuthor || entries[i-1].text.substring(0, 40);
+
+      if (this.referenceSorter.compareAuthors(previousKey.authors, currentKey.authors) !== 0) {
+        issues.push({
+          title: "References not in alphabetical order",
+          description: `"${currentAuthor}" should come before "${previousAuthor}"`,
+          text: `${currentAuthor} (${entries[i].year})`,
+          severity: "Major",
+          category: "references",
+          hasFix: true,
+          fixAction: "sortReferences",
+          explanation: "References must be listed in alphabetical order by the first author's surname."
+        });
+        break; // Only report first occurrence
       }
+
+      // Same authors: by year, then a/b suffix
+      issues.push({
+        title: "Same author references not in chronological order",
+        description: `${currentAuthor}'s works should be ordered by year`,
+        text: `${entries[i-1].year} comes before ${entries[i].year}`,
+        severity: "Minor",
+        category: "references",
+        hasFix: true,
+        fixAction: "sortReferencesByYear",
+        explanation: "When the same author has multiple works, order them chronologically (oldest first)."
+      });
     }
     
     return issues;
@@ -860,6 +889,170 @@ export class ReferenceValidator {
     return issues;
   }
 
+  /**
+   * Check reference-manager citations against the reference list using the field metadata
+   */
+  checkCitationFields(citationFields, referenceEntries) {
+    const issues = [];
+    const reported = new Set();
+    const normalize = (value) => (value || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+    citationFields.forEach(field => {
+      field.items.forEach(item => {
+        const author = item.authors?.[0]?.family || item.authors?.[0]?.literal;
+        if (!author) return;
+
+        const year = item.year || 'n.d.';
+        const key = `${normalize(author)}_${year}`;
+        if (reported.has(key)) return;
+
+        const sameAuthor = referenceEntries.filter(entry => normalize(entry.text).startsWith(normalize(author)));
+        const match = sameAuthor.find(entry => entry.year && entry.year.startsWith(year));
+        const location = {
+          paragraphIndex: field.paragraphIndex,
+          charOffset: field.charOffset,
+          length: field.text.length,
+          type: 'text'
+        };
+
+        if (!match) {
+          const otherYears = sameAuthor.map(entry => entry.year).filter(Boolean);
+          issues.push({
+            title: "Cited source missing from references",
+            description: otherYears.length > 0
+              ? `${author} (${year}) is cited, but the references only list ${author} (${otherYears.join(', ')})`
+              : `${author} (${year}) is cited but has no entry in the References section`,
+            text: field.text,
+            highlightText: field.text,
+            severity: "Major",
+            category: "references",
+            location,
+            hasFix: false,
+            explanation: "Every work cited in the text needs a reference entry with the same author and year. Regenerate the bibliography from your reference manager or add the entry by hand."
+          });
+          reported.add(key);
+        } else if (item.doi && !/doi/i.test(match.text)) {
+          issues.push({
+            title: "Reference missing DOI",
+            description: `${author} (${year}) has DOI ${item.doi} in the citation data, but the reference entry has none`,
+            text: match.text.substring(0, 80),
+            highlightText: match.text.substring(0, 80),
+            severity: "Minor",
+            category: "references",
+            location: {
+              paragraphIndex: match.paragraphIndex >= 0 ? match.paragraphIndex : null,
+              charOffset: 0,
+              length: Math.min(match.text.length, 80),
+              type: 'text'
+            },
+            hasFix: false,
+            explanation: `Include the DOI of works that have one as a URL at the end of the reference: https://doi.org/${item.doi}`
+          });
+          reported.add(key);
+        }
+      });
+    });
+
+    return issues;
+  }
+
+  /**
+   * Check Word hyperlinks: displayed URLs and DOIs that open a different target, DOIs hidden behind
+   * link labels in the reference list, and outdated or insecure DOI resolver links
+   */
+  checkHyperlinkTargets(hyperlinks, sections = []) {
+    const issues = [];
+    const reportedTypes = new Set();
+    const referencesStart = (sections || []).find(section => section.type === 'references')?.startIndex;
+
+    // Compare links ignoring scheme, "www." and trailing slashes
+    const normalize = (value) => value.trim()
+      .replace(/^(?:https?:\/\/)?(?:www\.)?/i, '')
+      .replace(/^(?:dx\.)?doi\.org\//i, 'doi.org/')
+      .replace(/^doi:\s*/i, 'doi.org/')
+      .replace(/\/+$/, '')
+      .toLowerCase();
+
+    hyperlinks.forEach(link => {
+      const target = link.target || '';
+      const text = (link.text || '').trim();
+      if (!target || target.startsWith('#') || !text) return;
+
+      const location = {
+        paragraphIndex: link.paragraphIndex,
+        charOffset: link.charOffset,
+        length: link.text.length,
+        type: 'text'
+      };
+      const isDoiLink = /^(?:https?:\/\/)?(?:dx\.)?doi\.org\//i.test(target);
+      const textLooksLikeLink = /^(?:https?:\/\/|www\.|doi:|(?:dx\.)?doi\.org\/|10\.\d{4,}\/)/i.test(text);
+      const inReferences = referencesStart !== undefined && link.paragraphIndex > referencesStart;
+
+      // Displayed URL/DOI points somewhere else
+      if (textLooksLikeLink && normalize(text) !== normalize(target) &&
+          normalize(`doi.org/${text}`) !== normalize(target)) {
+        issues.push({
+          title: "Hyperlink text does not match target",
+          description: `Link shows "${text.substring(0, 60)}" but opens ${target}`,
+          text,
+          highlightText: text,
+          severity: "Major",
+          category: "references",
+          location,
+          hasFix: false,
+          explanation: "The URL or DOI shown in the text must be the one the link opens. Update either the displayed text or the link target so they match."
+        });
+      } else if (isDoiLink && !textLooksLikeLink && inReferences && !reportedTypes.has('hidden-doi')) {
+        // Reference entries must show the full DOI, not a label
+        issues.push({
+          title: "DOI hidden behind link text",
+          description: `"${text.substring(0, 40)}" links to ${target}`,
+          text,
+          highlightText: text,
+          severity: "Minor",
+          category: "references",
+          location,
+          hasFix: false,
+          explanation: "Present DOIs in reference entries as the full https://doi.org/ URL rather than a shortened label such as \"Link\" or \"Full text\"."
+        });
+        reportedTypes.add('hidden-doi');
+      }
+
+      if (isDoiLink) {
+        // dx.doi.org and http:// are outdated forms of the DOI resolver
+        if (/^(?:https?:\/\/)?dx\.doi\.org\//i.test(target) && !reportedTypes.has('dx-doi')) {
+          issues.push({
+            title: "Outdated DOI link format",
+            description: `DOI link uses the "dx.doi.org" resolver: ${target}`,
+            text,
+            highlightText: text,
+            severity: "Minor",
+            category: "references",
+            location,
+            hasFix: false,
+            explanation: "APA 7th edition formats DOIs as https://doi.org/10.xxxx/xxxxx. Replace dx.doi.org in both the displayed text and the link target."
+          });
+          reportedTypes.add('dx-doi');
+        } else if (!/^https:\/\//i.test(target) && !reportedTypes.has('http-doi')) {
+          issues.push({
+            title: "DOI link not using https",
+            description: `DOI link target is not secure: ${target}`,
+            text,
+            highlightText: text,
+            severity: "Minor",
+            category: "references",
+            location,
+            hasFix: false,
+            explanation: "Link DOIs with the secure resolver: https://doi.org/10.xxxx/xxxxx."
+          });
+          reportedTypes.add('http-doi');
+        }
+      }
+    });
+
+    return issues;
+  }
+
   /**
    * Check DOI and URL formatting
    */
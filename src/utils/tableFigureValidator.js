@@ -27,8 +27,8 @@ export class TableFigureValidator {
     // Validate figures  
     issues.push(...this.validateFigures(figures, text));
     
-    // Check in-text callouts
-    issues.push(...this.validateCallouts(tables, figures, text));
+    // Check in-text callouts (figures without a number label are reported by validateFigures)
+    issues.push(...this.validateCallouts(tables, figures.filter(figure => figure.numberText), text));
     
     // Check for table/figure formatting in document structure
     if (formatting?.tables || formatting?.figures) {
@@ -76,8 +76,13 @@ export class TableFigureValidator {
 
   /**
    * Extract figures from document
+   * Embedded images found by the DOCX processor take precedence over "Figure N" text matches
    */
   extractFigures(text, structure) {
+    if (structure?.figures?.length > 0) {
+      return this.extractEmbeddedFigures(text, structure.figures);
+    }
+
     const figures = [];
     const figureMatches = [...text.matchAll(this.figurePattern)];
     
@@ -110,6 +115,41 @@ export class TableFigureValidator {
     return figures;
   }
 
+  /**
+   * Map embedded figures (structure.figures) to the shape used by the text-based checks
+   */
+  extractEmbeddedFigures(text, embeddedFigures) {
+    // Character position of each paragraph in the joined text
+    const paragraphStarts = [];
+    let offset = 0;
+    text.split('\n').forEach(paragraph => {
+      paragraphStarts.push(offset);
+      offset += paragraph.length + 1;
+    });
+
+    return embeddedFigures.map(figure => {
+      const label = figure.label || figure.captionBelow;
+      const anchorIndex = label ? label.paragraphIndex : figure.paragraphIndex;
+      const position = paragraphStarts[anchorIndex] ?? text.length;
+      const caption = figure.title?.text || '';
+      const note = figure.note?.text || '';
+
+      return {
+        number: label ? parseFloat(label.number.replace(/^[A-Z]/, '')) : null,
+        numberText: label ? label.number : '',
+        caption,
+        note,
+        position,
+        fullMatch: label ? label.text : 'Figure',
+        hasCaption: caption.length > 0,
+        hasNote: note.length > 0,
+        captionCase: this.checkTitleCase(caption),
+        location: this.getLocationContext(text, position),
+        embedded: figure
+      };
+    });
+  }
+
   /**
    * Get location context for table/figure
    */
@@ -272,12 +312,15 @@ export class TableFigureValidator {
     const issues = [];
     
     // Check numbering sequence
-    const numberingIssues = this.checkNumberingSequence(figures, 'Figure');
+    const numberingIssues = this.checkNumberingSequence(figures.filter(figure => figure.numberText), 'Figure');
     issues.push(...numberingIssues);
     
     figures.forEach((figure, index) => {
-      // Check for missing caption
-      if (!figure.hasCaption || figure.caption.length < 5) {
+      if (figure.embedded) {
+        // Label, title, alt text and note checks on the real figure parts
+        issues.push(...this.validateEmbeddedFigure(figure));
+      } else if (!figure.hasCaption || figure.caption.length < 5) {
+        // Check for missing caption
         issues.push({
           title: "Missing or incomplete figure caption",
           description: `Figure ${figure.numberText} lacks a descriptive caption`,
@@ -335,6 +378,150 @@ export class TableFigureValidator {
     return issues;
   }
 
+  /**
+   * Validate an embedded figure against the APA 7 figure layout (Section 7.22-7.28):
+   * bold number label, italic title case title, image, optional "Note." - and alt text for accessibility
+   */
+  validateEmbeddedFigure(figure) {
+    const issues = [];
+    const { label, title, note, captionBelow, images, paragraphIndex } = figure.embedded;
+    const name = figure.numberText ? `Figure ${figure.numberText}` : 'Figure';
+    // Image paragraphs have no text to highlight
+    const imageText = `Image in paragraph ${paragraphIndex + 1}`;
+
+    const partLocation = (part) => ({
+      paragraphIndex: part.paragraphIndex,
+      charOffset: 0,
+      length: part.text.length,
+      type: 'text'
+    });
+
+    if (captionBelow) {
+      issues.push({
+        title: "Figure caption below image",
+        description: `${name} has its number and caption below the image`,
+        text: captionBelow.text,
+        highlightText: captionBelow.text,
+        severity: "Major",
+        category: "figures",
+        location: partLocation(captionBelow),
+        hasFix: false,
+        explanation: "In APA 7, the figure number (bold) and title (italic) go above the image. Only the figure note goes below it."
+      });
+    } else if (!label) {
+      issues.push({
+        title: "Figure without number",
+        description: "An embedded image has no \"Figure N\" label above it",
+        text: imageText,
+        severity: "Major",
+        category: "figures",
+        location: { paragraphIndex, type: 'paragraph' },
+        hasFix: false,
+        explanation: "Label every figure with a bold figure number (e.g., Figure 1) above the image, followed by an italic title."
+      });
+    } else if (!label.bold) {
+      issues.push({
+        title: "Figure number not bold",
+        description: `${name} label should be bold`,
+        text: label.text,
+        highlightText: label.text,
+        severity: "Minor",
+        category: "figures",
+        location: partLocation(label),
+        hasFix: false,
+        explanation: "The figure number (e.g., Figure 1) appears in bold above the figure title."
+      });
+    }
+
+    if (label) {
+      if (!title || title.text.length < 5) {
+        issues.push({
+          title: "Missing or incomplete figure title",
+          description: `${name} lacks a descriptive title`,
+          text: label.text,
+          highlightText: label.text,
+          severity: "Major",
+          category: "figures",
+          location: partLocation(label),
+          hasFix: false,
+          explanation: "Give every figure a brief, descriptive title in italic title case, one double-spaced line below the figure number."
+        });
+      } else {
+        if (title.sameLineAsLabel) {
+          issues.push({
+            title: "Figure title on number line",
+            description: `${name} title is on the same line as the figure number`,
+            text: label.text,
+            highlightText: label.text,
+            severity: "Minor",
+            category: "figures",
+            location: partLocation(label),
+            hasFix: false,
+            explanation: "Place the figure title on its own line below the bold figure number."
+          });
+        } else if (!title.italic) {
+          issues.push({
+            title: "Figure title not italic",
+            description: `${name} title should be italic`,
+            text: title.text,
+            highlightText: title.text,
+            severity: "Minor",
+            category: "figures",
+            location: partLocation(title),
+            hasFix: false,
+            explanation: "Figure titles are written in italic title case below the figure number."
+          });
+        }
+
+        if (!figure.captionCase) {
+          issues.push({
+            title: "Incorrect figure title capitalization",
+            description: `${name} title should use title case`,
+            text: title.text,
+            highlightText: title.sameLineAsLabel ? label.text : title.text,
+            severity: "Minor",
+            category: "figures",
+            location: partLocation(title.sameLineAsLabel ? label : title),
+            hasFix: false,
+            explanation: "Figure titles use title case capitalization (major words capitalized)."
+          });
+        }
+      }
+    }
+
+    if (note && (!note.text.startsWith('Note.') || !note.labelItalic)) {
+      issues.push({
+        title: "Incorrect figure note format",
+        description: `${name} note should start with "Note." in italics`,
+        text: note.text.substring(0, 50),
+        highlightText: note.text.substring(0, 50),
+        severity: "Minor",
+        category: "figures",
+        location: { ...partLocation(note), length: Math.min(note.text.length, 50) },
+        hasFix: false,
+        explanation: "Figure notes go below the image and begin with the word Note in italics, followed by a period."
+      });
+    }
+
+    // Accessibility: every non-decorative image needs alt text
+    const missingAltText = (images || []).filter(image => !image.decorative && !image.altText);
+    if (missingAltText.length > 0) {
+      issues.push({
+        title: "Figure missing alt text",
+        description: `${name} has ${missingAltText.length === 1 ? 'an image' : `${missingAltText.length} images`} without alternative text`,
+        text: label?.text || imageText,
+        highlightText: label?.text,
+        severity: "Major",
+        category: "figures",
+        location: label ? partLocation(label) : { paragraphIndex, type: 'paragraph' },
+        hasFix: false,
+        explanation: "Add alt text (Format Picture > Alt Text in Word) describing the figure so readers using screen readers can access it. Mark purely decorative images as decorative."
+      });
+    }
+
+    return issues;
+  }
+
   /**
    * Check numbering sequence with appendix support
    */
@@ -496,10 +683,11 @@ export class TableFigureValidator {
     }
     
     const figureCalloutPattern = /(?:see |See |shown in |displayed in |illustrated in )?(?:Figure|Fig\.)\s+(\d+\.?\d*)/gi;
-    const existingFigureNumbers = new Set(figures.map(f => f.numberText));
+    // Sentence-final periods ("Figure 2.") are not part of the number
+    const existingFigureNumbers = new Set(figures.map(f => f.numberText.replace(/\.$/, '')));
     
     while ((match = figureCalloutPattern.exec(text)) !== null) {
-      const calledNumber = match[1];
+      const calledNumber = match[1].replace(/\.$/, '');
       if (!existingFigureNumbers.has(calledNumber) && !reportedMissing.has('missing-figure-' + calledNumber)) {
         issues.push({
           title: "Reference to non-existent figure",
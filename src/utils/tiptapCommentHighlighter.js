@@ -0,0 +1,208 @@
+// Tiptap Comment Highlighter - Decoration-based highlighting for imported Word comments
+import { Extension } from '@tiptap/core';
+import { Plugin, PluginKey } from '@tiptap/pm/state';
+import { Decoration, DecorationSet } from '@tiptap/pm/view';
+
+const commentHighlighterKey = new PluginKey('commentHighlighter');
+
+function collectBlocks(doc) {
+  const blocks = [];
+  doc.descendants((node, pos) => {
+    if (node.type.name === 'paragraph' || node.type.name === 'heading') {
+      blocks.push({ pos, text: node.textContent });
+    }
+  });
+  return blocks;
+}
+
+function searchText(blocks, text, preferredIndex) {
+  if (!text) return null;
+
+  const ordered = preferredIndex !== undefined && blocks[preferredIndex]
+    ? [blocks[preferredIndex], ...blocks]
+    : blocks;
+
+  for (const block of ordered) {
+    const index = block.text.indexOf(text);
+    if (index !== -1) {
+      return { from: block.pos + 1 + index, to: block.pos + 1 + index + text.length };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a comment anchor (paragraph index + char offset from the DOCX) to ProseMirror positions.
+ * Falls back to searching the anchored text when the document has been edited since import.
+ */
+export function findCommentRange(doc, comment, blocks = collectBlocks(doc)) {
+  const anchor = comment?.anchor;
+  if (!anchor) return null;
+
+  const start = blocks[anchor.startParagraphIndex];
+  const end = blocks[anchor.endParagraphIndex];
+  const firstLine = (anchor.text || '').split('\n')[0];
+
+  if (start && end) {
+    const startOffset = Math.min(anchor.startOffset, start.text.length);
+    const endOffset = Math.min(anchor.endOffset, end.text.length);
+    const startMatches = !firstLine || start.text.substring(startOffset, startOffset + firstLine.length) === firstLine;
+
+    if (startMatches) {
+      return {
+        from: start.pos + 1 + startOffset,
+        to: end.pos + 1 + endOffset
+      };
+    }
+  }
+
+  return searchText(blocks, firstLine, anchor.startParagraphIndex);
+}
+
+function createDecorations(doc, comments, activeCommentId, showComments) {
+  if (!showComments || !comments || comments.length === 0) {
+    return DecorationSet.empty;
+  }
+
+  const blocks = collectBlocks(doc);
+  const decorations = [];
+
+  comments.forEach(comment => {
+    try {
+      const range = findCommentRange(doc, comment, blocks);
+      if (!range) return;
+
+      const isActive = comment.id === activeCommentId;
+
+      if (range.from < range.to) {
+        decorations.push(Decoration.inline(range.from, range.to, {
+          class: isActive ? 'docx-comment docx-comment-active' : 'docx-comment',
+          nodeName: 'span',
+          'data-comment-id': comment.id,
+          title: `${comment.author}: ${comment.text}`
+        }, {
+          commentId: comment.id,
+          inclusiveStart: false,
+          inclusiveEnd: false
+        }));
+      } else {
+        // Point comments (no range) get a marker at their reference position
+        decorations.push(Decoration.widget(range.from, () => {
+          const marker = document.createElement('span');
+          marker.className = isActive ? 'docx-comment-marker docx-comment-active' : 'docx-comment-marker';
+          marker.setAttribute('data-comment-id', comment.id);
+          marker.title = `${comment.author}: ${comment.text}`;
+          return marker;
+        }, { commentId: comment.id, side: -1 }));
+      }
+    } catch (error) {
+      console.warn(`❌ [TiptapCommentHighlighter] Failed to highlight comment ${comment.id}:`, error);
+    }
+  });
+
+  decorations.sort((a, b) => a.from - b.from);
+
+  return DecorationSet.create(doc, decorations);
+}
+
+export const CommentHighlighter = Extension.create({
+  name: 'commentHighlighter',
+
+  addOptions() {
+    return {
+      comments: [],
+      activeCommentId: null,
+      showComments: true,
+      onCommentClick: null
+    };
+  },
+
+  addProseMirrorPlugins() {
+    const extension = this;
+
+    return [
+      new Plugin({
+        key: commentHighlighterKey,
+
+        state: {
+          init() {
+            return {
+              decorations: DecorationSet.empty,
+              comments: extension.options.comments || []
+            };
+          },
+
+          apply(tr, value, oldState, newState) {
+            const meta = tr.getMeta(commentHighlighterKey);
+
+            if (meta?.updateComments) {
+              const comments = meta.comments || value.comments;
+              return {
+                decorations: createDecorations(
+                  newState.doc,
+                  comments,
+                  meta.activeCommentId !== undefined ? meta.activeCommentId : extension.options.activeCommentId,
+                  meta.showComments !== undefined ? meta.showComments : extension.options.showComments
+                ),
+                comments
+              };
+            }
+
+            // Map decorations through document changes
+            if (tr.docChanged) {
+              return {
+                decorations: value.decorations.map(tr.mapping, tr.doc),
+                comments: value.comments
+              };
+            }
+
+            return value;
+          }
+        },
+
+        props: {
+          decorations(state) {
+            return this.getState(state)?.decorations || DecorationSet.empty;
+          },
+
+          handleClick(view, pos, event) {
+            const commentId = event.target?.getAttribute?.('data-comment-id');
+
+            // Ctrl/Cmd+click selects the comment, plain clicks keep normal editing
+            if (commentId && extension.options.onCommentClick && (event.ctrlKey || event.metaKey)) {
+              extension.options.onCommentClick(commentId);
+              return true;
+            }
+
+            return false;
+          }
+        }
+      })
+    ];
+  },
+
+  addCommands() {
+    return {
+      updateCommentHighlights: (options = {}) => ({ tr, dispatch }) => {
+        if (dispatch) {
+          tr.setMeta(commentHighlighterKey, {
+            updateComments: true,
+            ...options
+          });
+        }
+        return true;
+      },
+
+      setActiveComment: (commentId) => ({ tr, dispatch }) => {
+        if (dispatch) {
+          tr.setMeta(commentHighlighterKey, {
+            updateComments: true,
+            activeCommentId: commentId
+          });
+        }
+        return true;
+      }
+    };
+  }
+});
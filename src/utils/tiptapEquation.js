@@ -0,0 +1,121 @@
+// Tiptap Equation - Inline atom node for Office Math (OMML) equations imported from DOCX
+import { Node } from '@tiptap/core';
+
+const MATHML_NS = 'http://www.w3.org/1998/Math/MathML';
+
+// Presentation MathML the server's OMML converter writes - anything else is dropped
+const MATHML_ELEMENTS = new Set([
+  'math', 'mrow', 'mi', 'mn', 'mo', 'mtext', 'mspace', 'mfrac', 'msqrt', 'mroot', 'msub', 'msup',
+  'msubsup', 'munder', 'mover', 'munderover', 'mmultiscripts', 'mprescripts', 'none',
+  'mtable', 'mtr', 'mtd'
+]);
+const MATHML_ATTRIBUTES = new Set(['display', 'mathvariant', 'accent']);
+
+/**
+ * Copy a MathML element, keeping only whitelisted elements, attributes and text.
+ * Equation markup comes from document data and pasted HTML, so it is never assigned as innerHTML.
+ */
+function copyMathml(source) {
+  if (source.nodeType === 3) return document.createTextNode(source.nodeValue);
+  if (source.nodeType !== 1 || source.namespaceURI !== MATHML_NS || !MATHML_ELEMENTS.has(source.localName)) return null;
+
+  const element = document.createElementNS(MATHML_NS, source.localName);
+  Array.from(source.attributes).forEach(attribute => {
+    if (MATHML_ATTRIBUTES.has(attribute.name) && /^[a-z-]+$/i.test(attribute.value)) {
+      element.setAttribute(attribute.name, attribute.value);
+    }
+  });
+  source.childNodes.forEach(child => {
+    const childCopy = copyMathml(child);
+    if (childCopy) element.appendChild(childCopy);
+  });
+  return element;
+}
+
+/**
+ * MathML element for stored markup, or null when it is not well-formed MathML
+ */
+function buildMathml(markup) {
+  const root = new DOMParser().parseFromString(markup, 'application/xml').documentElement;
+  return root?.localName === 'math' ? copyMathml(root) : null;
+}
+
+/**
+ * Whitelisted markup of a <math> element found in pasted HTML, or null
+ */
+function sanitizeMathml(source) {
+  const math = source?.localName === 'math' ? copyMathml(source) : null;
+  return math ? new XMLSerializer().serializeToString(math) : null;
+}
+
+export const Equation = Node.create({
+  name: 'equation',
+
+  group: 'inline',
+  inline: true,
+  atom: true,
+  selectable: true,
+
+  addAttributes() {
+    return {
+      id: { default: null },
+      display: { default: false },
+      // Linear form (e.g. "x=(a+b)/2") used for analysis, search and export
+      linear: { default: '' },
+      // MathML converted on the server, rendered by the browser
+      mathml: { default: null }
+    };
+  },
+
+  // Text-based features (analysis, issue search) see the linear form of the equation
+  extendNodeSchema() {
+    return {
+      leafText: (node) => node.attrs.linear || ''
+    };
+  },
+
+  parseHTML() {
+    return [
+      {
+        tag: 'span[data-equation]',
+        getAttrs: (dom) => ({
+          id: dom.getAttribute('data-equation-id'),
+          display: dom.hasAttribute('data-display'),
+          linear: dom.getAttribute('data-linear') || dom.textContent || '',
+          mathml: sanitizeMathml(dom.querySelector('math'))
+        })
+      }
+    ];
+  },
+
+  renderHTML({ node }) {
+    return ['span', {
+      class: 'docx-equation',
+      'data-equation': '',
+      'data-equation-id': node.attrs.id,
+      'data-display': node.attrs.display ? '' : null,
+      'data-linear': node.attrs.linear,
+      title: node.attrs.linear
+    }, node.attrs.linear];
+  },
+
+  addNodeView() {
+    return ({ node }) => {
+      const dom = document.createElement('span');
+      dom.className = 'docx-equation';
+      dom.contentEditable = 'false';
+      dom.title = node.attrs.linear;
+      dom.setAttribute('data-equation', '');
+      if (node.attrs.display) dom.setAttribute('data-display', '');
+
+      const math = node.attrs.mathml ? buildMathml(node.attrs.mathml) : null;
+      if (math) {
+        dom.appendChild(math);
+      } else {
+        dom.textContent = node.attrs.linear;
+      }
+
+      return { dom };
+    };
+  }
+});
@@ -33,6 +33,16 @@ export const FormattedParagraph = Node.create({
       // Original style name from DOCX
       styleName: { default: null },
       
+      // Index of the DOCX section this paragraph ends (stays with this half when the paragraph is split)
+      sectionBreak: {
+        default: null,
+        keepOnSplit: false,
+        parseHTML: (element) => {
+          const value = element.getAttribute('data-section-break');
+          return value === null ? null : parseInt(value, 10);
+        }
+      },
+      
       // Store complete original formatting
       originalFormatting: { default: null }
     };
@@ -121,7 +131,8 @@ export const FormattedParagraph = Node.create({
     return ['p', { 
       ...HTMLAttributes, 
       style: styles.join('; '),
-      'data-style-name': node.attrs.styleName
+      'data-style-name': node.attrs.styleName,
+      'data-section-break': node.attrs.sectionBreak
     }, 0];
   }
 });
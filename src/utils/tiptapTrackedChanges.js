@@ -0,0 +1,129 @@
+// Tiptap Tracked Changes - Review mode for DOCX revisions (w:ins / w:del)
+import { Mark } from '@tiptap/core';
+
+/**
+ * Collect pending revisions from the document, grouped by revision id
+ * A single Word revision can span several text nodes (e.g., across formatting changes)
+ */
+export function collectRevisions(doc) {
+  const revisions = new Map();
+
+  doc.descendants((node, pos) => {
+    if (!node.isText) return;
+
+    const mark = node.marks.find(m => m.type.name === 'revision');
+    if (!mark) return;
+
+    const key = mark.attrs.id || `${mark.attrs.type}-${pos}`;
+    const existing = revisions.get(key);
+
+    if (existing) {
+      existing.ranges.push({ from: pos, to: pos + node.nodeSize });
+      existing.text += node.text;
+    } else {
+      revisions.set(key, {
+        key,
+        id: mark.attrs.id,
+        type: mark.attrs.type,
+        author: mark.attrs.author,
+        date: mark.attrs.date,
+        text: node.text,
+        ranges: [{ from: pos, to: pos + node.nodeSize }]
+      });
+    }
+  });
+
+  return Array.from(revisions.values());
+}
+
+/**
+ * Resolve revisions in a transaction. Ranges are processed back to front so earlier
+ * positions stay valid while text is deleted.
+ *   accept insert / reject delete -> keep the text, drop the mark
+ *   reject insert / accept delete -> remove the text
+ */
+function resolveRevisions(tr, revisions, accept) {
+  const markType = tr.doc.type.schema.marks.revision;
+
+  const ranges = revisions
+    .flatMap(revision => revision.ranges.map(range => ({ ...range, type: revision.type })))
+    .sort((a, b) => b.from - a.from);
+
+  ranges.forEach(({ from, to, type }) => {
+    const keepText = (type === 'insert') === accept;
+    if (keepText) {
+      tr.removeMark(from, to, markType);
+    } else {
+      tr.delete(from, to);
+    }
+  });
+
+  return tr;
+}
+
+export const TrackedChange = Mark.create({
+  name: 'revision',
+
+  // Deleted text must not be extended when typing next to it
+  inclusive: false,
+
+  addAttributes() {
+    return {
+      type: { default: 'insert' },
+      id: { default: null },
+      author: { default: null },
+      date: { default: null }
+    };
+  },
+
+  parseHTML() {
+    return [
+      { tag: 'ins[data-revision-type]', getAttrs: (dom) => ({ type: 'insert', id: dom.getAttribute('data-revision-id'), author: dom.getAttribute('data-author') }) },
+      { tag: 'del[data-revision-type]', getAttrs: (dom) => ({ type: 'delete', id: dom.getAttribute('data-revision-id'), author: dom.getAttribute('data-author') }) }
+    ];
+  },
+
+  renderHTML({ mark }) {
+    const isInsert = mark.attrs.type === 'insert';
+
+    return [isInsert ? 'ins' : 'del', {
+      class: isInsert ? 'revision-insert' : 'revision-delete',
+      'data-revision-type': mark.attrs.type,
+      'data-revision-id': mark.attrs.id,
+      'data-author': mark.attrs.author,
+      title: `${isInsert ? 'Inserted' : 'Deleted'} by ${mark.attrs.author || 'Unknown'}${mark.attrs.date ? ` on ${new Date(mark.attrs.date).toLocaleDateString()}` : ''}`
+    }, 0];
+  },
+
+  addCommands() {
+    return {
+      acceptRevision: (key) => ({ tr, state, dispatch }) => {
+        const revisions = collectRevisions(state.doc).filter(revision => revision.key === key);
+        if (revisions.length === 0) return false;
+        if (dispatch) resolveRevisions(tr, revisions, true);
+        return true;
+      },
+
+      rejectRevision: (key) => ({ tr, state, dispatch }) => {
+        const revisions = collectRevisions(state.doc).filter(revision => revision.key === key);
+        if (revisions.length === 0) return false;
+        if (dispatch) resolveRevisions(tr, revisions, false);
+        return true;
+      },
+
+      acceptAllRevisions: () => ({ tr, state, dispatch }) => {
+        const revisions = collectRevisions(state.doc);
+        if (revisions.length === 0) return false;
+        if (dispatch) resolveRevisions(tr, revisions, true);
+        return true;
+      },
+
+      rejectAllRevisions: () => ({ tr, state, dispatch }) => {
+        const revisions = collectRevisions(state.doc);
+        if (revisions.length === 0) return false;
+        if (dispatch) resolveRevisions(tr, revisions, false);
+        return true;
+      }
+    };
+  }
+});
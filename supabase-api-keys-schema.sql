@@ -0,0 +1,45 @@
+-- ============================================================================
+-- API KEYS TABLE SCHEMA
+-- Execute this SQL in the Supabase SQL Editor to enable the public REST API (/api/v1)
+-- ============================================================================
+
+-- Per-user API keys; only the SHA-256 hash of a key is stored
+CREATE TABLE api_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  key_prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMP DEFAULT NOW(),
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP
+);
+
+-- Add index for performance
+CREATE INDEX idx_api_keys_user_id ON api_keys(user_id);
+
+-- Enable Row Level Security
+ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies: Users can only manage their own keys
+-- The backend looks keys up by hash with the service role key
+CREATE POLICY "Users can view own API keys"
+  ON api_keys
+  FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can create own API keys"
+  ON api_keys
+  FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+-- Revoking is the only update: the row must stay the user's and end up revoked
+CREATE POLICY "Users can revoke own API keys"
+  ON api_keys
+  FOR UPDATE
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id AND revoked_at IS NOT NULL);
+
+-- Column privileges: signed-in users may only set revoked_at (not the hash, prefix or owner)
+REVOKE UPDATE ON api_keys FROM authenticated;
+GRANT UPDATE (revoked_at) ON api_keys TO authenticated;